@@ -0,0 +1,25 @@
+// Public API of the snapshot tooling for plugin repos: import this instead of shelling out to snap.mjs.
+//
+//   import { captureScreenshots } from '../../ext/lidarr.plugin.common/scripts/snapshots/index.mjs';
+//   const result = await captureScreenshots({ plugin: 'Tidalarr', types: ['indexer'], apiKey });
+//
+// Everything else here is what the capture is built from, for plugin tests that add steps of their own.
+
+export { captureScreenshots, captureFlow, resolveOptions, SnapOptionsError, DEFAULT_TYPES } from './lib/capture.mjs';
+export { openAddModalAndFindPlugin, clickPluginCard, requireModal, enableShowAdvanced, enablePluginProtocol, goSettings, fillConfigForm, pressTest } from './lib/ui.mjs';
+export { createSelectorSet, profileForVersion, listProfiles, GENERIC_CHAINS, PROFILES } from './lib/selectors.mjs';
+export { gallerySource, renderGallery, findRegions, updateDoc } from './lib/gallery.mjs';
+export { assertNoKnownBadState, assertAddModal, assertConfigDialog, assertPluginRows, KNOWN_BAD_STATES } from './lib/assertions.mjs';
+export { loadBuiltinScenario, loadScenarioFile, listBuiltinScenarios, validateScenario, runScenario, runSteps, ScenarioError } from './lib/scenario.mjs';
+export { ErrorCodes, SnapError, classifyError, errorSummary } from './lib/manifest.mjs';
+export { maskedScreenshot, sensitiveReason, compileMaskPatterns, DEFAULT_MASK_PATTERNS, MASK_STYLES } from './lib/mask.mjs';
+export { stabilizeContext, waitForIdle, DEFAULT_DYNAMIC_SELECTORS, DEFAULT_FROZEN_TIME } from './lib/stabilize.mjs';
+export { createEncoder, encodeImage, thumbnailSize, FORMATS } from './lib/output.mjs';
+export { createLidarrClient, findPluginProtocols, enableProtocolsInDelayProfiles, LidarrApiError } from './lib/lidarr-api.mjs';
+export { seedAlbum, seedQueue } from './lib/seed.mjs';
+export { createRestorer } from './lib/restore.mjs';
+export { auditModal, auditFacts, A11Y_RULES } from './lib/a11y.mjs';
+export { scrapeConfigForm, buildReference, renderReference } from './lib/reference.mjs';
+export { loadFixtures, validateFixtures, startStub } from './lib/fixtures.mjs';
+export { parseLocales, setUiLanguage, fetchUiText, uiText, LOCALE_LANGUAGES, ENGLISH_UI_TEXT } from './lib/locales.mjs';
+export { describeWrite, renderPlanStep, renderPlanSummary } from './lib/plan.mjs';
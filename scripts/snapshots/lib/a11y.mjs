@@ -0,0 +1,227 @@
+// Accessibility audit of the modal a shot captured (--a11y): the plugin's add modal and its config form.
+// An axe-style rule set small enough to need no dependency. The page only collects facts about the
+// modal's fields, text and clickable elements; the rules are judged here, so they can be tested without a browser.
+
+import { topModal } from './assertions.mjs';
+
+export const A11Y_RULES = Object.freeze({
+  label: { impact: 'critical', description: 'Form fields have a label or an accessible name' },
+  'help-text': { impact: 'minor', description: 'Settings fields explain themselves with help text' },
+  'color-contrast': { impact: 'serious', description: 'Text contrast is at least 4.5:1, or 3:1 for large text' },
+  keyboard: { impact: 'serious', description: 'Clickable controls can be reached with the keyboard' }
+});
+
+export const A11Y_RULE_IDS = Object.keys(A11Y_RULES);
+
+// Runs in the page on the modal element. Never reads field values: form values are secrets more often than not.
+function collectFacts(root) {
+  const FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]), select, textarea';
+  const FOCUSABLE = 'a[href], button, input, select, textarea, summary, [tabindex]';
+  const ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'combobox'];
+  const visible = (el) => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  const textOf = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+  const describe = (el) => {
+    const name = el.getAttribute('name');
+    const cls = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+    return `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${name ? `[name="${name}"]` : ''}${!el.id && !name && cls ? `.${cls}` : ''}`;
+  };
+  const accessibleName = (el) => {
+    const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+      .map(id => textOf(document.getElementById(id))).join(' ');
+    return [el.getAttribute('aria-label'), labelledBy, [...(el.labels || [])].map(textOf).join(' '), el.getAttribute('title'), el.getAttribute('placeholder')]
+      .map(name => (name || '').trim()).find(Boolean) || '';
+  };
+  const focusable = (el) => el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]');
+
+  // Lidarr's FormGroup labels are not tied to their inputs (no for/id), so a visible group label counts
+  // as the field's label; the label rule is after fields with no name at all
+  const fields = [...root.querySelectorAll(FIELDS)].filter(visible).map(el => {
+    const group = el.closest('[class*="FormGroup"], [class*="formGroup"]');
+    return {
+      target: describe(el),
+      name: accessibleName(el),
+      label: group ? textOf(group.querySelector('[class*="FormLabel"], label')) : '',
+      help: group ? Boolean(group.querySelector('[class*="helpText" i], [class*="helpLink" i]')) : null
+    };
+  });
+
+  // Every visible element with text of its own, with the background colours behind it up to the first
+  // opaque one; a background image ends the list with null (contrast cannot be told)
+  const texts = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const seen = new Set();
+  while (walker.nextNode()) {
+    const el = walker.currentNode.parentElement;
+    if (!el || seen.has(el) || !walker.currentNode.textContent.trim()) continue;
+    seen.add(el);
+    // Disabled controls are exempt from contrast, as in WCAG
+    if (!visible(el) || el.closest('[disabled], [aria-disabled="true"]')) continue;
+    const style = getComputedStyle(el);
+    const backgrounds = [];
+    for (let node = el; node; node = node.parentElement) {
+      const layer = getComputedStyle(node);
+      if (layer.backgroundImage !== 'none') {
+        backgrounds.push(null);
+        break;
+      }
+      backgrounds.push(layer.backgroundColor);
+      if (layer.backgroundColor.startsWith('rgb(')) break;
+    }
+    texts.push({
+      target: describe(el),
+      text: textOf(el).slice(0, 60),
+      color: style.color,
+      backgrounds,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: Number(style.fontWeight) || 400
+    });
+  }
+
+  // Elements that look clickable: an interactive role, an onclick attribute, or the outermost element
+  // showing a pointer cursor. Labels are left out, since they activate their own input.
+  const controls = [];
+  for (const el of root.querySelectorAll('*')) {
+    if (el.tagName === 'LABEL' || !visible(el)) continue;
+    const pointer = getComputedStyle(el).cursor === 'pointer' && getComputedStyle(el.parentElement || el).cursor !== 'pointer';
+    if (!ROLES.includes(el.getAttribute('role')) && !el.hasAttribute('onclick') && !pointer) continue;
+    controls.push({
+      target: describe(el),
+      text: textOf(el).slice(0, 60),
+      reachable: focusable(el) || [...el.querySelectorAll(FOCUSABLE)].some(focusable) || Boolean(el.parentElement?.closest(FOCUSABLE))
+    });
+  }
+
+  return { fields, texts, controls };
+}
+
+// Parse a computed CSS colour ("rgb(1, 2, 3)", "rgba(1, 2, 3, 0.5)", "rgb(1 2 3 / 50%)", "transparent").
+// Returns { r, g, b, a }, or null for colours given in other spaces.
+export function parseColor(css) {
+  const value = String(css || '').trim().toLowerCase();
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  const match = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+)(%)?)?\s*\)$/);
+  if (!match) return null;
+  const alpha = match[4] === undefined ? 1 : Number(match[4]) / (match[5] ? 100 : 1);
+  return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: alpha };
+}
+
+// Paint colour over an opaque backdrop
+function blend(color, backdrop) {
+  const mix = (channel) => color[channel] * color.a + backdrop[channel] * (1 - color.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function luminance({ r, g, b }) {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// WCAG contrast ratio of two opaque colours, 1 to 21
+export function contrastRatio(foreground, background) {
+  const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+const hex = ({ r, g, b }) => `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// Contrast of one text sample, or null when its colours cannot be told (background image, other colour spaces).
+// Backgrounds are listed innermost first and painted over white, as a page with no background is.
+function textContrast(sample) {
+  let background = { r: 255, g: 255, b: 255, a: 1 };
+  for (const layer of [...sample.backgrounds].reverse()) {
+    const color = layer === null ? null : parseColor(layer);
+    if (!color) return null;
+    background = blend(color, background);
+  }
+  const color = parseColor(sample.color);
+  if (!color) return null;
+  const foreground = blend(color, background);
+  const large = sample.fontSize >= 24 || (sample.fontSize >= 18.66 && sample.fontWeight >= 700);
+  return {
+    ratio: Math.round(contrastRatio(foreground, background) * 100) / 100,
+    required: large ? 3 : 4.5,
+    foreground: hex(foreground),
+    background: hex(background)
+  };
+}
+
+// Judge the collected facts against the given rules. Returns the violations in rule order:
+// { rule, impact, target, text, ...rule-specific detail }.
+export function auditFacts({ fields = [], texts = [], controls = [] }, rules = A11Y_RULE_IDS) {
+  const violations = [];
+  const add = (rule, target, text, detail = {}) => violations.push({ rule, impact: A11Y_RULES[rule].impact, target, text, ...detail });
+  for (const rule of rules) {
+    switch (rule) {
+      case 'label':
+        fields.filter(f => !f.name && !f.label).forEach(f => add(rule, f.target, ''));
+        break;
+      case 'help-text':
+        // Only fields of a settings form group; filters and search boxes have no place for help text
+        fields.filter(f => f.help === false).forEach(f => add(rule, f.target, f.label || f.name));
+        break;
+      case 'color-contrast':
+        for (const sample of texts) {
+          const contrast = textContrast(sample);
+          if (contrast && contrast.ratio < contrast.required) add(rule, sample.target, sample.text, contrast);
+        }
+        break;
+      case 'keyboard':
+        controls.filter(c => !c.reachable).forEach(c => add(rule, c.target, c.text));
+        break;
+      default:
+        throw new Error(`unknown accessibility rule "${rule}" (expected one of: ${A11Y_RULE_IDS.join(', ')})`);
+    }
+  }
+  return violations;
+}
+
+// Audit the top-most modal on the page. Resolves with { rules, violations }, or null when no modal is open.
+export async function auditModal(page, { rules = A11Y_RULE_IDS } = {}) {
+  const modal = await topModal(page);
+  if (!modal) return null;
+  const facts = await modal.evaluate(collectFacts);
+  return { rules, violations: auditFacts(facts, rules) };
+}
+
+// Violations per rule, every rule listed
+export function countByRule(violations) {
+  return Object.fromEntries(A11Y_RULE_IDS.map(rule => [rule, violations.filter(v => v.rule === rule).length]));
+}
+
+const escapeCell = (text) => String(text).replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+
+function violationDetail(violation) {
+  switch (violation.rule) {
+    case 'label': return 'No label or accessible name';
+    case 'help-text': return 'No help text';
+    case 'color-contrast': return `${violation.ratio}:1, needs ${violation.required}:1 (${violation.foreground} on ${violation.background})`;
+    default: return 'Not reachable with Tab';
+  }
+}
+
+// Markdown version of a plugin's report for one type (see capture's writeA11yReports for the JSON shape)
+export function renderA11yReport({ plugin, type, lidarrVersion, summary, shots }) {
+  const lines = [
+    `# Accessibility: ${plugin} ${type}`,
+    '',
+    `Lidarr ${lidarrVersion || 'version unknown'}. ${summary.violations} issue(s) in ${summary.audited} audited modal(s).`,
+    '',
+    '| Rule | Impact | Checks | Issues |',
+    '|------|--------|--------|-------:|',
+    ...A11Y_RULE_IDS.map(rule => `| ${rule} | ${A11Y_RULES[rule].impact} | ${A11Y_RULES[rule].description} | ${summary.byRule[rule]} |`)
+  ];
+  for (const shot of shots) {
+    lines.push('', `## ${shot.shot}${shot.variant ? ` (${shot.variant})` : ''}`, '',
+      `Colour scheme ${shot.colorScheme}; rules: ${shot.rules.join(', ')}.`, '');
+    if (shot.violations.length === 0) {
+      lines.push('No issues found.');
+      continue;
+    }
+    lines.push('| Rule | Impact | Element | Text | Detail |', '|------|--------|---------|------|--------|',
+      ...shot.violations.map(v => `| ${v.rule} | ${v.impact} | \`${escapeCell(v.target)}\` | ${escapeCell(v.text || '')} | ${escapeCell(violationDetail(v))} |`));
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,143 @@
+// Documentation framing for a shot: crop to the modal or any locator, and draw numbered callouts,
+// highlight boxes and a caption into the page right before capture. The overlay lives in a single
+// fixed-position container that is removed again afterwards.
+
+import { topModal } from './assertions.mjs';
+
+const OVERLAY_ID = 'snap-annotations';
+const CAPTION_HEIGHT = 44;
+
+// Viewport rectangle of the crop target ("modal" or any Playwright selector), or null
+async function cropTarget(page, crop) {
+  const target = crop === 'modal' ? await topModal(page) : page.locator(crop).first();
+  if (!target) return null;
+  await target.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+  return target.boundingBox().catch(() => null);
+}
+
+// Resolve annotation targets to viewport rectangles inside the page.
+// field matches a form label (Lidarr FormGroup), text matches any element's own text.
+async function resolveTargets(page, annotations) {
+  const rects = [];
+  for (const annotation of annotations) {
+    let box = null;
+    if (annotation.selector) {
+      box = await page.locator(annotation.selector).first().boundingBox().catch(() => null);
+    } else if (annotation.field || annotation.text) {
+      box = await page.evaluate(({ field, text }) => {
+        const wanted = (field || text).trim().toLowerCase();
+        const candidates = field
+          ? document.querySelectorAll('label, [class*="FormLabel"]')
+          : document.querySelectorAll('body *');
+        for (const el of candidates) {
+          const own = field ? el.textContent : Array.from(el.childNodes).filter(n => n.nodeType === 3).map(n => n.textContent).join('');
+          if ((own || '').trim().toLowerCase() !== wanted || el.offsetParent === null) continue;
+          const target = field ? (el.closest('[class*="FormGroup"], [class*="formGroup"]') || el) : el;
+          const r = target.getBoundingClientRect();
+          return { x: r.x, y: r.y, width: r.width, height: r.height };
+        }
+        return null;
+      }, { field: annotation.field, text: annotation.text }).catch(() => null);
+    }
+    rects.push(box);
+  }
+  return rects;
+}
+
+function describe(annotation) {
+  return annotation.field || annotation.text || annotation.selector || '(no target)';
+}
+
+// Draw overlays and work out the clip region. Returns { clip, missing } where missing lists
+// annotations whose target was not found (they are skipped, not fatal).
+export async function applyAnnotations(page, { crop = null, padding = 16, annotations = [], caption = null } = {}) {
+  let clip = null;
+  if (crop) {
+    const box = await cropTarget(page, crop);
+    if (!box) {
+      throw new Error(`crop target "${crop}" not found`);
+    }
+    const viewport = page.viewportSize();
+    const x = Math.max(0, box.x - padding);
+    const y = Math.max(0, box.y - padding);
+    clip = {
+      x,
+      y,
+      width: Math.min(viewport.width, box.x + box.width + padding) - x,
+      height: Math.min(viewport.height, box.y + box.height + padding) - y
+    };
+  }
+
+  const rects = await resolveTargets(page, annotations);
+  const missing = annotations.filter((a, i) => !rects[i]).map(describe);
+
+  let number = 0;
+  const marks = annotations.map((a, i) => {
+    if (!rects[i]) return null;
+    const type = a.type || 'callout';
+    return {
+      type,
+      rect: rects[i],
+      number: type === 'callout' ? String(a.number ?? ++number) : null,
+      note: a.note || null,
+      color: a.color || '#ff9f1a'
+    };
+  }).filter(Boolean);
+
+  // Caption goes directly below the crop (the clip grows to include it), or along the top edge
+  let captionBox = null;
+  if (caption) {
+    const viewport = page.viewportSize();
+    captionBox = clip
+      ? { x: clip.x, y: Math.min(clip.y + clip.height, viewport.height - CAPTION_HEIGHT), width: clip.width }
+      : { x: 0, y: 0, width: viewport.width };
+    if (clip) {
+      clip.height = captionBox.y + CAPTION_HEIGHT - clip.y;
+    }
+  }
+
+  if (marks.length || captionBox) {
+    await page.evaluate(({ id, marks, caption, captionBox, captionHeight }) => {
+      const root = document.createElement('div');
+      root.id = id;
+      root.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;font:600 13px/1.3 system-ui,sans-serif;';
+      for (const mark of marks) {
+        const { x, y, width, height } = mark.rect;
+        const box = document.createElement('div');
+        box.style.cssText = `position:absolute;left:${x - 4}px;top:${y - 4}px;width:${width + 8}px;height:${height + 8}px;` +
+          `border:3px solid ${mark.color};border-radius:6px;box-sizing:border-box;` +
+          (mark.type === 'highlight' ? `background:${mark.color}22;` : '');
+        root.appendChild(box);
+        if (mark.number) {
+          const badge = document.createElement('div');
+          badge.textContent = mark.number;
+          badge.style.cssText = `position:absolute;left:${x - 18}px;top:${y - 18}px;width:26px;height:26px;border-radius:50%;` +
+            `background:${mark.color};color:#111;display:flex;align-items:center;justify-content:center;box-shadow:0 1px 4px #0008;`;
+          root.appendChild(badge);
+        }
+        if (mark.note) {
+          const note = document.createElement('div');
+          note.textContent = mark.note;
+          note.style.cssText = `position:absolute;left:${x + width + 12}px;top:${y}px;max-width:260px;padding:4px 8px;` +
+            `border-radius:4px;background:${mark.color};color:#111;box-shadow:0 1px 4px #0008;`;
+          root.appendChild(note);
+        }
+      }
+      if (captionBox) {
+        const bar = document.createElement('div');
+        bar.textContent = caption;
+        bar.style.cssText = `position:absolute;left:${captionBox.x}px;top:${captionBox.y}px;width:${captionBox.width}px;` +
+          `height:${captionHeight}px;box-sizing:border-box;padding:0 16px;display:flex;align-items:center;` +
+          'background:#1f1f1f;color:#f0f0f0;font-size:15px;border-top:2px solid #ff9f1a;';
+        root.appendChild(bar);
+      }
+      document.body.appendChild(root);
+    }, { id: OVERLAY_ID, marks, caption, captionBox, captionHeight: CAPTION_HEIGHT });
+  }
+
+  return { clip, missing };
+}
+
+export async function clearAnnotations(page) {
+  await page.evaluate(id => document.getElementById(id)?.remove(), OVERLAY_ID).catch(() => {});
+}
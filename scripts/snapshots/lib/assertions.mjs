@@ -0,0 +1,117 @@
+// Content assertions run right before a screenshot is written.
+// A capture step can "succeed" (no exception) while the page shows the wrong thing;
+// these checks turn such false positives into failed shots instead of committed images.
+
+import { ErrorCodes, SnapError } from './manifest.mjs';
+import { ENGLISH_UI_TEXT, textPattern } from './locales.mjs';
+
+const MODAL_SELECTOR = '[class*="ModalContent"], [class*="modalContent"], [class*="modal-content"], div[role="dialog"]';
+const MODAL_HEADER_SELECTOR = '[class*="ModalHeader"], [class*="modalHeader"], [class*="modal-header"], h2, h3';
+const FORM_FIELD_SELECTOR = 'input[name], select, textarea';
+const CARD_SELECTOR = 'div[class*="AddNewItem"], div[class*="selectableCard"], div[class*="card" i], a[class*="card" i]';
+const ROW_SELECTOR = 'tbody tr, [class*="TableRow"]';
+
+// Screens Lidarr shows when a flow went wrong. Checked for every shot. textKey names the UI text
+// (lib/locales.mjs) that also gives the state away in Lidarr's current language.
+export const KNOWN_BAD_STATES = [
+  { id: 'no-results', text: /couldn'?t find any results|no results found/i, textKey: 'noResults' },
+  { id: 'load-error', text: /unable to load|failed to load/i },
+  { id: 'search-suggestions-open', selector: '[class*="suggestions-container--open"]' }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function fail(code, message, details) {
+  throw new SnapError(code, message, details);
+}
+
+// The top-most visible modal, if any (Lidarr stacks the config modal above the add modal)
+export async function topModal(page) {
+  const modals = page.locator(MODAL_SELECTOR);
+  const count = await modals.count().catch(() => 0);
+  for (let i = count - 1; i >= 0; i--) {
+    const modal = modals.nth(i);
+    if (await modal.isVisible().catch(() => false)) return modal;
+  }
+  return null;
+}
+
+// Header text of a modal, '' when it has none
+export async function modalHeader(modal) {
+  const header = modal.locator(MODAL_HEADER_SELECTOR).first();
+  return ((await header.textContent({ timeout: 1000 }).catch(() => '')) || '').trim();
+}
+
+export async function assertNoKnownBadState(page, { text = ENGLISH_UI_TEXT } = {}) {
+  for (const state of KNOWN_BAD_STATES) {
+    const pattern = state.textKey && text[state.textKey]
+      ? new RegExp(`${state.text.source}|${textPattern(text[state.textKey]).source}`, 'i')
+      : state.text;
+    const locator = state.selector
+      ? page.locator(state.selector)
+      : page.getByText(pattern);
+    const visible = await locator.first().isVisible().catch(() => false);
+    if (visible) {
+      const observed = ((await locator.first().textContent().catch(() => '')) || '').trim().slice(0, 120);
+      fail(ErrorCodes.KNOWN_BAD_STATE, `Page shows a known bad state: ${state.id}`, { badState: state.id, observed });
+    }
+  }
+}
+
+// *-add-modal: the provider selection modal is open and lists the plugin card
+export async function assertAddModal(page, pluginName) {
+  const modal = await topModal(page);
+  if (!modal) {
+    fail(ErrorCodes.ASSERTION_FAILED, 'Expected the add-provider modal to be open', { assertion: 'add-modal-visible' });
+  }
+  const card = modal.locator(CARD_SELECTOR).filter({ hasText: new RegExp(escapeRegExp(pluginName), 'i') });
+  if (!(await card.count().catch(() => 0))) {
+    fail(ErrorCodes.ASSERTION_FAILED, `Add modal is open but shows no ${pluginName} card`, {
+      assertion: 'add-modal-has-plugin-card',
+      modalHeader: await modalHeader(modal)
+    });
+  }
+}
+
+// *-config: a modal whose header names the plugin and which contains form inputs
+export async function assertConfigDialog(page, pluginName) {
+  const modal = await topModal(page);
+  if (!modal) {
+    fail(ErrorCodes.ASSERTION_FAILED, 'Expected the plugin configuration modal to be open', { assertion: 'config-modal-visible' });
+  }
+  const header = await modalHeader(modal);
+  if (!header.toLowerCase().includes(pluginName.toLowerCase())) {
+    fail(ErrorCodes.ASSERTION_FAILED, `Open modal is not the ${pluginName} configuration (header: "${header}")`, {
+      assertion: 'config-header-names-plugin',
+      modalHeader: header
+    });
+  }
+  const fields = await modal.locator(FORM_FIELD_SELECTOR).count().catch(() => 0);
+  if (fields === 0) {
+    fail(ErrorCodes.ASSERTION_FAILED, `${pluginName} configuration modal has no form fields`, {
+      assertion: 'config-has-form-fields',
+      modalHeader: header
+    });
+  }
+}
+
+// interactive-search / queue: a table row (in the top-most modal when one is open) names the plugin,
+// i.e. the rows on screen came from the plugin's indexer or download client
+export async function assertPluginRows(page, pluginName) {
+  const modal = await topModal(page);
+  const scope = modal || page;
+  const rows = scope.locator(ROW_SELECTOR);
+  const total = await rows.count().catch(() => 0);
+  if (total === 0) {
+    fail(ErrorCodes.ASSERTION_FAILED, `Expected table rows${modal ? ' in the open modal' : ''}, found none`, { assertion: 'rows-visible' });
+  }
+  const matching = await rows.filter({ hasText: new RegExp(escapeRegExp(pluginName), 'i') }).count().catch(() => 0);
+  if (matching === 0) {
+    fail(ErrorCodes.ASSERTION_FAILED, `None of the ${total} row(s) on screen name ${pluginName}`, {
+      assertion: 'rows-name-plugin',
+      rowCount: total
+    });
+  }
+}
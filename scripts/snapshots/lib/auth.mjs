@@ -0,0 +1,80 @@
+// Lidarr authentication for snap.mjs. Forms auth is handled by filling Lidarr's /login page,
+// Basic auth by Playwright's httpCredentials; the session is saved as a Playwright storage state
+// so the next run against the same instance starts logged in.
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { ErrorCodes, SnapError } from './manifest.mjs';
+
+// One state file per instance, so runs against several Lidarrs do not log each other out
+export function defaultStatePath(baseUrl, dir = '.tmp/snap-auth') {
+  const url = new URL(baseUrl);
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  const base = url.pathname.replace(/^\/+|\/+$/g, '').replace(/[^a-z0-9]+/gi, '-');
+  return join(dir, `${url.hostname}-${port}${base ? `-${base}` : ''}.json`);
+}
+
+// Saved storage state, or null when there is none or it cannot be read (a stale file just means logging in again)
+export function loadStorageState(path) {
+  if (!path || !existsSync(path)) return null;
+  try {
+    const state = JSON.parse(readFileSync(path, 'utf8'));
+    return Array.isArray(state?.cookies) ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+// The file holds a session cookie; keep it private to the user running snap.mjs
+export function saveStorageState(path, state) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(state, null, 2), { mode: 0o600 });
+}
+
+// Lidarr serves its login form at <urlBase>/login and redirects every UI route there when Forms auth is on
+export async function isLoginPage(page) {
+  if (/\/login\/?$/i.test(new URL(page.url()).pathname)) return true;
+  return (await page.locator('form:has(input[type="password"]) input[name="username"]').count().catch(() => 0)) > 0;
+}
+
+// Make sure the page shows the Lidarr UI rather than an auth prompt. response is the result of the
+// page.goto() that loaded the UI. Resolves with 'forms' when it logged in through the login page,
+// 'none' when no login was needed; throws SNAP_AUTH_MISSING / SNAP_AUTH_FAILED otherwise.
+export async function ensureLoggedIn(page, { username, password, timeoutMs = 30_000 }, response = null) {
+  const hasCredentials = Boolean(username && password);
+
+  // Basic auth: Chromium already answered the challenge with httpCredentials; a 401 means it had none or they were wrong
+  if (response?.status() === 401) {
+    throw hasCredentials
+      ? new SnapError(ErrorCodes.AUTH_FAILED, 'Lidarr rejected the Basic auth credentials (401)', { method: 'basic' })
+      : new SnapError(ErrorCodes.AUTH_MISSING, 'Lidarr requires Basic auth but no credentials were given', {
+        method: 'basic',
+        suggestion: 'Pass --username/--password or set LIDARR_USERNAME/LIDARR_PASSWORD'
+      });
+  }
+
+  if (!(await isLoginPage(page))) return 'none';
+  if (!hasCredentials) {
+    throw new SnapError(ErrorCodes.AUTH_MISSING, 'Lidarr redirected to its login page but no credentials were given', {
+      method: 'forms',
+      suggestion: 'Pass --username/--password or set LIDARR_USERNAME/LIDARR_PASSWORD'
+    });
+  }
+
+  console.log(`Logging in to Lidarr as ${username}`);
+  await page.locator('input[name="username"]').fill(username);
+  await page.locator('input[name="password"]').fill(password);
+  const remember = page.locator('input[name="rememberMe"]');
+  if (await remember.count()) {
+    await remember.check().catch(() => {});
+  }
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: timeoutMs }).catch(() => {}),
+    page.locator('button[type="submit"], input[type="submit"]').first().click()
+  ]);
+
+  if (/loginFailed=true/i.test(page.url()) || (await isLoginPage(page))) {
+    throw new SnapError(ErrorCodes.AUTH_FAILED, `Lidarr rejected the login for ${username}`, { method: 'forms' });
+  }
+  return 'forms';
+}
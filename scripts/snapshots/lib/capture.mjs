@@ -0,0 +1,1712 @@
+// Programmatic capture API: everything snap.mjs does, as functions plugin repos can import into their own
+// scripts and Playwright tests. captureScreenshots() runs a whole capture (pre-flight, protocol setup, login,
+// seeding, every locale, plugin, variant and scenario) and resolves with the results instead of exiting;
+// captureFlow() runs built-in or custom scenarios on a page the caller already has open.
+// Options are the snap.mjs flags in camelCase (--max-diff-ratio -> maxDiffRatio) with the same units.
+
+import { mkdirSync, existsSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { compareWithBaseline, unchangedFrom, listBaselines, baselineFormats } from './compare.mjs';
+import { createManifest, ErrorCodes, SnapError, errorSummary } from './manifest.mjs';
+import { createLidarrClient, resolveApiKey, findPluginProtocols, enableProtocolsInDelayProfiles, schemaMatchesPlugin, SCHEMA_ENDPOINTS } from './lidarr-api.mjs';
+import { runPreflight } from './preflight.mjs';
+import { assertNoKnownBadState, assertAddModal, assertConfigDialog, assertPluginRows } from './assertions.mjs';
+import { maskedScreenshot, compileMaskPatterns, DEFAULT_MASK_PATTERNS, MASK_STYLES } from './mask.mjs';
+import { loadBuiltinScenario, loadScenarioFile, listBuiltinScenarios, runScenario, validateScenario, validateScreenshotOptions } from './scenario.mjs';
+import { applyAnnotations, clearAnnotations } from './annotate.mjs';
+import { createDiagnostics } from './diagnostics.mjs';
+import { defaultStatePath, loadStorageState, saveStorageState, isLoginPage, ensureLoggedIn } from './auth.mjs';
+import { parseMatrix, DEFAULT_VARIANT } from './matrix.mjs';
+import { parsePluginSpec, loadPluginsFile, normalizePlugins, requiredFor } from './plugins.mjs';
+import { seedAlbum, seedQueue, requirePluginProviders } from './seed.mjs';
+import { requireModal, openAddModalAndFindPlugin, clickPluginCard, enablePluginProtocol, goSettings, fillConfigForm, pressTest } from './ui.mjs';
+import { createSelectorSet, listProfiles } from './selectors.mjs';
+import { gallerySource, writeGallery, findDocs, updateDoc } from './gallery.mjs';
+import { stabilizeContext, waitForIdle, DEFAULT_FROZEN_TIME, DEFAULT_DYNAMIC_SELECTORS, STABLE_SCREENSHOT_OPTIONS } from './stabilize.mjs';
+import { pngSize } from './png.mjs';
+import { createRestorer } from './restore.mjs';
+import { FORMATS, DEFAULT_QUALITY, BUDGET_MODES, createEncoder, encodeImage, budgetBytes, thumbnailSize } from './output.mjs';
+import { auditModal, countByRule, renderA11yReport, A11Y_RULES, A11Y_RULE_IDS } from './a11y.mjs';
+import { scrapeConfigForm, pickSchemaEntry, buildReference, renderReference } from './reference.mjs';
+import { loadFixtures, startStub } from './fixtures.mjs';
+import { parseLocales, setUiLanguage, fetchUiText, ENGLISH_UI_TEXT } from './locales.mjs';
+import { describeWrite, renderPlanStep, renderPlanSummary } from './plan.mjs';
+
+export const DEFAULT_TYPES = ['indexer', 'download-client', 'import-list'];
+
+const DEFAULT_RUNNER = { name: 'lidarr.plugin.common:snapshots', args: [] };
+
+// Invalid options; nothing has been captured or written yet. option names the offending option
+// (camelCase, as passed to captureScreenshots), so the CLI can report it as its flag.
+export class SnapOptionsError extends Error {
+  constructor(option, reason) {
+    super(`${option}: ${reason}`);
+    this.name = 'SnapOptionsError';
+    this.option = option;
+    this.reason = reason;
+  }
+}
+
+function splitList(value) {
+  return (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// A scenario file path, or a scenario object built in code
+async function loadScenario(entry) {
+  return typeof entry === 'string' ? loadScenarioFile(entry) : validateScenario(entry);
+}
+
+// Check the options and load every scenario, in the order snap.mjs always has. Resolves with the
+// run configuration; rejects with SnapOptionsError before anything is launched or written.
+export async function resolveOptions(options = {}) {
+  const {
+    plugin = null,
+    plugins = null,
+    pluginsFile = null,
+    scenarios = [],
+    output = 'docs/assets/screenshots',
+    url = 'http://localhost:8686',
+    compare = null,
+    diffOutput = null,
+    manifest = null,
+    username = '',
+    password = '',
+    authState = null,
+    seedArtist = 'Kevin MacLeod',
+    seedAlbum = '',
+    skipPreflight = false,
+    maskStyle = 'blackout',
+    maskSelectors = [],
+    matrix = null,
+    shotOptions = null,
+    diagnostics = 'on-failure',
+    diagnosticsDir = '.tmp/snap-diagnostics',
+    selectorProfile = null,
+    deterministic = false,
+    freezeTime = null,
+    dynamicSelectors = [],
+    gallery = null,
+    docs = [],
+    imageBase = null,
+    format = 'png',
+    sizeBudgetMode = 'warn',
+    keepChanges = false,
+    a11y = false,
+    settingsReference = false,
+    fixtures = null,
+    locales = null,
+    dryRun = false,
+    stopAfter = null,
+    signal = null,
+    browser = null,
+    page = null,
+    events = null,
+    runner = DEFAULT_RUNNER
+  } = options;
+  const types = splitList(options.types ?? DEFAULT_TYPES).map(t => t.toLowerCase());
+  const threshold = Number(options.threshold ?? 0.1);
+  const maxDiffRatio = Number(options.maxDiffRatio ?? 0.001);
+  const parallel = Number(options.parallel ?? 3);
+  const preflightTimeoutMs = Number(options.preflightTimeout ?? 120) * 1000;
+  const seedTimeoutMs = Number(options.seedTimeout ?? 120) * 1000;
+  const quality = Number(options.quality ?? DEFAULT_QUALITY);
+  const thumbnail = options.thumbnail ? Number(options.thumbnail) : null;
+  const sizeBudget = options.sizeBudget ? Number(options.sizeBudget) : null;
+
+  if (compare && resolve(compare) === resolve(output)) {
+    throw new SnapOptionsError('compare', 'must point at a different directory than the output (captures would overwrite the baseline)');
+  }
+  // A mistyped --compare path would compare nothing and pass; an existing but empty directory is a new baseline set
+  if (compare && !existsSync(compare)) {
+    throw new SnapOptionsError('compare', `baseline directory ${compare} does not exist`);
+  }
+  // Captures are diffed as PNG, so WebP/JPEG baselines would all be missing and the gate would never fail
+  const compareFormats = compare ? baselineFormats(compare) : new Set();
+  if (compareFormats.size && !compareFormats.has('png')) {
+    throw new SnapOptionsError('compare', `holds no PNG baselines, only ${[...compareFormats].join('/')} images (write the baselines with --format=png)`);
+  }
+  if (!['on-failure', 'always', 'off'].includes(diagnostics)) {
+    throw new SnapOptionsError('diagnostics', `unknown mode "${diagnostics}" (expected on-failure, always or off)`);
+  }
+  if (!(threshold >= 0 && threshold <= 1)) {
+    throw new SnapOptionsError('threshold', 'must be a number between 0 and 1');
+  }
+  if (!(maxDiffRatio >= 0 && maxDiffRatio <= 1)) {
+    throw new SnapOptionsError('maxDiffRatio', 'must be a number between 0 and 1');
+  }
+
+  let pluginList;
+  const pluginOption = pluginsFile ? 'pluginsFile' : plugins ? 'plugins' : 'plugin';
+  try {
+    pluginList = pluginsFile
+      ? loadPluginsFile(pluginsFile, types)
+      : plugins
+        ? normalizePlugins([plugins].flat(), types)
+        : parsePluginSpec(plugin, types);
+  } catch (err) {
+    throw new SnapOptionsError(pluginOption, err.message);
+  }
+  // Several plugins share one browser, one login and one protocol setup, and each writes to <output>/<plugin>/
+  const multi = pluginList.length > 1;
+  if (multi && manifest) {
+    throw new SnapOptionsError('manifest', 'only applies to single-plugin runs; each plugin writes <output>/<plugin>/snap-manifest.json');
+  }
+  if (multi && gallery && gallery !== 'off') {
+    throw new SnapOptionsError('gallery', 'only applies to single-plugin runs; each plugin writes <output>/<plugin>/gallery.md');
+  }
+  // Docs with marked regions are checked now, so a bad marker fails before the capture rather than after it
+  let docFiles;
+  try {
+    docFiles = findDocs([docs].flat().filter(Boolean), pluginList.map(p => p.name));
+  } catch (err) {
+    throw new SnapOptionsError('docs', err.message);
+  }
+  if (!(Number.isInteger(parallel) && parallel > 0)) {
+    throw new SnapOptionsError('parallel', 'must be a positive integer');
+  }
+  // Per plugin: built-in scenarios for its types, then the shared scenarios, then its own scenarios
+  const load = async (option, entries, loader) => {
+    try {
+      return await Promise.all(entries.map(loader));
+    } catch (err) {
+      throw new SnapOptionsError(option, err.message);
+    }
+  };
+  for (const entry of pluginList) {
+    entry.scenarioList = [
+      ...(await load('types', entry.types, loadBuiltinScenario)),
+      ...(await load('scenarios', [scenarios].flat(), loadScenario)),
+      ...(await load(pluginOption, entry.scenarios, loadScenario))
+    ];
+  }
+  // Config form fixtures: the plugin's own file, else the shared one
+  for (const entry of pluginList) {
+    const source = entry.fixtures ?? fixtures;
+    try {
+      entry.fixtures = source ? loadFixtures(source) : null;
+    } catch (err) {
+      throw new SnapOptionsError(entry.fixtures ? pluginOption : 'fixtures', err.message);
+    }
+  }
+  // Per-shot framing overrides, so built-in shots can be cropped/annotated without copying their scenario
+  let shotOptionMap = {};
+  if (shotOptions) {
+    try {
+      shotOptionMap = typeof shotOptions === 'string' ? JSON.parse(readFileSync(shotOptions, 'utf8')) : shotOptions;
+      if (!shotOptionMap || typeof shotOptionMap !== 'object' || Array.isArray(shotOptionMap)) {
+        throw new Error('expected an object keyed by shot name');
+      }
+      for (const [shot, framing] of Object.entries(shotOptionMap)) {
+        validateScreenshotOptions(framing, `${typeof shotOptions === 'string' ? shotOptions : 'shotOptions'} > ${shot}`);
+      }
+    } catch (err) {
+      throw new SnapOptionsError('shotOptions', err.message);
+    }
+  }
+  for (const entry of pluginList) {
+    if (entry.scenarioList.length === 0) {
+      throw new SnapOptionsError('types', `nothing to capture${multi ? ` for ${entry.name}` : ''}: give built-in types (${listBuiltinScenarios().join(', ')}) and/or scenarios`);
+    }
+  }
+
+  let localeList = null;
+  if (locales && [locales].flat().length) {
+    try {
+      localeList = parseLocales(locales);
+    } catch (err) {
+      throw new SnapOptionsError('locales', err.message);
+    }
+  }
+
+  // --stop-after names a shot some plugin captures: landing, settings or one of its scenarios'
+  if (stopAfter) {
+    const shotNames = new Set(['landing', 'settings', ...pluginList.flatMap(e => e.scenarioList.flatMap(s => s.shots.map(shot => shot.name)))]);
+    if (!shotNames.has(stopAfter)) {
+      throw new SnapOptionsError('stopAfter', `no shot "${stopAfter}" is captured (expected one of: ${[...shotNames].join(', ')})`);
+    }
+  }
+
+  let variants = [DEFAULT_VARIANT];
+  if (matrix) {
+    try {
+      variants = parseMatrix(matrix);
+    } catch (err) {
+      throw new SnapOptionsError('matrix', err.message);
+    }
+  }
+
+  // Compiled once here, so a pattern that is not a regex fails the run before Lidarr is touched
+  let maskPatterns;
+  try {
+    maskPatterns = compileMaskPatterns(splitList(options.maskPatterns ?? DEFAULT_MASK_PATTERNS));
+  } catch (err) {
+    throw new SnapOptionsError('maskPatterns', err.message);
+  }
+  const mask = {
+    style: maskStyle,
+    patterns: maskPatterns,
+    selectors: [maskSelectors].flat().filter(Boolean)
+  };
+  if (!MASK_STYLES.includes(mask.style)) {
+    throw new SnapOptionsError('maskStyle', `must be one of: ${MASK_STYLES.join(', ')}`);
+  }
+  if (Boolean(username) !== Boolean(password)) {
+    throw new SnapOptionsError('username', 'username and password must be given together');
+  }
+  if (!(preflightTimeoutMs > 0)) {
+    throw new SnapOptionsError('preflightTimeout', 'must be a positive number of seconds');
+  }
+  if (!(seedTimeoutMs > 0)) {
+    throw new SnapOptionsError('seedTimeout', 'must be a positive number of seconds');
+  }
+  if (freezeTime && !deterministic) {
+    throw new SnapOptionsError('freezeTime', 'only applies in deterministic mode');
+  }
+  if (freezeTime && Number.isNaN(Date.parse(freezeTime))) {
+    throw new SnapOptionsError('freezeTime', `"${freezeTime}" is not a date (expected ISO 8601, e.g. ${DEFAULT_FROZEN_TIME})`);
+  }
+  if (!Object.hasOwn(FORMATS, format)) {
+    throw new SnapOptionsError('format', `unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  if (!(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    throw new SnapOptionsError('quality', 'must be an integer between 1 and 100');
+  }
+  if (thumbnail !== null && !(Number.isInteger(thumbnail) && thumbnail > 0)) {
+    throw new SnapOptionsError('thumbnail', 'must be a width in pixels');
+  }
+  if (sizeBudget !== null && !(sizeBudget > 0)) {
+    throw new SnapOptionsError('sizeBudget', 'must be a positive size in KiB');
+  }
+  if (!BUDGET_MODES.includes(sizeBudgetMode)) {
+    throw new SnapOptionsError('sizeBudgetMode', `must be one of: ${BUDGET_MODES.join(', ')}`);
+  }
+  if (selectorProfile && !listProfiles().includes(selectorProfile)) {
+    throw new SnapOptionsError('selectorProfile', `unknown profile "${selectorProfile}" (expected one of: ${listProfiles().join(', ')})`);
+  }
+
+  // A caller's page is used as it is: one page cannot change its device scale, and plugins take turns on it
+  if (page && typeof page.goto !== 'function') {
+    throw new SnapOptionsError('page', 'expected a Playwright Page');
+  }
+  if (browser && typeof browser.newContext !== 'function') {
+    throw new SnapOptionsError('browser', 'expected a Playwright Browser');
+  }
+  if (page && browser) {
+    throw new SnapOptionsError('page', 'pass either a page or a browser, not both');
+  }
+  if (page && variants.length > 1) {
+    throw new SnapOptionsError('matrix', 'needs a browser to open one context per variant; it cannot run on a single page');
+  }
+  if (events && typeof events.emit !== 'function') {
+    throw new SnapOptionsError('events', 'expected an EventEmitter');
+  }
+  if (signal && typeof signal.addEventListener !== 'function') {
+    throw new SnapOptionsError('signal', 'expected an AbortSignal');
+  }
+
+  const apiKey = resolveApiKey({ apiKey: options.apiKey, configXml: options.configXml });
+  // Secrets that must never reach the manifest or the diagnostics bundle
+  const secrets = [apiKey, password].filter(Boolean);
+  return {
+    plugins: pluginList,
+    multi,
+    outDir: output,
+    baseUrl: url,
+    compareDir: compare,
+    threshold,
+    maxDiffRatio,
+    diffOutput,
+    manifestPath: manifest,
+    required: splitList(options.require ?? []),
+    apiKey,
+    username,
+    password,
+    authStatePath: authState || defaultStatePath(url),
+    seedArtist,
+    seedAlbum,
+    seedTimeoutMs,
+    preflightTimeoutMs,
+    skipPreflight,
+    mask,
+    variants,
+    matrix: Boolean(matrix),
+    // Lidarr UI languages to capture, each into <output>/<locale>/; null to capture in the current one
+    locales: localeList,
+    shotOptions: shotOptionMap,
+    parallel: page ? 1 : parallel,
+    diagnostics,
+    diagnosticsDir,
+    selectorProfile,
+    // Frozen clock and masked dynamic regions; null outside deterministic mode
+    deterministic: deterministic
+      ? { time: freezeTime || DEFAULT_FROZEN_TIME, dynamicSelectors: [...DEFAULT_DYNAMIC_SELECTORS, ...[dynamicSelectors].flat().filter(Boolean)] }
+      : null,
+    // Image format, thumbnail width (null for none) and size budget in KiB (null for none)
+    output: { format, quality, thumbnail, sizeBudget, sizeBudgetMode },
+    // Leave the delay profile, seed artist, grabbed download and added providers in Lidarr after the run
+    keepChanges,
+    // Audit the captured add modals and config forms for accessibility issues
+    a11y: Boolean(a11y),
+    // Write a settings reference per type from the config forms, checked against the provider schema
+    settingsReference: Boolean(settingsReference),
+    // Walk the capture and print its step plan without writing images or saving Lidarr settings
+    dryRun: Boolean(dryRun),
+    // Shot after which the run ends; null to capture everything
+    stopAfter: stopAfter || null,
+    gallery,
+    docs: docFiles,
+    imageBase,
+    browser,
+    page,
+    events,
+    signal,
+    secrets,
+    runner: {
+      name: runner.name || DEFAULT_RUNNER.name,
+      args: (runner.args || []).map(arg => secrets.reduce((text, secret) => text.replaceAll(secret, '[REDACTED]'), arg))
+    }
+  };
+}
+
+// Thrown at the next step once the --stop-after shot is done: ends the capture like the end of the
+// shot list would, so the run still restores Lidarr and writes its manifests
+class CaptureStopped extends Error {
+  constructor(shot) {
+    super(`Stopped after ${shot}`);
+    this.name = 'CaptureStopped';
+  }
+}
+
+// One capture run over a resolved configuration. Holds what snap.mjs used to keep at module level:
+// the per-plugin targets, the diagnostics recorder, the saved login and the shared seed album.
+function createRun(config) {
+  const { baseUrl: BASE, multi: MULTI, variants: VARIANTS } = config;
+  // One pass over the plugins per locale; null is Lidarr's current UI language, written without a locale folder
+  const LOCALES = config.locales || [null];
+  const api = config.apiKey ? createLidarrClient({ baseUrl: BASE, apiKey: config.apiKey }) : null;
+  // Interactive search asks every indexer live, so seeding gets a longer request timeout than the setup calls
+  const seedApi = config.apiKey
+    ? createLidarrClient({ baseUrl: BASE, apiKey: config.apiKey, timeoutMs: Math.max(config.seedTimeoutMs, 15_000) })
+    : null;
+
+  // Shot the run stopped after with stopAfter (its label, as the plan prints it); null until then
+  let stoppedAfter = null;
+
+  // Listener errors are reported, never allowed to break the capture
+  function emit(event, payload) {
+    if (!config.events) return;
+    try {
+      config.events.emit(event, payload);
+    } catch (err) {
+      console.warn(`${event} listener failed: ${errorSummary(err)}`);
+    }
+  }
+
+  // One capture target per plugin: where its files go, its manifest and the state of its capture.
+  // A single plugin writes straight into the output directory as it always has.
+  const TARGETS = config.plugins.map(plugin => {
+    const outDir = MULTI ? join(config.outDir, plugin.name) : config.outDir;
+    const required = [...new Set([...requiredFor(config.required, plugin.name), ...plugin.require])];
+    const diffOutput = config.diffOutput;
+    const target = {
+      name: plugin.name,
+      types: plugin.types,
+      scenarios: plugin.scenarioList,
+      outDir,
+      manifestPath: config.manifestPath || `${outDir}/snap-manifest.json`,
+      galleryPath: config.gallery === 'off' ? null : config.gallery || `${outDir}/gallery.md`,
+      // Gallery page once written
+      gallery: null,
+      compareDir: config.compareDir && (MULTI ? join(config.compareDir, plugin.name) : config.compareDir),
+      diffDir: diffOutput ? (MULTI ? join(diffOutput, plugin.name) : diffOutput) : `${outDir}/diffs`,
+      manifest: null,
+      // Per-shot comparison results, populated only when comparing against a baseline
+      comparisons: [],
+      // compare-report.json contents once written
+      comparison: null,
+      // Set once the protocol setup has run so card failures can point at the likely cause
+      protocolStep: null,
+      // 'seed-album' / 'seed-queue' setup steps keyed by seed, and the library values scenarios interpolate
+      seedSteps: {},
+      seedVars: {},
+      // Matrix variant being captured; null without a matrix (plain <shot>.png names)
+      currentVariant: null,
+      // Locale being captured with --locales, whose folder the shots go to; null without
+      currentLocale: null,
+      // { locale, language, outputDir } per locale captured, for the manifest
+      locales: [],
+      // Scenario (type) being captured, and the accessibility audits of its shots with --a11y
+      currentScenario: null,
+      audits: [],
+      // a11y/<type>.json and .md reports once written
+      a11yReports: null,
+      // Settings reference per type from its config form with --settings-reference, and the files once written
+      references: new Map(),
+      referenceFiles: null,
+      // Fixture sets per type for the filled-in config shots, and the stub they point the plugin at once started
+      fixtures: plugin.fixtures,
+      stub: null,
+      // Pre-flight or capture error that ended this plugin's run early
+      fatalError: null
+    };
+    // 'shot:start' / 'shot:end' and 'setup:start' / 'setup:end' events for every step; a dry run prints
+    // each step's plan as it ends, and --stop-after stops the run once its shot has ended
+    const onStep = (phase, step) => {
+      emit(`${step.kind}:${phase === 'begin' ? 'start' : 'end'}`, {
+        plugin: target.name,
+        locale: target.currentLocale,
+        variant: target.currentVariant?.suffix || null,
+        step
+      });
+      if (phase !== 'end') return;
+      const label = `${MULTI ? `${target.name}/` : ''}${step.locale ? `${step.locale}/` : ''}${step.name}${step.variant ? `.${step.variant}` : ''}`;
+      if (config.dryRun) console.log(renderPlanStep(step, { label }));
+      if (step.kind === 'shot' && step.name === config.stopAfter && !stoppedAfter) {
+        stoppedAfter = label;
+        console.log(`Stopping after ${label} (--stop-after)`);
+      }
+    };
+    target.manifest = createManifest({
+      runner: config.runner, plugin: plugin.name, types: plugin.types, lidarrUrl: BASE, outputDir: outDir, required, onStep,
+      trace: config.dryRun
+    });
+    return target;
+  });
+
+  // Trace, HAR and console recording for the failure bundle; API keys seen anywhere are redacted
+  const DIAG = createDiagnostics({
+    dir: config.diagnosticsDir,
+    mode: config.diagnostics,
+    secrets: config.secrets,
+    maskOptions: config.mask
+  });
+
+  // Logged-in session (cookies + local storage) from the last run or this run's login; every capture context starts from it
+  let authState = loadStorageState(config.authStatePath);
+
+  // The seed artist/album is shared by every plugin; added at most once per run
+  let albumSeed = null;
+
+  // Selector chains for the Lidarr version under test, shared by every plugin so the health report covers the run
+  let selectors = null;
+
+  // What the run changes in Lidarr, undone when it ends; null with keepChanges, and in a dry run, which changes nothing
+  const RESTORE = config.keepChanges || config.dryRun ? null : createRestorer({ client: api });
+
+  // Client on the API key the Lidarr UI embeds in its page, when no key was given
+  let uiApi = null;
+
+  // Provider schemas by endpoint for the settings reference, read once per run
+  const schemas = new Map();
+
+  // The capture stops at the next step once the caller's signal aborts (Ctrl-C in snap.mjs);
+  // the run still restores Lidarr and writes its manifests. The same goes once the stopAfter shot has ended.
+  function checkAborted() {
+    if (config.signal?.aborted) {
+      throw new SnapError(ErrorCodes.ABORTED, 'Capture interrupted');
+    }
+    if (stoppedAfter) {
+      throw new CaptureStopped(stoppedAfter);
+    }
+  }
+
+  // Browser of the run, and the context of the encoder page; the encoder page converts shots to WebP/JPEG
+  // and makes thumbnails, in a context of its own (or the caller's page's context) so it outlives the capture contexts
+  let activeBrowser = null;
+  let encoderContext = null;
+  const ENCODER = createEncoder(async () => {
+    if (config.page) return config.page.context().newPage();
+    encoderContext = await activeBrowser.newContext();
+    return encoderContext.newPage();
+  });
+
+  function logConfig() {
+    const { output } = config;
+    const lines = ['Screenshot config:'];
+    for (const t of TARGETS) {
+      lines.push(`  Plugin: ${t.name}`, `    Types: ${t.types.join(', ')}`, `    Scenarios: ${t.scenarios.map(s => s.name).join(', ')}`);
+    }
+    if (MULTI) lines.push(`  Parallel: ${Math.min(config.parallel, TARGETS.length)}`);
+    if (config.locales) lines.push(`  Locales: ${config.locales.join(', ')} (one folder each)`);
+    if (config.matrix) lines.push(`  Variants: ${VARIANTS.map(v => v.suffix).join(', ')}`);
+
+    const format = [output.format];
+    if (output.format !== 'png') format.push(`quality ${output.quality}`);
+    if (output.thumbnail) format.push(`thumbnails ${output.thumbnail}px wide`);
+    if (output.sizeBudget) format.push(`size budget ${output.sizeBudget} KiB (${output.sizeBudgetMode})`);
+    lines.push(`  Output: ${config.outDir} (${format.join(', ')})`);
+    if (config.docs.length) lines.push(`  Docs: ${config.docs.join(', ')}`);
+
+    lines.push(`  URL: ${BASE}`);
+    lines.push(`  API setup: ${api ? 'enabled' : 'disabled (no API key)'}`);
+    lines.push(`  Login: ${config.username ? `${config.username} (session saved to ${config.authStatePath})` : 'none'}`);
+    const changes = config.dryRun ? 'none (dry run: no images written, no settings saved)' : config.keepChanges ? 'kept' : 'undone after the run';
+    lines.push(`  Lidarr changes: ${changes}`);
+    if (config.stopAfter) lines.push(`  Stop after: ${config.stopAfter}`);
+
+    if (config.a11y) lines.push(`  Accessibility audit: add modals and config forms (${A11Y_RULE_IDS.join(', ')})`);
+    if (config.settingsReference) lines.push('  Settings reference: config forms, checked against the provider schema');
+    const fixtures = TARGETS.filter(t => t.fixtures).map(t => {
+      const types = Object.keys(t.fixtures).filter(key => key !== 'stub').join(', ');
+      return `${t.name} (${types}${t.fixtures.stub ? ', with stub' : ''})`;
+    });
+    if (fixtures.length) lines.push(`  Fixtures: ${fixtures.join(', ')}`);
+
+    lines.push(`  Selector profile: ${config.selectorProfile || 'by Lidarr version'}`);
+    if (config.deterministic) {
+      const { time, dynamicSelectors } = config.deterministic;
+      lines.push(`  Deterministic: clock frozen at ${time}, ${dynamicSelectors.length} dynamic region selector(s), unchanged images kept`);
+    }
+    if (TARGETS.some(t => t.scenarios.some(s => s.seed))) {
+      lines.push(`  Seed: ${config.seedArtist}${config.seedAlbum ? ` / ${config.seedAlbum}` : ''}`);
+    }
+    if (config.required.length) lines.push(`  Required: ${config.required.join(', ')}`);
+    if (config.compareDir) {
+      lines.push(`  Compare: ${config.compareDir} (threshold ${config.threshold}, max diff ratio ${config.maxDiffRatio})`);
+    }
+    console.log(`${lines.join('\n')}\n`);
+  }
+
+  // Run a capture step, verify what is on screen, then save it.
+  // verify() throws when the page does not show what the shot is meant to show;
+  // every shot is also checked against Lidarr's known bad states (empty search results etc.).
+  // screenshot holds the shot's framing: crop ("modal" or a selector) with padding, annotations and
+  // a caption; without a crop the full page is captured. "element" is the older spelling of a crop with no padding.
+  // title and alt are the caption and alt text the gallery and the docs show for the shot.
+  // audit marks a shot of a modal the accessibility audit checks with --a11y; verifier names the shot's
+  // content assertion ('config-dialog' shots feed the settings reference).
+  async function screenshotOrSkip(target, page, name, fn, { verify = null, verifier = null, screenshot = {}, title = null, alt = null, audit = false } = {}) {
+    checkAborted();
+    const { manifest, currentVariant, currentLocale } = target;
+    const step = manifest.begin(name);
+    // Relative to the plugin's output directory: "de/indexer-config.dark.1440" with a locale and a matrix
+    const stem = `${currentLocale ? `${currentLocale}/` : ''}${name}${currentVariant ? `.${currentVariant.suffix}` : ''}`;
+    step.locale = currentLocale;
+    step.variant = currentVariant?.suffix || null;
+    step.title = title;
+    step.alt = alt;
+    const framing = { ...screenshot, ...(config.shotOptions[name] || {}) };
+    if (framing.element && !framing.crop) {
+      framing.crop = framing.element;
+      framing.padding ??= 0;
+    }
+    try {
+      await fn();
+      if (config.deterministic) {
+        // Spinners still showing at the timeout are recorded; the shot is taken anyway
+        const busy = await waitForIdle(page);
+        if (busy.length) {
+          step.details.stillLoading = busy;
+          console.warn(`${stem}: still loading after waiting for idle: ${busy.join(', ')}`);
+        }
+      }
+      await assertNoKnownBadState(page, { text: selectors.text });
+      if (verify) {
+        await verify();
+      }
+      await DIAG.harvest(page);
+      // A dry run stops here: the shot would be taken, nothing is written
+      if (config.dryRun) {
+        step.details.wouldWrite = `${target.outDir}/${stem}.${FORMATS[config.output.format]}`;
+        manifest.end(step, 'success');
+        return;
+      }
+      let buffer;
+      try {
+        const { clip, missing } = await applyAnnotations(page, framing);
+        if (missing.length) {
+          step.details.annotationsMissing = missing;
+          console.warn(`${stem}: annotation target(s) not found: ${missing.join(', ')}`);
+        }
+        const options = { ...(clip ? { clip } : { fullPage: true }), ...(config.deterministic ? STABLE_SCREENSHOT_OPTIONS : {}) };
+        const shot = await maskedScreenshot(page, options, { ...config.mask, dynamic: config.deterministic?.dynamicSelectors || [] });
+        buffer = shot.buffer;
+        step.masked = shot.masked;
+        await writeOutputs(target, step, stem, buffer);
+      } catch (err) {
+        throw new SnapError(ErrorCodes.SCREENSHOT_FAILED, `Screenshot failed: ${errorSummary(err)}`);
+      } finally {
+        await clearAnnotations(page);
+      }
+      const path = step.file;
+      const limit = budgetBytes(framing.budget, config.output.sizeBudget);
+      if (limit && step.outputs[0].bytes > limit) {
+        step.details.sizeBudget = { budgetBytes: limit, bytes: step.outputs[0].bytes };
+        const message = `${stem}: ${formatBytes(step.outputs[0].bytes)} is over its size budget of ${formatBytes(limit)}`;
+        if (config.output.sizeBudgetMode === 'fail') console.error(message);
+        else console.warn(message);
+      }
+      if (config.a11y && audit) {
+        await auditShot(target, page, step, stem);
+      }
+      if (config.settingsReference && verifier === 'config-dialog') {
+        await recordSettings(target, page, step, stem);
+      }
+      if (step.masked.length) {
+        console.log(`masked ${step.masked.length} region(s) in ${name}: ${step.masked.map(m => m.name || m.label || m.selector).join(', ')}`);
+      }
+      manifest.end(step, 'success');
+      console.log(step.details.unchanged ? `unchanged: ${path}` : `saved: ${path}`);
+      if (target.compareDir) {
+        compareShot(target, stem, buffer);
+      }
+    } catch (err) {
+      manifest.end(step, 'failed', err);
+      console.warn(`skip ${MULTI ? `${target.name}/` : ''}${stem}: [${step.errorCode}] ${step.outcomeReason}`);
+      // The plan explains a failed step of a dry run, which writes no failure screenshots either
+      if (config.dryRun) return;
+      const artifacts = await DIAG.captureFailure(page, `${MULTI ? `${target.name}-` : ''}${stem.replace('/', '-')}`).catch(() => []);
+      if (artifacts.length) {
+        step.details.failureArtifacts = artifacts;
+      }
+    }
+  }
+
+  // Write a shot's image in the output format, and its thumbnail, and record each file with its size in
+  // step.outputs (the image first). In deterministic mode an image matching the file on disk is not
+  // rewritten, so committed screenshots only change with the UI: PNGs match within the comparison
+  // tolerances, lossy formats only byte for byte. A kept image keeps its thumbnail unless that is missing.
+  async function writeOutputs(target, step, stem, png) {
+    const { format, quality, thumbnail } = config.output;
+    const path = `${target.outDir}/${stem}.${FORMATS[format]}`;
+    const tolerances = { threshold: config.threshold, maxDiffRatio: config.maxDiffRatio };
+    let image = format === 'png' ? null : await encodeImage(png, { format, quality }, ENCODER);
+    const kept = config.deterministic ? unchangedFrom(image?.buffer || png, path, tolerances) : null;
+    if (kept?.unchanged) {
+      step.details.unchanged = true;
+      step.details.diffRatio = kept.diffRatio;
+    } else {
+      image ??= await encodeImage(png, { format, quality }, ENCODER);
+      writeFileSync(path, image.buffer);
+    }
+    step.file = path;
+    const size = image || pngSize(png);
+    step.outputs = [{ kind: 'image', file: path, format, width: size.width, height: size.height, bytes: statSync(path).size }];
+
+    if (thumbnail) {
+      const thumbPath = `${target.outDir}/${stem}.thumb.${FORMATS[format]}`;
+      if (!kept?.unchanged || !existsSync(thumbPath)) {
+        writeFileSync(thumbPath, (await ENCODER.convert(png, { format, quality, maxWidth: thumbnail })).buffer);
+      }
+      const thumb = thumbnailSize(size, thumbnail);
+      step.outputs.push({ kind: 'thumbnail', file: thumbPath, format, width: thumb.width, height: thumb.height, bytes: statSync(thumbPath).size });
+    }
+  }
+
+  // Check the modal a shot just captured against the accessibility rules. Labels, help text and keyboard
+  // reach do not change with the variant, so once a shot was audited only contrast is checked again, and
+  // only in a colour scheme not audited yet. A failed audit is reported and never fails the shot.
+  async function auditShot(target, page, step, stem) {
+    const colorScheme = (target.currentVariant || VARIANTS[0]).colorScheme;
+    const earlier = target.audits.filter(a => a.type === target.currentScenario && a.shot === step.name && a.locale === step.locale);
+    if (earlier.some(a => a.colorScheme === colorScheme)) return;
+    try {
+      const audit = await auditModal(page, { rules: earlier.length ? ['color-contrast'] : A11Y_RULE_IDS });
+      if (!audit) {
+        console.warn(`${stem}: no modal open to audit`);
+        return;
+      }
+      target.audits.push({ type: target.currentScenario, shot: step.name, locale: step.locale, variant: step.variant, colorScheme, ...audit });
+      step.details.a11y = { violations: audit.violations.length, byRule: countByRule(audit.violations) };
+      if (audit.violations.length) {
+        const rules = Object.entries(step.details.a11y.byRule).filter(([, n]) => n).map(([rule, n]) => `${rule} ${n}`);
+        console.warn(`${stem}: ${audit.violations.length} accessibility issue(s): ${rules.join(', ')}`);
+      }
+    } catch (err) {
+      console.warn(`${stem}: accessibility audit failed: ${errorSummary(err)}`);
+    }
+  }
+
+  // Record a type's settings reference from the config form a shot just captured; the first config shot of
+  // the type wins, so matrix variants and later shots add nothing. A failure is reported, never thrown.
+  async function recordSettings(target, page, step, stem) {
+    const type = target.currentScenario;
+    if (target.references.has(type)) return;
+    try {
+      const form = await scrapeConfigForm(page);
+      if (!form) {
+        console.warn(`${stem}: no config form open for the settings reference`);
+        return;
+      }
+      const reference = buildReference({
+        plugin: target.name,
+        type,
+        lidarrVersion: target.manifest.data.lidarr.version || null,
+        form,
+        schemaEntry: await pluginSchemaEntry(target, type, form.header),
+        maskPatterns: config.mask.patterns
+      });
+      target.references.set(type, reference);
+      const { missing, hidden, unlabelled } = reference.schema;
+      step.details.settings = { fields: reference.fields.length, missing: missing.length, hidden: hidden.length, unlabelled: unlabelled.length };
+      // Hidden fields and advanced ones behind Show Advanced are expected to be off the form
+      const advanced = new Set(reference.fields.filter(f => f.advanced).map(f => f.name));
+      const issues = [...missing, ...hidden, ...unlabelled]
+        .filter(i => i.reason !== 'schema-hidden' && !(i.reason === 'not-visible' && advanced.has(i.name)));
+      if (issues.length) {
+        console.warn(`${stem}: form and schema disagree: ${issues.map(i => `${i.name || i.label} (${i.reason})`).join(', ')}`);
+      }
+    } catch (err) {
+      console.warn(`${stem}: settings reference failed: ${errorSummary(err)}`);
+    }
+  }
+
+  // The plugin's schema entry for a type from /api/v1/<kind>/schema, or null without API access, for a
+  // type that is not a provider kind, or when the schema cannot be read (the reference then skips the check)
+  async function pluginSchemaEntry(target, type, header) {
+    const endpoint = SCHEMA_ENDPOINTS[type];
+    const client = api || uiApi;
+    if (!endpoint || !client) return null;
+    if (!schemas.has(endpoint)) {
+      schemas.set(endpoint, client.get(`${endpoint}/schema`).catch(err => {
+        console.warn(`Could not read the ${endpoint} schema for the settings reference: ${errorSummary(err)}`);
+        return null;
+      }));
+    }
+    const entries = ((await schemas.get(endpoint)) || []).filter(entry => schemaMatchesPlugin(entry, target.name));
+    return pickSchemaEntry(entries, header);
+  }
+
+  // Run a non-screenshot phase (e.g. protocol setup) with the same manifest bookkeeping.
+  // fn gets the running step to record details on. Failures are recorded but never thrown:
+  // later shots decide whether they still work.
+  async function runSetupStep(target, name, fn) {
+    checkAborted();
+    const { manifest } = target;
+    const step = manifest.begin(name, 'setup');
+    try {
+      await fn(step);
+      manifest.end(step, 'success');
+    } catch (err) {
+      manifest.end(step, 'failed', err);
+      console.warn(`setup ${name} failed: [${step.errorCode}] ${step.outcomeReason}`);
+    }
+    return step;
+  }
+
+  function requirePluginCard(target, clicked) {
+    if (clicked) return;
+    throw new SnapError(ErrorCodes.PLUGIN_CARD_NOT_FOUND, `No "${target.name}" card found in the add modal`, {
+      pluginName: target.name,
+      protocolEnabled: target.protocolStep ? target.protocolStep.outcome === 'success' : null
+    });
+  }
+
+  // Diff a capture against its baseline and keep the diff image for regressed shots
+  function compareShot(target, name, buffer) {
+    const { compareDir, diffDir, comparisons } = target;
+    const result = compareWithBaseline(buffer, `${compareDir}/${name}.png`, {
+      threshold: config.threshold,
+      maxDiffRatio: config.maxDiffRatio
+    });
+    const { diffPng, ...entry } = result;
+
+    if (diffPng && result.status === 'regressed') {
+      entry.diff = `${diffDir}/${name}.diff.png`;
+      mkdirSync(dirname(entry.diff), { recursive: true });
+      writeFileSync(entry.diff, diffPng);
+    }
+
+    comparisons.push({ name, ...entry });
+    const detail = result.status === 'error'
+      ? result.error
+      : result.sizeMismatch
+        ? `size ${result.actualSize} vs baseline ${result.baselineSize}`
+        : result.diffPixels !== undefined
+          ? `${result.diffPixels} px (${(result.diffRatio * 100).toFixed(3)}%)`
+          : '';
+    console.log(`compare ${MULTI ? `${target.name}/` : ''}${name}: ${result.status}${detail ? ` - ${detail}` : ''}`);
+  }
+
+  // Summarise the comparison, write compare-report.json and return the report.
+  // Baselines with no matching capture count as regressions: the shot silently disappeared.
+  function writeComparisonReport(target) {
+    const { compareDir, outDir, comparisons } = target;
+    const captured = new Set(comparisons.map(c => c.name));
+    // With locales the baselines are in a folder per locale, like the captures
+    const baselineNames = LOCALES.flatMap(locale => listBaselines(locale ? join(compareDir, locale) : compareDir)
+      .map(name => `${locale ? `${locale}/` : ''}${name}`));
+    for (const name of baselineNames) {
+      if (!captured.has(name)) {
+        comparisons.push({ name, status: 'not-captured', baseline: `${compareDir}/${name}.png` });
+      }
+    }
+
+    const failed = comparisons.filter(c => ['regressed', 'not-captured', 'error'].includes(c.status));
+    // Not one shot had a baseline: a new baseline set, or the wrong directory; warned about, not failed
+    const noBaselines = comparisons.length > 0 && comparisons.every(c => c.status === 'missing-baseline');
+    const report = {
+      baselineDir: compareDir,
+      outputDir: outDir,
+      threshold: config.threshold,
+      maxDiffRatio: config.maxDiffRatio,
+      passed: failed.length === 0,
+      noBaselines,
+      summary: comparisons.reduce((acc, c) => ({ ...acc, [c.status]: (acc[c.status] || 0) + 1 }), {}),
+      shots: comparisons
+    };
+    writeFileSync(`${outDir}/compare-report.json`, JSON.stringify(report, null, 2));
+
+    console.log(`\n=== Visual comparison${MULTI ? `: ${target.name}` : ''} ===`);
+    for (const c of comparisons) {
+      console.log(`  ${failed.includes(c) ? 'FAIL' : 'ok  '}  ${c.name.padEnd(28)} ${c.status}`);
+    }
+    console.log(`Report: ${outDir}/compare-report.json`);
+    if (noBaselines) {
+      console.warn(`Warning: no shot has a baseline in ${compareDir}, so nothing was compared (check --compare, or commit these captures as the baselines)`);
+    }
+    console.log(report.passed ? 'Visual comparison passed' : `Visual comparison FAILED: ${failed.length} shot(s) regressed`);
+    return report;
+  }
+
+  // Enable the plugins' protocols in the default delay profile through the REST API, with one update for all of them.
+  // Protocol names come from each plugin's own indexer/download client schema, so nothing is guessed.
+  // Recorded as each plugin's 'enable-protocol-api' setup step; failures are recorded, never thrown.
+  async function enablePluginProtocolsViaApi(targets) {
+    const found = [];
+    for (const target of targets) {
+      const step = target.manifest.begin('enable-protocol-api', 'setup');
+      target.protocolStep = step;
+      try {
+        const protocols = await findPluginProtocols(api, target.name, target.types);
+        step.details.protocols = protocols;
+        if (protocols.length === 0) {
+          throw new SnapError(ErrorCodes.PROTOCOL_NOT_ENABLED, `No ${target.name} indexer/download client schema declares a protocol`, {
+            pluginName: target.name
+          });
+        }
+        found.push({ target, step, protocols });
+      } catch (err) {
+        target.manifest.end(step, 'failed', err);
+        console.warn(`setup enable-protocol-api failed for ${target.name}: [${step.errorCode}] ${step.outcomeReason}`);
+      }
+    }
+    if (found.length === 0) return;
+
+    const protocols = [...new Set(found.flatMap(f => f.protocols))];
+    try {
+      await RESTORE?.snapshot('delayprofile');
+      const result = await enableProtocolsInDelayProfiles(api, protocols, { dryRun: config.dryRun });
+      for (const { target, step } of found) {
+        step.details.delayProfileIds = result.profileIds;
+        step.details.changedDelayProfileIds = result.changedProfileIds;
+        if (config.dryRun) {
+          step.details.wouldSave = result.changedProfileIds.map(id => ({ method: 'PUT', endpoint: `delayprofile/${id}`, summary: `allow ${protocols.join(', ')}` }));
+        }
+        target.manifest.end(step, 'success');
+      }
+      if (config.dryRun && result.changedProfileIds.length) {
+        console.warn(`Dry run: protocol(s) ${protocols.join(', ')} not allowed in delay profile(s) ${result.changedProfileIds.join(', ')}; ` +
+          'plugin cards may be missing from the add modals');
+      } else {
+        console.log(`Protocol(s) ${protocols.join(', ')} allowed via API in delay profile(s) ${result.profileIds.join(', ')}` +
+          (result.changedProfileIds.length ? '' : ' (already enabled)'));
+      }
+    } catch (err) {
+      for (const { target, step } of found) {
+        target.manifest.end(step, 'failed', err);
+      }
+      console.warn(`setup enable-protocol-api failed: ${errorSummary(err)}`);
+    }
+  }
+
+  // Seed the library for the plugins whose scenarios need it: the album for interactive-search,
+  // plus one of the plugin's releases grabbed into the queue for queue. Recorded as each plugin's
+  // 'seed-album' and 'seed-queue' setup steps; a failed seed fails only the shots that need it.
+  async function seedLibrary(targets) {
+    for (const target of targets) {
+      const seeds = new Set(target.scenarios.map(s => s.seed).filter(Boolean));
+      if (seeds.size === 0) continue;
+      console.log(`\n=== Seeding test library${MULTI ? ` for ${target.name}` : ''} ===`);
+      const album = await runSetupStep(target, 'seed-album', async (step) => {
+        if (!seedApi) {
+          throw new SnapError(ErrorCodes.SEED_FAILED, 'Seeding the test artist/album needs an API key', {
+            seed: 'album',
+            suggestion: 'Pass --api-key or --config-xml'
+          });
+        }
+        // Interactive search rows only name the plugin when one of its indexers is configured
+        await requirePluginProviders(seedApi, 'indexer', target.name, 'album');
+        albumSeed ??= seedAlbum(seedApi, { artist: config.seedArtist, album: config.seedAlbum, timeoutMs: config.seedTimeoutMs, dryRun: config.dryRun })
+          .then((seeded) => {
+            if (seeded.created) RESTORE?.created(`artist/${seeded.artistId}?deleteFiles=false`, `artist/${seeded.artistId} (${seeded.artistName})`);
+            return seeded;
+          });
+        const seeded = await albumSeed;
+        Object.assign(step.details, seeded);
+        target.seedVars = {
+          artistName: seeded.artistName,
+          foreignArtistId: seeded.foreignArtistId,
+          albumTitle: seeded.albumTitle,
+          foreignAlbumId: seeded.foreignAlbumId
+        };
+        console.log(`Seed album: ${seeded.artistName} - ${seeded.albumTitle}${seeded.created ? ' (artist added)' : ''}`);
+      });
+      target.seedSteps.album = album;
+      if (!seeds.has('queue')) continue;
+      target.seedSteps.queue = await runSetupStep(target, 'seed-queue', async (step) => {
+        if (album.outcome !== 'success') {
+          throw new SnapError(ErrorCodes.SEED_FAILED, 'Nothing to grab: the seed album is missing', { seed: 'queue' });
+        }
+        const queued = await seedQueue(seedApi, {
+          pluginName: target.name, albumId: album.details.albumId, timeoutMs: config.seedTimeoutMs, dryRun: config.dryRun
+        });
+        if (queued.grabbed) {
+          RESTORE?.created(`queue/${queued.queueId}?removeFromClient=true&blocklist=false`, `queue/${queued.queueId} (${queued.releaseTitle})`);
+        }
+        Object.assign(step.details, queued);
+        console.log(`Seed queue: ${queued.releaseTitle} via ${queued.downloadClient}${queued.grabbed ? '' : ' (already queued)'}`);
+      });
+    }
+  }
+
+  // The error a scenario's shots fail with when its seed did not work; null when it did
+  function seedFailure(target, seed) {
+    const step = target.seedSteps[seed];
+    if (step?.outcome === 'success') return null;
+    return new SnapError(ErrorCodes.SEED_FAILED, step
+      ? `Seeding failed: ${step.outcomeReason}`
+      : `The ${seed} seed did not run`, { seed, seedErrorCode: step?.errorCode || null });
+  }
+
+  // Abort before launching a browser when Lidarr is down or has not loaded the plugin.
+  // Recorded as the plugin's 'preflight' setup step; unlike other setup steps a failure here is fatal.
+  // A plugin pre-flight could not confirm (no API key) ends the step with outcome 'warning' and the run goes on.
+  async function preflight(target) {
+    const { manifest } = target;
+    const step = manifest.begin('preflight', 'setup');
+    try {
+      const report = await runPreflight({
+        baseUrl: BASE,
+        apiKey: config.apiKey,
+        pluginName: target.name,
+        types: target.types,
+        timeoutMs: config.preflightTimeoutMs,
+        signal: config.signal
+      });
+      const { warning, ...checked } = report;
+      Object.assign(step.details, checked);
+      manifest.end(step, warning ? 'warning' : 'success', warning);
+      if (warning) {
+        console.warn(`\nPre-flight warning${MULTI ? ` for ${target.name}` : ''} [${step.errorCode}]: ${step.outcomeReason}`);
+        console.warn(`  Suggestion: ${step.details.suggestion}`);
+      }
+    } catch (err) {
+      manifest.end(step, 'failed', err);
+      console.error(`\nPre-flight failed${MULTI ? ` for ${target.name}` : ''} [${step.errorCode}]: ${step.outcomeReason}`);
+      if (step.details.suggestion) {
+        console.error(`  Suggestion: ${step.details.suggestion}`);
+      }
+      throw err;
+    }
+  }
+
+  // Pre-flight every plugin. A plugin Lidarr has not loaded only drops that plugin from the run;
+  // anything else (Lidarr down, key rejected) applies to all of them and aborts the run.
+  // Returns the targets that passed.
+  async function preflightAll() {
+    const ready = [];
+    for (const target of TARGETS) {
+      try {
+        await preflight(target);
+        ready.push(target);
+      } catch (err) {
+        if (![ErrorCodes.PLUGIN_NOT_LOADED, ErrorCodes.SCHEMA_MISSING_IMPLEMENTATION].includes(err.code)) throw err;
+        target.fatalError = err;
+      }
+    }
+    if (ready.length === 0) {
+      throw TARGETS[0].fatalError;
+    }
+    return ready;
+  }
+
+  // Browser context for one matrix variant; label names its trace and HAR in the diagnostics bundle
+  async function newCaptureContext(browser, variant, label, target = TARGETS[0]) {
+    const context = await browser.newContext({
+      viewport: variant.viewport,
+      deviceScaleFactor: variant.deviceScaleFactor,
+      userAgent: `${target.name.toLowerCase()}-ci-screenshot`,
+      colorScheme: variant.colorScheme,
+      ...(config.username ? { httpCredentials: { username: config.username, password: config.password } } : {}),
+      ...(authState ? { storageState: authState } : {}),
+      ...DIAG.contextOptions(label)
+    });
+    await DIAG.attach(context, label);
+    if (config.deterministic) {
+      await stabilizeContext(context, config.deterministic);
+    }
+    if (config.dryRun) {
+      await holdBackWrites(context, target);
+    }
+    return context;
+  }
+
+  // Plugin each dry-run context's held-back changes are recorded for; the setup context changes hands
+  // when the UI protocol fallback or the first capture reuses it
+  const writeOwners = new Map();
+
+  // Dry run: answer the UI's changes to Lidarr (anything but GET and the Test button) in place of Lidarr,
+  // echoing the body back as if it was saved, and record each on the running step as details.wouldSave.
+  // Resolves with a function that removes the handler again, for the caller's page.
+  async function holdBackWrites(context, target) {
+    writeOwners.set(context, target);
+    const handler = async (route) => {
+      const request = route.request();
+      const endpoint = new URL(request.url()).pathname.replace(/^.*?\/api\/v1\//, '');
+      if (request.method() === 'GET' || /(^|\/)test$/.test(endpoint)) return route.fallback();
+      let body = null;
+      try {
+        body = request.postDataJSON();
+      } catch {
+        // Not JSON; recorded without a summary
+      }
+      const write = { method: request.method(), endpoint, summary: describeWrite(body) };
+      writeOwners.get(context).manifest.noteWouldSave(write);
+      console.log(`dry run: not saved: ${write.method} ${endpoint}`);
+      return route.fulfill({ status: write.method === 'POST' ? 201 : 202, contentType: 'application/json', body: JSON.stringify(body ?? {}) });
+    };
+    await context.route('**/api/v1/**', handler);
+    return () => context.unroute('**/api/v1/**', handler).catch(() => {});
+  }
+
+  // Log in when Lidarr answers with its login page or a Basic auth challenge, and save the session
+  // for the next run. Recorded as the 'login' setup step of every plugin; a failed login is fatal.
+  async function signIn(page, response) {
+    if (response?.status() !== 401 && !(await isLoginPage(page))) return;
+    const { manifest } = TARGETS[0];
+    const step = manifest.begin('login', 'setup');
+    try {
+      step.details.method = await ensureLoggedIn(page, { username: config.username, password: config.password }, response);
+      authState = await page.context().storageState();
+      saveStorageState(config.authStatePath, authState);
+      step.details.statePath = config.authStatePath;
+      manifest.end(step, 'success');
+    } catch (err) {
+      manifest.end(step, 'failed', err);
+      console.error(`\nLogin failed [${step.errorCode}]: ${step.outcomeReason}`);
+      throw err;
+    } finally {
+      TARGETS.slice(1).forEach(target => target.manifest.record(step));
+    }
+    await page.waitForLoadState('networkidle', { timeout: 60_000 }).catch(() => {});
+  }
+
+  // Load the Lidarr UI, failing the run when it cannot be reached or the login is refused
+  async function openLidarr(page) {
+    // Basic navigation + wizard-friendly waits
+    let response;
+    try {
+      response = await page.goto(BASE, { waitUntil: 'domcontentloaded', timeout: 60_000 });
+    } catch (err) {
+      throw new SnapError(ErrorCodes.LIDARR_UNREACHABLE, `Could not load ${BASE}: ${errorSummary(err)}`);
+    }
+    await page.waitForLoadState('networkidle', { timeout: 60_000 }).catch(() => {});
+    await signIn(page, response);
+
+    // Try to breeze through wizard if present
+    const tryClick = async (text) => {
+      const el = page.getByRole('button', { name: text });
+      if (await el.count().catch(() => 0)) {
+        await el.first().click({ timeout: 2000 }).catch(() => {});
+      }
+    };
+    await tryClick('Next');
+    await tryClick('Continue');
+    await tryClick('Skip');
+    await tryClick('Finish');
+  }
+
+  // The full shot list of one plugin for one variant: landing, settings overview, then every scenario.
+  // Without the overview only the scenarios are captured, starting from Settings.
+  async function captureShots(target, page, { overview = true } = {}) {
+    if (overview) {
+      await page.goto(BASE, { waitUntil: 'domcontentloaded', timeout: 60_000 });
+      await page.waitForLoadState('networkidle', { timeout: 60_000 }).catch(() => {});
+
+      // Landing page
+      await screenshotOrSkip(target, page, 'landing', async () => {
+        await page.waitForTimeout(800);
+      }, { title: 'Lidarr home page', alt: 'Lidarr library home page' });
+    }
+
+    await goSettings(page, BASE, { text: selectors.text });
+
+    // Settings overview
+    if (overview) {
+      await screenshotOrSkip(target, page, 'settings', async () => {
+        await page.waitForTimeout(500);
+      }, { title: 'Settings overview', alt: 'Lidarr settings overview' });
+    }
+
+    // Capture scenario shots, returning to Settings between scenarios
+    const { manifest } = target;
+    const scenarioContext = {
+      baseUrl: BASE,
+      pluginName: target.name,
+      vars: {
+        ...target.seedVars,
+        ...(target.stub ? { stubUrl: target.stub.url } : {}),
+        // {{text.interactiveSearch}} and the rest of the UI text, in Lidarr's current language
+        ...Object.fromEntries(Object.entries(selectors.text).map(([role, text]) => [`text.${role}`, text]))
+      },
+      fixtures: target.fixtures,
+      seedFailure: (seed) => seedFailure(target, seed),
+      screenshotOrSkip: (...shot) => screenshotOrSkip(target, ...shot),
+      openAddModalAndFindPlugin: (page, pluginName) => openAddModalAndFindPlugin(page, pluginName, { manifest, selectors }),
+      clickPluginCard: (page, pluginName, modal) => clickPluginCard(page, pluginName, { modal, manifest, selectors }),
+      requireModal,
+      requirePluginCard: (clicked) => requirePluginCard(target, clicked),
+      goSettings: () => goSettings(page, BASE, { text: selectors.text }),
+      fillConfigForm: (page, values) => fillConfigForm(page, values, { manifest }),
+      pressTest: (page, options) => pressTest(page, { ...options, manifest, text: selectors.text }),
+      verifiers: {
+        'add-modal': assertAddModal,
+        'config-dialog': assertConfigDialog,
+        'plugin-rows': assertPluginRows
+      }
+    };
+    for (const [i, scenario] of target.scenarios.entries()) {
+      target.currentScenario = scenario.name;
+      console.log(`\n=== Scenario: ${MULTI ? `${target.name} ` : ''}${scenario.name} ===`);
+      await runScenario(page, scenario, scenarioContext);
+      if (i < target.scenarios.length - 1) {
+        await goSettings(page, BASE, { text: selectors.text });
+      }
+    }
+  }
+
+  // Start the stub of every plugin whose fixtures have one, so the filled-in config shots can point the
+  // plugin's upstream API at it ({{stubUrl}}) and test offline
+  async function startStubs(targets) {
+    for (const target of targets.filter(t => t.fixtures?.stub)) {
+      target.stub = await startStub(target.fixtures.stub);
+      target.manifest.data.stub = { url: target.stub.url, requests: target.stub.requests };
+      console.log(`${MULTI ? `${target.name}: ` : ''}Upstream API stub listening at ${target.stub.url}`);
+    }
+  }
+
+  async function stopStubs() {
+    for (const target of TARGETS.filter(t => t.stub)) {
+      await target.stub.close();
+      console.log(`${MULTI ? `${target.name}: ` : ''}Upstream API stub answered ${target.stub.requests.length} request(s)`);
+    }
+  }
+
+  // Pick the selector profile for the Lidarr build under test. The version comes from pre-flight or
+  // /api/v1/system/status, or from the UI's window.Lidarr without an API key; unknown means generic chains.
+  async function chooseSelectors(page) {
+    const fromPreflight = TARGETS.map(t => t.manifest.data.results.find(r => r.name === 'preflight')?.details.lidarrVersion).find(Boolean);
+    let version = fromPreflight || null;
+    if (!version && api) {
+      version = (await api.get('system/status').catch(() => null))?.version || null;
+    }
+    if (!version) {
+      version = await page.evaluate(() => window.Lidarr?.version || null).catch(() => null);
+    }
+    selectors = createSelectorSet({ lidarrVersion: version, profile: config.selectorProfile });
+    for (const target of TARGETS) {
+      Object.assign(target.manifest.data.lidarr, { version, selectorProfile: selectors.profile });
+    }
+    console.log(`Selector profile: ${selectors.profile} (Lidarr ${version || 'version unknown'})`);
+  }
+
+  // Write selector-health.json: which selector of each chain was used and which were checked but never matched.
+  // Profile selectors that never matched are called out, since they point at a changed Lidarr UI.
+  // Returns the report, or null when no UI helper ran.
+  function writeSelectorHealth() {
+    if (!selectors) return null;
+    const report = selectors.report();
+    const path = join(config.outDir, 'selector-health.json');
+    mkdirSync(config.outDir, { recursive: true });
+    writeFileSync(path, JSON.stringify(report, null, 2));
+    for (const target of TARGETS) {
+      target.manifest.data.selectorHealth = path;
+    }
+
+    const active = Object.entries(report.chains).filter(([, chain]) => chain.selectors.some(s => s.tried > 0));
+    console.log(`\n=== Selector health (profile ${report.profile}, Lidarr ${report.lidarrVersion || 'version unknown'}) ===`);
+    for (const [role, chain] of active) {
+      console.log(`  ${role.padEnd(18)} used: ${chain.used.join(' | ') || 'none'}; never matched: ${chain.neverMatched.length}`);
+    }
+    const staleProfile = active.flatMap(([role, chain]) => chain.selectors
+      .filter(s => s.source === 'profile' && s.tried > 0 && s.found === 0)
+      .map(s => `${role}: ${s.selector}`));
+    if (staleProfile.length) {
+      console.warn(`Profile ${report.profile} selectors that no longer match:\n  ${staleProfile.join('\n  ')}`);
+    }
+    console.log(`Selector health: ${path}`);
+    return report;
+  }
+
+  // Write each plugin's accessibility reports, a11y/<type>.json and .md, from the audits of its shots,
+  // and list them in the manifest. A report that cannot be written never fails the run.
+  function writeA11yReports() {
+    if (!config.a11y) return;
+    for (const target of TARGETS) {
+      const { lidarr } = target.manifest.data;
+      target.a11yReports = [];
+      for (const type of [...new Set(target.audits.map(a => a.type))]) {
+        const shots = target.audits.filter(a => a.type === type)
+          .map(({ shot, locale, variant, colorScheme, rules, violations }) => ({ shot, locale, variant, colorScheme, rules, violations }));
+        const violations = shots.flatMap(shot => shot.violations);
+        const report = {
+          plugin: target.name,
+          type,
+          lidarrVersion: lidarr.version || null,
+          rules: A11Y_RULES,
+          summary: { audited: shots.length, violations: violations.length, byRule: countByRule(violations) },
+          shots
+        };
+        const base = join(target.outDir, 'a11y', type);
+        try {
+          mkdirSync(join(target.outDir, 'a11y'), { recursive: true });
+          writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+          writeFileSync(`${base}.md`, renderA11yReport(report));
+          target.a11yReports.push({ type, json: `${base}.json`, markdown: `${base}.md`, violations: violations.length });
+          console.log(`Accessibility${MULTI ? ` ${target.name}` : ''} ${type}: ${violations.length} issue(s) in ${shots.length} modal(s), ${base}.md`);
+        } catch (err) {
+          console.warn(`Could not write the accessibility report for ${MULTI ? `${target.name} ` : ''}${type}: ${errorSummary(err)}`);
+        }
+      }
+      target.manifest.data.a11y = target.a11yReports;
+    }
+  }
+
+  // Write each plugin's settings references, settings/<type>.json and .md, and list them in the manifest.
+  // A reference that cannot be written never fails the run.
+  function writeSettingsReferences() {
+    if (!config.settingsReference) return;
+    for (const target of TARGETS) {
+      target.referenceFiles = [];
+      for (const [type, reference] of target.references) {
+        const base = join(target.outDir, 'settings', type);
+        const { missing, hidden, unlabelled } = reference.schema;
+        try {
+          mkdirSync(join(target.outDir, 'settings'), { recursive: true });
+          writeFileSync(`${base}.json`, JSON.stringify(reference, null, 2));
+          writeFileSync(`${base}.md`, renderReference(reference));
+          target.referenceFiles.push({
+            type, json: `${base}.json`, markdown: `${base}.md`, missing: missing.length, hidden: hidden.length, unlabelled: unlabelled.length
+          });
+          console.log(`Settings reference${MULTI ? ` ${target.name}` : ''} ${type}: ${reference.fields.length} field(s), ${base}.md`);
+        } catch (err) {
+          console.warn(`Could not write the settings reference for ${MULTI ? `${target.name} ` : ''}${type}: ${errorSummary(err)}`);
+        }
+      }
+      target.manifest.data.settings = target.referenceFiles;
+    }
+  }
+
+  // UI text in Lidarr's current language for the helpers that match text (Show Advanced, Save, Test);
+  // English when there is no API access or the strings cannot be read
+  async function loadUiText() {
+    const client = api || uiApi;
+    if (!client) return;
+    try {
+      selectors.useText(await fetchUiText(client));
+    } catch (err) {
+      console.warn(`Could not read Lidarr's UI strings, matching English text: ${errorSummary(err)}`);
+      selectors.useText(ENGLISH_UI_TEXT);
+    }
+  }
+
+  // Switch Lidarr's UI language for the next pass over the plugins and read its UI text. The setting is
+  // snapshotted first, so the restore puts the original language back. Recorded as a 'set-locale' setup
+  // step of every plugin; returns false when the switch failed, and that locale is skipped.
+  // A dry run only checks that Lidarr has the language: the pass runs in the current one, into no folder.
+  async function switchLocale(targets, locale) {
+    console.log(`\n##### Locale ${locale} #####`);
+    const [first, ...rest] = targets;
+    const step = await runSetupStep(first, 'set-locale', async (step) => {
+      step.locale = locale;
+      const client = api || uiApi;
+      if (client && !config.dryRun) await RESTORE?.snapshot('config/ui');
+      const switched = await setUiLanguage(client, locale, { dryRun: config.dryRun });
+      Object.assign(step.details, switched);
+      if (config.dryRun) {
+        if (switched.changed) step.details.wouldSave = [{ method: 'PUT', endpoint: 'config/ui', summary: `uiLanguage: ${switched.language}` }];
+        return;
+      }
+      await loadUiText();
+      console.log(`UI language: ${switched.language}${switched.changed ? '' : ' (already set)'}`);
+    });
+    rest.forEach(target => target.manifest.record(step));
+    if (step.outcome !== 'success') {
+      console.warn(`Skipping locale ${locale}: the UI language could not be switched`);
+      return false;
+    }
+    for (const target of targets) {
+      const outputDir = join(target.outDir, locale);
+      if (!config.dryRun) mkdirSync(outputDir, { recursive: true });
+      target.locales.push({ locale, language: step.details.language, outputDir });
+    }
+    return true;
+  }
+
+  // Colour-scheme variants only differ when Lidarr's theme follows the browser ("auto")
+  async function warnIfThemeFixed() {
+    if (!api || new Set(VARIANTS.map(v => v.colorScheme)).size < 2) return;
+    const ui = await api.get('config/ui').catch(() => null);
+    if (ui?.theme && ui.theme !== 'auto') {
+      console.warn(`Lidarr UI theme is "${ui.theme}", so scheme variants will look identical; set Settings > UI > Theme to Auto`);
+    }
+  }
+
+  // Undo the run's changes to Lidarr: delete what it created, then put the snapshotted settings back.
+  // Recorded as every plugin's 'restore' setup step; a failed restore is reported, never thrown.
+  // Returns the restore report, or null when the changes are kept or nothing was recorded.
+  async function restoreLidarr() {
+    if (!RESTORE) {
+      if (!config.dryRun) console.log('Lidarr changes kept (--keep-changes)');
+      return null;
+    }
+    if (!RESTORE.pending) return null;
+    const { manifest } = TARGETS[0];
+    const step = manifest.begin('restore', 'setup');
+    const report = await RESTORE.restore();
+    Object.assign(step.details, report);
+    if (report.failed.length) {
+      manifest.end(step, 'failed', new SnapError(ErrorCodes.RESTORE_FAILED, `Could not restore ${report.failed.map(f => f.target).join(', ')}`, {
+        suggestion: 'Undo these by hand; the manifest lists what was restored and deleted'
+      }));
+      console.error(`\nRestore incomplete [${step.errorCode}]: ${report.failed.map(f => `${f.target}: ${f.error}`).join('; ')}`);
+    } else {
+      manifest.end(step, 'success');
+    }
+    TARGETS.slice(1).forEach(target => target.manifest.record(step));
+    return report;
+  }
+
+  // Write each plugin's gallery page from the shots it saved and record its path in the manifest.
+  // A plugin that saved nothing gets no page; a failed write never fails the run.
+  function writeGalleries() {
+    for (const target of TARGETS) {
+      const source = gallerySource(target.manifest.data);
+      if (target.galleryPath && source.shots.some(shot => shot.images.length)) {
+        try {
+          target.gallery = writeGallery(source, { path: target.galleryPath, imageBase: config.imageBase, root: config.outDir });
+          console.log(`Gallery: ${target.gallery}`);
+        } catch (err) {
+          console.warn(`Could not write the gallery${MULTI ? ` for ${target.name}` : ''}: ${errorSummary(err)}`);
+        }
+      }
+      target.manifest.data.gallery = target.gallery;
+    }
+  }
+
+  // Rewrite the marked regions of the docs files from the shots this run saved. Regions whose shot was
+  // not captured keep their content and are reported; a file that cannot be updated never fails the run.
+  // Returns { file, regions, updated, stale, error } per file.
+  function updateDocs() {
+    if (config.docs.length === 0) return [];
+    const sources = TARGETS.map(target => gallerySource(target.manifest.data));
+    console.log('\n=== Docs ===');
+    return config.docs.map(file => {
+      try {
+        const result = updateDoc(file, sources, { imageBase: config.imageBase, root: config.outDir });
+        console.log(`  ${file}: ${result.updated ? 'updated' : 'unchanged'} (${result.regions} region(s))`);
+        for (const { region, line, reason } of result.stale) {
+          console.warn(`  ${file}:${line} ${region} left as it was: ${reason}`);
+        }
+        return { ...result, error: null };
+      } catch (err) {
+        console.warn(`  ${file}: not updated: ${errorSummary(err)}`);
+        return { file, regions: 0, updated: false, stale: [], error: errorSummary(err) };
+      }
+    });
+  }
+
+  // Write each plugin's snap-manifest.json. Returns whether each plugin passed (required shots
+  // present and something saved) and whether a diagnostics bundle should be written.
+  function writeManifests(fatalError) {
+    const failOverBudget = config.output.sizeBudgetMode === 'fail';
+    const passed = TARGETS.map(target => target.manifest.finalize(target.fatalError || fatalError, { failOverBudget, locales: config.locales || [] }));
+    const bundle = DIAG.enabled && (DIAG.mode === 'always' || passed.includes(false) ||
+      TARGETS.some(target => target.manifest.data.results.some(r => r.outcome === 'failed')));
+    for (const target of TARGETS) {
+      const { manifest } = target;
+      if (config.locales) manifest.data.locales = target.locales;
+      if (config.dryRun) manifest.data.dryRun = true;
+      if (config.stopAfter) manifest.data.stoppedAfter = stoppedAfter;
+      manifest.data.diagnostics = bundle ? { bundle: DIAG.zipPath } : null;
+      manifest.write(target.manifestPath);
+      const { saved, shots, unchanged, bytes, overBudget, requiredMissing } = manifest.data.summary;
+      console.log(`Manifest: ${target.manifestPath} (${saved}/${shots} shots ${config.dryRun ? 'planned' : 'saved'}${unchanged ? `, ${unchanged} unchanged on disk` : ''}, ${formatBytes(bytes)})`);
+      if (requiredMissing.length) {
+        console.error(`Required shots missing${MULTI ? ` for ${target.name}` : ''}: ${requiredMissing.join(', ')}`);
+      }
+      if (overBudget.length) {
+        const log = failOverBudget ? console.error : console.warn;
+        log(`Shots over their size budget${MULTI ? ` for ${target.name}` : ''}: ${overBudget.join(', ')}`);
+      }
+    }
+    return { passed, bundle };
+  }
+
+  // Zip traces, HARs, console log, failure snapshots and API state; a broken bundle never fails the run.
+  // Returns the zip path, or null when no bundle was written.
+  async function writeDiagnostics(bundle) {
+    if (!bundle) {
+      DIAG.discard();
+      return null;
+    }
+    try {
+      const manifests = Object.fromEntries(TARGETS.map(target => [target.name, target.manifest.data]));
+      const types = [...new Set(TARGETS.flatMap(target => target.types))];
+      const zipPath = await DIAG.bundle({ manifests, api, types });
+      console.log(`Diagnostics bundle: ${zipPath}`);
+      return zipPath;
+    } catch (err) {
+      console.warn(`Could not write diagnostics bundle: ${errorSummary(err)}`);
+      return null;
+    }
+  }
+
+  // Capture everything and resolve with the results; a fatal error is returned, not thrown.
+  // flowOnly skips pre-flight, the login and the UI protocol fallback and the landing/settings
+  // shots, for captureFlow on a page the caller has already set up.
+  async function run({ flowOnly = false } = {}) {
+    logConfig();
+    for (const target of TARGETS) {
+      if (!existsSync(target.outDir)) {
+        mkdirSync(target.outDir, { recursive: true });
+      }
+    }
+
+    // A browser or page passed in by the caller is theirs to close; only what is launched here is closed
+    let browser = config.browser;
+    let ownBrowser = null;
+    let fatalError = null;
+    // Removes the dry-run handler from the caller's page, which stays theirs after the run
+    let releaseCallerPage = null;
+    try {
+      const targets = config.skipPreflight ? TARGETS : await preflightAll();
+
+      if (!config.page && !browser) {
+        const { chromium } = await import('playwright');
+        // With a signal the caller handles Ctrl-C, so Playwright must not exit the process on it
+        browser = ownBrowser = await chromium.launch({ headless: true, ...(config.signal ? { handleSIGINT: false, handleSIGTERM: false } : {}) });
+        config.signal?.addEventListener('abort', () => ownBrowser.close().catch(() => {}), { once: true });
+      }
+      activeBrowser = browser;
+      checkAborted();
+
+      // One-time setup shared by every plugin and matrix variant.
+      // Prefer REST setup: it does not depend on Lidarr's markup and runs before any UI capture
+      const protocolTargets = targets.filter(t => t.scenarios.some(s => s.requiresProtocol));
+      if (protocolTargets.length && api) {
+        console.log('\n=== Enabling plugin protocol via API ===');
+        await enablePluginProtocolsViaApi(protocolTargets);
+      }
+      await warnIfThemeFixed();
+
+      const setupContext = config.page ? null : await newCaptureContext(browser, VARIANTS[0], 'main', targets[0]);
+      const setupPage = config.page || await setupContext.newPage();
+      if (config.page && config.deterministic) {
+        await stabilizeContext(config.page.context(), config.deterministic);
+      }
+      if (config.page && config.dryRun) {
+        releaseCallerPage = await holdBackWrites(config.page.context(), targets[0]);
+      }
+
+      if (!flowOnly) {
+        await openLidarr(setupPage);
+      }
+      await chooseSelectors(setupPage);
+      // Without an API key the restore and the settings reference go through the key the Lidarr UI embeds in its page
+      if (!api) {
+        const key = await setupPage.evaluate(() => window.Lidarr?.apiKey || null).catch(() => null);
+        uiApi = key ? createLidarrClient({ baseUrl: BASE, apiKey: key }) : null;
+        if (uiApi) RESTORE?.useClient(uiApi);
+      }
+      await loadUiText();
+
+      if (!flowOnly) {
+        // Enable plugin protocol in Delay Profiles (required for streaming plugins like Tidalarr/Qobuzarr)
+        // This must be done BEFORE capturing indexer/download-client screenshots
+        // UI clicking is the fallback when no API key was given or the API setup failed
+        for (const target of protocolTargets) {
+          if (target.protocolStep?.outcome === 'success') continue;
+          console.log(`\n=== Enabling ${target.name} protocol for indexer/download-client visibility ===`);
+          // Even a failed API setup may have discovered the protocol names for the UI fallback
+          const knownProtocols = target.protocolStep?.details.protocols || [];
+          writeOwners.set(setupPage.context(), target);
+          target.protocolStep = await runSetupStep(target, 'enable-protocol', async () => {
+            await RESTORE?.snapshot('delayprofile');
+            if (RESTORE && !RESTORE.enabled) {
+              console.warn('No API access to snapshot the delay profile: the protocol change will stay in Lidarr');
+            }
+            if (!(await enablePluginProtocol(setupPage, target.name, {
+              baseUrl: BASE, extraPatterns: knownProtocols, manifest: target.manifest, selectors
+            }))) {
+              throw new SnapError(ErrorCodes.PROTOCOL_NOT_ENABLED, `Could not enable the ${target.name} protocol in the delay profile`, {
+                pluginName: target.name
+              });
+            }
+          });
+        }
+      }
+
+      // Library content for the interactive-search and queue shots, once protocols are allowed
+      await seedLibrary(targets);
+      await startStubs(targets);
+
+      // Providers of the captured plugins that an add flow saves from here on are deleted again afterwards
+      const providerEndpoints = new Set(targets.flatMap(t => t.types).map(type => SCHEMA_ENDPOINTS[type]).filter(e => e && e !== 'metadata'));
+      for (const endpoint of providerEndpoints) {
+        await RESTORE?.watchProviders(endpoint, targets.map(t => t.name))
+          .catch(err => console.warn(`Could not list ${endpoint} providers; ones added during the capture stay: ${errorSummary(err)}`));
+      }
+
+      // Capture every locale, plugin and variant. The UI language is Lidarr-wide, so locales take turns;
+      // within one, plugins run in parallel browser contexts (parallel option). The setup page is reused
+      // for the first plugin's first variant, and for everything on a caller's page
+      let setupPageFree = true;
+      for (const locale of LOCALES) {
+        if (stoppedAfter) break;
+        checkAborted();
+        if (locale && !(await switchLocale(targets, locale))) continue;
+        await runLimited(targets.filter(t => !t.fatalError), config.parallel, async (target) => {
+          target.currentLocale = locale;
+          try {
+            for (const variant of VARIANTS) {
+              const reuse = Boolean(config.page) || setupPageFree;
+              setupPageFree = false;
+              const label = [MULTI && target.name, locale, variant.suffix].filter(Boolean).join('-');
+              const context = reuse ? setupContext : await newCaptureContext(browser, variant, label, target);
+              const page = reuse ? setupPage : await context.newPage();
+              if (reuse) writeOwners.set(page.context(), target);
+              // A page loaded before the language switch still shows the previous language
+              if (reuse && locale) {
+                await page.reload({ waitUntil: 'domcontentloaded', timeout: 60_000 });
+                await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
+              }
+              target.currentVariant = config.matrix ? variant : null;
+              if (target.currentVariant) {
+                console.log(`\n##### ${MULTI ? `${target.name} ` : ''}Variant ${variant.suffix} (${variant.viewport.width}x${variant.viewport.height}, ${variant.colorScheme}, ${variant.deviceScaleFactor}x) #####`);
+              }
+              try {
+                await captureShots(target, page, { overview: !flowOnly });
+              } finally {
+                if (context) await DIAG.closeContext(context);
+              }
+            }
+          } catch (err) {
+            // Stopping after a shot ends every plugin's capture, none of them failed
+            if (err instanceof CaptureStopped) return;
+            // One plugin's failure does not stop the others; the error ends up in its manifest
+            if (!MULTI) throw err;
+            target.fatalError = err;
+            console.error(`${target.name}: capture aborted: ${errorSummary(err)}`);
+          } finally {
+            target.currentVariant = null;
+            target.currentLocale = null;
+          }
+        });
+      }
+
+      console.log(`\n${config.dryRun ? 'Dry run' : 'Screenshot capture'} complete!`);
+
+      for (const target of TARGETS) {
+        if (target.compareDir && !config.dryRun) {
+          target.comparison = writeComparisonReport(target);
+        }
+      }
+    } catch (err) {
+      if (!(err instanceof CaptureStopped)) fatalError = err;
+    } finally {
+      await releaseCallerPage?.();
+      await stopStubs();
+      await ENCODER.close();
+      await encoderContext?.close().catch(() => {});
+      await DIAG.closeAll();
+      await ownBrowser?.close();
+    }
+
+    const restore = await restoreLidarr();
+    const selectorHealth = writeSelectorHealth();
+    writeA11yReports();
+    writeSettingsReferences();
+    // A dry run wrote no images, so there is nothing to show in a gallery or the docs
+    if (!config.dryRun) writeGalleries();
+    const { passed, bundle } = writeManifests(fatalError);
+    const docs = config.dryRun ? [] : updateDocs();
+    if (config.dryRun) console.log(`\n${renderPlanSummary(TARGETS.map(target => target.manifest.data))}`);
+    const diagnostics = await writeDiagnostics(bundle);
+    const plugins = TARGETS.map((target, i) => ({
+      name: target.name,
+      passed: passed[i] && target.comparison?.passed !== false,
+      outputDir: target.outDir,
+      manifestPath: target.manifestPath,
+      manifest: target.manifest.data,
+      comparison: target.comparison,
+      gallery: target.gallery,
+      a11y: target.a11yReports,
+      settings: target.referenceFiles
+    }));
+    return {
+      passed: plugins.every(p => p.passed),
+      plugins,
+      docs,
+      diagnostics,
+      selectorHealth,
+      restore,
+      error: fatalError
+    };
+  }
+
+  return { run };
+}
+
+function formatBytes(bytes) {
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KiB` : `${(bytes / 1024 / 1024).toFixed(2)} MiB`;
+}
+
+// Run worker(item, index) over items with at most limit running at once
+async function runLimited(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// Capture screenshots the way snap.mjs does. Resolves with
+//   { passed, plugins: [{ name, passed, outputDir, manifestPath, manifest, comparison, gallery, a11y, settings }], docs, diagnostics, selectorHealth, restore, error }
+// where manifest is the snap-manifest.json contents, comparison the compare-report.json contents (null
+// without a baseline), gallery the gallery page path, a11y the accessibility reports (null without a11y),
+// settings the settings references (null without settingsReference), docs one entry per updated docs file, diagnostics
+// the bundle zip path, selectorHealth the selector-health.json contents, restore what was put back in Lidarr
+// ({ restored, deleted, failed }, null with keepChanges) and error the fatal error that ended the run early.
+// Rejects only with SnapOptionsError. Pass browser or page to capture with the caller's Playwright objects,
+// and events (an EventEmitter) to hear 'shot:start', 'shot:end', 'setup:start' and 'setup:end' as they happen.
+// Aborting signal (an AbortSignal) stops the capture early; Lidarr is still restored.
+export async function captureScreenshots(options = {}) {
+  return createRun(await resolveOptions(options)).run();
+}
+
+// Run built-in flows ('indexer', 'queue', ...) and/or scenarios (file paths or objects) for one or more
+// plugins on a page the caller has already opened and logged in with. Skips pre-flight, the login, the
+// UI protocol fallback and the landing/settings shots; protocol setup and seeding still run through
+// the API when an API key is given. Built-in flows run before scenarios, as with --type and --scenario.
+// Diagnostics are off unless asked for. Resolves like captureScreenshots.
+export async function captureFlow(page, flows, options = {}) {
+  const builtin = listBuiltinScenarios();
+  const list = [flows].flat();
+  const isBuiltin = (flow) => typeof flow === 'string' && builtin.includes(flow.toLowerCase());
+  const config = await resolveOptions({
+    diagnostics: 'off',
+    ...options,
+    page,
+    types: list.filter(isBuiltin),
+    scenarios: list.filter(flow => !isBuiltin(flow)),
+    skipPreflight: true
+  });
+  return createRun(config).run({ flowOnly: true });
+}
@@ -0,0 +1,142 @@
+// Pixel comparison of a captured screenshot against a stored baseline.
+// Colour distance uses the YIQ metric (as in pixelmatch), so anti-aliasing noise
+// and tiny colour shifts stay under the per-pixel threshold.
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { decodePng, encodePng } from './png.mjs';
+
+// Largest possible YIQ delta between two colours; thresholds are expressed relative to it
+const MAX_YIQ_DELTA = 35215;
+
+function blend(c, a) {
+  return 255 + (c - 255) * a;
+}
+
+function colorDelta(a, b, i) {
+  const aa = a[i + 3] / 255;
+  const ba = b[i + 3] / 255;
+  const r1 = blend(a[i], aa), g1 = blend(a[i + 1], aa), b1 = blend(a[i + 2], aa);
+  const r2 = blend(b[i], ba), g2 = blend(b[i + 1], ba), b2 = blend(b[i + 2], ba);
+
+  const y = (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+  const iq = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+  const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+// Compare two decoded images. Returns counts plus an RGBA diff image where unchanged
+// pixels are faded grayscale and changed pixels are painted red.
+export function diffImages(actual, expected, { threshold = 0.1 } = {}) {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    return {
+      sizeMismatch: true,
+      diffPixels: actual.width * actual.height,
+      totalPixels: actual.width * actual.height,
+      ratio: 1,
+      diff: null
+    };
+  }
+
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const total = actual.width * actual.height;
+  const diff = new Uint8Array(total * 4);
+  let diffPixels = 0;
+
+  for (let p = 0; p < total; p++) {
+    const i = p * 4;
+    if (colorDelta(actual.data, expected.data, i) > maxDelta) {
+      diffPixels++;
+      diff[i] = 255;
+      diff[i + 1] = 0;
+      diff[i + 2] = 0;
+    } else {
+      const gray = blend(
+        actual.data[i] * 0.29889531 + actual.data[i + 1] * 0.58662247 + actual.data[i + 2] * 0.11448223,
+        0.1
+      );
+      diff[i] = diff[i + 1] = diff[i + 2] = gray;
+    }
+    diff[i + 3] = 255;
+  }
+
+  return {
+    sizeMismatch: false,
+    diffPixels,
+    totalPixels: total,
+    ratio: total ? diffPixels / total : 0,
+    diff: { width: actual.width, height: actual.height, data: diff }
+  };
+}
+
+// Compare a freshly captured PNG buffer against the baseline file on disk.
+// Status is one of: 'match', 'regressed', 'missing-baseline', 'error'.
+export function compareWithBaseline(buffer, baselinePath, { threshold = 0.1, maxDiffRatio = 0 } = {}) {
+  if (!existsSync(baselinePath)) {
+    return { status: 'missing-baseline', baseline: baselinePath };
+  }
+
+  try {
+    const actual = decodePng(buffer);
+    const expected = decodePng(readFileSync(baselinePath));
+    const result = diffImages(actual, expected, { threshold });
+    const regressed = result.sizeMismatch || result.ratio > maxDiffRatio;
+    return {
+      status: regressed ? 'regressed' : 'match',
+      baseline: baselinePath,
+      sizeMismatch: result.sizeMismatch,
+      actualSize: `${actual.width}x${actual.height}`,
+      baselineSize: `${expected.width}x${expected.height}`,
+      diffPixels: result.diffPixels,
+      totalPixels: result.totalPixels,
+      diffRatio: Number(result.ratio.toFixed(6)),
+      diffPng: result.diff && result.diffPixels > 0 ? encodePng(result.diff, { level: 6 }) : null
+    };
+  } catch (err) {
+    return { status: 'error', baseline: baselinePath, error: err?.message || String(err) };
+  }
+}
+
+// Whether a new capture shows the same as the file already on disk, within the same tolerances as a
+// baseline comparison. Returns { unchanged, diffRatio }; a missing or unreadable file counts as changed.
+// Anything but PNG (WebP, JPEG) is only unchanged when byte-identical.
+export function unchangedFrom(buffer, path, { threshold = 0.1, maxDiffRatio = 0 } = {}) {
+  if (!existsSync(path)) return { unchanged: false, diffRatio: null };
+  try {
+    const existing = readFileSync(path);
+    if (existing.equals(buffer)) return { unchanged: true, diffRatio: 0 };
+    const result = diffImages(decodePng(buffer), decodePng(existing), { threshold });
+    return { unchanged: !result.sizeMismatch && result.ratio <= maxDiffRatio, diffRatio: Number(result.ratio.toFixed(6)) };
+  } catch {
+    return { unchanged: false, diffRatio: null };
+  }
+}
+
+// Images next to the shots that are not shots themselves: thumbnails (--thumbnail) and diff images
+const NOT_A_SHOT = /\.(thumb|diff)\.[a-z]+$/i;
+
+const IMAGE_FORMATS = { '.png': 'png', '.webp': 'webp', '.jpg': 'jpeg', '.jpeg': 'jpeg' };
+
+// Shot baselines in a directory, as names without their .png extension; thumbnails and diff images are left out
+export function listBaselines(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(file => file.toLowerCase().endsWith('.png') && !NOT_A_SHOT.test(file))
+    .map(file => file.slice(0, -4));
+}
+
+// Formats of the shot images under a baseline directory and its plugin and locale folders ('png', 'webp', 'jpeg')
+export function baselineFormats(dir, depth = 2) {
+  const formats = new Set();
+  if (!existsSync(dir)) return formats;
+  for (const entry of readdirSync(dir)) {
+    const path = join(dir, entry);
+    if (statSync(path).isDirectory()) {
+      if (depth > 0) baselineFormats(path, depth - 1).forEach(format => formats.add(format));
+      continue;
+    }
+    const format = IMAGE_FORMATS[entry.slice(entry.lastIndexOf('.')).toLowerCase()];
+    if (format && !NOT_A_SHOT.test(entry)) formats.add(format);
+  }
+  return formats;
+}
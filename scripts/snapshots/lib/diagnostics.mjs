@@ -0,0 +1,274 @@
+// Failure diagnostics for snap.mjs: Playwright trace, HAR and console log per browser context,
+// a DOM snapshot + screenshot for every failed shot, and Lidarr API state, zipped into one bundle
+// laid out like docs/DIAGNOSTICS_BUNDLE_CONTRACT.md. Everything is redacted before it is written.
+
+import { mkdirSync, readFileSync, readdirSync, rmSync, statSync, writeFileSync, existsSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { createZip, readZip } from './zip.mjs';
+import { maskedScreenshot } from './mask.mjs';
+import { SCHEMA_ENDPOINTS, PROVIDER_TYPES } from './lidarr-api.mjs';
+
+// Same placeholders and patterns as scripts/lib/e2e-sanitize.psm1
+const TEXT_PATTERNS = [
+  [/([?&](?:access_token|api_?key|apikey|token|auth|secret|password|bearer|refresh_token|client_secret|code))=([^\s&"']+)/gi, '$1=[REDACTED]'],
+  [/(authorization:\s*(?:bearer|basic)\s+)([^\s"']+)/gi, '$1[REDACTED]'],
+  [/("?x-api-key"?\s*[:=]\s*"?)([^\s"',}]+)/gi, '$1[REDACTED]'],
+  // Session cookies and Basic credentials in trace/HAR header lists
+  [/("name"\s*:\s*"(?:cookie|set-cookie|authorization)"\s*,\s*"value"\s*:\s*")((?:[^"\\]|\\.)*)/gi, '$1[REDACTED]'],
+  [/eyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '[JWT-REDACTED]'],
+  [/(?<![\d.])10\.\d{1,3}\.\d{1,3}\.\d{1,3}(?![\d])/g, '[PRIVATE-IP]'],
+  [/(?<![\d.])172\.(?:1[6-9]|2\d|3[01])\.\d{1,3}\.\d{1,3}(?![\d])/g, '[PRIVATE-IP]'],
+  [/(?<![\d.])192\.168\.\d{1,3}\.\d{1,3}(?![\d])/g, '[PRIVATE-IP]'],
+  [/(?<![\d.])169\.254\.\d{1,3}\.\d{1,3}(?![\d])/g, '[PRIVATE-IP]'],
+  [/(?<![\d.])127\.\d{1,3}\.\d{1,3}\.\d{1,3}(?![\d])/g, '[LOCALHOST]'],
+  [/host\.docker\.internal/gi, '[INTERNAL-HOST]'],
+  [/(?<![a-z0-9[])localhost(?![a-z0-9\]])/gi, '[LOCALHOST]'],
+  [/\[::1\]/g, '[LOCALHOST]'],
+  [/\[fe80:[0-9a-f:]+\]/gi, '[PRIVATE-IPv6]'],
+  [/\[f[cd][0-9a-f]{2}:[0-9a-f:]+\]/gi, '[PRIVATE-IPv6]']
+];
+
+// Object keys (and Lidarr field names) whose values are always secret
+const SENSITIVE_KEY = /password|passwd|secret|token|api[-_]?key|apikey|authorization|cookie|session|credential/i;
+
+// Entries of a Playwright trace that are text and may carry secrets. Network bodies are saved as
+// resources/<sha1>.<ext>, with .dat for any content type Playwright has no extension for, so a resource
+// is also redacted whatever its extension when its bytes are text; images (the page's own) pass through
+const TEXT_ENTRY = /\.(trace|network|stacks|json|html|css|js|txt|xml)$/i;
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function decodeText(data) {
+  if (data.includes(0)) return null;
+  try {
+    return utf8.decode(data);
+  } catch {
+    return null;
+  }
+}
+
+export function redactText(text, secrets = []) {
+  let result = String(text);
+  for (const secret of secrets) {
+    if (secret && secret.length >= 4) result = result.split(secret).join('[REDACTED]');
+  }
+  for (const [pattern, replacement] of TEXT_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+// Deep-redact JSON: sensitive keys, Lidarr { name, value } fields and every string value.
+// Everything below a sensitive key (e.g. a HAR "cookies" list) is redacted wholesale.
+export function redactValue(value, secrets = [], force = false) {
+  if (typeof value === 'string') return force && value ? '[REDACTED]' : redactText(value, secrets);
+  if (Array.isArray(value)) return value.map(v => redactValue(v, secrets, force));
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, v] of Object.entries(value)) {
+    const sensitive = force || SENSITIVE_KEY.test(key);
+    result[key] = sensitive && (typeof v === 'number' || (typeof v === 'string' && v))
+      ? '[REDACTED]'
+      : redactValue(v, secrets, sensitive);
+  }
+  // HAR headers/cookies and Lidarr fields are { name, value } lists
+  if (typeof result.name === 'string' && 'value' in result && SENSITIVE_KEY.test(result.name) && result.value) {
+    result.value = '[REDACTED]';
+  }
+  return result;
+}
+
+function walk(dir) {
+  return readdirSync(dir).flatMap(name => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory() ? walk(path) : [path];
+  });
+}
+
+// Rewrite the text entries of a Playwright trace zip with the secrets and patterns redacted
+export function redactTrace(data, secrets = []) {
+  return createZip(readZip(data).map(entry => {
+    const text = TEXT_ENTRY.test(entry.name) ? entry.data.toString('utf8')
+      : entry.name.startsWith('resources/') ? decodeText(entry.data) : null;
+    return text === null ? entry : { name: entry.name, data: redactText(text, secrets) };
+  }));
+}
+
+// mode: 'on-failure' (bundle only when something failed), 'always' or 'off'
+export function createDiagnostics({ dir, mode = 'on-failure', secrets = [], maskOptions = {} }) {
+  const runId = randomUUID().replace(/-/g, '');
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\..*$/, '');
+  const bundleDir = join(dir, `snap-diagnostics-${stamp}-${runId.slice(0, 12)}`);
+  const known = new Set(secrets.filter(Boolean));
+  const consoleLines = [];
+  const open = new Map();
+  const failures = [];
+
+  if (mode !== 'off') {
+    mkdirSync(join(bundleDir, 'failures'), { recursive: true });
+  }
+
+  const stampLine = (label, kind, text) => `${new Date().toISOString()} [${label}] ${kind}: ${text}`;
+
+  // Learn the API key the Lidarr UI embeds in the page and the values of secret-looking form fields,
+  // so they can be redacted from traces and DOM snapshots as literal strings too
+  async function harvestSecrets(page) {
+    const found = await page.evaluate((source) => {
+      const sensitive = new RegExp(source, 'i');
+      const values = [window.Lidarr?.apiKey];
+      for (const el of document.querySelectorAll('input')) {
+        if (el.type === 'password' || sensitive.test(el.name || el.id || '')) values.push(el.value);
+      }
+      return values.filter(Boolean);
+    }, SENSITIVE_KEY.source).catch(() => []);
+    found.forEach(value => known.add(value));
+  }
+
+  return {
+    enabled: mode !== 'off',
+    mode,
+    runId,
+    zipPath: `${bundleDir}.zip`,
+
+    addSecret(value) {
+      if (value) known.add(value);
+    },
+
+    // Called before each capture, while the form that is about to be shot is on screen
+    async harvest(page) {
+      if (mode !== 'off') await harvestSecrets(page);
+    },
+
+    // Options for browser.newContext(): network HAR per context (bodies omitted, headers redacted later)
+    contextOptions(label) {
+      if (mode === 'off') return {};
+      return { recordHar: { path: join(bundleDir, `network-${label}.har`), content: 'omit' } };
+    },
+
+    // Start tracing and console capture for a new context. The trace keeps DOM snapshots, whose text is
+    // redacted in the bundle, but no screencast frames: those are unmasked images of the config forms that
+    // no redaction reaches
+    async attach(context, label) {
+      if (mode === 'off') return;
+      open.set(context, label);
+      await context.tracing.start({ screenshots: false, snapshots: true, title: `snap ${label}` });
+      context.on('page', page => {
+        page.on('console', msg => consoleLines.push(stampLine(label, `console.${msg.type()}`, msg.text())));
+        page.on('pageerror', err => consoleLines.push(stampLine(label, 'pageerror', err?.stack || err?.message || String(err))));
+        page.on('requestfailed', req => consoleLines.push(stampLine(label, 'requestfailed', `${req.method()} ${req.url()} ${req.failure()?.errorText || ''}`)));
+        page.on('load', () => harvestSecrets(page));
+      });
+    },
+
+    // Stop tracing and close the context; the HAR is flushed on close
+    async closeContext(context) {
+      const label = open.get(context);
+      open.delete(context);
+      if (label) {
+        await context.tracing.stop({ path: join(bundleDir, `trace-${label}.zip`) }).catch(err => {
+          consoleLines.push(stampLine(label, 'diagnostics', `trace not saved: ${err?.message || err}`));
+        });
+      }
+      await context.close().catch(() => {});
+    },
+
+    async closeAll() {
+      for (const context of [...open.keys()]) {
+        await this.closeContext(context);
+      }
+    },
+
+    // DOM and (masked) screenshot at the point a shot failed. Returns bundle-relative paths.
+    async captureFailure(page, stem) {
+      if (mode === 'off') return [];
+      await harvestSecrets(page);
+      const base = join(bundleDir, 'failures', stem);
+      const saved = [];
+      const html = await page.evaluate(() => {
+        // Serialize with live form values, minus anything a password field holds
+        const clone = document.documentElement.cloneNode(true);
+        const live = document.querySelectorAll('input, textarea, select');
+        clone.querySelectorAll('input, textarea, select').forEach((el, i) => {
+          const source = live[i];
+          if (!source) return;
+          const secret = source.type === 'password';
+          if (el.tagName === 'TEXTAREA') el.textContent = secret ? '' : source.value;
+          else if (el.tagName !== 'SELECT') el.setAttribute('value', secret ? '' : source.value);
+        });
+        clone.querySelectorAll('script').forEach(s => s.remove());
+        return `<!-- ${location.href} -->\n${clone.outerHTML}`;
+      }).catch(() => null);
+      if (html !== null) {
+        writeFileSync(`${base}.html`, html);
+        saved.push(`failures/${stem}.html`);
+      }
+      const shot = await maskedScreenshot(page, { path: `${base}.png`, fullPage: true }, maskOptions).catch(() => null);
+      if (shot) saved.push(`failures/${stem}.png`);
+      failures.push({ stem, url: page.url(), files: saved });
+      return saved;
+    },
+
+    // Write API state and the manifests (keyed by plugin name), redact every file, zip the folder and remove it.
+    // A single plugin's manifest is run-manifest.json; with several each is run-manifest.<plugin>.json.
+    // Returns the zip path.
+    async bundle({ manifests, api = null, types = [] }) {
+      if (mode === 'off') return null;
+      await this.closeAll();
+      const secrets = [...known];
+      const writeJson = (name, data) => writeFileSync(join(bundleDir, name), JSON.stringify(redactValue(data, secrets), null, 2));
+
+      const plugins = Object.keys(manifests);
+      for (const plugin of plugins) {
+        writeJson(plugins.length === 1 ? 'run-manifest.json' : `run-manifest.${plugin}.json`, manifests[plugin]);
+      }
+      writeFileSync(join(bundleDir, 'console.log'), redactText(consoleLines.join('\n') + '\n', secrets));
+
+      if (api) {
+        const sources = [
+          ['system-status.json', 'system/status'],
+          ['plugins.json', 'system/plugins'],
+          ['delay-profiles.json', 'delayprofile'],
+          ...[...new Set(types.map(type => SCHEMA_ENDPOINTS[type] || PROVIDER_TYPES[type]).filter(Boolean))]
+            .flatMap(kind => [[`${kind}-schemas.json`, `${kind}/schema`], [`configured-${kind}s.json`, kind]]),
+          // Named and written whatever the --type, as docs/DIAGNOSTICS_BUNDLE_CONTRACT.md lists it for grab failures
+          ['queue-state.json', 'queue?page=1&pageSize=100']
+        ];
+        for (const [file, endpoint] of sources) {
+          try {
+            writeJson(file, await api.get(endpoint));
+          } catch (err) {
+            consoleLines.push(stampLine('bundle', 'api', `${endpoint}: ${err?.message || err}`));
+          }
+        }
+      }
+
+      const entries = [];
+      const folder = relative(join(bundleDir, '..'), bundleDir);
+      for (const path of walk(bundleDir)) {
+        const name = relative(bundleDir, path).replace(/\\/g, '/');
+        let data = readFileSync(path);
+        if (name.startsWith('trace-') && name.endsWith('.zip')) {
+          // Traces hold request headers, network bodies and DOM snapshots
+          data = redactTrace(data, secrets);
+        } else if (name.endsWith('.har')) {
+          data = JSON.stringify(redactValue(JSON.parse(data.toString('utf8')), secrets), null, 2);
+        } else if (name.endsWith('.html')) {
+          data = redactText(data.toString('utf8'), secrets);
+        }
+        entries.push({ name: `${folder}/${name}`, data });
+      }
+
+      writeFileSync(this.zipPath, createZip(entries));
+      rmSync(bundleDir, { recursive: true, force: true });
+      return this.zipPath;
+    },
+
+    // Drop the recordings of a run that needs no bundle
+    discard() {
+      if (existsSync(bundleDir)) rmSync(bundleDir, { recursive: true, force: true });
+    },
+
+    failures
+  };
+}
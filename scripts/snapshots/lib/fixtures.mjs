@@ -0,0 +1,106 @@
+// Config form fixtures (--fixtures): values to fill a plugin's config modal with before its Test button is
+// pressed, per type and per named set, plus a local stub for the plugin's upstream API so the test runs offline.
+//
+//   { "stub": { "routes": [
+//       { "path": "/api", "body": { "ok": true } },
+//       { "path": "/api/rejected", "status": 401, "body": { "error": "Invalid credentials" } }
+//     ] },
+//     "indexer": {
+//       "valid": { "baseUrl": "{{stubUrl}}/api", "email": "listener@example.invalid", "password": "fixture-password" },
+//       "invalid": { "baseUrl": "{{stubUrl}}/api/rejected" }
+//   } }
+//
+// Keys are field names (the input's name, i.e. the schema field) or labels. {{stubUrl}} is the stub's address.
+// A set is filled over what the form already shows, so "invalid" only names the fields it breaks.
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const LOOPBACK = ['127.0.0.1', 'localhost', '::1'];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateStub(stub, source) {
+  if (!isObject(stub)) throw new Error(`${source}: "stub" must be an object`);
+  if (stub.host !== undefined && (typeof stub.host !== 'string' || !stub.host.trim())) {
+    throw new Error(`${source}: stub "host" must be a host name or address`);
+  }
+  if (stub.port !== undefined && !(Number.isInteger(stub.port) && stub.port >= 0 && stub.port <= 65535)) {
+    throw new Error(`${source}: stub "port" must be a port number (0 picks a free one)`);
+  }
+  if (stub.routes !== undefined && !Array.isArray(stub.routes)) {
+    throw new Error(`${source}: stub "routes" must be a list`);
+  }
+  (stub.routes || []).forEach((route, i) => {
+    if (typeof route?.path !== 'string' || !route.path.startsWith('/')) {
+      throw new Error(`${source}: stub route ${i + 1} needs a "path" starting with "/"`);
+    }
+    if (route.status !== undefined && !(Number.isInteger(route.status) && route.status >= 100 && route.status <= 599)) {
+      throw new Error(`${source}: stub route ${i + 1} has an invalid status "${route.status}"`);
+    }
+  });
+}
+
+// Check a parsed fixture file. Throws with the source and the offending entry.
+export function validateFixtures(data, source = 'fixtures') {
+  if (!isObject(data)) throw new Error(`${source}: expected an object keyed by type`);
+  const { stub, ...types } = data;
+  if (stub !== undefined) validateStub(stub, source);
+  for (const [type, sets] of Object.entries(types)) {
+    if (!isObject(sets) || Object.keys(sets).length === 0) {
+      throw new Error(`${source}: "${type}" must name at least one set of values, e.g. "valid" and "invalid"`);
+    }
+    for (const [set, values] of Object.entries(sets)) {
+      if (!isObject(values)) throw new Error(`${source}: ${type} > ${set} must be an object of field values`);
+      for (const [field, value] of Object.entries(values)) {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          throw new Error(`${source}: ${type} > ${set} > ${field} must be text, a number or true/false`);
+        }
+      }
+    }
+  }
+  return data;
+}
+
+// A fixture file path, or fixtures built in code
+export function loadFixtures(entry) {
+  if (typeof entry !== 'string') return validateFixtures(entry);
+  let data;
+  try {
+    data = JSON.parse(readFileSync(entry, 'utf8'));
+  } catch (err) {
+    throw new Error(`${entry}: ${err.message}`);
+  }
+  return validateFixtures(data, entry);
+}
+
+// Start the stub for a fixture file's "stub" block. A request gets the route with the longest path that
+// prefixes its own; without routes every request gets 200 {}. Lidarr must reach the stub: host is the address
+// it is given as (e.g. host.docker.internal for Lidarr in a container), and a host other than loopback
+// makes the stub listen on every interface. Resolves with { url, requests, close }; requests logs
+// "METHOD /path status" per request.
+export async function startStub({ host = '127.0.0.1', port = 0, routes = [] } = {}) {
+  const byLength = [...routes].sort((a, b) => b.path.length - a.path.length);
+  const requests = [];
+  const server = createServer((req, res) => {
+    const path = new URL(req.url, 'http://stub').pathname;
+    const route = routes.length
+      ? byLength.find(r => path === r.path || path.startsWith(r.path.endsWith('/') ? r.path : `${r.path}/`))
+      : { status: 200, body: {} };
+    const status = route ? route.status ?? 200 : 404;
+    requests.push(`${req.method} ${path} ${status}`);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(route ? route.body ?? {} : { error: `no stub route for ${path}` }));
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host === 'localhost' ? '127.0.0.1' : LOOPBACK.includes(host) ? host : '0.0.0.0', resolve);
+  });
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
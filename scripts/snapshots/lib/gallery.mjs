@@ -0,0 +1,319 @@
+// Markdown from the shots a run actually produced: a gallery page per plugin, and in-place updates of
+// marked regions in existing docs (a plugin README, wiki pages) so their image references, captions and
+// "captured against Lidarr X" notes always match the last capture.
+//
+// A marked region is everything between an opening and a closing comment; the comments stay in place:
+//
+//   <!-- snap:gallery -->  ...  <!-- /snap:gallery -->                every captured shot with its caption
+//   <!-- snap:shot indexer-config -->  ...  <!-- /snap:shot -->       one shot with its caption
+//   <!-- snap:table -->  ...  <!-- /snap:table -->                    table of the captured shots
+//   <!-- snap:captured -->  ...  <!-- /snap:captured -->              the "Captured against Lidarr X" note
+//
+// plugin=NAME picks the plugin (needed when a run captures several), variant=SUFFIX a matrix variant
+// and locale=CODE a --locales locale (default: the first one captured). Regions whose shot was not
+// captured are left as they are.
+
+import { existsSync, readFileSync, readdirSync, statSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, extname, join, relative, sep } from 'node:path';
+
+export const REGION_KINDS = ['gallery', 'shot', 'table', 'captured'];
+const REGION_ATTRIBUTES = ['plugin', 'variant', 'locale'];
+
+const MARKER = /<!--\s*(\/?)snap:([\w-]+)([^>]*?)\s*-->/g;
+
+// What a gallery is built from: one plugin's manifest (snap-manifest.json contents) reduced to its
+// versions and its shots in capture order, each with the images saved per locale and variant (and their thumbnails)
+export function gallerySource(manifest) {
+  const preflight = manifest.results.find(r => r.kind === 'setup' && r.name === 'preflight');
+  const plugin = manifest.request.plugin;
+  const shots = [];
+  const byName = new Map();
+  for (const result of manifest.results) {
+    if (result.kind !== 'shot') continue;
+    let shot = byName.get(result.name);
+    if (!shot) {
+      shot = { name: result.name, title: null, alt: null, images: [], errorCode: null };
+      byName.set(result.name, shot);
+      shots.push(shot);
+    }
+    if (result.outcome === 'success' && result.file) {
+      const thumbnail = (result.outputs || []).find(output => output.kind === 'thumbnail')?.file || null;
+      shot.images.push({ locale: result.locale || null, variant: result.variant || null, file: result.file, thumbnail });
+      shot.title ??= result.title;
+      shot.alt ??= result.alt;
+    } else {
+      shot.errorCode = result.errorCode;
+    }
+  }
+  for (const shot of shots) {
+    shot.title ||= titleFromName(shot.name);
+    shot.alt ||= `${plugin}: ${shot.title}`;
+  }
+  return {
+    plugin,
+    pluginVersion: preflight?.details.pluginVersion || null,
+    lidarrVersion: manifest.lidarr?.version || null,
+    capturedAt: manifest.timestamp,
+    shots
+  };
+}
+
+// "indexer-config" -> "Indexer config"
+function titleFromName(name) {
+  const words = name.replace(/[-_.]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// "captured against Lidarr 2.14.0.4650 with Tidalarr 1.0.0"
+export function capturedAgainst(source) {
+  const lidarr = source.lidarrVersion ? `Lidarr ${source.lidarrVersion}` : 'an unknown Lidarr version';
+  return `captured against ${lidarr}${source.pluginVersion ? ` with ${source.plugin} ${source.pluginVersion}` : ''}`;
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const escapeAlt = (text) => text.replace(/\s+/g, ' ').replace(/[[\]]/g, '\\$&');
+const escapeCell = (text) => text.replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+const toPosix = (path) => path.split(sep).join('/');
+
+// Image reference as seen from a markdown file in dir: relative to it, or under imageBase (a URL the
+// output directory root is published at, for wikis and pages that do not live next to the images)
+function imageRef(file, dir, { imageBase = null, root = '.' }) {
+  const path = imageBase
+    ? `${imageBase.replace(/\/+$/, '')}/${toPosix(relative(root, file))}`
+    : toPosix(relative(dir, file));
+  return encodeURI(path);
+}
+
+// The image, or its thumbnail linking to the full-size image when the run made thumbnails
+function image(shot, entry, dir, options) {
+  if (!entry.thumbnail) {
+    return `![${escapeAlt(shot.alt)}](${imageRef(entry.file, dir, options)})`;
+  }
+  return `[![${escapeAlt(shot.alt)}](${imageRef(entry.thumbnail, dir, options)})](${imageRef(entry.file, dir, options)})`;
+}
+
+// The shot's image for a region's variant and locale; either left out means the first one captured
+function pickImage(shot, { variant = null, locale = null }) {
+  return shot.images.find(i => (!variant || i.variant === variant) && (!locale || i.locale === locale));
+}
+
+// "de dark.1440": the locale and variant a region or an image is for, '' for neither
+const imageLabel = ({ locale = null, variant = null }) => [locale, variant].filter(Boolean).join(' ');
+
+// The gallery page: every captured shot under its title, every locale and variant of it, and the shots that failed
+export function renderGallery(source, { path, imageBase = null, root = '.' }) {
+  const dir = dirname(path);
+  const options = { imageBase, root };
+  const captured = source.shots.filter(s => s.images.length);
+  const missing = source.shots.filter(s => !s.images.length);
+  const lines = [
+    '<!-- Generated by snap.mjs from snap-manifest.json; re-run the capture instead of editing this file. -->',
+    `# ${source.plugin} screenshots`,
+    '',
+    `${capitalize(capturedAgainst(source))} on ${source.capturedAt.slice(0, 10)}.`
+  ];
+  for (const shot of captured) {
+    lines.push('', `## ${shot.title}`);
+    for (const entry of shot.images) {
+      lines.push('', image(shot, entry, dir, options));
+      if (imageLabel(entry)) lines.push('', `*${imageLabel(entry)}*`);
+    }
+  }
+  if (missing.length) {
+    lines.push('', `Not captured in this run: ${missing.map(s => `\`${s.name}\`${s.errorCode ? ` (${s.errorCode})` : ''}`).join(', ')}.`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Write the gallery page; returns its path
+export function writeGallery(source, { path, imageBase = null, root = '.' }) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, renderGallery(source, { path, imageBase, root }));
+  return path;
+}
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+// The text with fenced code blocks and inline code blanked out (same length), so docs can show
+// the markers as examples without them being taken for regions
+function blankCode(text) {
+  let fence = null;
+  return text.split('\n').map(line => {
+    const opening = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      if (opening && opening[1][0] === fence[0] && opening[1].length >= fence.length) fence = null;
+      return ' '.repeat(line.length);
+    }
+    if (opening) {
+      fence = opening[1];
+      return ' '.repeat(line.length);
+    }
+    return line.replace(/`[^`]*`/g, code => ' '.repeat(code.length));
+  }).join('\n');
+}
+
+// The marked regions of a markdown text, in order, as
+//   { kind, shot, plugin, variant, locale, line, label, start, end }
+// where start/end delimit the content between the markers. Throws on unknown, nested or unclosed markers.
+export function findRegions(text) {
+  const regions = [];
+  let open = null;
+  for (const match of blankCode(text).matchAll(MARKER)) {
+    const [marker, closing, kind, rest] = match;
+    const line = lineAt(text, match.index);
+    if (!REGION_KINDS.includes(kind)) {
+      throw new Error(`line ${line}: unknown marker "snap:${kind}" (expected one of: ${REGION_KINDS.join(', ')})`);
+    }
+    if (closing) {
+      if (!open || open.kind !== kind) {
+        throw new Error(`line ${line}: "${marker}" closes no open snap:${kind} region`);
+      }
+      open.end = match.index;
+      regions.push(open);
+      open = null;
+      continue;
+    }
+    if (open) {
+      throw new Error(`line ${line}: snap:${kind} opens inside the snap:${open.kind} region of line ${open.line}`);
+    }
+    const region = { kind, shot: null, plugin: null, variant: null, locale: null, line, label: `snap:${kind}`, start: match.index + marker.length, end: null };
+    const words = rest.trim().split(/\s+/).filter(Boolean);
+    for (const word of words) {
+      const [key, ...value] = word.split('=');
+      if (value.length) {
+        if (!REGION_ATTRIBUTES.includes(key)) {
+          throw new Error(`line ${line}: unknown attribute "${key}" (expected ${REGION_ATTRIBUTES.slice(0, -1).join(', ')} or ${REGION_ATTRIBUTES.at(-1)})`);
+        }
+        region[key] = value.join('=').replace(/^["']|["']$/g, '');
+      } else if (kind === 'shot' && !region.shot) {
+        region.shot = word;
+      } else {
+        throw new Error(`line ${line}: unexpected "${word}" in snap:${kind}`);
+      }
+    }
+    if (kind === 'shot' && !region.shot) {
+      throw new Error(`line ${line}: snap:shot needs a shot name, e.g. <!-- snap:shot indexer-config -->`);
+    }
+    region.label = [region.label, region.shot, region.plugin && `plugin=${region.plugin}`, region.variant && `variant=${region.variant}`,
+      region.locale && `locale=${region.locale}`]
+      .filter(Boolean).join(' ');
+    open = region;
+  }
+  if (open) {
+    throw new Error(`line ${open.line}: snap:${open.kind} is never closed with <!-- /snap:${open.kind} -->`);
+  }
+  return regions;
+}
+
+// The plugin a region belongs to; throws when it names no plugin of the run, or names none when the run has several
+function regionPlugin(region, plugins) {
+  if (region.plugin) {
+    const name = plugins.find(p => p.toLowerCase() === region.plugin.toLowerCase());
+    if (!name) throw new Error(`line ${region.line}: plugin=${region.plugin} is not captured in this run (${plugins.join(', ')})`);
+    return name;
+  }
+  if (plugins.length > 1) {
+    throw new Error(`line ${region.line}: ${region.label} needs plugin=NAME when several plugins are captured`);
+  }
+  return plugins[0];
+}
+
+// Markdown files to update: files as given, directories searched for .md files with markers.
+// Checks every marker against the run's plugin names up front, so a typo fails before the capture.
+export function findDocs(paths, plugins) {
+  const files = [];
+  for (const path of paths) {
+    if (!existsSync(path)) throw new Error(`${path}: file not found`);
+    const directory = statSync(path).isDirectory();
+    const found = [];
+    for (const file of directory ? markdownFiles(path) : [path]) {
+      try {
+        const regions = findRegions(readFileSync(file, 'utf8'));
+        regions.forEach(region => regionPlugin(region, plugins));
+        if (regions.length) found.push(file);
+        else if (!directory) throw new Error('has no snap: markers');
+      } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+      }
+    }
+    if (found.length === 0 && directory) throw new Error(`${path}: no .md file in it has snap: markers`);
+    files.push(...found);
+  }
+  return [...new Set(files)];
+}
+
+function markdownFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name.startsWith('.') || entry.name === 'node_modules' ? [] : markdownFiles(path);
+    return extname(entry.name).toLowerCase() === '.md' ? [path] : [];
+  }).sort();
+}
+
+// New content for one region, or { stale } with the reason it cannot be filled from this run
+function renderRegion(region, source, dir, options) {
+  const captured = source.shots.filter(s => pickImage(s, region));
+  if (region.kind === 'shot') {
+    const shot = source.shots.find(s => s.name === region.shot);
+    const entry = shot && pickImage(shot, region);
+    if (!entry) {
+      return { stale: `${region.locale ? `${region.locale}/` : ''}${region.shot}${region.variant ? `.${region.variant}` : ''} was not captured${shot?.errorCode ? ` (${shot.errorCode})` : ''}` };
+    }
+    return { content: `${image(shot, entry, dir, options)}\n\n*${shot.title}* (${capturedAgainst(source)})` };
+  }
+  if (captured.length === 0) {
+    return { stale: `no ${source.plugin} shot was captured${imageLabel(region) ? ` in ${imageLabel(region)}` : ''}` };
+  }
+  if (region.kind === 'captured') {
+    return { content: `_${capitalize(capturedAgainst(source))}._` };
+  }
+  if (region.kind === 'table') {
+    return {
+      content: [
+        '| Screenshot | Shows |',
+        '|------------|-------|',
+        ...captured.map(shot => `| [${escapeCell(shot.title)}](${imageRef(pickImage(shot, region).file, dir, options)}) | ${escapeCell(shot.alt)} |`)
+      ].join('\n')
+    };
+  }
+  return {
+    content: [
+      ...captured.map(shot => `${image(shot, pickImage(shot, region), dir, options)}\n\n*${shot.title}*`),
+      `_${capitalize(capturedAgainst(source))}._`
+    ].join('\n\n')
+  };
+}
+
+// Rewrite the marked regions of one markdown file from the run's gallery sources. The file is only
+// written when something changed. Returns { file, regions, updated, stale: [{ region, line, reason }] };
+// throws when the markers are malformed, leaving the file untouched.
+export function updateDoc(file, sources, { imageBase = null, root = '.' } = {}) {
+  const text = readFileSync(file, 'utf8');
+  const regions = findRegions(text);
+  const plugins = sources.map(s => s.plugin);
+  const dir = dirname(file);
+  const stale = [];
+  let output = '';
+  let position = 0;
+  for (const region of regions) {
+    output += text.slice(position, region.start);
+    position = region.end;
+    let result;
+    try {
+      const plugin = regionPlugin(region, plugins);
+      result = renderRegion(region, sources.find(s => s.plugin === plugin), dir, { imageBase, root });
+    } catch (err) {
+      result = { stale: err.message.replace(/^line \d+: /, '') };
+    }
+    if (result.stale) {
+      stale.push({ region: region.label, line: region.line, reason: result.stale });
+      output += text.slice(region.start, region.end);
+    } else {
+      output += `\n${result.content}\n`;
+    }
+  }
+  output += text.slice(position);
+  const updated = output !== text;
+  if (updated) writeFileSync(file, output);
+  return { file, regions: regions.length, updated, stale };
+}
@@ -0,0 +1,144 @@
+// Thin Lidarr REST client used to prepare an instance before UI capture.
+// Uses the global fetch (Node 18+) so snap.mjs keeps Playwright as its only dependency.
+
+import { readFileSync, existsSync } from 'node:fs';
+
+// Provider kinds as named by the REST API, keyed by snap.mjs --type
+export const SCHEMA_ENDPOINTS = {
+  'indexer': 'indexer',
+  'download-client': 'downloadclient',
+  'import-list': 'importlist',
+  'notification': 'notification',
+  'metadata': 'metadata'
+};
+
+// Types whose shots show rows produced by one of the plugin's configured providers rather than a settings page
+export const PROVIDER_TYPES = {
+  'interactive-search': 'indexer',
+  'queue': 'downloadclient'
+};
+
+export class LidarrApiError extends Error {
+  constructor(message, { status = null, endpoint = null } = {}) {
+    super(message);
+    this.name = 'LidarrApiError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.details = { endpoint, httpStatus: status };
+  }
+}
+
+// Read <ApiKey> from a Lidarr config.xml (e.g. the container's /config volume mounted on the runner)
+export function readApiKeyFromConfigXml(path) {
+  if (!path || !existsSync(path)) return null;
+  const match = readFileSync(path, 'utf8').match(/<ApiKey>\s*([^<\s]+)\s*<\/ApiKey>/i);
+  return match ? match[1] : null;
+}
+
+// Resolve the API key from an explicit value, $LIDARR_API_KEY, or a config.xml path
+export function resolveApiKey({ apiKey, configXml } = {}) {
+  return apiKey || process.env.LIDARR_API_KEY || readApiKeyFromConfigXml(configXml || process.env.LIDARR_CONFIG_XML) || null;
+}
+
+export function createLidarrClient({ baseUrl, apiKey, timeoutMs = 15_000 }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const endpoint = `/api/v1/${path.replace(/^\/+/, '')}`;
+    let res;
+    try {
+      res = await fetch(`${root}${endpoint}`, {
+        method,
+        headers: {
+          ...(apiKey ? { 'X-Api-Key': apiKey } : {}),
+          'Accept': 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      throw new LidarrApiError(`${method} ${endpoint} failed: ${err?.cause?.code || err?.cause?.message || err?.message || err}`, { endpoint });
+    }
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new LidarrApiError(`${method} ${endpoint} returned ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`, {
+        status: res.status,
+        endpoint
+      });
+    }
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    baseUrl: root,
+    get: (path) => request('GET', path),
+    post: (path, body) => request('POST', path, body),
+    put: (path, body) => request('PUT', path, body),
+    delete: (path) => request('DELETE', path)
+  };
+}
+
+// True when a schema entry belongs to the plugin (matched on implementation or display name)
+export function schemaMatchesPlugin(entry, pluginName) {
+  const needle = pluginName.toLowerCase();
+  return [entry.implementation, entry.implementationName, entry.name]
+    .some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+// Find the download protocols the plugin's indexer/download client schemas declare
+export async function findPluginProtocols(client, pluginName, types) {
+  const protocols = new Set();
+  const endpoints = new Set(types.map(type => SCHEMA_ENDPOINTS[type] || PROVIDER_TYPES[type]));
+  for (const endpoint of ['indexer', 'downloadclient']) {
+    if (!endpoints.has(endpoint)) continue;
+    const schema = await client.get(`${endpoint}/schema`);
+    for (const entry of schema || []) {
+      if (schemaMatchesPlugin(entry, pluginName) && entry.protocol && typeof entry.protocol === 'string') {
+        protocols.add(entry.protocol);
+      }
+    }
+  }
+  return [...protocols];
+}
+
+// Allow the given protocols in every untagged (default) delay profile.
+// Requires the plugins-branch resource shape where protocols are listed under `items`;
+// release builds only expose enableUsenet/enableTorrent and cannot host plugin protocols.
+// dryRun leaves Lidarr as it is; changedProfileIds then lists the profiles an update would change.
+export async function enableProtocolsInDelayProfiles(client, protocols, { dryRun = false } = {}) {
+  const profiles = await client.get('delayprofile');
+  const targets = (profiles || []).filter(p => !p.tags || p.tags.length === 0);
+  if (targets.length === 0) {
+    throw new LidarrApiError('No default (untagged) delay profile found', { endpoint: '/api/v1/delayprofile' });
+  }
+
+  const changed = [];
+  for (const profile of targets) {
+    if (!Array.isArray(profile.items)) {
+      throw new LidarrApiError('Delay profile has no protocol items; this Lidarr build does not support plugin protocols', {
+        endpoint: `/api/v1/delayprofile/${profile.id}`
+      });
+    }
+    let dirty = false;
+    for (const protocol of protocols) {
+      const item = profile.items.find(i => i.protocol === protocol);
+      if (!item) {
+        profile.items.push({ name: protocol.replace(/DownloadProtocol$/, ''), protocol, allowed: true });
+        dirty = true;
+      } else if (!item.allowed) {
+        item.allowed = true;
+        dirty = true;
+      }
+    }
+    if (dirty) {
+      if (!dryRun) await client.put(`delayprofile/${profile.id}`, profile);
+      changed.push(profile.id);
+    }
+  }
+
+  // Display names let the UI fallback find the right checkbox label
+  const labels = targets.flatMap(p => p.items.filter(i => protocols.includes(i.protocol)).map(i => i.name));
+  return { profileIds: targets.map(p => p.id), changedProfileIds: changed, labels: [...new Set(labels)] };
+}
@@ -0,0 +1,145 @@
+// Lidarr UI languages for --locales, and the UI text the helpers in lib/ui.mjs match. Lidarr keeps its
+// UI language in /config/ui (uiLanguage, a language id from /language) and serves the strings of the
+// current one at /localization, so the text tables come from Lidarr itself rather than from a copy here.
+//
+// --locales takes locale codes ("en,de,pt-BR"); each names the folder its shots are written to.
+
+import { ErrorCodes, SnapError } from './manifest.mjs';
+
+// Locale code -> Lidarr language names it may be listed under
+export const LOCALE_LANGUAGES = Object.freeze({
+  'ar': ['Arabic'],
+  'bg': ['Bulgarian'],
+  'ca': ['Catalan'],
+  'cs': ['Czech'],
+  'da': ['Danish'],
+  'de': ['German'],
+  'el': ['Greek'],
+  'en': ['English'],
+  'es': ['Spanish'],
+  'fi': ['Finnish'],
+  'fr': ['French'],
+  'he': ['Hebrew'],
+  'hi': ['Hindi'],
+  'hu': ['Hungarian'],
+  'is': ['Icelandic'],
+  'it': ['Italian'],
+  'ja': ['Japanese'],
+  'ko': ['Korean'],
+  'lt': ['Lithuanian'],
+  'nb': ['Norwegian', 'Norwegian Bokmal'],
+  'nl': ['Dutch'],
+  'pl': ['Polish'],
+  'pt': ['Portuguese'],
+  'pt-BR': ['Portuguese (Brazil)', 'Brazilian Portuguese', 'PortugueseBR'],
+  'ro': ['Romanian'],
+  'ru': ['Russian'],
+  'sk': ['Slovak'],
+  'sv': ['Swedish'],
+  'th': ['Thai'],
+  'tr': ['Turkish'],
+  'uk': ['Ukrainian'],
+  'vi': ['Vietnamese'],
+  'zh-CN': ['Chinese', 'Chinese (Simplified)', 'Chinese Simplified']
+});
+
+// UI text the helpers match, by the Lidarr localization key it is translated under
+export const UI_TEXT_KEYS = Object.freeze({
+  add: 'Add',
+  save: 'Save',
+  test: 'Test',
+  settings: 'Settings',
+  showAdvanced: 'ShowAdvanced',
+  hideAdvanced: 'HideAdvanced',
+  delayProfile: 'DelayProfile',
+  delayProfiles: 'DelayProfiles',
+  interactiveSearch: 'InteractiveSearch',
+  noResults: 'NoResultsFound'
+});
+
+// What the helpers match when Lidarr's strings cannot be read
+export const ENGLISH_UI_TEXT = Object.freeze({
+  add: 'Add',
+  save: 'Save',
+  test: 'Test',
+  settings: 'Settings',
+  showAdvanced: 'Show Advanced',
+  hideAdvanced: 'Hide Advanced',
+  delayProfile: 'Delay Profile',
+  delayProfiles: 'Delay Profiles',
+  interactiveSearch: 'Interactive Search',
+  noResults: 'No results found'
+});
+
+const normalize = (name) => String(name ?? '').toLowerCase().replace(/[^a-z]/g, '');
+
+// Parse a --locales value into locale codes, spelled as LOCALE_LANGUAGES spells them
+export function parseLocales(spec) {
+  const codes = (Array.isArray(spec) ? spec : String(spec ?? '').split(','))
+    .map(code => String(code).trim())
+    .filter(Boolean);
+  const known = Object.keys(LOCALE_LANGUAGES);
+  const locales = [];
+  for (const code of codes) {
+    const locale = known.find(k => k.toLowerCase() === code.toLowerCase().replace('_', '-'));
+    if (!locale) {
+      throw new Error(`unknown locale "${code}" (expected one of: ${known.join(', ')})`);
+    }
+    if (locales.includes(locale)) {
+      throw new Error(`locale "${locale}" is listed twice`);
+    }
+    locales.push(locale);
+  }
+  if (locales.length === 0) {
+    throw new Error('no locale given');
+  }
+  return locales;
+}
+
+// The UI text table from Lidarr's localization strings (the /localization response or its Strings);
+// anything Lidarr does not translate stays English
+export function uiText(strings = {}) {
+  const table = strings?.Strings ?? strings?.strings ?? strings ?? {};
+  return Object.fromEntries(Object.entries(UI_TEXT_KEYS).map(([role, key]) => {
+    const text = typeof table[key] === 'string' ? table[key].trim() : '';
+    return [role, text || ENGLISH_UI_TEXT[role]];
+  }));
+}
+
+// Matches the text anywhere in an element, ignoring case and how the words are spaced
+export function textPattern(text) {
+  const words = String(text).trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(words.join('\\s*'), 'i');
+}
+
+// The UI text of Lidarr's current UI language
+export async function fetchUiText(client) {
+  return uiText(await client.get('localization'));
+}
+
+// Switch Lidarr's UI language to the locale through the API. The UI only picks it up when it loads,
+// so pages open before the switch must be reloaded. Resolves with { locale, language, languageId, changed };
+// with dryRun nothing is changed, and changed says whether the switch would change the setting.
+export async function setUiLanguage(client, locale, { dryRun = false } = {}) {
+  if (!client) {
+    throw new SnapError(ErrorCodes.LOCALE_NOT_SET, `Switching the UI language to ${locale} needs API access`, {
+      locale,
+      suggestion: 'Pass --api-key or --config-xml; the key the Lidarr UI embeds in its page could not be read'
+    });
+  }
+  const languages = (await client.get('language')) || [];
+  const names = (LOCALE_LANGUAGES[locale] || [locale]).map(normalize);
+  const language = languages.find(l => names.includes(normalize(l.name)));
+  if (!language) {
+    throw new SnapError(ErrorCodes.LOCALE_NOT_SET, `Lidarr has no UI language for ${locale}`, {
+      locale,
+      languages: languages.map(l => l.name)
+    });
+  }
+  const ui = await client.get('config/ui');
+  const changed = ui.uiLanguage !== language.id;
+  if (changed && !dryRun) {
+    await client.put('config/ui', { ...ui, uiLanguage: language.id });
+  }
+  return { locale, language: language.name, languageId: language.id, changed };
+}
@@ -0,0 +1,215 @@
+// Structured run manifest (snap-manifest.json) and error codes for snap.mjs.
+// Mirrors the shape of the E2E runner's run-manifest.json so the same triage
+// tooling can read both; codes are documented in docs/SNAPSHOT_ERROR_CODES.md.
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+export const SCHEMA_ID = 'richer-tunes.lidarr.snap-manifest';
+export const SCHEMA_VERSION = '1.0';
+
+export const ErrorCodes = Object.freeze({
+  LIDARR_UNREACHABLE: 'SNAP_LIDARR_UNREACHABLE',
+  AUTH_MISSING: 'SNAP_AUTH_MISSING',
+  AUTH_FAILED: 'SNAP_AUTH_FAILED',
+  ADD_BUTTON_NOT_FOUND: 'SNAP_ADD_BUTTON_NOT_FOUND',
+  MODAL_NOT_OPENED: 'SNAP_MODAL_NOT_OPENED',
+  PLUGIN_CARD_NOT_FOUND: 'SNAP_PLUGIN_CARD_NOT_FOUND',
+  PLUGIN_NOT_LOADED: 'SNAP_PLUGIN_NOT_LOADED',
+  SCHEMA_MISSING_IMPLEMENTATION: 'SNAP_SCHEMA_MISSING_IMPLEMENTATION',
+  PLUGIN_UNVERIFIED: 'SNAP_PLUGIN_UNVERIFIED',
+  PROTOCOL_NOT_ENABLED: 'SNAP_PROTOCOL_NOT_ENABLED',
+  SEED_FAILED: 'SNAP_SEED_FAILED',
+  API_ERROR: 'SNAP_API_ERROR',
+  ASSERTION_FAILED: 'SNAP_ASSERTION_FAILED',
+  KNOWN_BAD_STATE: 'SNAP_KNOWN_BAD_STATE',
+  SCREENSHOT_FAILED: 'SNAP_SCREENSHOT_FAILED',
+  TIMEOUT: 'SNAP_TIMEOUT',
+  REQUIRED_SHOT_MISSING: 'SNAP_REQUIRED_SHOT_MISSING',
+  FIELD_NOT_FOUND: 'SNAP_FIELD_NOT_FOUND',
+  TEST_RESULT_UNEXPECTED: 'SNAP_TEST_RESULT_UNEXPECTED',
+  VALIDATION_MESSAGE_INVALID: 'SNAP_VALIDATION_MESSAGE_INVALID',
+  LOCALE_NOT_SET: 'SNAP_LOCALE_NOT_SET',
+  RESTORE_FAILED: 'SNAP_RESTORE_FAILED',
+  ABORTED: 'SNAP_ABORTED',
+  INTERNAL_ERROR: 'SNAP_INTERNAL_ERROR'
+});
+
+// Error thrown by capture steps when the failure cause is known.
+export class SnapError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SnapError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Map any thrown value to an error code. Playwright errors are classified by name/message
+// because they do not carry stable codes of their own.
+export function classifyError(err) {
+  if (err instanceof SnapError) return err.code;
+  if (err?.name === 'LidarrApiError') return ErrorCodes.API_ERROR;
+  const message = String(err?.message || err);
+  if (/net::ERR_|ECONNREFUSED|ENOTFOUND|EHOSTUNREACH/.test(message)) return ErrorCodes.LIDARR_UNREACHABLE;
+  if (err?.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(message)) return ErrorCodes.TIMEOUT;
+  return ErrorCodes.INTERNAL_ERROR;
+}
+
+// First line of an error message only; Playwright appends multi-line call logs.
+export function errorSummary(err) {
+  return String(err?.message || err).split('\n')[0].trim();
+}
+
+// Create an in-memory manifest. Steps are recorded with begin/end so durations and
+// matched selectors are captured even when the step throws. onStep(phase, step) is called
+// with 'begin' and 'end' around every step, e.g. to report progress while the run is going.
+// trace records every selector a step tried, with its element count, as the step's attempts (--dry-run).
+export function createManifest({ runner, plugin, types, lidarrUrl, outputDir, required = [], onStep = null, trace = false }) {
+  const manifest = {
+    schemaVersion: SCHEMA_VERSION,
+    schemaId: SCHEMA_ID,
+    timestamp: new Date().toISOString(),
+    runner,
+    lidarr: { url: lidarrUrl },
+    request: { plugin, types, outputDir, required },
+    results: [],
+    summary: null
+  };
+
+  let active = null;
+
+  return {
+    data: manifest,
+
+    begin(name, kind = 'shot') {
+      active = {
+        name,
+        kind,
+        outcome: 'running',
+        errorCode: null,
+        outcomeReason: null,
+        locale: null,
+        variant: null,
+        title: null,
+        alt: null,
+        file: null,
+        outputs: [],
+        masked: [],
+        selector: null,
+        selectors: {},
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        durationMs: null,
+        errors: [],
+        details: {},
+        ...(trace ? { attempts: [] } : {})
+      };
+      manifest.results.push(active);
+      onStep?.('begin', active);
+      return active;
+    },
+
+    end(step, outcome, err = null) {
+      step.outcome = outcome;
+      step.endedAt = new Date().toISOString();
+      step.durationMs = Date.parse(step.endedAt) - Date.parse(step.startedAt);
+      if (err) {
+        step.errorCode = classifyError(err);
+        step.outcomeReason = errorSummary(err);
+        step.errors.push(step.outcomeReason);
+        Object.assign(step.details, err.details || {});
+      }
+      if (active === step) active = null;
+      onStep?.('end', step);
+    },
+
+    // Record which selector in a fallback chain matched for the running step
+    noteSelector(role, selector) {
+      if (!active) return;
+      active.selectors[role] = selector;
+      active.selector = selector;
+    },
+
+    noteDetail(key, value) {
+      if (active) active.details[key] = value;
+    },
+
+    // A selector the running step tried and how many elements matched it; only kept when tracing
+    noteAttempt(role, selector, count) {
+      active?.attempts?.push({ role, selector, count });
+    },
+
+    // A change to Lidarr a dry run did not send: { method, endpoint, summary } on the running step
+    noteWouldSave(entry) {
+      if (active) (active.details.wouldSave ??= []).push(entry);
+    },
+
+    // Add a copy of a step recorded in another manifest (setup shared by the plugins of a multi-plugin run)
+    record(step) {
+      manifest.results.push(structuredClone(step));
+    },
+
+    // Mark required shots that never succeeded and compute the summary. With a capture
+    // matrix a required shot must succeed in every variant, and with locales in every locale.
+    // failOverBudget makes a shot over its size budget fail the run (the image is still saved).
+    // Returns true when every required shot succeeded and at least one shot was saved.
+    finalize(fatalError = null, { failOverBudget = false, locales = [] } = {}) {
+      const shots = manifest.results.filter(r => r.kind === 'shot');
+      const missing = [];
+      for (const name of required) {
+        const attempts = shots.filter(r => r.name === name);
+        if (attempts.length === 0) {
+          manifest.results.push({
+            name,
+            kind: 'shot',
+            outcome: 'failed',
+            errorCode: ErrorCodes.REQUIRED_SHOT_MISSING,
+            outcomeReason: 'Required shot was never attempted (check --type)',
+            locale: null,
+            variant: null,
+            title: null,
+            alt: null,
+            file: null,
+            outputs: [],
+            masked: [],
+            selector: null,
+            selectors: {},
+            startedAt: null,
+            endedAt: null,
+            durationMs: null,
+            errors: [],
+            details: {}
+          });
+          missing.push(name);
+        } else if (attempts.some(r => r.outcome !== 'success') || locales.some(locale => !attempts.some(r => r.locale === locale))) {
+          missing.push(name);
+        }
+      }
+
+      const saved = shots.filter(r => r.outcome === 'success').length;
+      const overBudget = shots.filter(r => r.details.sizeBudget)
+        .map(r => `${r.locale ? `${r.locale}/` : ''}${r.name}${r.variant ? `.${r.variant}` : ''}`);
+      manifest.summary = {
+        shots: shots.length,
+        saved,
+        failed: shots.length - saved,
+        // Saved shots whose image matched the file on disk, which was kept (deterministic mode)
+        unchanged: shots.filter(r => r.outcome === 'success' && r.details.unchanged).length,
+        // Bytes of every image and thumbnail written (or kept) for this run
+        bytes: shots.flatMap(r => r.outputs || []).reduce((sum, output) => sum + output.bytes, 0),
+        overBudget,
+        requiredMissing: missing,
+        fatalErrorCode: fatalError ? classifyError(fatalError) : null,
+        fatalError: fatalError ? errorSummary(fatalError) : null,
+        passed: !fatalError && missing.length === 0 && saved > 0 && !(failOverBudget && overBudget.length)
+      };
+      return manifest.summary.passed;
+    },
+
+    write(path) {
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, JSON.stringify(manifest, null, 2));
+    }
+  };
+}
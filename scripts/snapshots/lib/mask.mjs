@@ -0,0 +1,160 @@
+// Masking of secrets and personal data before a screenshot is taken.
+// Sensitive elements are tagged with data-snap-mask, hidden for the capture, then untagged,
+// so the live page is left exactly as it was.
+
+// Matched case-insensitively against each field's name, id, label, placeholder and autocomplete hint
+export const DEFAULT_MASK_PATTERNS = [
+  'password',
+  'passwd',
+  'token',
+  'secret',
+  'api[-_ ]?key',
+  'email',
+  'user[-_ ]?(name|id)',
+  'cookie',
+  'session',
+  'path'
+];
+
+export const MASK_STYLES = ['blackout', 'blur', 'none'];
+
+const MASK_ATTR = 'data-snap-mask';
+const BLUR_STYLE_ID = 'snap-mask-blur';
+
+// Compile mask pattern sources to case-insensitive RegExps (RegExps are kept as they are).
+// Throws on the first pattern that is not a valid regex, naming it.
+export function compileMaskPatterns(patterns) {
+  return patterns.map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (err) {
+      throw new Error(`invalid pattern "${pattern}": ${err.message}`);
+    }
+  });
+}
+
+const DEFAULT_MASK_REGEXES = compileMaskPatterns(DEFAULT_MASK_PATTERNS);
+
+// Why a form field is masked: 'password-input', 'pattern:<pattern>' for the first compiled pattern its
+// name, label, placeholder or autocomplete hint matches, or null when it is not sensitive.
+// Runs in the page as well (see tagSensitiveFields), so it must not use anything outside its own body.
+export function sensitiveReason({ type = '', name = '', label = '', placeholder = '', autocomplete = '' }, regexes) {
+  if (type === 'password') return 'password-input';
+  const haystack = [name, label, placeholder, autocomplete].join(' ');
+  const match = regexes.find(regex => regex.test(haystack));
+  return match ? `pattern:${match.source}` : null;
+}
+
+// Describe each visible form field and tag the ones reasonFor picks, in one pass so a re-render cannot
+// come between deciding and tagging. Evaluated in the page.
+function tagFieldsInPage({ regexes, attr }, reasonFor) {
+  const tagged = [];
+  for (const el of document.querySelectorAll('input, textarea, select')) {
+    if (['hidden', 'checkbox', 'radio', 'button', 'submit'].includes(el.type)) continue;
+    if (el.offsetParent === null) continue;
+
+    const forLabel = el.id ? document.querySelector(`label[for="${CSS.escape(el.id)}"]`) : null;
+    const group = el.closest('[class*="FormGroup"], [class*="formGroup"]');
+    const groupLabel = group?.querySelector('label, [class*="FormLabel"]');
+    const label = (forLabel?.textContent || el.closest('label')?.textContent || groupLabel?.textContent ||
+      el.getAttribute('aria-label') || '').trim();
+    const name = el.getAttribute('name') || el.id || '';
+
+    const reason = reasonFor({
+      type: el.type,
+      name,
+      label,
+      placeholder: el.placeholder || '',
+      autocomplete: el.getAttribute('autocomplete') || ''
+    }, regexes);
+    if (reason) {
+      el.setAttribute(attr, reason);
+      tagged.push({ name, label: label.slice(0, 80), reason });
+    }
+  }
+  return tagged;
+}
+
+// Tag form fields that look sensitive. Returns what was tagged (never the values).
+// page.evaluate cannot take a second function or a RegExp, so the call is passed as an expression with
+// sensitiveReason and the compiled patterns inlined as literals: the page and the unit tests run the same matcher.
+async function tagSensitiveFields(page, regexes) {
+  const args = `{ regexes: [${regexes.join(', ')}], attr: ${JSON.stringify(MASK_ATTR)} }`;
+  return page.evaluate(`(${tagFieldsInPage})(${args}, ${sensitiveReason})`);
+}
+
+// Tag everything matched by user-supplied --mask-selector values (any Playwright selector), or with
+// reason 'dynamic-region' the regions deterministic mode hides because they change between runs
+async function tagCustomSelectors(page, selectors, reason = 'custom-selector') {
+  const tagged = [];
+  for (const selector of selectors) {
+    const count = await page.locator(selector).evaluateAll((els, { attr, reason }) => {
+      els.forEach(el => el.setAttribute(attr, reason));
+      return els.length;
+    }, { attr: MASK_ATTR, reason }).catch(() => 0);
+    if (count > 0) {
+      tagged.push({ selector, count, reason });
+    }
+  }
+  return tagged;
+}
+
+async function untag(page) {
+  await page.evaluate(({ attr, styleId }) => {
+    document.querySelectorAll(`[${attr}]`).forEach(el => el.removeAttribute(attr));
+    document.getElementById(styleId)?.remove();
+  }, { attr: MASK_ATTR, styleId: BLUR_STYLE_ID }).catch(() => {});
+}
+
+// Take a screenshot with sensitive regions blacked out or blurred.
+// target is the page or a locator (element-only capture); masking always scans the whole page.
+// dynamic lists regions that change between runs; they are blacked out whatever the style, since a
+// blurred clock still changes pixels.
+// patterns are compiled RegExps (see compileMaskPatterns); pattern sources are compiled here for each call.
+// Returns { buffer, masked } where masked lists each hidden field/selector for the manifest.
+export async function maskedScreenshot(page, screenshotOptions, { patterns = DEFAULT_MASK_REGEXES, selectors = [], style = 'blackout', dynamic = [] } = {}, target = page) {
+  if (style === 'none' && dynamic.length === 0) {
+    return { buffer: await target.screenshot(screenshotOptions), masked: [] };
+  }
+
+  try {
+    const masked = style === 'none' ? [] : [
+      ...(await tagSensitiveFields(page, compileMaskPatterns(patterns))),
+      ...(await tagCustomSelectors(page, selectors))
+    ];
+    const dynamicRegions = await tagCustomSelectors(page, dynamic, 'dynamic-region');
+    masked.push(...dynamicRegions);
+
+    if (masked.length === 0) {
+      return { buffer: await target.screenshot(screenshotOptions), masked };
+    }
+
+    if (style === 'blur') {
+      await page.evaluate(({ attr, styleId }) => {
+        const css = document.createElement('style');
+        css.id = styleId;
+        css.textContent = `[${attr}]:not([${attr}="dynamic-region"]) { filter: blur(8px) !important; color: transparent !important; text-shadow: 0 0 8px #888 !important; }`;
+        document.head.appendChild(css);
+      }, { attr: MASK_ATTR, styleId: BLUR_STYLE_ID });
+      return {
+        buffer: await target.screenshot({
+          ...screenshotOptions,
+          ...(dynamicRegions.length ? { mask: [page.locator(`[${MASK_ATTR}="dynamic-region"]`)], maskColor: '#000000' } : {})
+        }),
+        masked
+      };
+    }
+
+    return {
+      buffer: await target.screenshot({
+        ...screenshotOptions,
+        mask: [page.locator(`[${MASK_ATTR}]`)],
+        maskColor: '#000000'
+      }),
+      masked
+    };
+  } finally {
+    await untag(page);
+  }
+}
@@ -0,0 +1,80 @@
+// Capture matrix: every shot is taken once per viewport x colour scheme x device scale combination.
+// Spec syntax: "scheme:dark,light;viewport:1440x900,390x844;scale:1,2" (any axis may be omitted).
+
+export const DEFAULT_VARIANT = Object.freeze({
+  colorScheme: 'dark',
+  viewport: Object.freeze({ width: 1440, height: 900 }),
+  deviceScaleFactor: 1
+});
+
+const SCHEMES = ['dark', 'light', 'no-preference'];
+
+function parseViewport(value) {
+  const match = value.match(/^(\d+)(?:x(\d+))?$/i);
+  if (!match) {
+    throw new Error(`invalid viewport "${value}" (expected WIDTHxHEIGHT or WIDTH)`);
+  }
+  return { width: Number(match[1]), height: Number(match[2] || DEFAULT_VARIANT.viewport.height) };
+}
+
+function parseScale(value) {
+  const scale = Number(value);
+  if (!(scale > 0 && scale <= 4)) {
+    throw new Error(`invalid scale "${value}" (expected a number between 0 and 4)`);
+  }
+  return scale;
+}
+
+// File-name suffix for a variant, e.g. "dark.1440" or "light.390@2x"
+export function variantSuffix({ colorScheme, viewport, deviceScaleFactor }) {
+  return `${colorScheme}.${viewport.width}${deviceScaleFactor !== 1 ? `@${deviceScaleFactor}x` : ''}`;
+}
+
+// Parse a --matrix spec into the list of variants to capture
+export function parseMatrix(spec) {
+  const axes = {
+    scheme: [DEFAULT_VARIANT.colorScheme],
+    viewport: [DEFAULT_VARIANT.viewport],
+    scale: [DEFAULT_VARIANT.deviceScaleFactor]
+  };
+
+  for (const part of spec.split(';').map(p => p.trim()).filter(Boolean)) {
+    const [key, list = ''] = part.split(':');
+    const values = list.split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length === 0) {
+      throw new Error(`matrix axis "${key}" has no values`);
+    }
+    switch (key.trim().toLowerCase()) {
+      case 'scheme':
+        for (const v of values) {
+          if (!SCHEMES.includes(v)) throw new Error(`invalid scheme "${v}" (expected ${SCHEMES.join(', ')})`);
+        }
+        axes.scheme = values;
+        break;
+      case 'viewport':
+        axes.viewport = values.map(parseViewport);
+        break;
+      case 'scale':
+        axes.scale = values.map(parseScale);
+        break;
+      default:
+        throw new Error(`unknown matrix axis "${key}" (expected scheme, viewport or scale)`);
+    }
+  }
+
+  const variants = [];
+  for (const colorScheme of axes.scheme) {
+    for (const viewport of axes.viewport) {
+      for (const deviceScaleFactor of axes.scale) {
+        const variant = { colorScheme, viewport, deviceScaleFactor };
+        variants.push({ ...variant, suffix: variantSuffix(variant) });
+      }
+    }
+  }
+
+  const suffixes = new Set(variants.map(v => v.suffix));
+  if (suffixes.size !== variants.length) {
+    throw new Error('matrix produces duplicate file names (two viewports share a width)');
+  }
+  return variants;
+}
@@ -0,0 +1,86 @@
+// Image files a shot is written as. Playwright always captures a PNG; it is kept as a losslessly
+// optimised PNG or converted to WebP or JPEG, optionally with a smaller thumbnail for README embeds.
+// Conversion and resizing use a canvas in a blank browser page, so no image library is needed.
+
+import { optimizePng, pngSize } from './png.mjs';
+
+// Output format -> file extension
+export const FORMATS = { png: 'png', webp: 'webp', jpeg: 'jpg' };
+
+// Default quality (1-100) of the lossy formats
+export const DEFAULT_QUALITY = 80;
+
+export const BUDGET_MODES = ['warn', 'fail'];
+
+const MIME = { png: 'image/png', webp: 'image/webp', jpeg: 'image/jpeg' };
+
+// Size of an image scaled down to at most maxWidth wide; never scaled up
+export function thumbnailSize({ width, height }, maxWidth) {
+  if (!maxWidth || width <= maxWidth) return { width, height };
+  return { width: maxWidth, height: Math.max(1, Math.round(height * maxWidth / width)) };
+}
+
+// The shot's size budget in bytes: its own budget (KiB) when the scenario or the shot options give one,
+// else the run's; null when neither does
+export function budgetBytes(shotBudget, runBudget) {
+  const kib = shotBudget ?? runBudget;
+  return kib ? Math.round(kib * 1024) : null;
+}
+
+// Runs in the encoder page: draw the PNG on a canvas, scaled to width x height, and encode it
+async function canvasEncode({ src, type, quality, width, height }) {
+  const img = new Image();
+  img.src = src;
+  await img.decode();
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG has no alpha; transparent pixels would otherwise turn black
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, width, height);
+  const url = canvas.toDataURL(type, quality);
+  return { type: url.slice(5, url.indexOf(';')), data: url.slice(url.indexOf(',') + 1) };
+}
+
+// Converts captured PNGs on a blank page that openPage() opens on first use; close() closes it.
+// convert() resolves with { buffer, width, height }.
+export function createEncoder(openPage) {
+  let opened = null;
+  return {
+    async convert(png, { format, quality = DEFAULT_QUALITY, maxWidth = null }) {
+      const size = thumbnailSize(pngSize(png), maxWidth);
+      opened ??= openPage();
+      const page = await opened;
+      const result = await page.evaluate(canvasEncode, {
+        src: `data:image/png;base64,${png.toString('base64')}`,
+        type: MIME[format],
+        quality: quality / 100,
+        ...size
+      });
+      if (result.type !== MIME[format]) {
+        throw new Error(`the browser cannot encode ${format} images`);
+      }
+      const buffer = Buffer.from(result.data, 'base64');
+      return { buffer: format === 'png' ? optimizePng(buffer) : buffer, ...size };
+    },
+    async close() {
+      const page = await opened?.catch(() => null);
+      opened = null;
+      await page?.close().catch(() => {});
+    }
+  };
+}
+
+// The captured PNG in the output format. PNG is optimised here; the other formats go through the encoder.
+export async function encodeImage(png, { format, quality }, encoder) {
+  if (format === 'png') {
+    return { buffer: optimizePng(png), ...pngSize(png) };
+  }
+  return encoder.convert(png, { format, quality });
+}
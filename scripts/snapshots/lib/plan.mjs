@@ -0,0 +1,66 @@
+// Step plan of a dry run (--dry-run): for every step, the selectors it tried with their element counts and
+// the one that matched, whether the plugin card and protocol checkbox were found, and what the step would
+// have written or saved. Printed as the steps end; the manifest keeps the same data (results[].attempts,
+// details.wouldWrite and details.wouldSave).
+
+// Chains whose outcome the plan calls out, with the selectors key they are recorded under
+const FOUND_ROLES = {
+  pluginCard: { label: 'plugin card', key: 'pluginCard' },
+  protocolCheckbox: { label: 'protocol checkbox', key: 'protocolCheckbox' }
+};
+
+// The selectors key a chain's match is recorded under; an already open modal counts as the modal
+const matchKey = (role) => (role === 'existingModal' ? 'modal' : role);
+
+// What a held-back change would have saved, without any field values: the protocols a delay profile
+// would allow, a provider's name and implementation, or the field names of anything else
+export function describeWrite(body) {
+  if (!body || typeof body !== 'object') return '';
+  if (Array.isArray(body.items)) {
+    return `allowed: ${body.items.filter(i => i.allowed).map(i => i.name || i.protocol).join(', ') || 'none'}`;
+  }
+  if (body.implementation) {
+    return `${body.name || body.implementationName || body.implementation} (${body.implementation})`;
+  }
+  return `fields: ${Object.keys(body).filter(key => key !== 'id').join(', ')}`;
+}
+
+const writeLine = (w) => `${w.method} ${w.endpoint}${w.summary ? ` (${w.summary})` : ''}`;
+
+const OUTCOME_LABELS = { success: 'ok  ', warning: 'warn' };
+
+// The plan of one finished step; label names it in the output (e.g. "de/indexer-config.dark.1440")
+export function renderPlanStep(step, { label = step.name } = {}) {
+  const lines = [`${OUTCOME_LABELS[step.outcome] || 'FAIL'} ${label}${step.kind === 'setup' ? ' (setup)' : ''}`];
+  const attempts = step.attempts || [];
+  for (const role of [...new Set(attempts.map(a => a.role))]) {
+    lines.push(`     ${role}:`);
+    for (const { selector, count } of attempts.filter(a => a.role === role)) {
+      const matched = step.selectors?.[matchKey(role)] === selector && count > 0;
+      lines.push(`       ${String(count).padStart(3)}  ${selector}${matched ? '  <- matched' : ''}`);
+    }
+  }
+  for (const [role, { label: name, key }] of Object.entries(FOUND_ROLES)) {
+    if (!attempts.some(a => a.role === role) && !step.selectors?.[key]) continue;
+    lines.push(`     ${name}: ${step.selectors?.[key] ? `found (${step.selectors[key]})` : 'not found'}`);
+  }
+  if (step.details?.formFieldCount) lines.push(`     config form: ${step.details.formFieldCount} field(s)`);
+  if (step.details?.wouldWrite) lines.push(`     would write: ${step.details.wouldWrite}`);
+  for (const write of step.details?.wouldSave || []) lines.push(`     would save: ${writeLine(write)}`);
+  if (step.outcome !== 'success' && step.errorCode) lines.push(`     [${step.errorCode}] ${step.outcomeReason}`);
+  return lines.join('\n');
+}
+
+// Totals of a dry run over the plugins' manifests, and every change it held back with the step that made it.
+// Setup shared by several plugins is in each of their manifests; its changes are listed once.
+export function renderPlanSummary(manifests) {
+  const steps = manifests.flatMap(m => m.results.filter(r => r.outcome !== 'running' && r.startedAt));
+  const failed = steps.filter(r => !OUTCOME_LABELS[r.outcome]).length;
+  const warned = steps.filter(r => r.outcome === 'warning').length;
+  const images = steps.filter(r => r.details.wouldWrite).length;
+  const writes = [...new Map(steps.flatMap(r => (r.details.wouldSave || []).map(w => [`${r.name} ${writeLine(w)}`, { ...w, step: r.name }]))).values()];
+  const lines = [`Dry run: ${steps.length} step(s), ${steps.length - failed - warned} ok, ${warned ? `${warned} warning(s), ` : ''}${failed} failed; ` +
+    `${images} image(s) not written, ${writes.length} change(s) to Lidarr not saved`];
+  for (const write of writes) lines.push(`  ${writeLine(write)}  [${write.step}]`);
+  return lines.join('\n');
+}
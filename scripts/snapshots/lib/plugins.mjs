@@ -0,0 +1,103 @@
+// Plugins captured in one snap.mjs run. --plugin takes a name, a list ("Tidalarr,Qobuzarr") or plugins
+// with their own types ("Tidalarr:indexer,download-client;Brainarr:import-list"); --plugins-file takes
+// the same as JSON:
+//
+//   { "plugins": [
+//       { "name": "Tidalarr", "types": ["indexer", "download-client"], "require": ["indexer-config"] },
+//       { "name": "Brainarr", "types": "import-list", "scenarios": ["brainarr-extra.json"], "fixtures": "brainarr.fixtures.json" }
+//   ] }
+//
+// Scenario and fixture paths in the file are relative to the file.
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+// Plugin names double as output folder names
+const NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+function splitList(value) {
+  return (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+function checkNames(plugins) {
+  const seen = new Set();
+  for (const { name } of plugins) {
+    if (!NAME.test(name)) {
+      throw new Error(`invalid plugin name "${name}" (letters, digits, ".", "_" and "-" only)`);
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`plugin "${name}" is listed twice`);
+    }
+    seen.add(name.toLowerCase());
+  }
+  if (plugins.length === 0) {
+    throw new Error('no plugin given');
+  }
+  return plugins;
+}
+
+// Parse a --plugin value; plugins without their own types get defaultTypes
+export function parsePluginSpec(spec, defaultTypes) {
+  const text = String(spec ?? '').trim();
+  // A plain list of names ("Tidalarr,Qobuzarr"); "Name:types" uses commas for its types instead
+  if (!text.includes(';') && !text.includes(':')) {
+    return checkNames(splitList(text).map(name => ({ name, types: [...defaultTypes], scenarios: [], require: [], fixtures: null })));
+  }
+  return checkNames(text.split(';').map(s => s.trim()).filter(Boolean).map(segment => {
+    const [name, types] = segment.split(/:(.*)/s, 2).map(part => part.trim());
+    const own = types === undefined ? [...defaultTypes] : splitList(types).map(t => t.toLowerCase());
+    if (types !== undefined && own.length === 0) {
+      throw new Error(`plugin "${name}" has an empty type list`);
+    }
+    return { name, types: own, scenarios: [], require: [], fixtures: null };
+  }));
+}
+
+// Load a --plugins-file
+export function loadPluginsFile(path, defaultTypes) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path}: ${err.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data?.plugins;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${path}: expected { "plugins": [...] }`);
+  }
+  try {
+    return normalizePlugins(entries, defaultTypes, dirname(resolve(path)));
+  } catch (err) {
+    throw new Error(`${path}: ${err.message}`);
+  }
+}
+
+// Plugins given as data (a --plugins-file list, or the plugins option of captureScreenshots).
+// Scenario and fixture paths are resolved against base; scenario and fixture objects are kept as they are.
+export function normalizePlugins(entries, defaultTypes, base = process.cwd()) {
+  return checkNames(entries.map((entry, i) => {
+    const item = typeof entry === 'string' ? { name: entry } : entry;
+    if (!item || typeof item.name !== 'string') {
+      throw new Error(`plugins[${i}] needs a "name"`);
+    }
+    const scenarios = item.scenarios === undefined ? [] : [item.scenarios].flat();
+    return {
+      name: item.name.trim(),
+      types: item.types === undefined ? [...defaultTypes] : splitList(item.types).map(t => t.toLowerCase()),
+      scenarios: scenarios.flatMap(s => typeof s === 'string' ? splitList(s).map(file => resolve(base, file)) : [s]),
+      require: splitList(item.require),
+      fixtures: typeof item.fixtures === 'string' ? resolve(base, item.fixtures) : item.fixtures ?? null
+    };
+  }));
+}
+
+// Required shots for one plugin: "Plugin/shot" entries name a single plugin, bare shot names apply to every plugin
+export function requiredFor(required, pluginName) {
+  return required.flatMap(entry => {
+    const slash = entry.indexOf('/');
+    if (slash < 0) return [entry];
+    return entry.slice(0, slash).toLowerCase() === pluginName.toLowerCase() ? [entry.slice(slash + 1)] : [];
+  });
+}
@@ -0,0 +1,296 @@
+// Minimal PNG codec for screenshot post-processing (diffing, re-encoding).
+// Handles the 8-bit, non-interlaced images Chromium produces; anything else is rejected
+// so callers can fall back to treating the file as opaque bytes.
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel for each supported colour type (0 gray, 2 RGB, 3 palette, 4 gray+alpha, 6 RGBA)
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+export function isPng(buf) {
+  return buf.length >= 8 && buf.subarray(0, 8).equals(SIGNATURE);
+}
+
+// Decode a PNG buffer into { width, height, data } where data is RGBA, 4 bytes per pixel.
+export function decodePng(buf) {
+  if (!isPng(buf)) {
+    throw new Error('not a PNG file');
+  }
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  while (offset < buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString('ascii', offset + 4, offset + 8);
+    const data = buf.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG is missing IHDR');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(`unsupported PNG layout (bitDepth=${bitDepth}, colorType=${colorType}, interlace=${interlace})`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('palette PNG is missing PLTE');
+  }
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? out[x - channels] : 0;
+      const up = prev[x];
+      const upLeft = x >= channels ? prev[x - channels] : 0;
+      let value = line[x];
+      switch (filter) {
+        case 0: break;
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+        default: throw new Error(`invalid PNG filter type ${filter}`);
+      }
+      out[x] = value & 0xff;
+    }
+    prev = out;
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+    const o = i * 4;
+    switch (colorType) {
+      case 0:
+        data[o] = data[o + 1] = data[o + 2] = pixels[p];
+        data[o + 3] = 255;
+        break;
+      case 2:
+        data[o] = pixels[p];
+        data[o + 1] = pixels[p + 1];
+        data[o + 2] = pixels[p + 2];
+        data[o + 3] = 255;
+        break;
+      case 3: {
+        const idx = pixels[p];
+        data[o] = palette[idx * 3];
+        data[o + 1] = palette[idx * 3 + 1];
+        data[o + 2] = palette[idx * 3 + 2];
+        data[o + 3] = transparency && idx < transparency.length ? transparency[idx] : 255;
+        break;
+      }
+      case 4:
+        data[o] = data[o + 1] = data[o + 2] = pixels[p];
+        data[o + 3] = pixels[p + 1];
+        break;
+      default:
+        data[o] = pixels[p];
+        data[o + 1] = pixels[p + 1];
+        data[o + 2] = pixels[p + 2];
+        data[o + 3] = pixels[p + 3];
+    }
+  }
+
+  return { width, height, data };
+}
+
+// Colour layout for an RGBA image: opaque images drop the alpha channel, and opaque images with at
+// most 256 colours get a palette. Returns { colorType, channels, pixels, palette }, with pixels holding
+// the samples in that layout.
+function pickLayout({ width, height, data }) {
+  const count = width * height;
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+  if (!opaque) {
+    return { colorType: 6, channels: 4, pixels: data, palette: null };
+  }
+
+  let colors = new Map();
+  const indexes = new Uint8Array(count);
+  for (let i = 0; i < count && colors; i++) {
+    const key = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+    let index = colors.get(key);
+    if (index === undefined) {
+      if (colors.size === 256) {
+        colors = null;
+        break;
+      }
+      index = colors.size;
+      colors.set(key, index);
+    }
+    indexes[i] = index;
+  }
+  if (colors) {
+    const palette = Buffer.alloc(colors.size * 3);
+    for (const [key, index] of colors) {
+      palette[index * 3] = key >> 16;
+      palette[index * 3 + 1] = (key >> 8) & 0xff;
+      palette[index * 3 + 2] = key & 0xff;
+    }
+    return { colorType: 3, channels: 1, pixels: indexes, palette };
+  }
+
+  const rgb = new Uint8Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    rgb[i * 3] = data[i * 4];
+    rgb[i * 3 + 1] = data[i * 4 + 1];
+    rgb[i * 3 + 2] = data[i * 4 + 2];
+  }
+  return { colorType: 2, channels: 3, pixels: rgb, palette: null };
+}
+
+// Encode RGBA pixels as an 8-bit PNG: RGBA, or RGB / palette when the image allows it without losing
+// anything. Each scanline uses the cheapest filter by the usual minimum-sum-of-absolute-differences
+// heuristic; palette images are left unfiltered, as the PNG spec recommends.
+export function encodePng(image, { level = 9 } = {}) {
+  const { width, height } = image;
+  const { colorType, channels, pixels: data, palette } = pickLayout(image);
+  const filters = palette ? [0] : [0, 1, 2, 3, 4];
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+  const best = Buffer.alloc(stride);
+  const zero = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const line = data.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? data.subarray((y - 1) * stride, y * stride) : zero;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+
+    for (const filter of filters) {
+      let score = 0;
+      for (let x = 0; x < stride; x++) {
+        const left = x >= channels ? line[x - channels] : 0;
+        const up = prev[x];
+        const upLeft = x >= channels ? prev[x - channels] : 0;
+        let predictor = 0;
+        switch (filter) {
+          case 1: predictor = left; break;
+          case 2: predictor = up; break;
+          case 3: predictor = (left + up) >> 1; break;
+          case 4: predictor = paeth(left, up, upLeft); break;
+        }
+        const value = (line[x] - predictor) & 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        candidate.copy(best);
+      }
+    }
+
+    raw[y * (stride + 1)] = bestFilter;
+    best.copy(raw, y * (stride + 1) + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = colorType;
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    ...(palette ? [chunk('PLTE', palette)] : []),
+    chunk('IDAT', deflateSync(raw, { level })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Width and height from the IHDR chunk, without decoding the image
+export function pngSize(buf) {
+  if (!isPng(buf) || buf.length < 24) {
+    throw new Error('not a PNG file');
+  }
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+// Losslessly re-encode a PNG at the highest compression, keeping the original when that is not smaller
+// (or when the layout is one decodePng does not handle)
+export function optimizePng(buf) {
+  try {
+    const optimized = encodePng(decodePng(buf), { level: 9 });
+    return optimized.length < buf.length ? optimized : buf;
+  } catch {
+    return buf;
+  }
+}
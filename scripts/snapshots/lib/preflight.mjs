@@ -0,0 +1,144 @@
+// Pre-flight checks run before any screenshot: is Lidarr up, and has it actually loaded the plugin?
+// Without these a missing plugin only shows up as "Couldn't find any results" screenshots
+// (see docs/INVESTIGATION-PLUGIN-LOADING-ISSUE.md).
+
+import { createLidarrClient, schemaMatchesPlugin, SCHEMA_ENDPOINTS, PROVIDER_TYPES } from './lidarr-api.mjs';
+import { ErrorCodes, SnapError } from './manifest.mjs';
+
+// Wait ms, or less when signal aborts first
+function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+function checkAborted(signal) {
+  if (signal?.aborted) {
+    throw new SnapError(ErrorCodes.ABORTED, 'Pre-flight interrupted');
+  }
+}
+
+// Poll /api/v1/system/status until Lidarr answers. Any non-5xx HTTP response proves the host is up;
+// a 401 without an API key means we can reach it but cannot inspect it.
+// Stops between attempts once signal aborts (Ctrl-C), instead of polling on until the timeout.
+async function waitForLidarr(client, { timeoutMs, intervalMs, log, signal }) {
+  const deadline = Date.now() + timeoutMs;
+  let lastError = null;
+  let attempts = 0;
+
+  while (true) {
+    checkAborted(signal);
+    attempts++;
+    try {
+      return { status: await client.get('system/status'), authorized: true, attempts };
+    } catch (err) {
+      lastError = err;
+      if (err.status === 401 || err.status === 403) {
+        return { status: null, authorized: false, attempts };
+      }
+    }
+    if (Date.now() + intervalMs > deadline) break;
+    if (attempts === 1) log(`Waiting for Lidarr at ${client.baseUrl} ...`);
+    await sleep(intervalMs, signal);
+  }
+
+  throw new SnapError(ErrorCodes.LIDARR_UNREACHABLE,
+    `Lidarr did not become ready within ${Math.round(timeoutMs / 1000)}s: ${lastError?.message || 'no response'}`, {
+      endpoint: '/api/v1/system/status',
+      attempts,
+      timeoutSeconds: Math.round(timeoutMs / 1000),
+      suggestion: 'Check the container is running and --url points at it'
+    });
+}
+
+// Run all checks. Resolves with a report on success, throws SnapError with a diagnosis otherwise.
+// Without an API key the plugin cannot be confirmed: the report then carries that as a SnapError in
+// warning, for the caller to record, and pluginLoaded stays null.
+export async function runPreflight({ baseUrl, apiKey, pluginName, types, timeoutMs = 120_000, intervalMs = 3_000, log = console.log, signal = null }) {
+  const client = createLidarrClient({ baseUrl, apiKey, timeoutMs: Math.min(timeoutMs, 15_000) });
+  const report = { lidarrVersion: null, authorized: false, pluginLoaded: null, pluginVersion: null, loadedPlugins: [], schemas: {}, warning: null };
+
+  const ready = await waitForLidarr(client, { timeoutMs, intervalMs, log, signal });
+  report.authorized = ready.authorized;
+  report.lidarrVersion = ready.status?.version || null;
+
+  if (!ready.authorized) {
+    if (apiKey) {
+      throw new SnapError(ErrorCodes.API_ERROR, 'Lidarr rejected the API key (401)', {
+        endpoint: '/api/v1/system/status',
+        httpStatus: 401
+      });
+    }
+    const kinds = new Set(types.map(type => SCHEMA_ENDPOINTS[type] || PROVIDER_TYPES[type]).filter(Boolean));
+    report.warning = new SnapError(ErrorCodes.PLUGIN_UNVERIFIED,
+      `Lidarr is up, but without an API key pre-flight cannot confirm it has loaded ${pluginName}`, {
+        pluginName,
+        skippedChecks: ['system/plugins', ...[...kinds].map(kind => `${kind}/schema`)],
+        suggestion: 'Pass --api-key (or set LIDARR_API_KEY) or --config-xml so pre-flight can check the plugin and its schemas'
+      });
+    return report;
+  }
+  log(`Pre-flight: Lidarr ${report.lidarrVersion} (${ready.status?.branch || 'unknown branch'}) is up`);
+
+  // Plugin registry only exists on plugins-branch builds
+  let plugins;
+  try {
+    plugins = await client.get('system/plugins');
+  } catch (err) {
+    if (err.status === 404) {
+      throw new SnapError(ErrorCodes.PLUGIN_NOT_LOADED,
+        `Lidarr ${report.lidarrVersion} has no /api/v1/system/plugins endpoint - this is not a plugins-branch build`, {
+          pluginName,
+          lidarrVersion: report.lidarrVersion,
+          suggestion: 'Use a plugins-branch image (e.g. ghcr.io/hotio/lidarr:pr-plugins-*)'
+        });
+    }
+    throw err;
+  }
+
+  report.loadedPlugins = (plugins || []).map(p => p.name).filter(Boolean);
+  const loaded = (plugins || []).find(p => p.name?.toLowerCase().includes(pluginName.toLowerCase()));
+  report.pluginLoaded = Boolean(loaded);
+  report.pluginVersion = loaded?.version || null;
+  if (!report.pluginLoaded) {
+    throw new SnapError(ErrorCodes.PLUGIN_NOT_LOADED,
+      `Lidarr is up but has not loaded ${pluginName} (loaded: ${report.loadedPlugins.join(', ') || 'none'})`, {
+        pluginName,
+        lidarrVersion: report.lidarrVersion,
+        loadedPlugins: report.loadedPlugins,
+        suggestion: 'Mount the plugin at /config/plugins/<Owner>/<Plugin>, check the TFM matches the host, and restart Lidarr'
+      });
+  }
+
+  // Each requested type must have a schema entry, otherwise its modal will not list the plugin
+  // (interactive search and queue rows come from the plugin's indexer and download client)
+  const missing = [];
+  for (const type of types) {
+    const endpoint = SCHEMA_ENDPOINTS[type] || PROVIDER_TYPES[type];
+    if (!endpoint) continue;
+    const schema = await client.get(`${endpoint}/schema`);
+    const matches = (schema || []).filter(entry => schemaMatchesPlugin(entry, pluginName));
+    report.schemas[type] = matches.map(m => m.implementation);
+    if (matches.length === 0) missing.push(type);
+  }
+
+  if (missing.length) {
+    throw new SnapError(ErrorCodes.SCHEMA_MISSING_IMPLEMENTATION,
+      `${pluginName} is loaded but registers no ${missing.join('/')} implementation`, {
+        pluginName,
+        lidarrVersion: report.lidarrVersion,
+        missingTypes: missing,
+        schemas: report.schemas,
+        suggestion: 'Check --type matches what the plugin provides, and the plugin log for provider registration errors'
+      });
+  }
+
+  log(`Pre-flight: ${pluginName} loaded; schemas: ${Object.entries(report.schemas).map(([t, impls]) => `${t}=${impls.join('|')}`).join(', ')}`);
+  return report;
+}
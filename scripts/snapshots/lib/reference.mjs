@@ -0,0 +1,182 @@
+// Settings reference (--settings-reference): every field of the plugin's config form as rendered, with its
+// label, input type, default value, options, help text and whether it is advanced-only, cross-checked against
+// the provider's /api/v1/<kind>/schema fields. Plugin docs can embed the markdown instead of hand-kept tables.
+
+import { topModal, modalHeader } from './assertions.mjs';
+import { compileMaskPatterns } from './mask.mjs';
+
+export const REDACTED = '[REDACTED]';
+
+// Runs in the page on the config modal. Lidarr renders each setting as a FormGroup holding a FormLabel, the
+// input (named after the schema field) and its help text; forms without FormGroups fall back to each named input's parent.
+function scrapeForm(root) {
+  const GROUP = '[class*="FormGroup"], [class*="formGroup"]';
+  const CONTROL = 'input:not([type="hidden"]), select, textarea';
+  const textOf = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+  let groups = [...root.querySelectorAll(GROUP)]
+    .filter(g => !g.parentElement?.closest(GROUP) && g.querySelector(`${CONTROL}, [name], [class*="EnhancedSelect"], [class*="TagInput"]`));
+  if (groups.length === 0) {
+    groups = [...new Set([...root.querySelectorAll(CONTROL)].filter(el => el.name).map(el => el.parentElement))];
+  }
+  return groups.map(group => {
+    const control = group.querySelector(CONTROL);
+    const forLabel = control?.id ? root.querySelector(`label[for="${CSS.escape(control.id)}"]`) : null;
+    let input = 'other';
+    let value = null;
+    let options = [];
+    if (group.querySelector('[class*="PathInput"]')) input = 'path';
+    else if (group.querySelector('[class*="TagInput"]')) input = 'tag';
+    else if (control?.tagName === 'SELECT') input = 'select';
+    else if (control?.tagName === 'TEXTAREA') input = 'textarea';
+    else if (control) input = control.type || 'text';
+    else if (group.querySelector('[class*="EnhancedSelect"]')) input = 'select';
+
+    if (control?.tagName === 'SELECT') {
+      options = [...control.options].map(o => textOf(o));
+      value = textOf(control.selectedOptions[0]) || null;
+    } else if (control?.type === 'checkbox') {
+      value = control.checked;
+    } else if (control) {
+      value = control.value;
+    } else if (input === 'select') {
+      value = textOf(group.querySelector('[class*="EnhancedSelect"]')) || null;
+    }
+    const helpLink = group.querySelector('a[class*="helpLink" i], [class*="FormLabel"] a[href]');
+    return {
+      name: control?.getAttribute('name') || group.querySelector('[name]')?.getAttribute('name') || null,
+      label: textOf(forLabel || group.querySelector('[class*="FormLabel"], label')),
+      input,
+      value,
+      options,
+      helpText: [...group.querySelectorAll('[class*="helpText" i]')].map(textOf).filter(Boolean).join(' ') || null,
+      helpLink: helpLink?.href || null,
+      advanced: group.matches('[class*="advancedSetting"], [data-advanced]'),
+      visible: group.getClientRects().length > 0
+    };
+  });
+}
+
+// Read the top-most modal's form. Resolves with { header, fields } (values as rendered, not yet redacted),
+// or null when no modal is open.
+export async function scrapeConfigForm(page) {
+  const modal = await topModal(page);
+  if (!modal) return null;
+  return { header: await modalHeader(modal), fields: await modal.evaluate(scrapeForm) };
+}
+
+// The plugin's schema entry the form belongs to: the one with the longest name the modal header shows
+// ("Tidalarr Lossless" over "Tidalarr"), else the first
+export function pickSchemaEntry(entries, header = '') {
+  const title = header.toLowerCase();
+  const named = entries
+    .filter(e => e.implementationName && title.includes(e.implementationName.toLowerCase()))
+    .sort((a, b) => b.implementationName.length - a.implementationName.length);
+  return named[0] || entries[0] || null;
+}
+
+// Match form fields to schema fields by name, falling back to the label. Returns a map of form field to schema field.
+function matchFields(fields, schemaFields) {
+  const matched = new Map();
+  for (const field of fields) {
+    const schemaField = schemaFields.find(s => field.name && s.name === field.name) ||
+      schemaFields.find(s => !field.name && s.label && s.label === field.label);
+    if (schemaField) matched.set(field, schemaField);
+  }
+  return matched;
+}
+
+// Build the reference from a scraped form and the schema entry (null when the schema could not be read).
+// Values of password inputs, of fields the schema marks private and of fields whose name or label matches
+// one of maskPatterns (the screenshot mask patterns, compiled or as sources) are replaced with REDACTED.
+// schema lists what the form and the schema disagree on, as { name, label, reason }:
+//   missing     schema fields the form does not render (reason not-rendered)
+//   hidden      schema fields that are not shown: schema-hidden, or rendered but not-visible
+//   unlabelled  fields with no-label-on-form, or with no-label-in-schema
+export function buildReference({ plugin, type, lidarrVersion = null, form, schemaEntry = null, maskPatterns = [] }) {
+  const regexes = compileMaskPatterns(maskPatterns);
+  const schemaFields = schemaEntry?.fields || [];
+  const matched = matchFields(form.fields, schemaFields);
+  const fields = form.fields.map(field => {
+    const schemaField = matched.get(field) || null;
+    const sensitive = field.input === 'password' ||
+      (schemaField?.privacy && schemaField.privacy !== 'normal') ||
+      regexes.some(regex => regex.test(`${field.name || ''} ${field.label}`));
+    const options = field.options.length ? field.options : (schemaField?.selectOptions || []).map(o => o.name);
+    return {
+      ...field,
+      value: sensitive && field.value !== null && typeof field.value !== 'boolean' ? REDACTED : field.value,
+      options,
+      schemaType: schemaField?.type || null,
+      inSchema: Boolean(schemaField)
+    };
+  });
+
+  const schema = { checked: Boolean(schemaEntry), missing: [], hidden: [], unlabelled: [] };
+  if (schemaEntry) {
+    const rendered = new Map([...matched].map(([field, schemaField]) => [schemaField, field]));
+    for (const schemaField of schemaFields) {
+      const entry = (reason) => ({ name: schemaField.name, label: schemaField.label || null, reason });
+      const field = rendered.get(schemaField);
+      if (schemaField.hidden === 'hidden' && !field?.visible) schema.hidden.push(entry('schema-hidden'));
+      else if (!field) schema.missing.push(entry('not-rendered'));
+      else if (!field.visible) schema.hidden.push(entry('not-visible'));
+      if (!schemaField.label) schema.unlabelled.push(entry('no-label-in-schema'));
+    }
+  }
+  for (const field of fields.filter(f => f.visible && !f.label)) {
+    schema.unlabelled.push({ name: field.name, label: null, reason: 'no-label-on-form' });
+  }
+
+  return {
+    plugin,
+    type,
+    lidarrVersion,
+    title: form.header,
+    implementation: schemaEntry?.implementation || null,
+    fields,
+    schema
+  };
+}
+
+const escapeCell = (text) => String(text).replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+
+function formatValue(field) {
+  if (field.value === null || field.value === '') return '';
+  if (typeof field.value === 'boolean') return field.value ? 'Yes' : 'No';
+  return `\`${escapeCell(field.value)}\``;
+}
+
+const listIssues = (issues) => issues.length
+  ? issues.map(i => `\`${i.name || i.label}\` (${i.reason})`).join(', ')
+  : 'none';
+
+// Markdown version of a reference: the visible settings in form order, then the schema check
+export function renderReference(reference) {
+  const { plugin, type, lidarrVersion, title, implementation, fields, schema } = reference;
+  const lines = [
+    `# ${plugin} ${type} settings`,
+    '',
+    `From the "${escapeCell(title || `${plugin} ${type}`)}" form in Lidarr ${lidarrVersion || '(version unknown)'}` +
+      `${implementation ? ` (\`${implementation}\`)` : ''}. Values are the form's defaults; secrets are redacted.`,
+    '',
+    '| Setting | Type | Default | Options | Help | Advanced |',
+    '|---------|------|---------|---------|------|----------|',
+    ...fields.filter(f => f.visible).map(f => `| ${escapeCell(f.label || f.name || '')} | ${f.input} | ${formatValue(f)} | ` +
+      `${escapeCell(f.options.join(', '))} | ${escapeCell(f.helpText || '')}${f.helpLink ? ` ([more](${f.helpLink}))` : ''} | ${f.advanced ? 'Yes' : ''} |`),
+    '',
+    '## Schema check',
+    ''
+  ];
+  if (!schema.checked) {
+    lines.push('Not checked: the provider schema could not be read (no API access, or not a provider type).');
+  } else {
+    lines.push(
+      `- Missing from the form: ${listIssues(schema.missing)}`,
+      `- Hidden: ${listIssues(schema.hidden)}`,
+      `- Unlabelled: ${listIssues(schema.unlabelled)}`
+    );
+    const formOnly = fields.filter(f => !f.inSchema).map(f => f.label || f.name);
+    if (formOnly.length) lines.push(`- On the form only (Lidarr's own settings): ${formOnly.join(', ')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
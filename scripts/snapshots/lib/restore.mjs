@@ -0,0 +1,105 @@
+// Undo what a capture run changes in Lidarr, so a shared or long-lived instance does not drift.
+// Settings are snapshotted through the REST API before the run changes them and put back afterwards;
+// resources the run creates (the seed artist, the grabbed download) are deleted, and so are providers
+// of the captured plugins that appeared during the run (an add flow that saved, or saved half-way).
+
+import { schemaMatchesPlugin } from './lidarr-api.mjs';
+import { errorSummary } from './manifest.mjs';
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A restore ledger. client is the Lidarr REST client, which can also be given later with useClient()
+// (e.g. once the API key is known from the UI); nothing is recorded while there is none.
+export function createRestorer({ client = null, log = console.log } = {}) {
+  let api = client;
+  // Settings as they were before the run changed them, keyed by endpoint: collections ('delayprofile')
+  // and single settings objects ('config/ui')
+  const snapshots = new Map();
+  // Resources the run created, deleted in reverse order: { path, label }
+  const created = [];
+  // Provider endpoints to sweep: endpoint -> { ids before the run, whether a provider is the run's kind }
+  const watched = new Map();
+
+  return {
+    get enabled() {
+      return Boolean(api);
+    },
+
+    // Whether anything was recorded that restore() would check
+    get pending() {
+      return snapshots.size + created.length + watched.size > 0;
+    },
+
+    useClient(next) {
+      api ??= next;
+    },
+
+    // Remember a settings collection or object before the first change to it. Later calls keep the first snapshot.
+    async snapshot(endpoint) {
+      if (!api || snapshots.has(endpoint)) return;
+      snapshots.set(endpoint, structuredClone((await api.get(endpoint)) || []));
+    },
+
+    // A resource the run added; path is what DELETE takes, query included
+    created(path, label) {
+      if (api) created.push({ path, label });
+    },
+
+    // Remember which providers of an endpoint exist, so the ones of pluginNames added later are removed
+    async watchProviders(endpoint, pluginNames) {
+      if (!api || watched.has(endpoint)) return;
+      const before = new Set(((await api.get(endpoint)) || []).map(p => p.id));
+      watched.set(endpoint, { before, ours: (provider) => pluginNames.some(name => schemaMatchesPlugin(provider, name)) });
+    },
+
+    // Delete what the run created, then put the snapshotted settings back. Every action is tried even
+    // when an earlier one fails. Resolves with { restored, deleted, failed: [{ target, error }] }.
+    async restore() {
+      const report = { restored: [], deleted: [], failed: [] };
+      const attempt = async (target, action) => {
+        try {
+          await action();
+          return true;
+        } catch (err) {
+          report.failed.push({ target, error: errorSummary(err) });
+          return false;
+        }
+      };
+      if (!api) return report;
+
+      for (const { path, label } of [...created].reverse()) {
+        if (await attempt(label, () => api.delete(path))) report.deleted.push(label);
+      }
+      for (const [endpoint, { before, ours }] of watched) {
+        let providers = [];
+        if (!(await attempt(endpoint, async () => { providers = (await api.get(endpoint)) || []; }))) continue;
+        for (const provider of providers.filter(p => !before.has(p.id) && ours(p))) {
+          const label = `${endpoint}/${provider.id} (${provider.name || provider.implementationName})`;
+          if (await attempt(label, () => api.delete(`${endpoint}/${provider.id}`))) report.deleted.push(label);
+        }
+      }
+      for (const [endpoint, original] of snapshots) {
+        let current = [];
+        if (!(await attempt(endpoint, async () => { current = (await api.get(endpoint)) || []; }))) continue;
+        // A settings object is put back whole, at its own endpoint
+        if (!Array.isArray(original)) {
+          if (!same(current, original) && await attempt(endpoint, () => api.put(endpoint, original))) {
+            report.restored.push(endpoint);
+          }
+          continue;
+        }
+        for (const item of original) {
+          const now = current.find(c => c.id === item.id);
+          if (!now || same(now, item)) continue;
+          if (await attempt(`${endpoint}/${item.id}`, () => api.put(`${endpoint}/${item.id}`, item))) {
+            report.restored.push(`${endpoint}/${item.id}`);
+          }
+        }
+      }
+      if (report.restored.length || report.deleted.length) {
+        log(`Restored ${report.restored.join(', ') || 'no settings'}; deleted ${report.deleted.join(', ') || 'nothing'}`);
+      }
+      return report;
+    }
+  };
+}
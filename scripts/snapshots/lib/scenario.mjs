@@ -0,0 +1,316 @@
+// Declarative capture scenarios: named shots described as a list of steps.
+// The built-in flows (indexer, download-client, import-list, ...) live in ../scenarios/*.json;
+// plugin repos can pass their own files with --scenario to add shots without forking snap.mjs.
+
+import { readFileSync, existsSync, readdirSync } from 'node:fs';
+import { dirname, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SEEDS } from './seed.mjs';
+
+export const BUILTIN_SCENARIO_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'scenarios');
+
+// Step actions and the fields each one requires
+const ACTIONS = {
+  navigate: ['path'],
+  openAddModal: [],
+  pickPluginCard: [],
+  fill: ['value'],
+  click: [],
+  press: ['key'],
+  wait: ['ms'],
+  waitFor: [],
+  settings: [],
+  fillForm: [],
+  pressTest: ['expect']
+};
+
+const VERIFIERS = ['add-modal', 'config-dialog', 'plugin-rows'];
+// Shots of these modals get the accessibility audit with --a11y unless they set "a11y": false
+const AUDITED_VERIFIERS = ['add-modal', 'config-dialog'];
+const ANNOTATION_TYPES = ['callout', 'highlight'];
+const TEST_RESULTS = ['success', 'failure'];
+
+export class ScenarioError extends Error {
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ScenarioError';
+  }
+}
+
+export function listBuiltinScenarios() {
+  return existsSync(BUILTIN_SCENARIO_DIR)
+    ? readdirSync(BUILTIN_SCENARIO_DIR).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort()
+    : [];
+}
+
+// YAML support is optional so snap.mjs keeps Playwright as its only hard dependency
+async function parseYaml(text, source) {
+  let yaml;
+  try {
+    yaml = await import('yaml');
+  } catch {
+    throw new ScenarioError('YAML scenarios need the "yaml" package (npm i -D yaml), or use JSON', source);
+  }
+  return yaml.parse(text);
+}
+
+// fixture is the set of fixture values the step's shot fills the form with, if any
+function validateStep(step, where, fixture = null) {
+  if (!step || typeof step !== 'object' || !ACTIONS[step.action]) {
+    throw new ScenarioError(`unknown step action "${step?.action}" (expected one of: ${Object.keys(ACTIONS).join(', ')})`, where);
+  }
+  for (const field of ACTIONS[step.action]) {
+    if (step[field] === undefined) {
+      throw new ScenarioError(`"${step.action}" step needs "${field}"`, where);
+    }
+  }
+  if (step.action === 'fill' && !step.selector && !step.label) {
+    throw new ScenarioError('"fill" step needs "selector" or "label"', where);
+  }
+  if (step.action === 'click' && !step.selector && !step.role && !step.text) {
+    throw new ScenarioError('"click" step needs "selector", "role" or "text"', where);
+  }
+  if (step.action === 'waitFor' && !step.selector && !step.loadState && !step.text) {
+    throw new ScenarioError('"waitFor" step needs "selector", "text" or "loadState"', where);
+  }
+  if (step.action === 'fillForm' && step.values === undefined && !fixture) {
+    throw new ScenarioError('"fillForm" step needs "values", or a shot with a "fixture"', where);
+  }
+  if (step.action === 'fillForm' && step.values !== undefined && (!step.values || typeof step.values !== 'object' || Array.isArray(step.values))) {
+    throw new ScenarioError('"values" must be an object of field values', where);
+  }
+  if (step.action === 'pressTest' && !TEST_RESULTS.includes(step.expect)) {
+    throw new ScenarioError(`unknown expect "${step.expect}" (expected ${TEST_RESULTS.join(' or ')})`, where);
+  }
+}
+
+// A shot's "screenshot" block: crop/padding/caption framing plus annotation overlays (see lib/annotate.mjs),
+// and the shot's size budget in KiB
+export function validateScreenshotOptions(options, where) {
+  if (options === undefined || options === null) return;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new ScenarioError('"screenshot" must be an object', where);
+  }
+  if (options.padding !== undefined && !(Number(options.padding) >= 0)) {
+    throw new ScenarioError(`invalid padding "${options.padding}" (expected a number of pixels >= 0)`, where);
+  }
+  if (options.budget !== undefined && !(typeof options.budget === 'number' && options.budget > 0)) {
+    throw new ScenarioError(`invalid budget "${options.budget}" (expected a size in KiB > 0)`, where);
+  }
+  if (options.annotations !== undefined && !Array.isArray(options.annotations)) {
+    throw new ScenarioError('"annotations" must be a list', where);
+  }
+  (options.annotations || []).forEach((annotation, i) => {
+    if (!annotation?.field && !annotation?.text && !annotation?.selector) {
+      throw new ScenarioError(`annotation ${i + 1} needs "field", "text" or "selector"`, where);
+    }
+    if (annotation.type && !ANNOTATION_TYPES.includes(annotation.type)) {
+      throw new ScenarioError(`annotation ${i + 1} has unknown type "${annotation.type}" (expected ${ANNOTATION_TYPES.join(' or ')})`, where);
+    }
+  });
+}
+
+export function validateScenario(scenario, source = scenario?.name) {
+  if (!scenario || typeof scenario !== 'object' || typeof scenario.name !== 'string') {
+    throw new ScenarioError('scenario needs a "name"', source);
+  }
+  if (!Array.isArray(scenario.shots) || scenario.shots.length === 0) {
+    throw new ScenarioError('scenario needs a non-empty "shots" list', source);
+  }
+  if (scenario.seed !== undefined && !SEEDS.includes(scenario.seed)) {
+    throw new ScenarioError(`unknown seed "${scenario.seed}" (expected ${SEEDS.join(' or ')})`, source);
+  }
+  const names = new Set();
+  for (const shot of scenario.shots) {
+    if (!shot?.name || !/^[a-z0-9][a-z0-9._-]*$/i.test(shot.name)) {
+      throw new ScenarioError(`invalid shot name "${shot?.name}" (letters, digits, ".", "_" and "-" only)`, source);
+    }
+    if (names.has(shot.name)) {
+      throw new ScenarioError(`duplicate shot name "${shot.name}"`, source);
+    }
+    names.add(shot.name);
+    if (shot.verify && !VERIFIERS.includes(shot.verify)) {
+      throw new ScenarioError(`shot "${shot.name}" has unknown verify "${shot.verify}" (expected one of: ${VERIFIERS.join(', ')})`, source);
+    }
+    if (shot.a11y !== undefined && typeof shot.a11y !== 'boolean') {
+      throw new ScenarioError(`shot "${shot.name}" has a non-boolean "a11y"`, source);
+    }
+    if (shot.fixture !== undefined && (typeof shot.fixture !== 'string' || !shot.fixture.trim())) {
+      throw new ScenarioError(`shot "${shot.name}" has an empty or non-text "fixture"`, source);
+    }
+    for (const field of ['title', 'alt']) {
+      if (shot[field] !== undefined && (typeof shot[field] !== 'string' || !shot[field].trim())) {
+        throw new ScenarioError(`shot "${shot.name}" has an empty or non-text "${field}"`, source);
+      }
+    }
+    validateScreenshotOptions(shot.screenshot, `${source} > ${shot.name}`);
+    (shot.steps || []).forEach((step, i) => validateStep(step, `${source} > ${shot.name} > step ${i + 1}`, shot.fixture));
+  }
+  (scenario.after || []).forEach((step, i) => validateStep(step, `${source} > after > step ${i + 1}`));
+  return scenario;
+}
+
+export async function loadScenarioFile(path) {
+  if (!existsSync(path)) {
+    throw new ScenarioError('file not found', path);
+  }
+  const text = readFileSync(path, 'utf8');
+  const ext = extname(path).toLowerCase();
+  let scenario;
+  try {
+    scenario = ext === '.yaml' || ext === '.yml' ? await parseYaml(text, path) : JSON.parse(text);
+  } catch (err) {
+    if (err instanceof ScenarioError) throw err;
+    throw new ScenarioError(`could not parse: ${err.message}`, path);
+  }
+  return validateScenario(scenario, path);
+}
+
+export async function loadBuiltinScenario(type) {
+  const path = join(BUILTIN_SCENARIO_DIR, `${type}.json`);
+  if (!existsSync(path)) {
+    throw new ScenarioError(`unknown --type "${type}" (built-in scenarios: ${listBuiltinScenarios().join(', ')})`);
+  }
+  return loadScenarioFile(path);
+}
+
+// Replace {{plugin}} (and any other {{var}}, {{text.add}} included) in every string of a step
+export function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+  }
+  if (Array.isArray(value)) return value.map(v => interpolate(v, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, vars)]));
+  }
+  return value;
+}
+
+// Resolve a step's target element: CSS/Playwright selector, ARIA role + name, or visible text
+function locate(page, step) {
+  let locator;
+  if (step.selector) {
+    locator = page.locator(step.selector);
+  } else if (step.role) {
+    locator = page.getByRole(step.role, step.name ? { name: new RegExp(step.name, 'i') } : {});
+  } else if (step.label) {
+    locator = page.getByLabel(new RegExp(step.label, 'i'));
+  } else {
+    locator = page.getByText(new RegExp(step.text, 'i'));
+  }
+  if (step.hasText) {
+    locator = locator.filter({ hasText: new RegExp(step.hasText, 'i') });
+  }
+  return locator.nth(step.index ?? 0);
+}
+
+// Execute one step. ctx supplies the Lidarr-specific helpers from lib/capture.mjs and per-shot state.
+async function runStep(page, step, ctx, state) {
+  const timeout = step.timeout ?? 3000;
+  switch (step.action) {
+    case 'navigate': {
+      // A link to the path first, as its address reads the same in every UI language; then by its text
+      const candidates = [
+        step.path && page.locator(`a[href$=${JSON.stringify(step.path)}]`),
+        step.link && page.getByRole('link', { name: new RegExp(step.link, 'i') }),
+        step.text && page.getByText(new RegExp(step.text, 'i'))
+      ].filter(Boolean);
+      let link = null;
+      for (const candidate of candidates) {
+        if (await candidate.count().catch(() => 0)) {
+          link = candidate.first();
+          break;
+        }
+      }
+      if (link) {
+        await link.click({ timeout }).catch(() => {});
+      } else {
+        await page.goto(`${ctx.baseUrl}${step.path}`, { waitUntil: 'domcontentloaded' });
+      }
+      await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
+      return;
+    }
+    case 'openAddModal':
+      state.modal = ctx.requireModal(await ctx.openAddModalAndFindPlugin(page, ctx.pluginName));
+      return;
+    case 'pickPluginCard': {
+      let clicked = await ctx.clickPluginCard(page, ctx.pluginName, state.modal).catch(() => false);
+      if (!clicked && step.reopen) {
+        const result = await ctx.openAddModalAndFindPlugin(page, ctx.pluginName);
+        clicked = await ctx.clickPluginCard(page, ctx.pluginName, ctx.requireModal(result));
+      }
+      ctx.requirePluginCard(clicked);
+      state.modal = null;
+      return;
+    }
+    case 'fill':
+      await locate(page, step).fill(String(step.value), { timeout });
+      return;
+    case 'click': {
+      const target = locate(page, step);
+      if (step.optional && !(await target.count().catch(() => 0))) return;
+      const click = target.click({ timeout });
+      await (step.optional ? click.catch(() => {}) : click);
+      return;
+    }
+    case 'press':
+      await page.keyboard.press(step.key);
+      return;
+    case 'wait':
+      await page.waitForTimeout(step.ms);
+      return;
+    case 'waitFor':
+      if (step.loadState) {
+        await page.waitForLoadState(step.loadState, { timeout: step.timeout ?? 10_000 });
+      } else {
+        await locate(page, step).waitFor({ state: step.state || 'visible', timeout: step.timeout ?? 10_000 });
+      }
+      return;
+    case 'settings':
+      await ctx.goSettings();
+      return;
+    case 'fillForm':
+      await ctx.fillConfigForm(page, step.values || state.fixture);
+      return;
+    case 'pressTest':
+      await ctx.pressTest(page, { expect: step.expect, timeout: step.timeout ?? 30_000 });
+      return;
+  }
+}
+
+export async function runSteps(page, steps, ctx, state = {}) {
+  for (const step of steps || []) {
+    await runStep(page, step, ctx, state);
+  }
+}
+
+// Run every shot of a scenario through ctx.screenshotOrSkip, then the scenario's "after" steps.
+// A failing step fails only its own shot; later shots still run. ctx.vars holds the seeded
+// library ({{albumTitle}}, {{foreignAlbumId}}, ...) and the UI text of Lidarr's current language
+// ({{text.interactiveSearch}}, see lib/locales.mjs); when the scenario's seed failed
+// (ctx.seedFailure returns its error) every shot fails with that error instead of running.
+// ctx.fixtures holds the plugin's fixture sets per scenario name; a shot with a "fixture" runs only
+// when its set is there, and its fillForm steps fill the form with that set.
+export async function runScenario(page, scenario, ctx) {
+  const vars = { plugin: ctx.pluginName, ...(ctx.vars || {}), ...(scenario.vars || {}) };
+  const seedFailure = scenario.seed ? ctx.seedFailure?.(scenario.seed) : null;
+  const fixtures = ctx.fixtures?.[scenario.name] || {};
+  for (const rawShot of scenario.shots) {
+    if (rawShot.fixture && !fixtures[rawShot.fixture]) continue;
+    const shot = interpolate(rawShot, vars);
+    const state = { fixture: shot.fixture ? interpolate(fixtures[shot.fixture], vars) : null };
+    const capture = seedFailure ? async () => { throw seedFailure; } : () => runSteps(page, shot.steps, ctx, state);
+    await ctx.screenshotOrSkip(page, shot.name, capture, {
+      verify: shot.verify ? () => ctx.verifiers[shot.verify](page, ctx.pluginName) : null,
+      verifier: shot.verify || null,
+      screenshot: shot.screenshot || {},
+      title: shot.title || null,
+      alt: shot.alt || null,
+      audit: shot.a11y ?? AUDITED_VERIFIERS.includes(shot.verify)
+    });
+  }
+  if (seedFailure) return;
+  await runSteps(page, interpolate(scenario.after || [], vars), ctx).catch(err => {
+    console.warn(`scenario ${scenario.name}: "after" steps failed: ${err?.message || err}`);
+  });
+}
@@ -0,0 +1,176 @@
+// Test library content for the interactive-search and queue shots, created through the REST API.
+// An empty Lidarr has no album to search and nothing downloading; these seed one artist/album and
+// grab one of the plugin's releases so the screenshots show real rows attributed to the plugin.
+// Everything is reused when it already exists, so repeated runs do not pile up artists or downloads.
+
+import { schemaMatchesPlugin } from './lidarr-api.mjs';
+import { ErrorCodes, SnapError } from './manifest.mjs';
+
+// Values of a scenario's "seed" field; "queue" implies "album"
+export const SEEDS = ['album', 'queue'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function seedError(seed, message, details = {}) {
+  return new SnapError(ErrorCodes.SEED_FAILED, message, { seed, ...details });
+}
+
+// Call fetch() until it returns something truthy or the deadline passes
+async function poll(fetch, { timeoutMs, intervalMs }) {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const result = await fetch();
+    if (result) return result;
+    if (Date.now() + intervalMs > deadline) return null;
+    await sleep(intervalMs);
+  }
+}
+
+// Configured providers of one kind (indexer, downloadclient) that belong to the plugin
+export async function findPluginProviders(client, kind, pluginName) {
+  return ((await client.get(kind)) || []).filter(provider => schemaMatchesPlugin(provider, pluginName));
+}
+
+// Like findPluginProviders, but a plugin without any is a seeding failure
+export async function requirePluginProviders(client, kind, pluginName, seed) {
+  const providers = await findPluginProviders(client, kind, pluginName);
+  if (providers.length === 0) {
+    const label = kind === 'indexer' ? 'indexer' : 'download client';
+    throw seedError(seed, `No ${pluginName} ${label} is configured, so there are no ${pluginName} rows to show`, {
+      pluginName,
+      providerKind: kind,
+      suggestion: `Add a ${pluginName} ${label} in Lidarr (or through /api/v1/${kind}) before capturing`
+    });
+  }
+  return providers;
+}
+
+// Add the artist unless Lidarr already has it, wait for its albums and pick one.
+// artist is a search term ("Kevin MacLeod") or "lidarr:<MusicBrainz id>"; album optionally narrows the pick by title.
+// Resolves with the ids and names the scenarios need. dryRun only reuses an artist Lidarr already has.
+export async function seedAlbum(client, { artist, album = '', timeoutMs = 120_000, intervalMs = 2_000, log = console.log, dryRun = false }) {
+  const term = String(artist || '').trim();
+  if (!term) {
+    throw seedError('album', 'No seed artist given', { suggestion: 'Pass --seed-artist or set SNAP_SEED_ARTIST' });
+  }
+  const mbid = term.match(/^lidarr:(.+)$/i)?.[1];
+  const isSeedArtist = (a) => mbid ? a.foreignArtistId === mbid : a.artistName?.toLowerCase() === term.toLowerCase();
+
+  let existing = ((await client.get('artist')) || []).find(isSeedArtist);
+  const created = !existing;
+  if (!existing) {
+    const [rootFolders, qualityProfiles, metadataProfiles] = await Promise.all(
+      ['rootfolder', 'qualityprofile', 'metadataprofile'].map(endpoint => client.get(endpoint)));
+    if (!rootFolders?.length) {
+      throw seedError('album', 'Lidarr has no root folder to add the seed artist to', {
+        suggestion: 'Add a root folder in Settings > Media Management'
+      });
+    }
+    const [match] = (await client.get(`artist/lookup?term=${encodeURIComponent(term)}`)) || [];
+    if (!match) {
+      throw seedError('album', `Artist lookup found nothing for "${term}"`, {
+        artist: term,
+        suggestion: 'Check Lidarr can reach its metadata server, or pass --seed-artist=lidarr:<MusicBrainz artist id>'
+      });
+    }
+    const root = rootFolders[0];
+    if (dryRun) {
+      throw seedError('album', `Dry run: ${match.artistName} is not in the library, and adding it was skipped`, {
+        artist: match.artistName,
+        wouldSave: [{ method: 'POST', endpoint: 'artist', summary: `${match.artistName} into ${root.path}` }]
+      });
+    }
+    log(`Seeding artist ${match.artistName} into ${root.path}`);
+    existing = await client.post('artist', {
+      ...match,
+      qualityProfileId: root.defaultQualityProfileId || qualityProfiles?.[0]?.id,
+      metadataProfileId: root.defaultMetadataProfileId || metadataProfiles?.[0]?.id,
+      rootFolderPath: root.path,
+      monitored: false,
+      addOptions: { monitor: 'none', searchForMissingAlbums: false }
+    });
+  }
+
+  // Lidarr fills in the albums with a background refresh after the artist is added
+  const albums = await poll(async () => {
+    const list = (await client.get(`album?artistId=${existing.id}`)) || [];
+    return list.length ? list : null;
+  }, { timeoutMs, intervalMs });
+  if (!albums) {
+    throw seedError('album', `${existing.artistName} has no albums after ${Math.round(timeoutMs / 1000)}s`, {
+      artist: existing.artistName,
+      suggestion: 'Check the artist refresh in System > Tasks, or raise --seed-timeout'
+    });
+  }
+  const picked = album
+    ? albums.find(a => a.title?.toLowerCase().includes(album.toLowerCase()))
+    : albums[0];
+  if (!picked) {
+    throw seedError('album', `${existing.artistName} has no album matching "${album}"`, {
+      artist: existing.artistName,
+      albums: albums.slice(0, 10).map(a => a.title)
+    });
+  }
+
+  return {
+    created,
+    artistId: existing.id,
+    artistName: existing.artistName,
+    foreignArtistId: existing.foreignArtistId,
+    albumId: picked.id,
+    albumTitle: picked.title,
+    foreignAlbumId: picked.foreignAlbumId
+  };
+}
+
+// Queue records for the album that one of the plugin's providers handles
+async function pluginQueueRecords(client, albumId, pluginName) {
+  const needle = pluginName.toLowerCase();
+  const page = await client.get('queue?page=1&pageSize=100&includeUnknownArtistItems=false');
+  return (page?.records || []).filter(record => record.albumId === albumId &&
+    [record.indexer, record.downloadClient, record.protocol].some(value => typeof value === 'string' && value.toLowerCase().includes(needle)));
+}
+
+// Grab one of the plugin's releases for the seeded album so Activity > Queue shows a plugin download.
+// Nothing is grabbed when the queue already has one. Resolves with what is in the queue.
+// dryRun only reuses a download already in the queue.
+export async function seedQueue(client, { pluginName, albumId, timeoutMs = 120_000, intervalMs = 2_000, log = console.log, dryRun = false }) {
+  const [queued] = await pluginQueueRecords(client, albumId, pluginName);
+  if (queued) {
+    return { grabbed: false, queueId: queued.id, releaseTitle: queued.title, indexer: queued.indexer, downloadClient: queued.downloadClient };
+  }
+
+  const indexerIds = new Set((await requirePluginProviders(client, 'indexer', pluginName, 'queue')).map(i => i.id));
+  await requirePluginProviders(client, 'downloadclient', pluginName, 'queue');
+
+  const releases = ((await client.get(`release?albumId=${albumId}`)) || []).filter(r => indexerIds.has(r.indexerId));
+  if (releases.length === 0) {
+    throw seedError('queue', `Interactive search returned no ${pluginName} releases for album ${albumId}`, {
+      pluginName,
+      albumId,
+      suggestion: 'Check the plugin indexer works (Test button) and that the seed album is on the service, or pick another with --seed-album'
+    });
+  }
+  const release = releases.find(r => r.approved) || releases[0];
+  if (dryRun) {
+    throw seedError('queue', `Dry run: grabbing ${release.title} was skipped`, {
+      pluginName,
+      wouldSave: [{ method: 'POST', endpoint: 'release', summary: `${release.title} from ${release.indexer}` }]
+    });
+  }
+  log(`Grabbing ${release.title} from ${release.indexer}`);
+  await client.post('release', { guid: release.guid, indexerId: release.indexerId });
+
+  const records = await poll(async () => {
+    const found = await pluginQueueRecords(client, albumId, pluginName);
+    return found.length ? found : null;
+  }, { timeoutMs, intervalMs });
+  if (!records) {
+    throw seedError('queue', `${release.title} was grabbed but did not appear in the queue after ${Math.round(timeoutMs / 1000)}s`, {
+      pluginName,
+      releaseTitle: release.title,
+      suggestion: 'Check the plugin download client accepted the release (Activity > History)'
+    });
+  }
+  return { grabbed: true, queueId: records[0].id, releaseTitle: release.title, indexer: release.indexer, downloadClient: records[0].downloadClient };
+}
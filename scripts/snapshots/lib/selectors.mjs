@@ -0,0 +1,232 @@
+// Selector fallback chains for the Lidarr UI helpers in lib/ui.mjs, chosen per Lidarr version.
+// A profile lists the selectors known to match one range of Lidarr builds; they are tried first and
+// the generic chains (everything that has ever matched some build) follow as the fallback. Every
+// attempt is counted, so a run can report which selector of each chain matched and which never did.
+//
+// {plugin} in a chain entry is replaced with the plugin name, {pattern} with a protocol name, and
+// {add} or {delayProfile} with that UI text in Lidarr's current language (lib/locales.mjs).
+
+import { ENGLISH_UI_TEXT } from './locales.mjs';
+
+// Generic fallback, in the order the helpers have always tried them
+export const GENERIC_CHAINS = Object.freeze({
+  // Add card/button on a settings list page
+  addButton: [
+    // Lidarr import list specific patterns
+    '[class*="ImportList"] [class*="add" i]',
+    '[class*="importList"] [class*="add" i]',
+    // Card-style add buttons (div/a with + icon) - case insensitive
+    '[class*="AddNew" i]',
+    '[class*="addListItem" i]',
+    '[class*="ListItemAdd" i]',
+    // Generic card with + icon
+    '[class*="Card"]:has-text("+")',
+    '[class*="card"]:has-text("+")',
+    '[class*="Poster"]:has-text("+")',
+    // The + icon itself or its container
+    'div:has(> [class*="icon" i]:has-text("+"))',
+    // Button-style add
+    'button:has-text("{add}")',
+    'button:has-text("+")'
+  ],
+  // The add-provider modal appearing after the add click
+  modal: [
+    '[class*="ModalContent"]',
+    '[class*="modalContent"]',
+    '[class*="Modal-content"]',
+    '[class*="modal-content"]',
+    '[class*="ModalBody"]',
+    '[class*="modalBody"]',
+    'div[role="dialog"]',
+    '[class*="Modal"]:has(h2, h3)', // Modal with header
+    '[class*="modal"]:has(h2, h3)',
+    '.modal-open [class*="Modal"]',
+    // Lidarr specific - look for modal with "Add" in title
+    'div:has(> [class*="ModalHeader"]:has-text("{add}"))'
+  ],
+  // An add-provider modal that is already open when the plugin card is picked
+  existingModal: [
+    '[class*="ModalContent"]',
+    '[class*="modalContent"]',
+    '[class*="Modal-content"]',
+    '[class*="modal-content"]',
+    '[class*="ModalBody"]',
+    '[class*="modalBody"]',
+    'div[role="dialog"]',
+    '[class*="Modal"]:has(h2, h3)',
+    '[class*="modal"]:has(h2, h3)'
+  ],
+  // The plugin's card inside the modal
+  pluginCard: [
+    // Standard Lidarr plugin card selectors
+    'div[class*="AddNewItem"]:has-text("{plugin}")',
+    'div[class*="selectableCard"]:has-text("{plugin}")',
+    'div[class*="card"]:has-text("{plugin}")',
+    'div[class*="Card"]:has-text("{plugin}")',
+    // Link-style cards
+    'a[class*="card"]:has-text("{plugin}")',
+    'a[class*="Card"]:has-text("{plugin}")'
+  ],
+  // Edit (wrench) button of the default delay profile
+  delayProfileEdit: [
+    // Wrench icon button within delay profile card/row
+    '[class*="DelayProfile"] button[class*="edit" i]',
+    '[class*="DelayProfile"] [class*="icon-wrench"]',
+    '[class*="DelayProfile"] [class*="iconButton"]',
+    '[class*="delayProfile" i] button:has([class*="icon"])',
+    // Generic edit button near delay profiles
+    'div:has(> [class*="DelayProfile"]) button[title*="edit" i]',
+    'div:has(> [class*="DelayProfile"]) button[title*="settings" i]',
+    // Row-based edit buttons
+    '[class*="row" i]:has-text("{delayProfile}") button[class*="icon"]',
+    // Table row edit button
+    'tr:has-text("{delayProfile}") button',
+    // Any clickable element with wrench/settings icon
+    '[class*="DelayProfile"] [class*="fa-wrench"]',
+    '[class*="DelayProfile"] svg[class*="wrench"]',
+    // Fallback: first edit-like button in delay profiles area
+    '[class*="delay" i] button:first-of-type'
+  ],
+  // A protocol's checkbox/toggle in the delay profile modal
+  protocolCheckbox: [
+    'label:has-text("{pattern}")',
+    '[class*="checkbox" i]:has-text("{pattern}")',
+    '[class*="toggle" i]:has-text("{pattern}")',
+    'input[type="checkbox"][name*="{pattern}" i]',
+    'div:has-text("{pattern}") input[type="checkbox"]'
+  ]
+});
+
+export const CHAIN_ROLES = Object.keys(GENERIC_CHAINS);
+
+// Version ranges are [from, below): from inclusive, below exclusive, either may be omitted.
+// Add a profile when a Lidarr release changes its markup; keep the older profile for older builds.
+export const PROFILES = Object.freeze([
+  {
+    name: 'lidarr-2',
+    from: '2.0',
+    below: '3.0',
+    // Lidarr 2.x settings pages: AddNewItem tiles, ModalContent modals, selectable provider cards
+    chains: {
+      addButton: ['[class*="AddNew" i]'],
+      modal: ['[class*="ModalContent"]'],
+      existingModal: ['[class*="ModalContent"]'],
+      pluginCard: ['div[class*="selectableCard"]:has-text("{plugin}")'],
+      delayProfileEdit: ['[class*="DelayProfile"] button[class*="edit" i]'],
+      protocolCheckbox: ['label:has-text("{pattern}")']
+    }
+  }
+]);
+
+export const GENERIC_PROFILE = 'generic';
+
+// "2.14.0.4650" -> [2, 14, 0, 4650]; null for anything without a leading number
+export function parseVersion(version) {
+  const match = String(version ?? '').trim().match(/^v?(\d+(?:\.\d+)*)/i);
+  return match ? match[1].split('.').map(Number) : null;
+}
+
+export function compareVersions(a, b) {
+  const left = parseVersion(a) || [];
+  const right = parseVersion(b) || [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff) return diff < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+// The profile whose range holds the version; null for an unknown version or one no profile covers
+export function profileForVersion(version) {
+  if (!parseVersion(version)) return null;
+  return PROFILES.find(p => (!p.from || compareVersions(version, p.from) >= 0) &&
+    (!p.below || compareVersions(version, p.below) < 0)) || null;
+}
+
+export function listProfiles() {
+  return [...PROFILES.map(p => p.name), GENERIC_PROFILE];
+}
+
+// Selector chains for one run, with attempt counts for the health report.
+// profile forces a profile by name ("generic" for the fallback chains only); otherwise it follows lidarrVersion.
+// text is the UI text table the chains are filled in from; useText() swaps it when the UI language changes.
+export function createSelectorSet({ lidarrVersion = null, profile = null, text = ENGLISH_UI_TEXT } = {}) {
+  let chosen;
+  if (profile) {
+    chosen = profile === GENERIC_PROFILE ? null : PROFILES.find(p => p.name === profile);
+    if (chosen === undefined) {
+      throw new Error(`unknown selector profile "${profile}" (expected one of: ${listProfiles().join(', ')})`);
+    }
+  } else {
+    chosen = profileForVersion(lidarrVersion);
+  }
+
+  // Per role: entry -> { selector, source, tried, found, used }, in chain order
+  const stats = Object.fromEntries(CHAIN_ROLES.map(role => {
+    const entries = new Map();
+    for (const selector of chosen?.chains[role] || []) entries.set(selector, { selector, source: 'profile', tried: 0, found: 0, used: 0 });
+    for (const selector of GENERIC_CHAINS[role]) {
+      if (!entries.has(selector)) entries.set(selector, { selector, source: 'generic', tried: 0, found: 0, used: 0 });
+    }
+    return [role, entries];
+  }));
+
+  function entry(role, template) {
+    const entries = stats[role];
+    if (!entries) throw new Error(`unknown selector chain "${role}"`);
+    return entries.get(template);
+  }
+
+  let uiText = text;
+
+  return {
+    profile: chosen?.name || GENERIC_PROFILE,
+    lidarrVersion,
+
+    get text() {
+      return uiText;
+    },
+
+    useText(next) {
+      uiText = next;
+    },
+
+    // The role's chain as [{ template, selector }], with {plugin}/{pattern} filled in from vars and UI text from the text table
+    chain(role, vars = {}) {
+      const entries = stats[role];
+      if (!entries) throw new Error(`unknown selector chain "${role}"`);
+      const values = { ...uiText, ...vars };
+      return [...entries.keys()].map(template => ({
+        template,
+        selector: template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match))
+      }));
+    },
+
+    // A selector was checked; found says whether anything on the page matched it
+    tried(role, template, found) {
+      const stat = entry(role, template);
+      stat.tried++;
+      if (found) stat.found++;
+    },
+
+    // The helper went with this selector (its click or wait succeeded)
+    used(role, template) {
+      entry(role, template).used++;
+    },
+
+    // Which selector of each chain was used, and which were checked but never matched anything
+    report() {
+      const chains = {};
+      for (const [role, entries] of Object.entries(stats)) {
+        const list = [...entries.values()].map(stat => ({ ...stat }));
+        chains[role] = {
+          used: list.filter(s => s.used > 0).map(s => s.selector),
+          neverMatched: list.filter(s => s.tried > 0 && s.found === 0).map(s => s.selector),
+          notReached: list.filter(s => s.tried === 0).map(s => s.selector),
+          selectors: list
+        };
+      }
+      return { lidarrVersion, profile: chosen?.name || GENERIC_PROFILE, chains };
+    }
+  };
+}
@@ -0,0 +1,78 @@
+// Deterministic rendering, so a re-capture of an unchanged UI gives the same pixels: a frozen page
+// clock, no CSS animations, transitions or caret, dynamic regions (clocks, relative dates, version
+// strings) masked, and each capture waiting for the network and Lidarr's loading spinners to go idle.
+
+// The page clock reads this instant for the whole run
+export const DEFAULT_FROZEN_TIME = '2025-01-01T12:00:00.000Z';
+
+// Regions whose content changes between runs without the UI changing; masked in every shot
+export const DEFAULT_DYNAMIC_SELECTORS = [
+  // "2 minutes ago" cells and other relative dates
+  '[class*="RelativeDate"]',
+  'time',
+  // Queue time left and download progress
+  '[class*="TimeleftCell"]',
+  '[class*="ProgressBar"]',
+  // Version strings (sidebar footer, System > Status)
+  '[class*="version" i]:not(input):not(select):not(textarea)'
+];
+
+// Lidarr's loading indicators; CSS selectors, checked in the page
+export const BUSY_SELECTORS = [
+  '[class*="LoadingIndicator"]',
+  '[class*="spinner" i]',
+  '.fa-spin'
+];
+
+const STYLE_ID = 'snap-deterministic';
+const STYLE = `*, *::before, *::after {
+  animation: none !important;
+  transition: none !important;
+  caret-color: transparent !important;
+  scroll-behavior: auto !important;
+}`;
+
+// Screenshot options that settle what the stylesheet cannot reach (e.g. animations started by script)
+export const STABLE_SCREENSHOT_OPTIONS = { animations: 'disabled', caret: 'hide' };
+
+// Add the no-animation stylesheet to the current document once
+function installStyle({ id, css }) {
+  const add = () => {
+    if (document.getElementById(id)) return;
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = css;
+    (document.head || document.documentElement).appendChild(style);
+  };
+  if (document.documentElement) add();
+  else document.addEventListener('DOMContentLoaded', add);
+}
+
+// Freeze the clock and stop animations for every page of a context, including pages already open
+export async function stabilizeContext(context, { time = DEFAULT_FROZEN_TIME } = {}) {
+  await context.clock.setFixedTime(new Date(time));
+  await context.addInitScript(installStyle, { id: STYLE_ID, css: STYLE });
+  for (const page of context.pages()) {
+    await page.evaluate(installStyle, { id: STYLE_ID, css: STYLE }).catch(() => {});
+  }
+}
+
+// Busy selectors with a visible match on the page
+function visibleBusy(selectors) {
+  return selectors.filter(selector => [...document.querySelectorAll(selector)]
+    .some(el => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden'));
+}
+
+// Wait for the network to go quiet, the web fonts to load and every loading spinner to disappear.
+// Returns the busy selectors still visible at the timeout (empty when the page settled); never throws.
+export async function waitForIdle(page, { timeoutMs = 15_000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  await page.evaluate(installStyle, { id: STYLE_ID, css: STYLE }).catch(() => {});
+  await page.waitForLoadState('networkidle', { timeout: timeoutMs }).catch(() => {});
+  await page.evaluate(() => document.fonts?.ready.then(() => {})).catch(() => {});
+  for (;;) {
+    const busy = await page.evaluate(visibleBusy, BUSY_SELECTORS).catch(() => []);
+    if (busy.length === 0 || Date.now() >= deadline) return busy;
+    await page.waitForTimeout(100);
+  }
+}
@@ -0,0 +1,531 @@
+// Lidarr UI helpers shared by the capture flows: add-provider modal, plugin card, config form filling and
+// its Test button, Show Advanced, delay profile protocol and Settings navigation. Each takes a Playwright Page and works on its own;
+// pass a run manifest to record which selector of each fallback chain matched (and, when it traces, every
+// selector tried with its element count), and a selector set
+// (lib/selectors.mjs) to use a Lidarr version's profile and count every attempt for the health report.
+// When a chain finds nothing, the candidates that were on the page are recorded on the running step's
+// details (and so reach the diagnostics bundle with the manifest) instead of being printed.
+// UI text (Show Advanced, Save, Test) is matched in Lidarr's current language: the selector set's text
+// table, or the text option of helpers that take no selector set (lib/locales.mjs).
+
+import { ErrorCodes, SnapError } from './manifest.mjs';
+import { createSelectorSet } from './selectors.mjs';
+import { topModal } from './assertions.mjs';
+import { ENGLISH_UI_TEXT, textPattern } from './locales.mjs';
+
+// Translate a failed openAddModalAndFindPlugin result into a coded error
+export function requireModal(result) {
+  if (result.modal) return result.modal;
+  if (!result.addClicked) {
+    throw new SnapError(ErrorCodes.ADD_BUTTON_NOT_FOUND, 'Could not find the add button/card on the settings page');
+  }
+  throw new SnapError(ErrorCodes.MODAL_NOT_OPENED, 'Clicked add, but no add-provider modal appeared');
+}
+
+// Helper to open add modal and find plugin card
+// manifest is the plugin's run manifest, if any; matched selectors are recorded on its running step
+export async function openAddModalAndFindPlugin(page, pluginName, { manifest = null, selectors = createSelectorSet() } = {}) {
+  await page.waitForTimeout(500);
+
+  console.log('Searching for add button/card...');
+
+  let clicked = false;
+  // Try multiple selectors for the add card/button (Lidarr uses various patterns)
+  for (const { template, selector } of selectors.chain('addButton')) {
+    const matches = page.locator(selector);
+    const count = await matches.count().catch(() => 0);
+    selectors.tried('addButton', template, count > 0);
+    manifest?.noteAttempt('addButton', selector, count);
+    if (count > 0) {
+      const addBtn = matches.first();
+      console.log(`Found add element with selector: ${selector}`);
+      try {
+        await addBtn.click({ timeout: 3000 });
+        await page.waitForTimeout(800);
+        selectors.used('addButton', template);
+        manifest?.noteSelector('addButton', selector);
+        clicked = true;
+        break;
+      } catch (e) {
+        console.log(`Click failed for ${selector}: ${e?.message || e}`);
+      }
+    }
+  }
+
+  if (!clicked) {
+    console.log('Could not find add button/card with any selector');
+    if (manifest) {
+      manifest.noteDetail('addCandidates', await page.locator('*:has-text("+")').evaluateAll(els =>
+        els.slice(0, 10).map(el => ({
+          tag: el.tagName,
+          className: String(el.className).substring(0, 80),
+          text: el.textContent?.substring(0, 50)
+        }))
+      ).catch(() => []));
+    }
+  }
+
+  // Wait for modal to appear - try multiple selector patterns
+  let modal = null;
+  for (const { template, selector } of selectors.chain('modal')) {
+    const candidate = page.locator(selector).first();
+    try {
+      await candidate.waitFor({ state: 'visible', timeout: 2000 });
+      selectors.tried('modal', template, true);
+      manifest?.noteAttempt('modal', selector, await page.locator(selector).count().catch(() => 1));
+      selectors.used('modal', template);
+      modal = candidate;
+      manifest?.noteSelector('modal', selector);
+      console.log(`Modal found with selector: ${selector}`);
+      break;
+    } catch {
+      // Try next selector
+      selectors.tried('modal', template, false);
+      manifest?.noteAttempt('modal', selector, 0);
+    }
+  }
+
+  if (!modal) {
+    // What did appear after the click
+    if (manifest) {
+      manifest.noteDetail('modalCandidates', await page.evaluate(() => {
+        const modals = document.querySelectorAll('[class*="modal" i], [class*="Modal"], [role="dialog"]');
+        return Array.from(modals).slice(0, 5).map(el => ({
+          tag: el.tagName,
+          className: el.className?.substring?.(0, 100) || '',
+          visible: el.offsetParent !== null,
+          text: el.textContent?.substring(0, 100)
+        }));
+      }).catch(() => []));
+    }
+    console.log('No modal appeared after clicking add button');
+    return { modal: null, found: false, addClicked: clicked };
+  }
+
+  console.log('Modal opened, looking for plugin card...');
+
+  // Try to use modal-specific filter/search if available (NOT global search bar)
+  const modalSearch = modal.locator('input[type="text"], input[placeholder*="filter" i], input[placeholder*="search" i]').first();
+  if (await modalSearch.count().catch(() => 0)) {
+    console.log('Found modal-specific search/filter, using it...');
+    await modalSearch.fill(pluginName).catch(() => {});
+    await page.waitForTimeout(500);
+  }
+
+  return { modal, found: true, addClicked: clicked };
+}
+
+// Helper to click plugin card in add modal and wait for config dialog
+export async function clickPluginCard(page, pluginName, { modal = null, manifest = null, selectors = createSelectorSet() } = {}) {
+  await page.waitForTimeout(500);
+
+  // If no modal provided, try to find one using multiple selectors
+  if (!modal) {
+    for (const { template, selector } of selectors.chain('existingModal')) {
+      const candidate = page.locator(selector).first();
+      const visible = await candidate.isVisible().catch(() => false);
+      selectors.tried('existingModal', template, visible);
+      manifest?.noteAttempt('existingModal', selector, visible ? await page.locator(selector).count().catch(() => 1) : 0);
+      if (visible) {
+        selectors.used('existingModal', template);
+        modal = candidate;
+        manifest?.noteSelector('modal', selector);
+        console.log(`Found existing modal with selector: ${selector}`);
+        break;
+      }
+    }
+  }
+
+  if (!modal || !(await modal.isVisible().catch(() => false))) {
+    console.log('No modal detected, cannot click plugin card');
+    return false;
+  }
+
+  console.log('Modal detected, searching for plugin card...');
+
+  // The cards and section headers the modal offers, recorded if the plugin's card is not among them.
+  // Read before any click, which may replace the modal's content.
+  const offered = manifest
+    ? {
+      cards: await modal.locator('div[class*="card" i], div[class*="Card"], a[class*="card" i], a[class*="Card"]').evaluateAll(els =>
+        els.slice(0, 30).map(el => ({
+          tag: el.tagName,
+          className: el.className?.substring(0, 80),
+          text: el.textContent?.trim().substring(0, 50)
+        }))
+      ).catch(() => []),
+      sections: await modal.locator('h2, h3, h4, [class*="header" i], [class*="section" i]').evaluateAll(els =>
+        els.slice(0, 15).map(el => el.textContent?.trim().substring(0, 50))
+      ).catch(() => [])
+    }
+    : null;
+
+  // Scroll through modal to load all content (some providers may be below the fold)
+  const scrollableArea = modal.locator('[class*="ModalBody"], [class*="modalBody"], [class*="scroller"]').first();
+  if (await scrollableArea.count().catch(() => 0)) {
+    console.log('Scrolling through modal content...');
+    await scrollableArea.evaluate(el => el.scrollTo(0, el.scrollHeight)).catch(() => {});
+    await page.waitForTimeout(500);
+    await scrollableArea.evaluate(el => el.scrollTo(0, 0)).catch(() => {});
+    await page.waitForTimeout(300);
+  }
+
+  // Selectors scoped to modal content only
+  for (const { template, selector } of selectors.chain('pluginCard', { plugin: pluginName })) {
+    // Scope to modal only
+    const matches = modal.locator(selector);
+    const card = matches.first();
+    const count = await matches.count().catch(() => 0);
+    selectors.tried('pluginCard', template, count > 0);
+    manifest?.noteAttempt('pluginCard', selector, count);
+    if (count > 0) {
+      try {
+        // Scroll card into view first
+        await card.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+        await page.waitForTimeout(300);
+        await card.click({ timeout: 3000 });
+        await page.waitForTimeout(1500);
+        // Check if config dialog opened (should have form inputs)
+        const hasForm = await page.locator('[class*="Modal"] input[name], [class*="Modal"] select, [class*="Modal"] textarea').count().catch(() => 0);
+        if (hasForm > 0) {
+          selectors.used('pluginCard', template);
+          manifest?.noteSelector('pluginCard', selector);
+          manifest?.noteDetail('formFieldCount', hasForm);
+          console.log(`Clicked plugin card using: ${selector}, form fields found: ${hasForm}`);
+          return true;
+        }
+      } catch (e) {
+        console.log(`Click failed for ${selector}: ${e?.message || e}`);
+      }
+    }
+  }
+
+  // Fallback: look for exact text match within modal and scroll to it
+  const exactMatch = modal.locator('div, span, h3, h4').filter({ hasText: new RegExp(`^${pluginName}$`, 'i') }).first();
+  if (await exactMatch.count().catch(() => 0)) {
+    console.log('Found exact text match within modal, scrolling and clicking...');
+    await exactMatch.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+    await page.waitForTimeout(300);
+    // Click the parent card element, not just the text
+    const parentCard = exactMatch.locator('xpath=ancestor::div[contains(@class, "card") or contains(@class, "Card") or contains(@class, "AddNewItem")]').first();
+    if (await parentCard.count().catch(() => 0)) {
+      await parentCard.click({ timeout: 3000 }).catch(() => {});
+    } else {
+      await exactMatch.click({ timeout: 3000 }).catch(() => {});
+    }
+    await page.waitForTimeout(1500);
+    // Same check as the selector path: only a config form counts as success
+    const hasForm = await page.locator('[class*="Modal"] input[name], [class*="Modal"] select, [class*="Modal"] textarea').count().catch(() => 0);
+    if (hasForm > 0) {
+      manifest?.noteSelector('pluginCard', `text=/^${pluginName}$/i`);
+      manifest?.noteDetail('formFieldCount', hasForm);
+      return true;
+    }
+    console.log('Exact text match clicked, but no config form opened');
+  }
+
+  console.log('No plugin card found in modal');
+  if (offered) {
+    manifest.noteDetail('modalCards', offered.cards);
+    manifest.noteDetail('modalSections', offered.sections);
+  }
+  return false;
+}
+
+// Helper to enable "Show Advanced" settings toggle; text is the UI text table of Lidarr's current language
+export async function enableShowAdvanced(page, { text = ENGLISH_UI_TEXT } = {}) {
+  try {
+    // Look for the "Show Advanced" button in the toolbar
+    const showAdvancedBtn = page.locator('button').filter({ hasText: textPattern(text.showAdvanced) }).first();
+    if (await showAdvancedBtn.count()) {
+      // Check if it's already enabled (button text might change or have different state)
+      const btnText = await showAdvancedBtn.textContent().catch(() => '');
+      if (btnText && !textPattern(text.hideAdvanced).test(btnText)) {
+        await showAdvancedBtn.click({ timeout: 2000 }).catch(() => {});
+        await page.waitForTimeout(300);
+        console.log('Enabled "Show Advanced" settings');
+      }
+    }
+  } catch (err) {
+    console.warn(`Could not enable Show Advanced: ${err?.message || err}`);
+  }
+}
+
+// Helper to enable plugin protocol in Delay Profiles
+// This is required for streaming plugins (Tidalarr, Qobuzarr, etc.) to appear in Indexer/Download Client settings
+// UI fallback for enablePluginProtocolsViaApi; extraPatterns are protocol names already known from the API.
+// manifest is the plugin's run manifest, if any; matched selectors are recorded on its running step
+export async function enablePluginProtocol(page, pluginName, { baseUrl, extraPatterns = [], manifest = null, selectors = createSelectorSet() }) {
+  console.log(`Enabling protocol for ${pluginName} in Delay Profiles...`);
+
+  try {
+    // Navigate to Profiles page
+    await page.goto(`${baseUrl}/settings/profiles`, { waitUntil: 'domcontentloaded' });
+    await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
+    await page.waitForTimeout(500);
+
+    // Look for Delay Profiles section
+    const delayProfilesHeader = page.locator('h3, h4, legend, div[class*="header"]').filter({ hasText: textPattern(selectors.text.delayProfiles) }).first();
+    if (await delayProfilesHeader.count()) {
+      console.log('Found Delay Profiles section');
+      await delayProfilesHeader.scrollIntoViewIfNeeded().catch(() => {});
+      await page.waitForTimeout(300);
+    }
+
+    // Find the wrench/edit icon button for the default delay profile
+    // Lidarr uses various icon patterns - try multiple selectors
+    let editClicked = false;
+    for (const { template, selector } of selectors.chain('delayProfileEdit')) {
+      const matches = page.locator(selector);
+      const editBtn = matches.first();
+      const count = await matches.count().catch(() => 0);
+      selectors.tried('delayProfileEdit', template, count > 0);
+      manifest?.noteAttempt('delayProfileEdit', selector, count);
+      if (count > 0) {
+        console.log(`Found edit button with selector: ${selector}`);
+        try {
+          await editBtn.click({ timeout: 3000 });
+          await page.waitForTimeout(800);
+          selectors.used('delayProfileEdit', template);
+          manifest?.noteSelector('delayProfileEdit', selector);
+          editClicked = true;
+          break;
+        } catch (e) {
+          console.log(`Click failed for ${selector}: ${e?.message || e}`);
+        }
+      }
+    }
+
+    if (!editClicked) {
+      // Try clicking any card/row in the delay profiles section to open edit modal
+      const delayCard = page.locator('[class*="DelayProfile"], [class*="delayProfile"]').first();
+      if (await delayCard.count()) {
+        console.log('Clicking delay profile card directly...');
+        await delayCard.click({ timeout: 3000 }).catch(() => {});
+        await page.waitForTimeout(800);
+        editClicked = true;
+      }
+    }
+
+    if (!editClicked) {
+      console.log('Could not find delay profile edit button');
+      manifest?.noteDetail('delayProfileFound', false);
+      // The delay profile elements on the page, with their buttons
+      if (manifest) {
+        manifest.noteDetail('delayProfileCandidates', await page.evaluate(() => {
+          const els = document.querySelectorAll('[class*="delay" i], [class*="Delay"]');
+          return Array.from(els).slice(0, 10).map(el => ({
+            tag: el.tagName,
+            className: el.className?.substring(0, 80),
+            buttons: Array.from(el.querySelectorAll('button')).map(b => b.className?.substring(0, 40))
+          }));
+        }).catch(() => []));
+      }
+      return false;
+    }
+
+    // Wait for modal to appear
+    await page.waitForTimeout(500);
+
+    // Look for protocol checkboxes in the modal
+    // The protocol name is usually based on the plugin name (e.g., "TidalarrDownloadProtocol", "QobuzarrDownloadProtocol")
+    const protocolPatterns = [
+      ...extraPatterns,
+      pluginName,
+      `${pluginName}DownloadProtocol`,
+      `${pluginName.toLowerCase()}`,
+      pluginName.replace(/arr$/i, ''),  // "Tidal" from "Tidalarr"
+    ];
+
+    console.log(`Looking for protocol checkboxes: ${protocolPatterns.join(', ')}`);
+
+    // Try to find and click the protocol checkbox
+    let protocolEnabled = false;
+    for (const pattern of protocolPatterns) {
+      // Try various checkbox/toggle selectors
+      for (const { template, selector } of selectors.chain('protocolCheckbox', { pattern })) {
+        const matches = page.locator(selector);
+        const checkbox = matches.first();
+        const count = await matches.count().catch(() => 0);
+        const found = count > 0;
+        selectors.tried('protocolCheckbox', template, found);
+        manifest?.noteAttempt('protocolCheckbox', selector, count);
+        if (found) {
+          console.log(`Found protocol checkbox with selector: ${selector}`);
+          try {
+            manifest?.noteSelector('protocolCheckbox', selector);
+            // Check if already enabled
+            const isChecked = await checkbox.isChecked().catch(() => false);
+            if (!isChecked) {
+              await checkbox.click({ timeout: 2000 });
+              console.log(`Enabled protocol: ${pattern}`);
+            } else {
+              console.log(`Protocol already enabled: ${pattern}`);
+            }
+            selectors.used('protocolCheckbox', template);
+            protocolEnabled = true;
+            break;
+          } catch (e) {
+            console.log(`Checkbox interaction failed: ${e?.message || e}`);
+          }
+        }
+      }
+      if (protocolEnabled) break;
+    }
+
+    if (!protocolEnabled) {
+      console.log('Could not find protocol checkbox, may already be enabled or different UI pattern');
+      manifest?.noteDetail('protocolPatterns', protocolPatterns);
+      // The checkboxes and labels the delay profile modal has
+      if (manifest) {
+        manifest.noteDetail('protocolCandidates', await page.evaluate(() => {
+          const modal = document.querySelector('[class*="Modal"], [role="dialog"]');
+          if (!modal) return [];
+          const labels = modal.querySelectorAll('label, [class*="checkbox" i], [class*="toggle" i]');
+          return Array.from(labels).map(el => ({
+            text: el.textContent?.trim().substring(0, 50),
+            className: el.className?.substring(0, 50)
+          }));
+        }).catch(() => []));
+      }
+    }
+
+    // Save changes - look for save button
+    const saveBtn = page.locator('button').filter({ hasText: textPattern(selectors.text.save) }).first();
+    if (await saveBtn.count()) {
+      await saveBtn.click({ timeout: 3000 }).catch(() => {});
+      console.log('Saved delay profile changes');
+      await page.waitForTimeout(500);
+    }
+
+    // Close modal if still open
+    await page.keyboard.press('Escape').catch(() => {});
+    await page.waitForTimeout(300);
+
+    return protocolEnabled;
+  } catch (err) {
+    console.warn(`Could not enable protocol: ${err?.message || err}`);
+    return false;
+  }
+}
+
+const FORM_GROUP = '[class*="FormGroup"], [class*="formGroup"]';
+const FORM_CONTROL = 'input:not([type="hidden"]), select, textarea';
+// Where Lidarr lists a failed test's validation messages: above the form, and under the offending field
+const VALIDATION_FAILURES = '[class*="validationFailures" i], [class*="Alert-danger"], [class*="isError"], [role="alert"]';
+// A validation message that is an unhandled exception rather than something written for the user
+const RAW_ERROR = /exception|object reference not set|stack ?trace|\bat [\w.]+\.[\w<>]+\(/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const exactText = (text) => new RegExp(`^\\s*${escapeRegExp(text)}\\s*$`, 'i');
+
+// A config form field by its input name, else by its label: { group, control }. control is null for
+// Lidarr's own select, which renders no form control; null when the form has no such field.
+async function findField(page, modal, key) {
+  const name = `[name=${JSON.stringify(key)}]`;
+  const byName = modal.locator(name).first();
+  if (await byName.count().catch(() => 0)) {
+    return { group: modal.locator(FORM_GROUP).filter({ has: page.locator(name) }).last(), control: byName };
+  }
+  const group = modal.locator(FORM_GROUP)
+    .filter({ has: page.locator('[class*="FormLabel"], label').filter({ hasText: exactText(key) }) }).last();
+  if (await group.count().catch(() => 0)) {
+    const control = group.locator(FORM_CONTROL).first();
+    return { group, control: await control.count().catch(() => 0) ? control : null };
+  }
+  const labelled = modal.getByLabel(exactText(key)).first();
+  return await labelled.count().catch(() => 0) ? { group: null, control: labelled } : null;
+}
+
+// Fill the top-most modal's config form. values maps field names or labels to values: text is typed,
+// checkboxes are set and selects pick the option showing the value. Only the field names are recorded
+// on the manifest; the values may be credentials.
+export async function fillConfigForm(page, values, { manifest = null } = {}) {
+  const modal = await topModal(page);
+  if (!modal) {
+    throw new SnapError(ErrorCodes.MODAL_NOT_OPENED, 'No config form is open to fill in');
+  }
+  for (const [key, value] of Object.entries(values)) {
+    const field = await findField(page, modal, key);
+    if (!field) {
+      throw new SnapError(ErrorCodes.FIELD_NOT_FOUND, `The config form has no field "${key}"`, { field: key });
+    }
+    const { group, control } = field;
+    const kind = control ? await control.evaluate(el => el.tagName === 'INPUT' ? el.type : el.tagName.toLowerCase()) : 'enhanced';
+    if (kind === 'checkbox') {
+      // Lidarr's CheckInput draws its own box over a transparent input
+      await control.setChecked(value === true || value === 'true', { force: true, timeout: 3000 });
+    } else if (kind === 'select') {
+      await control.selectOption({ label: String(value) }, { timeout: 3000 })
+        .catch(() => control.selectOption(String(value), { timeout: 3000 }));
+    } else if (kind === 'enhanced') {
+      await group.locator('[class*="EnhancedSelect"]').first().click({ timeout: 3000 });
+      await page.locator('[class*="EnhancedSelectInputOption"], [role="option"]')
+        .filter({ hasText: exactText(String(value)) }).first().click({ timeout: 3000 });
+    } else {
+      await control.fill(String(value), { timeout: 3000 });
+    }
+  }
+  manifest?.noteDetail('filledFields', Object.keys(values));
+  console.log(`Filled config field(s): ${Object.keys(values).join(', ')}`);
+}
+
+// Press the top-most modal's Test button and check Lidarr's verdict against expect ('success' or 'failure').
+// The verdict is the POST /api/v1/<kind>/test response, so it does not depend on how the button looks.
+// A failure must show its validation messages on the form, and they must read as messages rather than
+// exceptions. Resolves with { result, messages }; the running step records them as details.test.
+export async function pressTest(page, { expect = null, manifest = null, timeout = 30_000, text = ENGLISH_UI_TEXT } = {}) {
+  const modal = await topModal(page);
+  if (!modal) {
+    throw new SnapError(ErrorCodes.MODAL_NOT_OPENED, 'No config form is open to test');
+  }
+  const response = page.waitForResponse(res => res.request().method() === 'POST' &&
+    /\/api\/v\d+\/\w+\/test$/.test(new URL(res.url()).pathname), { timeout });
+  await modal.getByRole('button', { name: new RegExp(`^\\s*${escapeRegExp(text.test)}(?!\\p{L})`, 'iu') }).first().click({ timeout: 3000 });
+  const res = await response;
+  const body = await res.json().catch(() => null);
+  const result = res.ok() ? 'success' : 'failure';
+  const messages = (Array.isArray(body) ? body : []).map(failure => String(failure?.errorMessage ?? '').trim());
+  const details = { expected: expect, result, status: res.status(), messages };
+  manifest?.noteDetail('test', details);
+  console.log(`Test ${result} (HTTP ${res.status()})${messages.length ? `: ${messages.join('; ')}` : ''}`);
+
+  if (expect && result !== expect) {
+    throw new SnapError(ErrorCodes.TEST_RESULT_UNEXPECTED,
+      `Test ${result === 'success' ? 'passed' : 'failed'}, but the shot expects it to ${expect === 'success' ? 'pass' : 'fail'}`, { test: details });
+  }
+  if (result === 'success') {
+    // Lidarr marks the button for a few seconds; let it render before the shot
+    await page.waitForTimeout(300);
+    return { result, messages };
+  }
+  const shown = await modal.locator(VALIDATION_FAILURES).first().waitFor({ state: 'visible', timeout: 5000 }).then(() => true, () => false);
+  const unreadable = messages.find(message => !message || RAW_ERROR.test(message));
+  if (!shown) {
+    throw new SnapError(ErrorCodes.VALIDATION_MESSAGE_INVALID, 'Test failed, but the form shows no validation message', { test: details });
+  }
+  if (messages.length === 0 || unreadable !== undefined) {
+    throw new SnapError(ErrorCodes.VALIDATION_MESSAGE_INVALID,
+      messages.length === 0 ? 'Test failed without a validation message' : `Validation message is not readable: "${unreadable}"`, { test: details });
+  }
+  return { result, messages };
+}
+
+// Navigate to Settings. The sidebar link is found by its address, so this works in any UI language;
+// text is that language's UI text table for the link name fallback and Show Advanced.
+export async function goSettings(page, baseUrl, { text = ENGLISH_UI_TEXT } = {}) {
+  const byHref = page.locator('a[href$="/settings"]');
+  const settings = await byHref.count().catch(() => 0) ? byHref : page.getByRole('link', { name: textPattern(text.settings) });
+  if (await settings.count()) {
+    await settings.first().click();
+    await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
+  } else {
+    await page.goto(`${baseUrl}/settings`, { waitUntil: 'domcontentloaded' });
+    await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
+  }
+  // Enable Show Advanced after navigating to settings
+  await enableShowAdvanced(page, { text });
+}
@@ -1,20 +1,67 @@
 // Centralized Playwright screenshotter for Lidarr streaming plugins
 // Usage: node snap.mjs --plugin=Tidalarr --type=indexer,download-client
 // Requires: `npx playwright install --with-deps chromium`
+// Command-line wrapper around captureScreenshots() in lib/capture.mjs; import ./index.mjs to use it from code.
 
-import { chromium } from 'playwright';
 import { parseArgs } from 'node:util';
-import { mkdirSync, existsSync } from 'node:fs';
-import { dirname, resolve } from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { DEFAULT_MASK_PATTERNS } from './lib/mask.mjs';
+import { captureScreenshots, SnapOptionsError, DEFAULT_TYPES } from './lib/capture.mjs';
+import { listProfiles } from './lib/selectors.mjs';
+import { DEFAULT_FROZEN_TIME } from './lib/stabilize.mjs';
+import { DEFAULT_QUALITY } from './lib/output.mjs';
 
 // Parse command line arguments
 const { values: args } = parseArgs({
   options: {
     plugin: { type: 'string', default: process.env.PLUGIN_NAME || 'Plugin' },
-    type: { type: 'string', default: 'indexer,download-client,import-list' },
+    'plugins-file': { type: 'string', default: process.env.SNAP_PLUGINS_FILE || '' },
+    parallel: { type: 'string', default: process.env.SNAP_PARALLEL || '3' },
+    type: { type: 'string', default: DEFAULT_TYPES.join(',') },
     output: { type: 'string', default: process.env.OUTPUT_DIR || 'docs/assets/screenshots' },
     url: { type: 'string', default: process.env.LIDARR_BASE_URL || 'http://localhost:8686' },
+    compare: { type: 'string' },
+    threshold: { type: 'string', default: '0.1' },
+    'max-diff-ratio': { type: 'string', default: '0.001' },
+    'diff-output': { type: 'string' },
+    manifest: { type: 'string' },
+    require: { type: 'string', default: process.env.SNAP_REQUIRE || '' },
+    'api-key': { type: 'string' },
+    'config-xml': { type: 'string' },
+    username: { type: 'string', default: process.env.LIDARR_USERNAME || '' },
+    password: { type: 'string', default: process.env.LIDARR_PASSWORD || '' },
+    'auth-state': { type: 'string', default: process.env.SNAP_AUTH_STATE || '' },
+    'seed-artist': { type: 'string', default: process.env.SNAP_SEED_ARTIST || 'Kevin MacLeod' },
+    'seed-album': { type: 'string', default: process.env.SNAP_SEED_ALBUM || '' },
+    'seed-timeout': { type: 'string', default: '120' },
+    'preflight-timeout': { type: 'string', default: '120' },
+    'skip-preflight': { type: 'boolean', default: false },
+    'mask-style': { type: 'string', default: process.env.SNAP_MASK_STYLE || 'blackout' },
+    'mask-patterns': { type: 'string', default: process.env.SNAP_MASK_PATTERNS || DEFAULT_MASK_PATTERNS.join(',') },
+    'mask-selector': { type: 'string', multiple: true, default: [] },
+    scenario: { type: 'string', multiple: true, default: [] },
+    matrix: { type: 'string' },
+    'shot-options': { type: 'string' },
+    diagnostics: { type: 'string', default: process.env.SNAP_DIAGNOSTICS || 'on-failure' },
+    'diagnostics-dir': { type: 'string', default: process.env.SNAP_DIAGNOSTICS_DIR || '.tmp/snap-diagnostics' },
+    'selector-profile': { type: 'string', default: process.env.SNAP_SELECTOR_PROFILE || '' },
+    deterministic: { type: 'boolean', default: ['1', 'true'].includes(process.env.SNAP_DETERMINISTIC) },
+    'freeze-time': { type: 'string', default: '' },
+    'dynamic-selector': { type: 'string', multiple: true, default: [] },
+    gallery: { type: 'string', default: process.env.SNAP_GALLERY || '' },
+    docs: { type: 'string', multiple: true, default: [] },
+    'image-base': { type: 'string', default: process.env.SNAP_IMAGE_BASE || '' },
+    format: { type: 'string', default: process.env.SNAP_FORMAT || 'png' },
+    quality: { type: 'string', default: String(DEFAULT_QUALITY) },
+    thumbnail: { type: 'string', default: '' },
+    'size-budget': { type: 'string', default: process.env.SNAP_SIZE_BUDGET || '' },
+    'size-budget-mode': { type: 'string', default: 'warn' },
+    'keep-changes': { type: 'boolean', default: ['1', 'true'].includes(process.env.SNAP_KEEP_CHANGES) },
+    a11y: { type: 'boolean', default: ['1', 'true'].includes(process.env.SNAP_A11Y) },
+    'settings-reference': { type: 'boolean', default: ['1', 'true'].includes(process.env.SNAP_SETTINGS_REFERENCE) },
+    fixtures: { type: 'string', default: process.env.SNAP_FIXTURES || '' },
+    locales: { type: 'string', default: process.env.SNAP_LOCALES || '' },
+    'dry-run': { type: 'boolean', default: ['1', 'true'].includes(process.env.SNAP_DRY_RUN) },
+    'stop-after': { type: 'string', default: '' },
     help: { type: 'boolean', short: 'h', default: false }
   }
 });
@@ -26,691 +73,215 @@ Lidarr Plugin Screenshot Utility
 Usage: node snap.mjs [options]
 
 Options:
-  --plugin=NAME       Plugin name to search for (default: $PLUGIN_NAME or 'Plugin')
-  --type=TYPES        Comma-separated plugin types: indexer,download-client,import-list
-  --output=DIR        Output directory for screenshots (default: docs/assets/screenshots)
+  --plugin=NAME       Plugin name to search for (default: $PLUGIN_NAME or 'Plugin'); several plugins as
+                      "Tidalarr,Qobuzarr" or with their own types as
+                      "Tidalarr:indexer,download-client;Brainarr:import-list"
+  --plugins-file=FILE JSON list of plugins with types, scenarios and required shots (default: $SNAP_PLUGINS_FILE)
+  --parallel=N        With several plugins, how many capture in parallel browser contexts (default: 3)
+  --type=TYPES        Comma-separated built-in scenarios: indexer, download-client, import-list,
+                      notification, metadata, interactive-search, queue
+                      (default: indexer,download-client,import-list)
+  --scenario=FILE     Extra scenario file (JSON, or YAML with the "yaml" package installed)
+                      describing named shots as steps; repeat for several
+  --matrix=SPEC       Capture every shot per variant, e.g.
+                      "scheme:dark,light;viewport:1440x900,390x844;scale:1,2"
+                      Files are named <shot>.<scheme>.<width>[@<scale>x].<ext>
+  --shot-options=FILE JSON map of shot name -> screenshot options (crop, padding, caption,
+                      annotations, budget); overrides the scenario's own "screenshot" block
+  --output=DIR        Output directory for screenshots (default: docs/assets/screenshots);
+                      with several plugins each gets DIR/<plugin>/
+  --format=FORMAT     Image format: png (losslessly optimised), webp or jpeg (default: $SNAP_FORMAT or png)
+  --quality=N         WebP/JPEG quality, 1-100 (default: ${DEFAULT_QUALITY})
+  --thumbnail=WIDTH   Also write <shot>.thumb.<ext> scaled down to WIDTH pixels, for README embeds;
+                      galleries and docs then show the thumbnail linked to the full image
+  --size-budget=KIB   Largest image a shot may write, in KiB (default: $SNAP_SIZE_BUDGET or none);
+                      a shot's "budget" screenshot option overrides it
+  --size-budget-mode=MODE
+                      warn, or fail to fail the run when a shot is over its budget (default: warn)
   --url=URL           Lidarr base URL (default: $LIDARR_BASE_URL or http://localhost:8686)
+  --compare=DIR       Visual regression mode: diff each capture against the PNG DIR/<name>.png
+                      (DIR/<plugin>/<name>.png with several plugins)
+                      and exit non-zero when any shot regresses
+  --threshold=N       Per-pixel colour distance (0-1) treated as a change (default: 0.1)
+  --max-diff-ratio=N  Fraction of changed pixels tolerated per shot (default: 0.001)
+  --diff-output=DIR   Where diff images are written (default: <output>/diffs)
+  --manifest=PATH     Machine-readable run manifest (default: <output>/snap-manifest.json)
+  --require=SHOTS     Comma-separated shots that must be captured, e.g. indexer-config
+                      (default: $SNAP_REQUIRE); the run fails when any is missing.
+                      With several plugins, "Tidalarr/indexer-config" names one plugin's shot
+  --api-key=KEY       Lidarr API key for REST-based setup (default: $LIDARR_API_KEY)
+  --config-xml=PATH   Read the API key from a mounted Lidarr config.xml (default: $LIDARR_CONFIG_XML)
+  --username=USER     Lidarr login for Forms or Basic auth (default: $LIDARR_USERNAME)
+  --password=PASS     Lidarr password (default: $LIDARR_PASSWORD)
+  --auth-state=PATH   Where the logged-in session is saved and reused between runs
+                      (default: $SNAP_AUTH_STATE or .tmp/snap-auth/<host>-<port>.json)
+  --seed-artist=TERM  Artist added for the interactive-search and queue shots, by name or
+                      "lidarr:<MusicBrainz id>" (default: $SNAP_SEED_ARTIST or 'Kevin MacLeod')
+  --seed-album=TITLE  Album of the seed artist to use (default: $SNAP_SEED_ALBUM or the first one)
+  --seed-timeout=SECONDS
+                      How long to wait for the artist's albums and the grabbed release (default: 120)
+  --preflight-timeout=SECONDS
+                      How long to wait for Lidarr to come up before aborting (default: 120)
+  --skip-preflight    Skip the readiness and plugin-discovery checks
+  --keep-changes      Leave what the run changes in Lidarr (delay profile protocols, seed artist, grabbed
+                      download, providers saved by add flows); by default they are undone when the run ends,
+                      also after a failure or Ctrl-C (default: on when $SNAP_KEEP_CHANGES is 1)
+  --mask-style=STYLE  How sensitive fields are hidden: blackout, blur or none (default: blackout)
+  --mask-patterns=P   Comma-separated regexes matched against field names/labels
+                      (default: ${DEFAULT_MASK_PATTERNS.join(',')})
+  --mask-selector=SEL Extra region to mask; repeat for several (any Playwright selector)
+  --diagnostics=MODE  Trace/HAR/console bundle: on-failure, always or off
+                      (default: $SNAP_DIAGNOSTICS or on-failure)
+  --diagnostics-dir=DIR
+                      Where the bundle zip is written (default: $SNAP_DIAGNOSTICS_DIR or .tmp/snap-diagnostics)
+  --selector-profile=NAME
+                      UI selector profile: ${listProfiles().join(', ')} (default: $SNAP_SELECTOR_PROFILE
+                      or the profile for the Lidarr version); the run writes <output>/selector-health.json
+  --deterministic     Stable pixels between runs: frozen page clock, no animations, transitions or caret,
+                      dynamic regions masked, network and spinners idle before each shot, and images
+                      that match the file already on disk (--threshold/--max-diff-ratio) left unwritten
+                      (default: on when $SNAP_DETERMINISTIC is 1)
+  --freeze-time=ISO   What the page clock reads in deterministic mode (default: ${DEFAULT_FROZEN_TIME})
+  --dynamic-selector=SEL
+                      Extra region that changes between runs, masked in deterministic mode on top of
+                      relative dates, time left, progress bars and version strings; repeat for several
+  --gallery=PATH      Markdown gallery of the captured shots (default: $SNAP_GALLERY or <output>/gallery.md,
+                      <output>/<plugin>/gallery.md with several plugins); "off" for none
+  --docs=PATH         Markdown file, or directory of them, whose <!-- snap:... --> regions are rewritten
+                      from the captured shots; repeat for several
+  --image-base=URL    Where <output> is published, for image links in docs that do not sit next to the
+                      images, e.g. a GitHub wiki (default: $SNAP_IMAGE_BASE; links are relative otherwise)
+  --a11y              Audit every captured add modal and config form for unlabelled fields, missing help
+                      text, low contrast and controls the keyboard cannot reach; writes
+                      <output>/a11y/<type>.json and .md (default: on when $SNAP_A11Y is 1)
+  --settings-reference
+                      Write <output>/settings/<type>.json and .md from each config form: label, input type,
+                      default, options, help text and advanced-only per field, checked against the provider's
+                      /api/v1/<kind>/schema for fields missing, hidden or unlabelled on the form
+                      (default: on when $SNAP_SETTINGS_REFERENCE is 1)
+  --fixtures=FILE     Field values per type (JSON) to fill each config form with, then press Test: adds
+                      <type>-config-filled (test passes) and <type>-test-failed (validation message)
+                      shots, and starts the file's stub of the plugin's upstream API at {{stubUrl}} so the
+                      test runs offline (default: $SNAP_FIXTURES; a plugins file entry's "fixtures" wins)
+  --locales=CODES     Capture every shot once per Lidarr UI language, e.g. "en,de,fr,pt-BR": the language is
+                      switched through the API and put back afterwards, with --api-key, --config-xml or,
+                      without either, the key the Lidarr UI embeds in its page; shots go to
+                      <output>/<locale>/ (default: $SNAP_LOCALES; the current language only)
+  --dry-run           Walk the capture without writing images or saving anything in Lidarr, and print each
+                      step's plan: selectors tried with their element counts, the one that matched, whether
+                      the plugin card and protocol checkbox were found, and what would have been written
+                      or saved (default: $SNAP_DRY_RUN)
+  --stop-after=SHOT   End the run once this shot has been taken, e.g. indexer-add-modal; Lidarr is still
+                      restored and the manifest written
   -h, --help          Show this help message
 
 Examples:
   node snap.mjs --plugin=Tidalarr --type=indexer,download-client
   node snap.mjs --plugin=Brainarr --type=import-list
+  node snap.mjs --plugin=Tidalarr --type=interactive-search,queue --api-key=... --seed-album="Royalty Free"
+  node snap.mjs --plugin="Tidalarr:indexer,download-client;Qobuzarr:indexer;Brainarr:import-list"
   PLUGIN_NAME=Qobuzarr node snap.mjs
+  node snap.mjs --plugin=Tidalarr --compare=docs/assets/screenshots --output=.tmp/screenshots
+  node snap.mjs --plugin=Tidalarr --require=indexer-config,download-client-config
+  node snap.mjs --plugin=Qobuzarr --config-xml=/srv/lidarr/config/config.xml
+  LIDARR_USERNAME=admin LIDARR_PASSWORD=... node snap.mjs --plugin=Tidalarr --api-key=...
+  node snap.mjs --plugin=Tidalarr --scenario=scripts/snapshots/tidalarr-extra.json
+  node snap.mjs --plugin=Brainarr --type=import-list --matrix="scheme:dark,light;scale:1,2"
+  node snap.mjs --plugin=Tidalarr --type=indexer --shot-options=docs/snap-shots.json
+  node snap.mjs --plugin=Tidalarr --selector-profile=generic
+  node snap.mjs --plugin=Tidalarr --deterministic --dynamic-selector='[class*="HealthStatus"]'
+  node snap.mjs --plugin=Tidalarr --a11y --matrix="scheme:dark,light"
+  node snap.mjs --plugin=Tidalarr --type=indexer,download-client --settings-reference --api-key=...
+  node snap.mjs --plugin=Tidalarr --type=indexer --fixtures=docs/snap-fixtures.json
+  node snap.mjs --plugin=Tidalarr --locales=en,de,fr --config-xml=/srv/lidarr/config/config.xml
+  node snap.mjs --plugin=Tidalarr --type=indexer --dry-run --stop-after=indexer-add-modal
+  node snap.mjs --plugin=Tidalarr --format=webp --quality=85 --thumbnail=480 --size-budget=400
+  node snap.mjs --plugin=Tidalarr --docs=README.md --docs=wiki \\
+    --image-base=https://raw.githubusercontent.com/RicherTunes/Tidalarr/main/docs/assets/screenshots
 `);
   process.exit(0);
 }
 
-const PLUGIN_NAME = args.plugin;
-const PLUGIN_TYPES = args.type.split(',').map(t => t.trim().toLowerCase());
-const OUTDIR = args.output;
-const BASE = args.url;
-
-console.log(`Screenshot config:
-  Plugin: ${PLUGIN_NAME}
-  Types: ${PLUGIN_TYPES.join(', ')}
-  Output: ${OUTDIR}
-  URL: ${BASE}
-`);
-
-// Ensure output directory exists
-if (!existsSync(OUTDIR)) {
-  mkdirSync(OUTDIR, { recursive: true });
-}
-
-async function screenshotOrSkip(page, name, fn) {
-  try {
-    await fn();
-    const path = `${OUTDIR}/${name}.png`;
-    await page.screenshot({ path, fullPage: true });
-    console.log(`saved: ${path}`);
-  } catch (err) {
-    console.warn(`skip ${name}: ${err?.message || err}`);
-  }
-}
-
-
-// Helper to open add modal and find plugin card
-async function openAddModalAndFindPlugin(page, pluginName) {
-  await page.waitForTimeout(500);
-
-  // Try multiple selectors for the add card/button (Lidarr uses various patterns)
-  const addSelectors = [
-    // Lidarr import list specific patterns
-    '[class*="ImportList"] [class*="add" i]',
-    '[class*="importList"] [class*="add" i]',
-    // Card-style add buttons (div/a with + icon) - case insensitive
-    '[class*="AddNew" i]',
-    '[class*="addListItem" i]',
-    '[class*="ListItemAdd" i]',
-    // Generic card with + icon
-    '[class*="Card"]:has-text("+")',
-    '[class*="card"]:has-text("+")',
-    '[class*="Poster"]:has-text("+")',
-    // The + icon itself or its container
-    'div:has(> [class*="icon" i]:has-text("+"))',
-    // Button-style add
-    'button:has-text("Add")',
-    'button:has-text("+")',
-  ];
-
-  console.log('Searching for add button/card...');
-
-  // Debug: Log elements with "+" text
-  const plusElements = await page.locator('*:has-text("+")').evaluateAll(els =>
-    els.slice(0, 10).map(el => ({
-      tag: el.tagName,
-      className: el.className,
-      text: el.textContent?.substring(0, 50)
-    }))
-  ).catch(() => []);
-  console.log('Elements with "+":', JSON.stringify(plusElements, null, 2));
-
-  let clicked = false;
-  for (const selector of addSelectors) {
-    const addBtn = page.locator(selector).first();
-    const count = await addBtn.count().catch(() => 0);
-    if (count > 0) {
-      console.log(`Found add element with selector: ${selector}`);
-      try {
-        await addBtn.click({ timeout: 3000 });
-        await page.waitForTimeout(800);
-        clicked = true;
-        break;
-      } catch (e) {
-        console.log(`Click failed for ${selector}: ${e?.message || e}`);
-      }
-    }
-  }
-
-  if (!clicked) {
-    console.log('Could not find add button/card with any selector');
-  }
-
-  // Wait for modal to appear - try multiple selector patterns
-  const modalSelectors = [
-    '[class*="ModalContent"]',
-    '[class*="modalContent"]',
-    '[class*="Modal-content"]',
-    '[class*="modal-content"]',
-    '[class*="ModalBody"]',
-    '[class*="modalBody"]',
-    'div[role="dialog"]',
-    '[class*="Modal"]:has(h2, h3)',  // Modal with header
-    '[class*="modal"]:has(h2, h3)',
-    '.modal-open [class*="Modal"]',
-    // Lidarr specific - look for modal with "Add" in title
-    'div:has(> [class*="ModalHeader"]:has-text("Add"))',
-  ];
-
-  let modal = null;
-  for (const selector of modalSelectors) {
-    const candidate = page.locator(selector).first();
-    try {
-      await candidate.waitFor({ state: 'visible', timeout: 2000 });
-      modal = candidate;
-      console.log(`Modal found with selector: ${selector}`);
-      break;
-    } catch {
-      // Try next selector
-    }
-  }
-
-  if (!modal) {
-    // Debug: dump what elements appeared after click
-    const pageStructure = await page.evaluate(() => {
-      const modals = document.querySelectorAll('[class*="modal" i], [class*="Modal"], [role="dialog"]');
-      return Array.from(modals).slice(0, 5).map(el => ({
-        tag: el.tagName,
-        className: el.className?.substring?.(0, 100) || '',
-        visible: el.offsetParent !== null,
-        text: el.textContent?.substring(0, 100)
-      }));
-    }).catch(() => []);
-    console.log('Elements with modal-like classes after click:', JSON.stringify(pageStructure, null, 2));
-
-    console.log('No modal appeared after clicking add button');
-    return { modal: null, found: false };
-  }
-
-  console.log('Modal opened, looking for plugin card...');
-
-  // Try to use modal-specific filter/search if available (NOT global search bar)
-  const modalSearch = modal.locator('input[type="text"], input[placeholder*="filter" i], input[placeholder*="search" i]').first();
-  if (await modalSearch.count().catch(() => 0)) {
-    console.log('Found modal-specific search/filter, using it...');
-    await modalSearch.fill(pluginName).catch(() => {});
-    await page.waitForTimeout(500);
-  }
-
-  return { modal, found: true };
-}
-
-// Helper to click plugin card in add modal and wait for config dialog
-async function clickPluginCard(page, pluginName, modal = null) {
-  await page.waitForTimeout(500);
-
-  // If no modal provided, try to find one using multiple selectors
-  if (!modal) {
-    const modalSelectors = [
-      '[class*="ModalContent"]',
-      '[class*="modalContent"]',
-      '[class*="Modal-content"]',
-      '[class*="modal-content"]',
-      '[class*="ModalBody"]',
-      '[class*="modalBody"]',
-      'div[role="dialog"]',
-      '[class*="Modal"]:has(h2, h3)',
-      '[class*="modal"]:has(h2, h3)',
-    ];
-
-    for (const selector of modalSelectors) {
-      const candidate = page.locator(selector).first();
-      if (await candidate.isVisible().catch(() => false)) {
-        modal = candidate;
-        console.log(`Found existing modal with selector: ${selector}`);
-        break;
-      }
-    }
-  }
-
-  if (!modal || !(await modal.isVisible().catch(() => false))) {
-    console.log('No modal detected, cannot click plugin card');
-    return false;
-  }
-
-  console.log('Modal detected, searching for plugin card...');
-
-  // Debug: Dump all visible provider cards in modal
-  const allCards = await modal.locator('div[class*="card" i], div[class*="Card"], a[class*="card" i], a[class*="Card"]').evaluateAll(els =>
-    els.slice(0, 30).map(el => ({
-      tag: el.tagName,
-      className: el.className?.substring(0, 80),
-      text: el.textContent?.trim().substring(0, 50)
-    }))
-  ).catch(() => []);
-  console.log('Modal cards found:', JSON.stringify(allCards, null, 2));
-
-  // Debug: Dump all section headers in modal
-  const sectionHeaders = await modal.locator('h2, h3, h4, [class*="header" i], [class*="section" i]').evaluateAll(els =>
-    els.slice(0, 15).map(el => el.textContent?.trim().substring(0, 50))
-  ).catch(() => []);
-  console.log('Modal section headers:', sectionHeaders);
-
-  // Scroll through modal to load all content (some providers may be below the fold)
-  const scrollableArea = modal.locator('[class*="ModalBody"], [class*="modalBody"], [class*="scroller"]').first();
-  if (await scrollableArea.count().catch(() => 0)) {
-    console.log('Scrolling through modal content...');
-    await scrollableArea.evaluate(el => el.scrollTo(0, el.scrollHeight)).catch(() => {});
-    await page.waitForTimeout(500);
-    await scrollableArea.evaluate(el => el.scrollTo(0, 0)).catch(() => {});
-    await page.waitForTimeout(300);
-  }
-
-  // Selectors scoped to modal content only
-  const selectors = [
-    // Standard Lidarr plugin card selectors
-    `div[class*="AddNewItem"]:has-text("${pluginName}")`,
-    `div[class*="selectableCard"]:has-text("${pluginName}")`,
-    `div[class*="card"]:has-text("${pluginName}")`,
-    `div[class*="Card"]:has-text("${pluginName}")`,
-    // Link-style cards
-    `a[class*="card"]:has-text("${pluginName}")`,
-    `a[class*="Card"]:has-text("${pluginName}")`,
-  ];
-
-  for (const selector of selectors) {
-    // Scope to modal only
-    const card = modal.locator(selector).first();
-    const count = await card.count().catch(() => 0);
-    console.log(`Checking modal selector: ${selector} - found: ${count}`);
-    if (count > 0) {
-      try {
-        // Scroll card into view first
-        await card.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
-        await page.waitForTimeout(300);
-        await card.click({ timeout: 3000 });
-        await page.waitForTimeout(1500);
-        // Check if config dialog opened (should have form inputs)
-        const hasForm = await page.locator('[class*="Modal"] input[name], [class*="Modal"] select, [class*="Modal"] textarea').count().catch(() => 0);
-        if (hasForm > 0) {
-          console.log(`Clicked plugin card using: ${selector}, form fields found: ${hasForm}`);
-          return true;
-        }
-      } catch (e) {
-        console.log(`Click failed for ${selector}: ${e?.message || e}`);
-      }
-    }
-  }
-
-  // Fallback: look for exact text match within modal and scroll to it
-  const exactMatch = modal.locator('div, span, h3, h4').filter({ hasText: new RegExp(`^${pluginName}$`, 'i') }).first();
-  if (await exactMatch.count().catch(() => 0)) {
-    console.log('Found exact text match within modal, scrolling and clicking...');
-    await exactMatch.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
-    await page.waitForTimeout(300);
-    // Click the parent card element, not just the text
-    const parentCard = exactMatch.locator('xpath=ancestor::div[contains(@class, "card") or contains(@class, "Card") or contains(@class, "AddNewItem")]').first();
-    if (await parentCard.count().catch(() => 0)) {
-      await parentCard.click({ timeout: 3000 }).catch(() => {});
-    } else {
-      await exactMatch.click({ timeout: 3000 }).catch(() => {});
-    }
-    await page.waitForTimeout(1500);
-    return true;
-  }
-
-  console.log('No plugin card found in modal');
-  return false;
-}
-
-async function captureIndexerScreenshots(page) {
-  // Navigate to Indexers section
-  await screenshotOrSkip(page, 'indexers-list', async () => {
-    const indexersLink = page.getByRole('link', { name: /indexers/i }).first();
-    if (await indexersLink.count()) {
-      await indexersLink.click({ timeout: 3000 }).catch(() => {});
-      await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
-    } else {
-      await page.goto(`${BASE}/settings/indexers`, { waitUntil: 'domcontentloaded' });
-    }
-    await page.waitForTimeout(500);
-  });
-
-  // Open Add Indexer modal and find plugin card (for add-modal screenshot)
-  let modalRef = null;
-  await screenshotOrSkip(page, 'indexer-add-modal', async () => {
-    const result = await openAddModalAndFindPlugin(page, PLUGIN_NAME);
-    modalRef = result.modal;
-    // Screenshot shows the modal with plugin card visible (scrolled into view if needed)
-    if (modalRef) {
-      await clickPluginCard(page, PLUGIN_NAME, modalRef).catch(() => {});
-      // After clicking, we're now in config - go back for add-modal screenshot
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(300);
-      // Re-open modal for screenshot
-      const addBtn = page.locator('button').filter({ hasText: /add/i }).first();
-      if (await addBtn.count().catch(() => 0)) {
-        await addBtn.click({ timeout: 2000 }).catch(() => {});
-        await page.waitForTimeout(500);
-      }
-    }
+// Option names that are not simply the flag in camelCase
+const FLAGS = { types: 'type', scenarios: 'scenario', maskSelectors: 'mask-selector', dynamicSelectors: 'dynamic-selector', plugins: 'plugin' };
+const flagFor = (option) => FLAGS[option] || option.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+// Ctrl-C (or SIGTERM) stops the capture and lets the run undo its Lidarr changes; a second one exits at once
+const interrupt = new AbortController();
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    if (interrupt.signal.aborted) process.exit(130);
+    console.error(`\n${signal}: stopping the capture and restoring Lidarr (again to exit now)`);
+    interrupt.abort();
   });
-
-  // Plugin configuration - click the plugin card to open config modal
-  await screenshotOrSkip(page, 'indexer-config', async () => {
-    const clicked = await clickPluginCard(page, PLUGIN_NAME);
-    if (!clicked) {
-      // Try opening modal fresh
-      const result = await openAddModalAndFindPlugin(page, PLUGIN_NAME);
-      if (result.modal) {
-        await clickPluginCard(page, PLUGIN_NAME, result.modal);
-      }
-    }
-  });
-
-  await page.keyboard.press('Escape');
-  await page.waitForTimeout(300);
 }
 
-async function captureDownloadClientScreenshots(page) {
-  // Navigate to Download Clients section
-  await screenshotOrSkip(page, 'download-clients-list', async () => {
-    const downloadLink = page.getByRole('link', { name: /download client/i }).first();
-    if (await downloadLink.count()) {
-      await downloadLink.click({ timeout: 3000 }).catch(() => {});
-      await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
-    } else {
-      await page.goto(`${BASE}/settings/downloadclients`, { waitUntil: 'domcontentloaded' });
-    }
-    await page.waitForTimeout(500);
+let result;
+try {
+  result = await captureScreenshots({
+    plugin: args.plugin,
+    pluginsFile: args['plugins-file'] || null,
+    parallel: args.parallel,
+    types: args.type,
+    scenarios: args.scenario,
+    output: args.output,
+    url: args.url,
+    compare: args.compare,
+    threshold: args.threshold,
+    maxDiffRatio: args['max-diff-ratio'],
+    diffOutput: args['diff-output'],
+    manifest: args.manifest,
+    require: args.require,
+    apiKey: args['api-key'],
+    configXml: args['config-xml'],
+    username: args.username,
+    password: args.password,
+    authState: args['auth-state'] || null,
+    seedArtist: args['seed-artist'],
+    seedAlbum: args['seed-album'],
+    seedTimeout: args['seed-timeout'],
+    preflightTimeout: args['preflight-timeout'],
+    skipPreflight: args['skip-preflight'],
+    maskStyle: args['mask-style'],
+    maskPatterns: args['mask-patterns'],
+    maskSelectors: args['mask-selector'],
+    matrix: args.matrix,
+    shotOptions: args['shot-options'],
+    diagnostics: args.diagnostics,
+    diagnosticsDir: args['diagnostics-dir'],
+    selectorProfile: args['selector-profile'] || null,
+    deterministic: args.deterministic,
+    freezeTime: args['freeze-time'] || null,
+    dynamicSelectors: args['dynamic-selector'],
+    gallery: args.gallery || null,
+    docs: args.docs,
+    imageBase: args['image-base'] || null,
+    format: args.format,
+    quality: args.quality,
+    thumbnail: args.thumbnail || null,
+    sizeBudget: args['size-budget'] || null,
+    sizeBudgetMode: args['size-budget-mode'],
+    keepChanges: args['keep-changes'],
+    a11y: args.a11y,
+    settingsReference: args['settings-reference'],
+    fixtures: args.fixtures || null,
+    locales: args.locales || null,
+    dryRun: args['dry-run'],
+    stopAfter: args['stop-after'] || null,
+    signal: interrupt.signal,
+    runner: { name: 'lidarr.plugin.common:snap.mjs', args: process.argv.slice(2) }
   });
-
-  // Open Add Download Client modal and find plugin card
-  let modalRef = null;
-  await screenshotOrSkip(page, 'download-client-add-modal', async () => {
-    const result = await openAddModalAndFindPlugin(page, PLUGIN_NAME);
-    modalRef = result.modal;
-    if (modalRef) {
-      await clickPluginCard(page, PLUGIN_NAME, modalRef).catch(() => {});
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(300);
-      const addBtn = page.locator('button').filter({ hasText: /add/i }).first();
-      if (await addBtn.count().catch(() => 0)) {
-        await addBtn.click({ timeout: 2000 }).catch(() => {});
-        await page.waitForTimeout(500);
-      }
-    }
-  });
-
-  // Plugin configuration - click the plugin card to open config modal
-  await screenshotOrSkip(page, 'download-client-config', async () => {
-    const clicked = await clickPluginCard(page, PLUGIN_NAME);
-    if (!clicked) {
-      const result = await openAddModalAndFindPlugin(page, PLUGIN_NAME);
-      if (result.modal) {
-        await clickPluginCard(page, PLUGIN_NAME, result.modal);
-      }
-    }
-  });
-
-  await page.keyboard.press('Escape');
-  await page.waitForTimeout(300);
-}
-
-async function captureImportListScreenshots(page) {
-  // Navigate to Import Lists section
-  await screenshotOrSkip(page, 'import-lists', async () => {
-    const importLists = page.getByText(/import lists/i).first();
-    if (await importLists.count()) {
-      await importLists.click({ timeout: 2000 }).catch(() => {});
-    } else {
-      await page.goto(`${BASE}/settings/importlists`, { waitUntil: 'domcontentloaded' });
-    }
-    await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
-    await page.waitForTimeout(500);
-  });
-
-  // Open Add Import List modal and find plugin card
-  let modalRef = null;
-  await screenshotOrSkip(page, 'import-list-add-modal', async () => {
-    const result = await openAddModalAndFindPlugin(page, PLUGIN_NAME);
-    modalRef = result.modal;
-    if (modalRef) {
-      await clickPluginCard(page, PLUGIN_NAME, modalRef).catch(() => {});
-      await page.keyboard.press('Escape');
-      await page.waitForTimeout(300);
-      const addBtn = page.locator('button').filter({ hasText: /add/i }).first();
-      if (await addBtn.count().catch(() => 0)) {
-        await addBtn.click({ timeout: 2000 }).catch(() => {});
-        await page.waitForTimeout(500);
-      }
-    }
-  });
-
-  // Plugin configuration - click the plugin card to open config modal
-  await screenshotOrSkip(page, 'import-list-config', async () => {
-    const clicked = await clickPluginCard(page, PLUGIN_NAME);
-    if (!clicked) {
-      const result = await openAddModalAndFindPlugin(page, PLUGIN_NAME);
-      if (result.modal) {
-        await clickPluginCard(page, PLUGIN_NAME, result.modal);
-      }
-    }
-  });
-
-  await page.keyboard.press('Escape');
-  await page.waitForTimeout(300);
-}
-
-// Helper to enable "Show Advanced" settings toggle
-async function enableShowAdvanced(page) {
-  try {
-    // Look for the "Show Advanced" button in the toolbar
-    const showAdvancedBtn = page.locator('button').filter({ hasText: /show\s*advanced/i }).first();
-    if (await showAdvancedBtn.count()) {
-      // Check if it's already enabled (button text might change or have different state)
-      const btnText = await showAdvancedBtn.textContent().catch(() => '');
-      if (btnText && !btnText.toLowerCase().includes('hide')) {
-        await showAdvancedBtn.click({ timeout: 2000 }).catch(() => {});
-        await page.waitForTimeout(300);
-        console.log('Enabled "Show Advanced" settings');
-      }
-    }
-  } catch (err) {
-    console.warn(`Could not enable Show Advanced: ${err?.message || err}`);
-  }
-}
-
-// Helper to enable plugin protocol in Delay Profiles
-// This is required for streaming plugins (Tidalarr, Qobuzarr, etc.) to appear in Indexer/Download Client settings
-async function enablePluginProtocol(page, pluginName, baseUrl) {
-  console.log(`Enabling protocol for ${pluginName} in Delay Profiles...`);
-
-  try {
-    // Navigate to Profiles page
-    await page.goto(`${baseUrl}/settings/profiles`, { waitUntil: 'domcontentloaded' });
-    await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
-    await page.waitForTimeout(500);
-
-    // Look for Delay Profiles section
-    const delayProfilesHeader = page.locator('h3, h4, div[class*="header"]').filter({ hasText: /delay\s*profiles/i }).first();
-    if (await delayProfilesHeader.count()) {
-      console.log('Found Delay Profiles section');
-      await delayProfilesHeader.scrollIntoViewIfNeeded().catch(() => {});
-      await page.waitForTimeout(300);
-    }
-
-    // Find the wrench/edit icon button for the default delay profile
-    // Lidarr uses various icon patterns - try multiple selectors
-    const editSelectors = [
-      // Wrench icon button within delay profile card/row
-      '[class*="DelayProfile"] button[class*="edit" i]',
-      '[class*="DelayProfile"] [class*="icon-wrench"]',
-      '[class*="DelayProfile"] [class*="iconButton"]',
-      '[class*="delayProfile" i] button:has([class*="icon"])',
-      // Generic edit button near delay profiles
-      'div:has(> [class*="DelayProfile"]) button[title*="edit" i]',
-      'div:has(> [class*="DelayProfile"]) button[title*="settings" i]',
-      // Row-based edit buttons
-      '[class*="row" i]:has-text("Delay Profile") button[class*="icon"]',
-      // Table row edit button
-      'tr:has-text("Delay") button',
-      // Any clickable element with wrench/settings icon
-      '[class*="DelayProfile"] [class*="fa-wrench"]',
-      '[class*="DelayProfile"] svg[class*="wrench"]',
-      // Fallback: first edit-like button in delay profiles area
-      '[class*="delay" i] button:first-of-type',
-    ];
-
-    let editClicked = false;
-    for (const selector of editSelectors) {
-      const editBtn = page.locator(selector).first();
-      const count = await editBtn.count().catch(() => 0);
-      if (count > 0) {
-        console.log(`Found edit button with selector: ${selector}`);
-        try {
-          await editBtn.click({ timeout: 3000 });
-          await page.waitForTimeout(800);
-          editClicked = true;
-          break;
-        } catch (e) {
-          console.log(`Click failed for ${selector}: ${e?.message || e}`);
-        }
-      }
-    }
-
-    if (!editClicked) {
-      // Try clicking any card/row in the delay profiles section to open edit modal
-      const delayCard = page.locator('[class*="DelayProfile"], [class*="delayProfile"]').first();
-      if (await delayCard.count()) {
-        console.log('Clicking delay profile card directly...');
-        await delayCard.click({ timeout: 3000 }).catch(() => {});
-        await page.waitForTimeout(800);
-        editClicked = true;
-      }
-    }
-
-    if (!editClicked) {
-      console.log('Could not find delay profile edit button, trying alternative approach...');
-      // Debug: dump page structure around delay profiles
-      const profilesArea = await page.evaluate(() => {
-        const els = document.querySelectorAll('[class*="delay" i], [class*="Delay"]');
-        return Array.from(els).slice(0, 10).map(el => ({
-          tag: el.tagName,
-          className: el.className?.substring(0, 80),
-          buttons: Array.from(el.querySelectorAll('button')).map(b => b.className?.substring(0, 40))
-        }));
-      }).catch(() => []);
-      console.log('Delay profiles area elements:', JSON.stringify(profilesArea, null, 2));
-      return false;
-    }
-
-    // Wait for modal to appear
-    await page.waitForTimeout(500);
-
-    // Look for protocol checkboxes in the modal
-    // The protocol name is usually based on the plugin name (e.g., "TidalarrDownloadProtocol", "QobuzarrDownloadProtocol")
-    const protocolPatterns = [
-      pluginName,
-      `${pluginName}DownloadProtocol`,
-      `${pluginName.toLowerCase()}`,
-      pluginName.replace(/arr$/i, ''),  // "Tidal" from "Tidalarr"
-    ];
-
-    console.log('Looking for protocol checkboxes with patterns:', protocolPatterns);
-
-    // Debug: dump all checkboxes/labels in the modal
-    const modalCheckboxes = await page.evaluate(() => {
-      const modal = document.querySelector('[class*="Modal"], [role="dialog"]');
-      if (!modal) return [];
-      const labels = modal.querySelectorAll('label, [class*="checkbox" i], [class*="toggle" i]');
-      return Array.from(labels).map(el => ({
-        text: el.textContent?.trim().substring(0, 50),
-        className: el.className?.substring(0, 50)
-      }));
-    }).catch(() => []);
-    console.log('Modal checkboxes/labels:', JSON.stringify(modalCheckboxes, null, 2));
-
-    // Try to find and click the protocol checkbox
-    let protocolEnabled = false;
-    for (const pattern of protocolPatterns) {
-      // Try various checkbox/toggle selectors
-      const checkboxSelectors = [
-        `label:has-text("${pattern}")`,
-        `[class*="checkbox" i]:has-text("${pattern}")`,
-        `[class*="toggle" i]:has-text("${pattern}")`,
-        `input[type="checkbox"][name*="${pattern}" i]`,
-        `div:has-text("${pattern}") input[type="checkbox"]`,
-      ];
-
-      for (const selector of checkboxSelectors) {
-        const checkbox = page.locator(selector).first();
-        if (await checkbox.count().catch(() => 0)) {
-          console.log(`Found protocol checkbox with selector: ${selector}`);
-          try {
-            // Check if already enabled
-            const isChecked = await checkbox.isChecked().catch(() => false);
-            if (!isChecked) {
-              await checkbox.click({ timeout: 2000 });
-              console.log(`Enabled protocol: ${pattern}`);
-            } else {
-              console.log(`Protocol already enabled: ${pattern}`);
-            }
-            protocolEnabled = true;
-            break;
-          } catch (e) {
-            console.log(`Checkbox interaction failed: ${e?.message || e}`);
-          }
-        }
-      }
-      if (protocolEnabled) break;
-    }
-
-    if (!protocolEnabled) {
-      console.log('Could not find protocol checkbox, may already be enabled or different UI pattern');
-    }
-
-    // Save changes - look for save button
-    const saveBtn = page.locator('button').filter({ hasText: /save/i }).first();
-    if (await saveBtn.count()) {
-      await saveBtn.click({ timeout: 3000 }).catch(() => {});
-      console.log('Saved delay profile changes');
-      await page.waitForTimeout(500);
-    }
-
-    // Close modal if still open
-    await page.keyboard.press('Escape').catch(() => {});
-    await page.waitForTimeout(300);
-
-    return protocolEnabled;
-  } catch (err) {
-    console.warn(`Could not enable protocol: ${err?.message || err}`);
-    return false;
-  }
+} catch (err) {
+  if (!(err instanceof SnapOptionsError)) throw err;
+  console.error(`--${flagFor(err.option)}: ${err.reason}`);
+  process.exit(2);
 }
 
-async function run() {
-  const browser = await chromium.launch({ headless: true });
-  try {
-    const context = await browser.newContext({
-      viewport: { width: 1440, height: 900 },
-      userAgent: `${PLUGIN_NAME.toLowerCase()}-ci-screenshot`,
-      colorScheme: 'dark'
-    });
-    const page = await context.newPage();
-
-    // Basic navigation + wizard-friendly waits
-    await page.goto(BASE, { waitUntil: 'domcontentloaded', timeout: 60_000 });
-    await page.waitForLoadState('networkidle', { timeout: 60_000 }).catch(() => {});
-
-    // Try to breeze through wizard if present
-    const tryClick = async (text) => {
-      const el = page.getByRole('button', { name: text });
-      if (await el.count().catch(() => 0)) {
-        await el.first().click({ timeout: 2000 }).catch(() => {});
-      }
-    };
-    await tryClick('Next');
-    await tryClick('Continue');
-    await tryClick('Skip');
-    await tryClick('Finish');
-
-    // Landing page
-    await screenshotOrSkip(page, 'landing', async () => {
-      await page.waitForTimeout(800);
-    });
-
-    // Navigate to Settings
-    const goSettings = async () => {
-      const settings = page.getByRole('link', { name: /settings/i });
-      if (await settings.count()) {
-        await settings.first().click();
-        await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
-      } else {
-        await page.goto(`${BASE}/settings`, { waitUntil: 'domcontentloaded' });
-        await page.waitForLoadState('networkidle', { timeout: 10_000 }).catch(() => {});
-      }
-      // Enable Show Advanced after navigating to settings
-      await enableShowAdvanced(page);
-    };
-
-    await goSettings();
-
-    // Settings overview
-    await screenshotOrSkip(page, 'settings', async () => {
-      await page.waitForTimeout(500);
-    });
-
-    // Enable plugin protocol in Delay Profiles (required for streaming plugins like Tidalarr/Qobuzarr)
-    // This must be done BEFORE capturing indexer/download-client screenshots
-    if (PLUGIN_TYPES.includes('indexer') || PLUGIN_TYPES.includes('download-client')) {
-      console.log('\n=== Enabling plugin protocol for indexer/download-client visibility ===');
-      await enablePluginProtocol(page, PLUGIN_NAME, BASE);
-      await goSettings();
-    }
-
-    // Capture type-specific screenshots
-    if (PLUGIN_TYPES.includes('indexer')) {
-      await captureIndexerScreenshots(page);
-      await goSettings();
-    }
-
-    if (PLUGIN_TYPES.includes('download-client')) {
-      await captureDownloadClientScreenshots(page);
-      await goSettings();
-    }
-
-    if (PLUGIN_TYPES.includes('import-list')) {
-      await captureImportListScreenshots(page);
-    }
-
-    console.log('\nScreenshot capture complete!');
-  } finally {
-    await browser.close();
-  }
+if (result.error) {
+  console.error(result.error);
 }
-
-run().catch((e) => {
-  console.error(e);
+if (interrupt.signal.aborted) {
+  process.exitCode = 130;
+} else if (!result.passed) {
   process.exitCode = 1;
-});
+}
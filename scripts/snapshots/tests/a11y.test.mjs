@@ -0,0 +1,112 @@
+// Accessibility rules (lib/a11y.mjs) judged on collected page facts; the collection itself runs in the
+// browser and is covered by the --a11y run in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditFacts, contrastRatio, parseColor, countByRule, renderA11yReport } from '../lib/a11y.mjs';
+import { validateScenario, ScenarioError } from '../lib/scenario.mjs';
+
+const text = (color, backgrounds, extra = {}) => ({ target: 'span', text: 'Quality', color, backgrounds, fontSize: 14, fontWeight: 400, ...extra });
+
+describe('colours', () => {
+  test('parses the computed colour forms Chromium returns', () => {
+    assert.deepEqual(parseColor('rgb(32, 32, 32)'), { r: 32, g: 32, b: 32, a: 1 });
+    assert.deepEqual(parseColor('rgba(0, 0, 0, 0.6)'), { r: 0, g: 0, b: 0, a: 0.6 });
+    assert.deepEqual(parseColor('rgb(0 166 91 / 50%)'), { r: 0, g: 166, b: 91, a: 0.5 });
+    assert.deepEqual(parseColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+    assert.equal(parseColor('color(srgb 1 0 0)'), null);
+  });
+
+  test('contrast ratio runs from 1:1 to 21:1', () => {
+    const black = { r: 0, g: 0, b: 0 };
+    const white = { r: 255, g: 255, b: 255 };
+    assert.equal(contrastRatio(black, white), 21);
+    assert.equal(contrastRatio(white, white), 1);
+    assert.equal(Math.round(contrastRatio({ r: 204, g: 204, b: 204 }, { r: 42, g: 42, b: 42 }) * 100) / 100, 8.94);
+  });
+});
+
+describe('auditFacts', () => {
+  test('flags fields with neither an accessible name nor a group label, and group fields without help text', () => {
+    const violations = auditFacts({
+      fields: [
+        { target: 'input[name="baseUrl"]', name: '', label: 'API URL', help: true },
+        { target: 'input[name="email"]', name: '', label: 'Email', help: false },
+        { target: 'input[name="token"]', name: '', label: '', help: false },
+        { target: 'input.TextInput-input', name: 'Filter indexers', label: '', help: null }
+      ]
+    }, ['label', 'help-text']);
+    assert.deepEqual(violations.map(v => [v.rule, v.target, v.text]), [
+      ['label', 'input[name="token"]', ''],
+      ['help-text', 'input[name="email"]', 'Email'],
+      ['help-text', 'input[name="token"]', '']
+    ]);
+    assert.equal(violations[0].impact, 'critical');
+  });
+
+  test('checks contrast over translucent backgrounds, with the lower bar for large text', () => {
+    const violations = auditFacts({
+      texts: [
+        text('rgb(204, 204, 204)', ['rgba(0, 0, 0, 0)', 'rgb(42, 42, 42)']),
+        text('rgb(119, 119, 119)', ['rgb(42, 42, 42)']),
+        text('rgb(119, 119, 119)', ['rgb(255, 255, 255)'], { fontSize: 24 }),
+        text('rgb(150, 150, 150)', ['rgba(255, 255, 255, 0.5)']),
+        text('rgb(0, 0, 0)', [null])
+      ]
+    }, ['color-contrast']);
+    assert.equal(violations.length, 2);
+    assert.deepEqual(violations[0], {
+      rule: 'color-contrast', impact: 'serious', target: 'span', text: 'Quality',
+      ratio: 3.21, required: 4.5, foreground: '#777777', background: '#2a2a2a'
+    });
+    // Half-transparent white over the white page is white
+    assert.equal(violations[1].background, '#ffffff');
+    assert.equal(violations[1].ratio, 2.96);
+  });
+
+  test('flags clickable elements the keyboard cannot reach', () => {
+    const violations = auditFacts({
+      controls: [
+        { target: 'div.AddIndexerItem-indexer', text: 'Tidalarr', reachable: false },
+        { target: 'button', text: 'Close', reachable: true }
+      ]
+    }, ['keyboard']);
+    assert.deepEqual(violations, [{ rule: 'keyboard', impact: 'serious', target: 'div.AddIndexerItem-indexer', text: 'Tidalarr' }]);
+  });
+
+  test('rejects an unknown rule', () => {
+    assert.throws(() => auditFacts({}, ['landmarks']), /unknown accessibility rule "landmarks"/);
+  });
+});
+
+describe('renderA11yReport', () => {
+  test('summarises per rule and lists each shot\'s issues in a table', () => {
+    const violations = [
+      { rule: 'keyboard', impact: 'serious', target: 'div.tile', text: 'Tidalarr' },
+      { rule: 'color-contrast', impact: 'serious', target: 'span', text: 'A | B', ratio: 3.47, required: 4.5, foreground: '#777777', background: '#2a2a2a' }
+    ];
+    const markdown = renderA11yReport({
+      plugin: 'Tidalarr',
+      type: 'indexer',
+      lidarrVersion: '2.14.0.4650',
+      summary: { audited: 2, violations: 2, byRule: countByRule(violations) },
+      shots: [
+        { shot: 'indexer-add-modal', variant: null, colorScheme: 'dark', rules: ['label', 'help-text', 'color-contrast', 'keyboard'], violations },
+        { shot: 'indexer-config', variant: null, colorScheme: 'dark', rules: ['label', 'help-text', 'color-contrast', 'keyboard'], violations: [] }
+      ]
+    });
+    assert.match(markdown, /^# Accessibility: Tidalarr indexer\n/);
+    assert.match(markdown, /\| keyboard \| serious \| Clickable controls can be reached with the keyboard \| 1 \|/);
+    assert.match(markdown, /\| keyboard \| serious \| `div\.tile` \| Tidalarr \| Not reachable with Tab \|/);
+    assert.match(markdown, /\| A \\\| B \| 3\.47:1, needs 4\.5:1 \(#777777 on #2a2a2a\) \|/);
+    assert.match(markdown, /## indexer-config\n\nColour scheme dark; rules: .*\n\nNo issues found\./);
+  });
+});
+
+describe('scenario a11y flag', () => {
+  test('must be a boolean', () => {
+    const scenario = { name: 'extra', shots: [{ name: 'extra-config', verify: 'config-dialog', a11y: 'yes', steps: [] }] };
+    assert.throws(() => validateScenario(scenario), ScenarioError);
+    assert.doesNotThrow(() => validateScenario({ ...scenario, shots: [{ ...scenario.shots[0], a11y: false }] }));
+  });
+});
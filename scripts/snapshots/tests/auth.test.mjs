@@ -0,0 +1,39 @@
+// Saved login sessions. The login itself needs a browser and is covered in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { defaultStatePath, loadStorageState, saveStorageState } from '../lib/auth.mjs';
+
+describe('storage state', () => {
+  test('gets one file per instance', () => {
+    assert.equal(defaultStatePath('http://localhost:8686'), join('.tmp/snap-auth', 'localhost-8686.json'));
+    assert.equal(defaultStatePath('https://media.example.invalid/lidarr/'), join('.tmp/snap-auth', 'media.example.invalid-443-lidarr.json'));
+  });
+
+  test('round-trips and is readable only by its owner', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-auth-'));
+    try {
+      const path = join(dir, 'nested', 'state.json');
+      const state = { cookies: [{ name: 'LidarrAuth', value: 'abc', domain: 'localhost', path: '/' }], origins: [] };
+      saveStorageState(path, state);
+      assert.deepEqual(loadStorageState(path), state);
+      if (process.platform !== 'win32') assert.equal(statSync(path).mode & 0o077, 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('treats a missing or unreadable file as no session', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-auth-'));
+    try {
+      assert.equal(loadStorageState(join(dir, 'missing.json')), null);
+      writeFileSync(join(dir, 'broken.json'), '{ not json');
+      assert.equal(loadStorageState(join(dir, 'broken.json')), null);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
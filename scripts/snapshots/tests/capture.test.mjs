@@ -0,0 +1,185 @@
+// Programmatic API (lib/capture.mjs, exported from index.mjs): option checks, structured results and
+// step events. The runs here end at pre-flight, so no browser is needed; captureFlow on a caller's
+// page is skipped when Playwright's Chromium is not installed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startFakeLidarr } from './fake-lidarr/server.mjs';
+import { captureScreenshots, captureFlow, resolveOptions, SnapOptionsError } from '../index.mjs';
+
+async function chromiumInstalled() {
+  try {
+    const { chromium } = await import('playwright');
+    return existsSync(chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+const NO_BROWSER = (await chromiumInstalled()) ? false : 'Playwright Chromium is not installed';
+
+async function withOutput(fn) {
+  const output = mkdtempSync(join(tmpdir(), 'snap-capture-'));
+  try {
+    await fn(output, {
+      output,
+      diagnosticsDir: join(output, 'diagnostics'),
+      authState: join(output, 'auth-state.json'),
+      preflightTimeout: 5
+    });
+  } finally {
+    rmSync(output, { recursive: true, force: true });
+  }
+}
+
+describe('resolveOptions', () => {
+  test('fills in the snap.mjs defaults', async () => {
+    const config = await resolveOptions({ plugin: 'Tidalarr', apiKey: 'k' });
+    assert.deepEqual(config.plugins[0].types, ['indexer', 'download-client', 'import-list']);
+    assert.deepEqual(config.plugins[0].scenarioList.map(s => s.name), ['indexer', 'download-client', 'import-list']);
+    assert.equal(config.outDir, 'docs/assets/screenshots');
+    assert.equal(config.preflightTimeoutMs, 120_000);
+    assert.equal(config.parallel, 3);
+    assert.deepEqual(config.output, { format: 'png', quality: 80, thumbnail: null, sizeBudget: null, sizeBudgetMode: 'warn' });
+  });
+
+  test('takes plugins and scenarios as data', async () => {
+    const extra = { name: 'extra', shots: [{ name: 'system-status', steps: [{ action: 'navigate', path: '/system/status' }] }] };
+    const config = await resolveOptions({
+      plugins: [{ name: 'Tidalarr', types: 'indexer', require: ['indexer-config'] }, 'Brainarr'],
+      types: ['import-list'],
+      scenarios: [extra]
+    });
+    assert.deepEqual(config.plugins.map(p => p.scenarioList.map(s => s.name)), [['indexer', 'extra'], ['import-list', 'extra']]);
+    assert.deepEqual(config.plugins[0].require, ['indexer-config']);
+    assert.equal(config.multi, true);
+  });
+
+  test('redacts secrets from the runner arguments', async () => {
+    const config = await resolveOptions({ plugin: 'Tidalarr', apiKey: 'secret-key', runner: { name: 'test', args: ['--api-key=secret-key'] } });
+    assert.deepEqual(config.runner, { name: 'test', args: ['--api-key=[REDACTED]'] });
+  });
+
+  test('rejects invalid options with the option name', async () => {
+    const cases = [
+      [{ threshold: 2 }, 'threshold'],
+      [{ maxDiffRatio: -1 }, 'maxDiffRatio'],
+      [{ diagnostics: 'sometimes' }, 'diagnostics'],
+      [{ maskPatterns: 'token,(' }, 'maskPatterns'],
+      [{ plugin: '' }, 'plugin'],
+      [{ types: 'playlist' }, 'types'],
+      [{ types: [] }, 'types'],
+      [{ scenarios: [{ name: 'bad' }] }, 'scenarios'],
+      [{ username: 'admin' }, 'username'],
+      [{ seedTimeout: 0 }, 'seedTimeout'],
+      [{ page: {}, types: 'indexer' }, 'page'],
+      [{ page: { goto() {} }, matrix: 'scheme:dark,light' }, 'matrix'],
+      [{ events: {} }, 'events'],
+      [{ signal: {} }, 'signal'],
+      [{ plugins: ['Tidalarr', 'Qobuzarr'], gallery: 'docs/gallery.md' }, 'gallery'],
+      [{ docs: 'missing/README.md' }, 'docs'],
+      [{ freezeTime: '2025-01-01' }, 'freezeTime'],
+      [{ deterministic: true, freezeTime: 'last tuesday' }, 'freezeTime'],
+      [{ format: 'avif' }, 'format'],
+      [{ format: 'webp', quality: 0 }, 'quality'],
+      [{ thumbnail: 'wide' }, 'thumbnail'],
+      [{ sizeBudget: -5 }, 'sizeBudget'],
+      [{ sizeBudgetMode: 'error' }, 'sizeBudgetMode'],
+      [{ shotOptions: { landing: { budget: 'small' } } }, 'shotOptions'],
+      [{ locales: 'en,klingon' }, 'locales'],
+      [{ stopAfter: 'nope' }, 'stopAfter']
+    ];
+    for (const [options, option] of cases) {
+      await assert.rejects(resolveOptions({ plugin: 'Tidalarr', ...options }), (err) => {
+        assert.ok(err instanceof SnapOptionsError, `${option}: ${err}`);
+        assert.equal(err.option, option);
+        return true;
+      });
+    }
+  });
+});
+
+describe('captureScreenshots', () => {
+  test('resolves with the manifest and error instead of exiting, and reports setup steps as events', { timeout: 60_000 }, async () => {
+    const fake = await startFakeLidarr({ pluginLoaded: false });
+    try {
+      await withOutput(async (output, paths) => {
+        const events = new EventEmitter();
+        const seen = [];
+        events.on('setup:start', ({ plugin, step }) => seen.push(['start', plugin, step.name]));
+        events.on('setup:end', ({ plugin, step }) => seen.push(['end', plugin, step.name, step.outcome]));
+
+        const result = await captureScreenshots({
+          ...paths, plugin: 'Tidalarr', types: 'indexer', url: fake.url, apiKey: fake.apiKey, diagnostics: 'off', events
+        });
+        assert.equal(result.passed, false);
+        assert.equal(result.error.code, 'SNAP_PLUGIN_NOT_LOADED');
+        assert.equal(result.diagnostics, null);
+        assert.equal(result.plugins.length, 1);
+        const [plugin] = result.plugins;
+        assert.equal(plugin.name, 'Tidalarr');
+        assert.equal(plugin.manifest.summary.fatalErrorCode, 'SNAP_PLUGIN_NOT_LOADED');
+        assert.equal(plugin.manifestPath, `${output}/snap-manifest.json`);
+        assert.ok(existsSync(plugin.manifestPath));
+        assert.deepEqual(seen, [['start', 'Tidalarr', 'preflight'], ['end', 'Tidalarr', 'preflight', 'failed']]);
+      });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('keeps capturing when an event listener throws', { timeout: 60_000 }, async () => {
+    const fake = await startFakeLidarr({ pluginLoaded: false });
+    try {
+      await withOutput(async (output, paths) => {
+        const events = new EventEmitter();
+        events.on('setup:end', () => { throw new Error('listener bug'); });
+        const result = await captureScreenshots({
+          ...paths, plugins: ['Ghostarr', 'Phantomarr'], types: 'indexer', url: fake.url, apiKey: fake.apiKey, diagnostics: 'off', events
+        });
+        assert.deepEqual(result.plugins.map(p => [p.name, p.manifest.summary.fatalErrorCode]), [
+          ['Ghostarr', 'SNAP_PLUGIN_NOT_LOADED'],
+          ['Phantomarr', 'SNAP_PLUGIN_NOT_LOADED']
+        ]);
+      });
+    } finally {
+      await fake.close();
+    }
+  });
+});
+
+describe('captureFlow', () => {
+  test('captures a built-in flow on the caller\'s page and leaves the page open', { skip: NO_BROWSER, timeout: 120_000 }, async () => {
+    const { chromium } = await import('playwright');
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    const browser = await chromium.launch({ headless: true });
+    try {
+      await withOutput(async (output, paths) => {
+        const page = await browser.newPage();
+        await page.goto(fake.url);
+        const ended = [];
+        const events = new EventEmitter();
+        events.on('shot:end', ({ step }) => ended.push([step.name, step.outcome]));
+
+        const result = await captureFlow(page, 'indexer', { ...paths, plugin: 'Tidalarr', url: fake.url, events });
+        assert.equal(result.passed, true, JSON.stringify(result.plugins[0].manifest.results, null, 2));
+        assert.deepEqual(ended, [
+          ['indexers-list', 'success'],
+          ['indexer-add-modal', 'success'],
+          ['indexer-config', 'success']
+        ]);
+        assert.ok(existsSync(join(output, 'indexer-config.png')));
+        assert.ok(!existsSync(join(output, 'landing.png')));
+        // The page still belongs to the caller
+        assert.equal(page.isClosed(), false);
+        await page.goto(`${fake.url}/settings`);
+      });
+    } finally {
+      await browser.close();
+      await fake.close();
+    }
+  });
+});
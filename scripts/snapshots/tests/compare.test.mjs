@@ -0,0 +1,148 @@
+// Visual regression against stored baselines (lib/compare.mjs), on small synthetic PNGs. No browser needed;
+// the --compare run itself ends in writeComparisonReport, whose baseline listing is covered here too.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { encodePng, decodePng } from '../lib/png.mjs';
+import { diffImages, compareWithBaseline, unchangedFrom, listBaselines, baselineFormats } from '../lib/compare.mjs';
+import { resolveOptions, SnapOptionsError } from '../index.mjs';
+
+const WHITE = [255, 255, 255, 255];
+
+// A 10x10 image, white but for the first `changed` pixels in colour
+function image({ width = 10, height = 10, changed = 0, color = [0, 0, 0, 255] } = {}) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set(i < changed ? color : WHITE, i * 4);
+  return { width, height, data };
+}
+
+const png = (options) => encodePng(image(options));
+
+let dir;
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'snap-compare-'));
+});
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function baseline(name, buffer = png()) {
+  const path = join(dir, name);
+  writeFileSync(path, buffer);
+  return path;
+}
+
+describe('diffImages', () => {
+  test('counts the changed pixels and paints them red in the diff image', () => {
+    const result = diffImages(image({ changed: 5 }), image());
+    assert.equal(result.sizeMismatch, false);
+    assert.equal(result.diffPixels, 5);
+    assert.equal(result.totalPixels, 100);
+    assert.equal(result.ratio, 0.05);
+    assert.deepEqual([...result.diff.data.subarray(0, 4)], [255, 0, 0, 255]);
+    assert.notEqual(result.diff.data[5 * 4 + 1], 0);
+  });
+
+  test('ignores colour shifts under the threshold', () => {
+    const faint = image({ changed: 100, color: [250, 250, 250, 255] });
+    assert.equal(diffImages(faint, image(), { threshold: 0.1 }).diffPixels, 0);
+    assert.equal(diffImages(faint, image(), { threshold: 0.01 }).diffPixels, 100);
+  });
+
+  test('treats a size change as every pixel changed', () => {
+    const result = diffImages(image({ width: 12 }), image());
+    assert.equal(result.sizeMismatch, true);
+    assert.equal(result.ratio, 1);
+    assert.equal(result.diff, null);
+  });
+});
+
+describe('compareWithBaseline', () => {
+  test('matches an identical capture', () => {
+    const result = compareWithBaseline(png(), baseline('same.png'));
+    assert.equal(result.status, 'match');
+    assert.equal(result.diffPixels, 0);
+    assert.equal(result.diffPng, null);
+  });
+
+  test('regresses above maxDiffRatio and keeps a diff image', () => {
+    const path = baseline('changed.png');
+    const result = compareWithBaseline(png({ changed: 2 }), path, { maxDiffRatio: 0.01 });
+    assert.equal(result.status, 'regressed');
+    assert.equal(result.diffRatio, 0.02);
+    assert.equal(decodePng(result.diffPng).width, 10);
+    assert.equal(compareWithBaseline(png({ changed: 2 }), path, { maxDiffRatio: 0.02 }).status, 'match');
+  });
+
+  test('regresses on a size mismatch whatever the limits', () => {
+    const result = compareWithBaseline(png({ height: 20 }), baseline('size.png'), { maxDiffRatio: 1 });
+    assert.equal(result.status, 'regressed');
+    assert.equal(result.sizeMismatch, true);
+    assert.equal(result.actualSize, '10x20');
+    assert.equal(result.baselineSize, '10x10');
+  });
+
+  test('reports a missing baseline, and an undecodable one as an error', () => {
+    assert.equal(compareWithBaseline(png(), join(dir, 'nope.png')).status, 'missing-baseline');
+    const broken = compareWithBaseline(png(), baseline('broken.png', Buffer.from('not a png')));
+    assert.equal(broken.status, 'error');
+    assert.ok(broken.error);
+  });
+});
+
+describe('unchangedFrom', () => {
+  test('keeps a file that matches within the tolerances and replaces one that does not', () => {
+    const path = baseline('kept.png');
+    assert.deepEqual(unchangedFrom(png(), path), { unchanged: true, diffRatio: 0 });
+    assert.deepEqual(unchangedFrom(png({ changed: 1 }), path, { maxDiffRatio: 0.01 }), { unchanged: true, diffRatio: 0.01 });
+    assert.equal(unchangedFrom(png({ changed: 1 }), path, { maxDiffRatio: 0 }).unchanged, false);
+    assert.deepEqual(unchangedFrom(png(), join(dir, 'absent.png')), { unchanged: false, diffRatio: null });
+  });
+});
+
+describe('baseline listing', () => {
+  test('lists shots only, not their thumbnails or diff images', () => {
+    const shots = join(dir, 'listing');
+    mkdirSync(join(shots, 'de'), { recursive: true });
+    for (const file of ['landing.png', 'indexer-config.dark.1440.png', 'landing.thumb.png', 'landing.diff.png', 'gallery.md']) {
+      writeFileSync(join(shots, file), '');
+    }
+    assert.deepEqual(listBaselines(shots).sort(), ['indexer-config.dark.1440', 'landing']);
+    assert.deepEqual(listBaselines(join(shots, 'missing')), []);
+  });
+
+  test('finds the image formats of a baseline directory, its plugin and locale folders included', () => {
+    const webp = join(dir, 'webp');
+    mkdirSync(join(webp, 'Tidalarr', 'de'), { recursive: true });
+    writeFileSync(join(webp, 'Tidalarr', 'de', 'landing.webp'), '');
+    writeFileSync(join(webp, 'Tidalarr', 'landing.thumb.png'), '');
+    assert.deepEqual([...baselineFormats(webp)], ['webp']);
+  });
+
+  test('rejects a --compare directory without PNG baselines before the run', async () => {
+    const jpeg = join(dir, 'jpeg');
+    mkdirSync(jpeg);
+    writeFileSync(join(jpeg, 'landing.jpg'), '');
+    await assert.rejects(resolveOptions({ plugin: 'Tidalarr', compare: jpeg }), (err) => {
+      assert.ok(err instanceof SnapOptionsError);
+      assert.equal(err.option, 'compare');
+      assert.match(err.reason, /no PNG baselines/);
+      return true;
+    });
+    writeFileSync(join(jpeg, 'settings.png'), '');
+    assert.equal((await resolveOptions({ plugin: 'Tidalarr', compare: jpeg })).compareDir, jpeg);
+  });
+
+  test('rejects a --compare directory that does not exist, but takes an empty one as a new baseline set', async () => {
+    await assert.rejects(resolveOptions({ plugin: 'Tidalarr', compare: join(dir, 'typo') }), (err) => {
+      assert.ok(err instanceof SnapOptionsError);
+      assert.equal(err.option, 'compare');
+      assert.match(err.reason, /does not exist/);
+      return true;
+    });
+    const empty = join(dir, 'new-baselines');
+    mkdirSync(empty);
+    assert.equal((await resolveOptions({ plugin: 'Tidalarr', compare: empty })).compareDir, empty);
+  });
+});
@@ -0,0 +1,115 @@
+// Redaction and zip handling of the failure diagnostics bundle. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createDiagnostics, redactText, redactTrace, redactValue } from '../lib/diagnostics.mjs';
+import { createZip, readZip } from '../lib/zip.mjs';
+
+describe('redactText', () => {
+  test('replaces known secrets and the e2e-sanitize patterns', () => {
+    const text = 'GET http://127.0.0.1:8686/api/v1/indexer?apikey=abc123 X-Api-Key: s3cr3t-key from 192.168.1.20';
+    assert.equal(
+      redactText(text, ['s3cr3t-key']),
+      'GET http://[LOCALHOST]:8686/api/v1/indexer?apikey=[REDACTED] X-Api-Key: [REDACTED] from [PRIVATE-IP]'
+    );
+  });
+
+  test('does not redact its own placeholders twice', () => {
+    assert.equal(redactText('http://localhost:1 http://127.0.0.1:2'), 'http://[LOCALHOST]:1 http://[LOCALHOST]:2');
+    assert.equal(redactText(redactText('http://localhost:1')), 'http://[LOCALHOST]:1');
+  });
+
+  test('ignores secrets too short to be matched safely', () => {
+    assert.equal(redactText('a b c', ['a']), 'a b c');
+  });
+});
+
+describe('redactValue', () => {
+  test('redacts sensitive keys, Lidarr fields and HAR headers', () => {
+    const value = redactValue({
+      apiKey: 'k',
+      fields: [{ name: 'password', value: 'hunter2' }, { name: 'email', value: 'listener@example.invalid' }],
+      headers: [{ name: 'X-Api-Key', value: 'k' }, { name: 'Accept', value: 'application/json' }],
+      cookies: [{ name: 'LidarrAuth', value: 'c' }],
+      url: 'http://localhost:8686'
+    });
+    assert.deepEqual(value, {
+      apiKey: '[REDACTED]',
+      fields: [{ name: 'password', value: '[REDACTED]' }, { name: 'email', value: 'listener@example.invalid' }],
+      headers: [{ name: 'X-Api-Key', value: '[REDACTED]' }, { name: 'Accept', value: 'application/json' }],
+      cookies: [{ name: '[REDACTED]', value: '[REDACTED]' }],
+      url: 'http://[LOCALHOST]:8686'
+    });
+  });
+
+  test('keeps empty, null and boolean values of sensitive keys', () => {
+    assert.deepEqual(redactValue({ password: '', token: null, apiKeyRequired: true }), {
+      password: '',
+      token: null,
+      apiKeyRequired: true
+    });
+  });
+});
+
+describe('redactTrace', () => {
+  test('redacts network bodies whatever their extension and leaves binary resources alone', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0xff]);
+    const trace = createZip([
+      { name: 'trace.network', data: '{"url":"http://localhost:8686/api/v1/indexer?apikey=0123456789abcdef"}' },
+      { name: 'resources/3f786850e387550fdab836ed7e6dc881de23001b.dat', data: '{"apiKey":"0123456789abcdef"}' },
+      { name: 'resources/89e6c98d92887913cadf06b2adb97f26cde4849b.bin', data: 'X-Api-Key: s3cr3t-key' },
+      { name: 'resources/a9993e364706816aba3e25717850c26c9cd0d89d.png', data: png }
+    ]);
+    const entries = readZip(redactTrace(trace, ['0123456789abcdef']));
+    assert.equal(entries[0].data.toString('utf8'), '{"url":"http://[LOCALHOST]:8686/api/v1/indexer?apikey=[REDACTED]"}');
+    assert.equal(entries[1].data.toString('utf8'), '{"apiKey":"[REDACTED]"}');
+    assert.equal(entries[2].data.toString('utf8'), 'X-Api-Key: [REDACTED]');
+    assert.deepEqual([...entries[3].data], [...png]);
+  });
+});
+
+describe('zip', () => {
+  test('round-trips stored and deflated entries', () => {
+    const entries = [
+      { name: 'a/run-manifest.json', data: JSON.stringify({ ok: true }).repeat(50) },
+      { name: 'a/failures/shot.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+    ];
+    const read = readZip(createZip(entries));
+    assert.deepEqual(read.map(e => e.name), entries.map(e => e.name));
+    assert.equal(read[0].data.toString('utf8'), entries[0].data);
+    assert.deepEqual([...read[1].data], [0x89, 0x50, 0x4e, 0x47]);
+  });
+});
+
+describe('createDiagnostics', () => {
+  test('traces without screencast frames, which redaction cannot reach', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-diag-'));
+    try {
+      const diagnostics = createDiagnostics({ dir, mode: 'always' });
+      let options = null;
+      await diagnostics.attach({ tracing: { start: async (o) => { options = o; } }, on() {} }, 'main');
+      assert.equal(options.screenshots, false);
+      assert.equal(options.snapshots, true);
+      diagnostics.discard();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('bundles the queue as queue-state.json whatever the --type', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-diag-'));
+    try {
+      const diagnostics = createDiagnostics({ dir, mode: 'always' });
+      const api = { get: async (endpoint) => ({ endpoint }) };
+      const entries = readZip(readFileSync(await diagnostics.bundle({ manifests: { Tidalarr: {} }, api, types: ['indexer'] })));
+      const queue = entries.find(entry => entry.name.endsWith('/queue-state.json'));
+      assert.ok(queue, entries.map(entry => entry.name).join(', '));
+      assert.equal(JSON.parse(queue.data.toString('utf8')).endpoint, 'queue?page=1&pageSize=100');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
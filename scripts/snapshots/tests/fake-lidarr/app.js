@@ -0,0 +1,517 @@
+// Browser side of the fake Lidarr. Plain script (no build step): renders the page for location.pathname
+// in the markup variant chosen by the server and talks to the fake REST API like the real UI does.
+
+(() => {
+  const { apiKey, pluginName, variant, theme, version, strings = {} } = window.Lidarr;
+  const root = document.getElementById('root');
+  const path = location.pathname.replace(/\/+$/, '') || '/';
+
+  const KINDS = {
+    '/settings/indexers': { kind: 'indexer', title: 'Indexers', singular: 'Indexer', wrapper: 'Indexers-indexers', item: 'AddIndexerItem' },
+    '/settings/downloadclients': { kind: 'downloadclient', title: 'Download Clients', singular: 'Download Client', wrapper: 'DownloadClients-downloadClients', item: 'AddDownloadClientItem' },
+    '/settings/importlists': { kind: 'importlist', title: 'Import Lists', singular: 'Import List', wrapper: 'ImportLists-importLists', item: 'AddImportListItem' },
+    '/settings/connect': { kind: 'notification', title: 'Connections', singular: 'Connection', wrapper: 'Notifications-notifications', item: 'AddNotificationItem' }
+  };
+
+  const SETTINGS = [
+    ['/settings/mediamanagement', 'Media Management', 'Naming, file management settings and root folders'],
+    ['/settings/profiles', 'Profiles', 'Quality, metadata, delay and release profiles'],
+    ['/settings/quality', 'Quality', 'Quality sizes and naming'],
+    ['/settings/indexers', 'Indexers', 'Indexers and indexer options'],
+    ['/settings/downloadclients', 'Download Clients', 'Download clients, download handling and remote path mappings'],
+    ['/settings/importlists', 'Import Lists', 'Import from another Lidarr instance or Spotify lists'],
+    ['/settings/connect', 'Connect', 'Notifications, connections to media servers/players and custom scripts'],
+    ['/settings/metadata', 'Metadata', 'Create metadata files when tracks are imported or artist is refreshed'],
+    ['/settings/ui', 'UI', 'Calendar, date and color impaired options']
+  ];
+
+  // Text in the UI language, like Lidarr's translate(); English where the language has no string
+  const t = (key, english) => strings[key] || english;
+
+  const esc = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  async function api(method, endpoint, body) {
+    const res = await fetch(`/api/v1/${endpoint}`, {
+      method,
+      headers: { 'X-Api-Key': apiKey, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!res.ok) throw new Error(`${method} ${endpoint}: ${res.status}`);
+    return res.json();
+  }
+
+  const showAdvanced = () => localStorage.getItem('showAdvanced') === 'true';
+
+  // ---- styles --------------------------------------------------------------------------------
+
+  const dark = ':root { --bg: #202020; --panel: #2a2a2a; --text: #ccc; --border: #3a3a3a; --accent: #00a65b; }';
+  const light = ':root { --bg: #f5f7fa; --panel: #fff; --text: #515253; --border: #dde6e9; --accent: #00a65b; }';
+  const palette = theme === 'light' ? light : theme === 'dark' ? dark : `${dark} @media (prefers-color-scheme: light) { ${light} }`;
+  const style = document.createElement('style');
+  style.textContent = `${palette}
+    * { box-sizing: border-box; }
+    [hidden] { display: none !important; }
+    body { margin: 0; font: 14px/1.4 Roboto, "Helvetica Neue", Arial, sans-serif; background: var(--bg); color: var(--text); }
+    a { color: inherit; }
+    header { position: fixed; top: 0; left: 0; right: 0; height: 60px; display: flex; align-items: center; gap: 24px; padding: 0 20px; background: #00a65b; color: #fff; z-index: 3; }
+    header input { width: 260px; padding: 6px 10px; border: 0; border-radius: 4px; }
+    .search-suggestions { position: absolute; top: 52px; left: 120px; width: 300px; margin: 0; padding: 4px 0; list-style: none; background: var(--panel); color: var(--text); border: 1px solid var(--border); }
+    .search-suggestions li { padding: 6px 12px; }
+    nav { position: fixed; top: 60px; bottom: 0; left: 0; width: 210px; padding-top: 12px; background: var(--panel); }
+    nav a { display: block; padding: 10px 24px; text-decoration: none; }
+    main { margin: 60px 0 0 210px; padding: 20px; }
+    .toolbar { display: flex; gap: 8px; padding: 8px 0 16px; border-bottom: 1px solid var(--border); margin-bottom: 16px; }
+    button { padding: 6px 14px; border: 1px solid var(--border); border-radius: 4px; background: var(--panel); color: var(--text); cursor: pointer; }
+    fieldset { border: 0; padding: 0; margin: 0 0 24px; }
+    legend { font-size: 21px; padding: 0 0 10px; width: 100%; border-bottom: 1px solid var(--border); margin-bottom: 12px; }
+    .grid { display: flex; flex-wrap: wrap; gap: 12px; }
+    .tile { width: 290px; min-height: 90px; padding: 12px; border-radius: 4px; background: var(--panel); box-shadow: 0 0 10px 1px rgba(0,0,0,.15); cursor: pointer; text-decoration: none; display: block; }
+    .tile-icon { display: flex; align-items: center; justify-content: center; font-size: 40px; }
+    .settings-item { display: block; padding: 10px 0; border-bottom: 1px solid var(--border); }
+    .settings-item a { font-size: 21px; text-decoration: none; }
+    .overlay { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; z-index: 10; }
+    .backdrop { position: absolute; inset: 0; background: rgba(0,0,0,.6); }
+    .dialog { position: relative; width: 800px; max-width: 95vw; background: var(--panel); border-radius: 6px; }
+    .dialog-header { padding: 15px 30px; font-size: 18px; border-bottom: 1px solid var(--border); margin: 0; font-weight: normal; }
+    .dialog-body { padding: 20px 30px; max-height: 60vh; overflow-y: auto; }
+    .dialog-footer { display: flex; justify-content: flex-end; gap: 8px; padding: 15px 30px; border-top: 1px solid var(--border); }
+    .Button-success { background: #1e7d34; border-color: #1e7d34; color: #fff; }
+    .Button-danger { background: #b52222; border-color: #b52222; color: #fff; }
+    .Alert-danger { margin-bottom: 14px; padding: 10px 15px; border-radius: 4px; background: #f2dede; color: #7a1f1f; }
+    .form-row { display: flex; align-items: center; margin-bottom: 14px; }
+    .form-row label:first-child { flex: 0 0 200px; text-align: right; padding-right: 20px; font-weight: bold; }
+    .form-row input[type=text], .form-row input[type=password], .form-row input[type=number], .form-row select { flex: 1; padding: 6px 10px; background: var(--bg); color: var(--text); border: 1px solid var(--border); border-radius: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    td, th { text-align: left; padding: 8px; border-bottom: 1px solid var(--border); }
+    .PageSidebar-footer { position: absolute; bottom: 12px; left: 24px; font-size: 12px; opacity: .7; }
+    .LoadingIndicator-loading { width: 40px; height: 40px; margin: 40px auto; border: 4px solid var(--border); border-top-color: var(--accent); border-radius: 50%; animation: spin 1s linear infinite; }
+    @keyframes spin { to { transform: rotate(360deg); } }
+  `;
+  document.head.appendChild(style);
+
+  // ---- page chrome ---------------------------------------------------------------------------
+
+  function chrome(content, { toolbar = '' } = {}) {
+    // search-noise: the global artist search shows suggestions that contain the plugin name (PR #97)
+    const suggestions = variant === 'search-noise'
+      ? `<ul class="ArtistSearchInput-suggestionsContainer search-suggestions">
+           <li class="ArtistSearchInput-suggestion">${esc(pluginName)} Tribute Band</li>
+           <li class="ArtistSearchInput-suggestion">The ${esc(pluginName)} Sessions</li>
+         </ul>`
+      : '';
+    root.innerHTML = `
+      <header class="PageHeader-header">
+        <a class="PageHeader-logoLink" href="/">Lidarr</a>
+        <input class="ArtistSearchInput-input" type="search" placeholder="Search" aria-label="Search">
+        ${suggestions}
+      </header>
+      <nav class="PageSidebar-sidebar">
+        <a href="/">Artists</a>
+        <a href="/calendar">Calendar</a>
+        <a href="/activity/queue">Activity</a>
+        <a href="/settings">${esc(t('Settings', 'Settings'))}</a>
+        <a href="/system/status">System</a>
+        <div class="PageSidebar-footer">
+          <span class="PageSidebar-version">${esc(version)}</span>
+          <time class="PageSidebar-time">${new Date().toLocaleTimeString('en-GB')}</time>
+        </div>
+      </nav>
+      <main class="PageContent-content">
+        ${toolbar ? `<div class="PageToolbar-toolbar toolbar">${toolbar}</div>` : ''}
+        ${content}
+      </main>`;
+  }
+
+  function settingsToolbar(extra = '') {
+    return `${extra}<button class="PageToolbarButton-toolbarButton" data-action="toggle-advanced">${esc(advancedLabel())}</button>`;
+  }
+
+  function advancedLabel() {
+    return showAdvanced() ? t('HideAdvanced', 'Hide Advanced') : t('ShowAdvanced', 'Show Advanced');
+  }
+
+  document.addEventListener('click', (event) => {
+    const toggle = event.target.closest('[data-action="toggle-advanced"]');
+    if (toggle) {
+      localStorage.setItem('showAdvanced', String(!showAdvanced()));
+      toggle.textContent = advancedLabel();
+      document.querySelectorAll('[data-advanced]').forEach(el => { el.hidden = !showAdvanced(); });
+    }
+  });
+
+  // ---- modals --------------------------------------------------------------------------------
+
+  const modals = [];
+
+  // Markup per variant; "Modal" stays in a class name everywhere because snap.mjs looks for
+  // form inputs under [class*="Modal"] to decide that a config form opened.
+  function openModal({ header, body, footer = '' }) {
+    const el = document.createElement('div');
+    if (variant === 'aria-dialog') {
+      el.className = '_backdrop_9c1e overlay';
+      el.innerHTML = `
+        <div class="backdrop"></div>
+        <div role="dialog" aria-modal="true" class="Modal-dialog_7ab3 dialog">
+          <h2 class="_title_2d0f dialog-header">${esc(header)}</h2>
+          <div class="_body_55e1 dialog-body">${body}</div>
+          <footer class="_footer_0b7d dialog-footer">${footer}</footer>
+        </div>`;
+    } else {
+      el.className = 'Modal-modalContainer overlay';
+      el.innerHTML = `
+        <div class="Modal-modalBackdrop backdrop"></div>
+        <div class="Modal-modal dialog">
+          <div class="ModalContent-modalContent">
+            <div class="ModalHeader-modalHeader dialog-header">${esc(header)}</div>
+            <div class="ModalBody-modalBody dialog-body">${body}</div>
+            <div class="ModalFooter-modalFooter dialog-footer">${footer}</div>
+          </div>
+        </div>`;
+    }
+    el.querySelector('.backdrop').addEventListener('click', () => closeModal(el));
+    document.body.appendChild(el);
+    modals.push(el);
+    return el;
+  }
+
+  function closeModal(el = modals[modals.length - 1]) {
+    if (!el) return;
+    el.remove();
+    modals.splice(modals.indexOf(el), 1);
+  }
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeModal();
+  });
+
+  // ---- pages ---------------------------------------------------------------------------------
+
+  // Like Lidarr, the artist index shows a spinner while the library loads
+  function artistsPage() {
+    const toolbar = '<button>Update All</button><button>RSS Sync</button>';
+    chrome('<div class="LoadingIndicator-loading"></div>', { toolbar });
+    setTimeout(() => chrome(`
+      <h1>Artists</h1>
+      <p>No artists found. To get started you'll want to add a new artist or import some existing ones.</p>`,
+    { toolbar }), 600);
+  }
+
+  function settingsPage() {
+    chrome(SETTINGS.map(([href, title, description]) => `
+      <div class="Settings-settingsItem settings-item">
+        <a class="Settings-link" href="${href}">${esc(title)}</a>
+        <div class="Settings-summary">${esc(description)}</div>
+      </div>`).join(''), { toolbar: settingsToolbar() });
+  }
+
+  function genericSettingsPage(title) {
+    chrome(`<fieldset><legend>${esc(title)}</legend><p>Nothing to configure in the fake.</p></fieldset>`, { toolbar: settingsToolbar() });
+  }
+
+  async function allowedProtocols() {
+    const profiles = await api('GET', 'delayprofile');
+    const profile = profiles.find(p => !p.tags || p.tags.length === 0);
+    return new Set((profile?.items || []).filter(i => i.allowed).map(i => i.protocol));
+  }
+
+  async function providerPage({ kind, title, singular, wrapper, item }) {
+    const existing = await api('GET', kind);
+    const cards = existing.map(p => `
+      <div class="${item.replace('Add', '')}-${kind} Card-card tile"><div>${esc(p.name)}</div></div>`).join('');
+
+    let addControl = '';
+    let toolbarExtra = '';
+    if (variant === 'css-modules') {
+      addControl = '<div class="AddNewItem-addNewItem tile tile-icon" data-action="add"><span class="Icon-icon">+</span></div>';
+    } else if (variant === 'search-noise') {
+      addControl = '<div class="Card-card tile tile-icon" data-action="add"><div class="Card-icon">+</div></div>';
+    } else {
+      toolbarExtra = `<button class="_btn_8fj2" data-action="add">${esc(t('Add', 'Add'))} ${esc(singular)}</button>`;
+    }
+    const wrapperClass = variant === 'aria-dialog' ? '_grid_4f2a grid' : `${wrapper} grid`;
+
+    chrome(`
+      <fieldset>
+        <legend>${esc(title)}</legend>
+        <div class="${wrapperClass}">${cards}${addControl}</div>
+      </fieldset>`, { toolbar: settingsToolbar(toolbarExtra) });
+
+    document.querySelector('[data-action="add"]').addEventListener('click', () => openAddModal({ kind, singular, item }));
+  }
+
+  async function openAddModal(info) {
+    const { kind, singular, item } = info;
+    const protocolKind = kind === 'indexer' || kind === 'downloadclient';
+    const [schema, allowed] = await Promise.all([api('GET', `${kind}/schema`), protocolKind ? allowedProtocols() : null]);
+    // Like Lidarr, providers whose protocol is not allowed in the default delay profile are not offered
+    const providers = schema.filter(p => !allowed || !p.protocol || allowed.has(p.protocol));
+    const groupOf = (p) => !p.protocol ? 'Other' : /usenet/i.test(p.protocol) ? 'Usenet' : /torrent/i.test(p.protocol) ? 'Torrent' : 'Streaming';
+
+    const card = (p) => {
+      const name = esc(p.implementationName);
+      if (variant === 'aria-dialog') {
+        return `<a href="#" class="Card-card_1f3c tile" data-implementation="${esc(p.implementation)}"><span>${name}</span></a>`;
+      }
+      const cls = variant === 'search-noise' ? `${item}-${kind} Card-card` : `${item}-${kind} SelectableCard-selectableCard`;
+      return `<div class="${cls} tile" data-implementation="${esc(p.implementation)}"><div class="${item}-name">${name}</div></div>`;
+    };
+
+    const render = (filter) => {
+      const visible = providers.filter(p => p.implementationName.toLowerCase().includes(filter.toLowerCase()));
+      if (visible.length === 0) {
+        return '<div class="AddProviderModalContent-noResults">Couldn\'t find any results</div>';
+      }
+      const groups = [...new Set(visible.map(groupOf))];
+      return groups.map(group => `
+        <fieldset>
+          <legend>${group}</legend>
+          <div class="grid">${visible.filter(p => groupOf(p) === group).map(card).join('')}</div>
+        </fieldset>`).join('');
+    };
+
+    const filterInput = variant === 'css-modules'
+      ? `<input type="text" class="TextInput-input" placeholder="Filter ${esc(singular.toLowerCase())}s" data-role="filter">`
+      : '';
+    const modal = openModal({
+      header: `${t('Add', 'Add')} ${singular}`,
+      body: `${filterInput}<div data-role="providers">${render('')}</div>`,
+      footer: '<button data-action="close">Close</button>'
+    });
+
+    modal.querySelector('[data-action="close"]').addEventListener('click', () => closeModal(modal));
+    modal.querySelector('[data-role="filter"]')?.addEventListener('input', (event) => {
+      modal.querySelector('[data-role="providers"]').innerHTML = render(event.target.value);
+    });
+    modal.addEventListener('click', (event) => {
+      const picked = event.target.closest('[data-implementation]');
+      if (!picked) return;
+      event.preventDefault();
+      // Selecting a provider swaps the add modal for the edit modal, as Lidarr does
+      closeModal(modal);
+      openEditModal(info, providers.find(p => p.implementation === picked.dataset.implementation));
+    });
+  }
+
+  function fieldInput(field, id) {
+    const value = field.value ?? '';
+    switch (field.type) {
+      case 'select':
+        return `<select id="${id}" name="${esc(field.name)}">${field.selectOptions.map(o =>
+          `<option value="${esc(o.value)}"${o.value === value ? ' selected' : ''}>${esc(o.name)}</option>`).join('')}</select>`;
+      case 'password':
+        return `<input id="${id}" type="password" name="${esc(field.name)}" value="${esc(value)}">`;
+      case 'number':
+        return `<input id="${id}" type="number" name="${esc(field.name)}" value="${esc(value)}">`;
+      case 'checkbox':
+        return `<input id="${id}" type="checkbox" name="${esc(field.name)}"${value ? ' checked' : ''}>`;
+      default:
+        return `<input id="${id}" type="text" name="${esc(field.name)}" value="${esc(value)}">`;
+    }
+  }
+
+  function formRow(field, index) {
+    const id = `field-${index}`;
+    const hidden = field.advanced && !showAdvanced() ? ' hidden' : '';
+    const advanced = field.advanced ? ' data-advanced' : '';
+    // aria-dialog labels point at their input; the Lidarr markup nests both in a FormGroup
+    return variant === 'aria-dialog'
+      ? `<div class="_row_c21e form-row"${advanced}${hidden}><label for="${id}">${esc(field.label)}</label>${fieldInput(field, id)}</div>`
+      : `<div class="FormGroup-group form-row"${advanced}${hidden}><label class="FormLabel-label">${esc(field.label)}</label>` +
+        `<div class="FormInputGroup-inputGroup">${fieldInput(field, id)}` +
+        `${field.helpText ? `<div class="FormInputHelpText-helpText">${esc(field.helpText)}</div>` : ''}</div></div>`;
+  }
+
+  // existing: a configured provider to edit (PUT) instead of adding a new one (POST)
+  function openEditModal({ kind, singular }, provider, existing = null) {
+    const fields = [
+      { name: 'name', label: 'Name', type: 'textbox', value: existing ? existing.name : provider.implementationName },
+      { name: 'enable', label: 'Enable', type: 'checkbox', value: existing ? existing.enable : true },
+      ...provider.fields.filter(f => f.hidden !== 'hidden')
+        .map(f => ({ ...f, value: existing?.fields.find(e => e.name === f.name)?.value ?? f.value }))
+    ];
+    const modal = openModal({
+      header: `${existing ? 'Edit' : t('Add', 'Add')} ${singular} - ${provider.implementationName}`,
+      body: `<form>${fields.map(formRow).join('')}</form>`,
+      footer: `<button data-action="test">${esc(t('Test', 'Test'))}</button><button data-action="cancel">${esc(t('Cancel', 'Cancel'))}</button>` +
+        `<button data-action="save">${esc(t('Save', 'Save'))}</button>`
+    });
+
+    const collect = () => {
+      const values = Object.fromEntries(fields.map(f => {
+        const input = modal.querySelector(`[name="${f.name}"]`);
+        return [f.name, input.type === 'checkbox' ? input.checked : input.value];
+      }));
+      return {
+        name: values.name,
+        enable: values.enable,
+        implementation: provider.implementation,
+        implementationName: provider.implementationName,
+        configContract: provider.configContract,
+        // Hidden fields keep their value, as they are not on the form
+        fields: provider.fields.map(f => ({ name: f.name, value: f.name in values ? values[f.name] : f.value }))
+      };
+    };
+
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => closeModal(modal));
+    // As Lidarr: the button turns green or red, and validation failures are listed above the form
+    modal.querySelector('[data-action="test"]').addEventListener('click', async (event) => {
+      const button = event.target;
+      button.classList.remove('Button-success', 'Button-danger');
+      modal.querySelector('.Form-validationFailures')?.remove();
+      const res = await fetch(`/api/v1/${kind}/test`, {
+        method: 'POST',
+        headers: { 'X-Api-Key': apiKey, 'Content-Type': 'application/json' },
+        body: JSON.stringify(collect())
+      });
+      button.classList.add(res.ok ? 'Button-success' : 'Button-danger');
+      if (!res.ok) {
+        const failures = await res.json().catch(() => []);
+        modal.querySelector('form').insertAdjacentHTML('afterbegin', `<div class="Form-validationFailures">${failures.map(f =>
+          `<div class="Alert-alert Alert-danger">${esc(f.errorMessage)}</div>`).join('')}</div>`);
+      }
+    });
+    modal.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      await (existing ? api('PUT', `${kind}/${existing.id}`, collect()) : api('POST', kind, collect()));
+      closeModal(modal);
+      route();
+    });
+  }
+
+  // Lidarr lists every metadata consumer up front; clicking one opens its settings
+  async function metadataPage() {
+    const [consumers, schema] = await Promise.all([api('GET', 'metadata'), api('GET', 'metadata/schema')]);
+    const cardClass = variant === 'aria-dialog' ? 'Card-card_1f3c tile' : 'Metadata-metadata Card-card tile';
+    chrome(`
+      <fieldset>
+        <legend>Metadata</legend>
+        <div class="${variant === 'aria-dialog' ? '_grid_4f2a' : 'Metadatas-metadatas'} grid">${consumers.map(c => `
+          <div class="${cardClass}" data-metadata="${c.id}">
+            <div class="Metadata-name">${esc(c.name)}</div>
+            <span class="Label-label">${c.enable ? 'Enabled' : 'Disabled'}</span>
+          </div>`).join('')}</div>
+      </fieldset>`, { toolbar: settingsToolbar() });
+
+    document.querySelectorAll('[data-metadata]').forEach(card => card.addEventListener('click', () => {
+      const consumer = consumers.find(c => c.id === Number(card.dataset.metadata));
+      openEditModal({ kind: 'metadata', singular: 'Metadata' }, schema.find(p => p.implementation === consumer.implementation), consumer);
+    }));
+  }
+
+  const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+
+  function table(columns, rows) {
+    return `<table class="Table-table">
+      <thead><tr>${columns.map(c => `<th class="TableHeaderCell-headerCell">${esc(c)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(cells => `<tr class="TableRow-row">${cells.map(c => `<td class="TableRowCell-cell">${esc(c)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+  }
+
+  async function albumPage(foreignAlbumId) {
+    const [album] = await api('GET', `album?foreignAlbumId=${encodeURIComponent(foreignAlbumId)}`);
+    if (!album) {
+      chrome('<div class="NotFound-message">Sorry, that album cannot be found.</div>');
+      return;
+    }
+    const artist = (await api('GET', 'artist')).find(a => a.id === album.artistId);
+    chrome(`
+      <div class="AlbumDetails-header">
+        <h1 class="AlbumDetails-title">${esc(album.title)}</h1>
+        <div class="AlbumDetails-artistName">${esc(artist?.artistName)}</div>
+        <div class="AlbumDetails-releaseDate">${esc(album.releaseDate?.slice(0, 10))}</div>
+      </div>
+      <p>Missing tracks: all.</p>`,
+    { toolbar: '<button class="PageToolbarButton-toolbarButton">Search Album</button><button class="PageToolbarButton-toolbarButton" data-action="interactive-search">' +
+      `${esc(t('InteractiveSearch', 'Interactive Search'))}</button>` });
+
+    document.querySelector('[data-action="interactive-search"]').addEventListener('click', async () => {
+      const modal = openModal({
+        header: `${t('InteractiveSearch', 'Interactive Search')} - ${album.title}`,
+        body: '<div class="LoadingIndicator-loading">Loading...</div>',
+        footer: '<button data-action="close">Close</button>'
+      });
+      modal.querySelector('[data-action="close"]').addEventListener('click', () => closeModal(modal));
+      const releases = await api('GET', `release?albumId=${album.id}`);
+      modal.querySelector('.dialog-body').innerHTML = releases.length
+        ? table(['Source', 'Age', 'Title', 'Indexer', 'Size', 'Quality'],
+          releases.map(r => [r.protocol.replace(/DownloadProtocol$/, ''), `${r.ageHours} hours`, r.title, r.indexer, formatSize(r.size), r.quality.quality.name]))
+        : `<div class="InteractiveSearch-noResults">${esc(t('NoResultsFound', 'No results found'))}</div>`;
+    });
+  }
+
+  async function queuePage() {
+    const { records } = await api('GET', 'queue?page=1&pageSize=20');
+    chrome(records.length
+      ? table(['Artist', 'Album', 'Title', 'Quality', 'Protocol', 'Indexer', 'Download Client', 'Progress'],
+        records.map(r => [r.artist.artistName, r.album.title, r.title, r.quality.quality.name, r.protocol.replace(/DownloadProtocol$/, ''),
+          r.indexer, r.downloadClient, `${Math.round(100 - (r.sizeleft / r.size) * 100)}%`]))
+      : '<div class="Queue-empty">Queue is empty</div>',
+    { toolbar: '<button class="PageToolbarButton-toolbarButton">Refresh</button>' });
+  }
+
+  async function profilesPage() {
+    const profiles = await api('GET', 'delayprofile');
+    const protocols = (p) => p.items.filter(i => i.allowed).map(i => i.name).join(', ');
+
+    let delay;
+    if (variant === 'aria-dialog') {
+      delay = `<table class="_table_aa01">
+        <thead><tr><th>Name</th><th>Protocols</th><th></th></tr></thead>
+        <tbody>${profiles.map(p => `<tr><td>${esc(p.name)} ${esc(t('DelayProfile', 'Delay Profile'))}</td><td>${esc(protocols(p))}</td>` +
+          `<td><button aria-label="Edit" data-profile="${p.id}">✎</button></td></tr>`).join('')}</tbody>
+      </table>`;
+    } else {
+      const button = variant === 'search-noise'
+        ? (p) => `<button class="IconButton-button" title="Edit" data-profile="${p.id}"><i class="icon-wrench">✎</i></button>`
+        : (p) => `<button class="DelayProfile-editButton" title="Edit Delay Profile" data-profile="${p.id}">✎</button>`;
+      delay = `<div class="DelayProfiles-delayProfiles">${profiles.map(p => `
+        <div class="DelayProfile-delayProfile form-row">
+          <div class="DelayProfile-name">${esc(p.name)}</div>
+          <div class="DelayProfile-protocols">${esc(protocols(p))}</div>
+          ${button(p)}
+        </div>`).join('')}</div>`;
+    }
+
+    chrome(`
+      <fieldset><legend>Quality Profiles</legend><div class="grid"><div class="tile">Any</div><div class="tile">Lossless</div></div></fieldset>
+      <fieldset><legend>${esc(t('DelayProfiles', 'Delay Profiles'))}</legend>${delay}</fieldset>`, { toolbar: settingsToolbar() });
+
+    document.querySelectorAll('[data-profile]').forEach(button => button.addEventListener('click', () => {
+      openDelayProfileModal(profiles.find(p => p.id === Number(button.dataset.profile)));
+    }));
+  }
+
+  function openDelayProfileModal(profile) {
+    // aria-dialog shows short protocol names, so only the input name carries the plugin name
+    const checkbox = (item, i) => variant === 'aria-dialog'
+      ? `<div class="_check_b1"><input type="checkbox" id="protocol-${i}" name="${esc(item.protocol)}"${item.allowed ? ' checked' : ''}>` +
+        `<label for="protocol-${i}">${esc(item.name.replace(/arr$/i, ''))}</label></div>`
+      : `<label class="CheckInput-container"><input type="checkbox" class="CheckInput-checkbox" name="protocol-${i}"${item.allowed ? ' checked' : ''}> ${esc(item.name)}</label>`;
+    const modal = openModal({
+      header: `Edit ${t('DelayProfile', 'Delay Profile')}`,
+      body: `<div class="FormGroup-group"><div class="FormLabel-label">Protocols</div>${profile.items.map(checkbox).join('')}</div>`,
+      footer: `<button data-action="cancel">${esc(t('Cancel', 'Cancel'))}</button><button data-action="save">${esc(t('Save', 'Save'))}</button>`
+    });
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => closeModal(modal));
+    modal.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const boxes = modal.querySelectorAll('input[type="checkbox"]');
+      const items = profile.items.map((item, i) => ({ ...item, allowed: boxes[i].checked }));
+      await api('PUT', `delayprofile/${profile.id}`, { ...profile, items });
+      closeModal(modal);
+      route();
+    });
+  }
+
+  function route() {
+    if (path === '/') return artistsPage();
+    if (path === '/settings') return settingsPage();
+    if (path === '/settings/profiles') return profilesPage();
+    if (path === '/settings/metadata') return metadataPage();
+    if (path === '/activity/queue') return queuePage();
+    if (path.startsWith('/album/')) return albumPage(decodeURIComponent(path.slice('/album/'.length)));
+    if (KINDS[path]) return providerPage(KINDS[path]);
+    const known = SETTINGS.find(([href]) => href === path);
+    return genericSettingsPage(known ? known[1] : path.split('/').pop());
+  }
+
+  route();
+})();
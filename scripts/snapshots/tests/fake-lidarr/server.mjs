@@ -0,0 +1,591 @@
+// Offline stand-in for a plugins-branch Lidarr: just enough REST API and settings UI for snap.mjs.
+// The UI (app.js) renders one of several markup variants so the selector fallback chains in snap.mjs
+// can be exercised against each layout they were written for, without a real container.
+//
+// Standalone: node tests/fake-lidarr/server.mjs --port=8686 --plugin=Tidalarr --variant=css-modules
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+
+// css-modules:  Lidarr 2.x markup (AddNewItem tile, ModalContent, selectableCard, DelayProfile edit button)
+// aria-dialog:  hashed class names; toolbar "Add" button, role="dialog" modal, link cards, table of delay profiles
+// search-noise: global search suggestions naming the plugin (PR #97), long provider list with the card below the fold
+export const VARIANTS = ['css-modules', 'aria-dialog', 'search-noise'];
+
+// UI authentication methods, as in Settings > General > Security; the API always takes the key instead
+export const AUTH_METHODS = ['none', 'forms', 'basic'];
+
+const KINDS = {
+  'indexer': 'indexer',
+  'download-client': 'downloadclient',
+  'import-list': 'importlist',
+  'notification': 'notification',
+  'metadata': 'metadata'
+};
+
+// Kinds whose providers declare a download protocol
+const PROTOCOL_KINDS = ['indexer', 'downloadclient'];
+
+const BUILTIN_PROVIDERS = {
+  indexer: [
+    { implementation: 'Newznab', protocol: 'UsenetDownloadProtocol' },
+    { implementation: 'Torznab', protocol: 'TorrentDownloadProtocol' },
+    { implementation: 'Gazelle', protocol: 'TorrentDownloadProtocol' },
+    { implementation: 'Redacted', protocol: 'TorrentDownloadProtocol' }
+  ],
+  downloadclient: [
+    { implementation: 'Sabnzbd', implementationName: 'SABnzbd', protocol: 'UsenetDownloadProtocol' },
+    { implementation: 'NzbGet', implementationName: 'NZBGet', protocol: 'UsenetDownloadProtocol' },
+    { implementation: 'QBittorrent', implementationName: 'qBittorrent', protocol: 'TorrentDownloadProtocol' },
+    { implementation: 'Transmission', protocol: 'TorrentDownloadProtocol' }
+  ],
+  importlist: [
+    { implementation: 'SpotifyPlaylist', implementationName: 'Spotify Playlists' },
+    { implementation: 'LastFmUser', implementationName: 'Last.fm User' },
+    { implementation: 'MusicBrainzSeries', implementationName: 'MusicBrainz Series' }
+  ],
+  notification: [
+    { implementation: 'Discord' },
+    { implementation: 'Email' },
+    { implementation: 'Slack' },
+    { implementation: 'Webhook' }
+  ],
+  metadata: [
+    { implementation: 'XbmcMetadata', implementationName: 'Kodi (XBMC) / Emby' },
+    { implementation: 'RoksboxMetadata', implementationName: 'Roksbox' },
+    { implementation: 'WdtvMetadata', implementationName: 'WDTV' }
+  ]
+};
+
+const SUFFIX = { indexer: 'Indexer', downloadclient: 'DownloadClient', importlist: 'ImportList', notification: 'Notification', metadata: 'Metadata' };
+
+// UI languages offered in Settings > UI, as /language lists them
+const LANGUAGES = [{ id: 1, name: 'English' }, { id: 2, name: 'French' }, { id: 4, name: 'German' }];
+
+// /localization strings per UI language id: the keys the snapshot helpers match, and a few more the UI
+// shows. French has none, so everything stays English like an untranslated Lidarr language would
+const STRINGS = {
+  1: {
+    Add: 'Add', Cancel: 'Cancel', DelayProfile: 'Delay Profile', DelayProfiles: 'Delay Profiles', HideAdvanced: 'Hide Advanced',
+    InteractiveSearch: 'Interactive Search', NoResultsFound: 'No results found', Save: 'Save', Settings: 'Settings',
+    ShowAdvanced: 'Show Advanced', Test: 'Test'
+  },
+  2: {},
+  4: {
+    Add: 'Hinzufügen', Cancel: 'Abbrechen', DelayProfile: 'Verzögerungsprofil', DelayProfiles: 'Verzögerungsprofile',
+    HideAdvanced: 'Erweiterte ausblenden', InteractiveSearch: 'Interaktive Suche', NoResultsFound: 'Keine Ergebnisse gefunden',
+    Save: 'Speichern', Settings: 'Einstellungen', ShowAdvanced: 'Erweiterte anzeigen', Test: 'Testen'
+  }
+};
+
+// What artist/lookup knows about, standing in for Lidarr's metadata server
+const CATALOGUE = [{
+  artistName: 'Kevin MacLeod',
+  foreignArtistId: 'c4dc6ff2-1b84-4ea2-a1a0-8a4f0ea4e3d0',
+  albums: [
+    { title: 'Royalty Free', foreignAlbumId: '5b1f9d1e-3c5b-4a4b-9a3e-0c3f6f1d2a11', releaseDate: '2019-03-01T00:00:00Z' },
+    { title: 'Calming', foreignAlbumId: '8e2a7c44-6d2f-4f83-b1d5-7f0e9b3c4d22', releaseDate: '2014-06-15T00:00:00Z' }
+  ]
+}];
+
+// Settings fields every plugin provider exposes; enough to exercise masking, annotations and form checks
+function pluginFields(kind) {
+  const fields = [
+    { name: 'baseUrl', label: 'API URL', type: 'textbox', value: 'https://api.example.invalid', helpText: 'Address of the streaming service API' },
+    { name: 'email', label: 'Email', type: 'textbox', value: 'listener@example.invalid' },
+    { name: 'password', label: 'Password', type: 'password', value: 'hunter2' },
+    {
+      name: 'quality', label: 'Quality', type: 'select', value: 2, selectOptions: [
+        { value: 0, name: 'Low (96kbps)' },
+        { value: 1, name: 'High (320kbps)' },
+        { value: 2, name: 'Lossless (FLAC)' }
+      ]
+    }
+  ];
+  if (kind === 'downloadclient') {
+    fields.push({ name: 'downloadPath', label: 'Download Path', type: 'path', value: '/downloads/music' });
+  }
+  if (kind === 'importlist') {
+    fields.push({ name: 'refreshInterval', label: 'Refresh Interval', type: 'number', value: 24, unit: 'hours' });
+  }
+  fields.push({ name: 'searchLimit', label: 'Search Limit', type: 'number', value: 100, advanced: true });
+  // Set by the plugin itself and never shown, like Lidarr's hidden fields
+  fields.push({ name: 'deviceId', label: 'Device ID', type: 'textbox', value: '', hidden: 'hidden' });
+  return fields.map((field, order) => ({ order, helpText: null, advanced: false, ...field }));
+}
+
+function buildSchemas(loaded, variant) {
+  const schemas = {};
+  for (const kind of Object.values(KINDS)) {
+    const builtins = [...BUILTIN_PROVIDERS[kind]];
+    // search-noise: enough providers that the plugin card sits below the fold of the modal body
+    if (variant === 'search-noise') {
+      for (let i = 1; i <= 24; i++) {
+        builtins.push({ implementation: `Provider${i}`, implementationName: `Other Provider ${i}`, protocol: builtins[0].protocol });
+      }
+    }
+    const entries = builtins.map(b => ({
+      implementation: b.implementation,
+      implementationName: b.implementationName || b.implementation,
+      configContract: `${b.implementation}Settings`,
+      ...(b.protocol ? { protocol: b.protocol } : {}),
+      fields: [{ order: 0, name: 'baseUrl', label: 'URL', type: 'textbox', value: '', advanced: false }]
+    }));
+    for (const pluginName of loaded) {
+      entries.push({
+        implementation: `${pluginName}${SUFFIX[kind]}`,
+        implementationName: pluginName,
+        configContract: `${pluginName}${SUFFIX[kind]}Settings`,
+        ...(PROTOCOL_KINDS.includes(kind) ? { protocol: `${pluginName}DownloadProtocol` } : {}),
+        fields: pluginFields(kind)
+      });
+    }
+    schemas[kind] = entries;
+  }
+  return schemas;
+}
+
+// Id for a new row: one past the highest in use
+const nextId = (list) => Math.max(0, ...list.map(item => item.id)) + 1;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readText(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readBody(req) {
+  const text = await readText(req);
+  return text ? JSON.parse(text) : null;
+}
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(/;\s*/).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// Same fields and failure redirect as Lidarr's login.html
+function loginPage(res, failed) {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Login - Lidarr</title>
+</head>
+<body>
+  <div class="panel">
+    <form role="form" method="POST">
+      <input type="text" name="username" placeholder="Username" autocomplete="username">
+      <input type="password" name="password" placeholder="Password" autocomplete="current-password">
+      <label><input type="checkbox" name="rememberMe" checked> Remember Me</label>
+      <button type="submit">Login</button>
+      ${failed ? '<div class="login-failed">Incorrect Username or Password</div>' : ''}
+    </form>
+  </div>
+</body>
+</html>`);
+}
+
+// Start the fake. Resolves with { url, apiKey, state, requests, close }; state is live and may be
+// changed by tests between requests (e.g. state.theme = 'dark'). extraPlugins are loaded next to
+// pluginName, like a multi-plugin smoke environment. Interactive search returns one release per
+// configured indexer (state.providers.indexer), and grabbing one needs a download client for its protocol.
+export async function startFakeLidarr({
+  port = 0,
+  host = '127.0.0.1',
+  pluginName = 'Tidalarr',
+  extraPlugins = [],
+  variant = 'css-modules',
+  apiKey = 'fake-api-key',
+  pluginLoaded = true,
+  pluginsBranch = true,
+  protocolEnabled = false,
+  theme = 'auto',
+  version = '2.14.0.4650',
+  auth = 'none',
+  username = 'admin',
+  password = 'correct-horse'
+} = {}) {
+  if (!VARIANTS.includes(variant)) {
+    throw new Error(`unknown variant "${variant}" (expected ${VARIANTS.join(', ')})`);
+  }
+  if (!AUTH_METHODS.includes(auth)) {
+    throw new Error(`unknown auth "${auth}" (expected ${AUTH_METHODS.join(', ')})`);
+  }
+
+  const loaded = pluginLoaded ? [pluginName, ...extraPlugins] : [];
+  const state = {
+    pluginName,
+    loaded,
+    variant,
+    version,
+    theme,
+    auth,
+    // Settings > UI language, an id from LANGUAGES
+    uiLanguage: 1,
+    // Forms sessions issued and successful logins through /login (failed attempts are not counted)
+    sessions: new Set(),
+    logins: 0,
+    schemas: buildSchemas(loaded, variant),
+    providers: { indexer: [], downloadclient: [], importlist: [], notification: [], metadata: [] },
+    // Library for the interactive search and queue pages; tests may empty rootFolders or preload artists
+    rootFolders: [{ id: 1, path: '/music', defaultQualityProfileId: 1, defaultMetadataProfileId: 1 }],
+    artists: [],
+    albums: [],
+    queue: [],
+    delayProfiles: [{
+      id: 1,
+      name: 'Default',
+      order: 2147483647,
+      tags: [],
+      preferredProtocol: 'UsenetDownloadProtocol',
+      items: [
+        { name: 'Usenet', protocol: 'UsenetDownloadProtocol', allowed: true, delay: 0 },
+        { name: 'Torrent', protocol: 'TorrentDownloadProtocol', allowed: true, delay: 0 },
+        ...loaded.map(name => ({ name, protocol: `${name}DownloadProtocol`, allowed: protocolEnabled, delay: 0 }))
+      ]
+    }]
+  };
+  // Like Lidarr, every metadata consumer exists from the start, disabled, and is edited rather than added
+  state.providers.metadata = state.schemas.metadata.map((schema, i) => ({
+    id: i + 1,
+    name: schema.implementationName,
+    enable: false,
+    ...schema
+  }));
+  const requests = [];
+  const appJs = readFileSync(join(HERE, 'app.js'), 'utf8');
+
+  const protocolOf = (kind, provider) => state.schemas[kind].find(s => s.implementation === provider.implementation)?.protocol;
+
+  // One release per configured indexer, as interactive search would return them
+  function releasesFor(album) {
+    const artist = state.artists.find(a => a.id === album.artistId);
+    return state.providers.indexer.map(indexer => ({
+      guid: `fake-${indexer.id}-${album.id}`,
+      title: `${artist.artistName} - ${album.title} [FLAC]`,
+      indexer: indexer.name,
+      indexerId: indexer.id,
+      protocol: protocolOf('indexer', indexer),
+      size: 312_000_000,
+      ageHours: 5,
+      quality: { quality: { id: 7, name: 'FLAC' } },
+      artistName: artist.artistName,
+      albumTitle: album.title,
+      albumId: album.id,
+      approved: true,
+      rejections: []
+    }));
+  }
+
+  async function api(req, res, path, query) {
+    if (apiKey && req.headers['x-api-key'] !== apiKey) {
+      return sendJson(res, 401, { message: 'Unauthorized' });
+    }
+    const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : null;
+    let match;
+
+    if (path === 'system/status' && req.method === 'GET') {
+      return sendJson(res, 200, { appName: 'Lidarr', version: state.version, branch: pluginsBranch ? 'plugins' : 'master' });
+    }
+    if (path === 'system/plugins' && req.method === 'GET') {
+      if (!pluginsBranch) return sendJson(res, 404, { message: 'NotFound' });
+      return sendJson(res, 200, state.loaded.map(name => ({ name, version: '1.0.0' })));
+    }
+    if ((match = path.match(/^config\/ui(?:\/(\d+))?$/))) {
+      if (req.method === 'GET') return sendJson(res, 200, { id: 1, theme: state.theme, uiLanguage: state.uiLanguage });
+      if (req.method === 'PUT') {
+        if (!LANGUAGES.some(l => l.id === body?.uiLanguage)) {
+          return sendJson(res, 400, [{ propertyName: 'UILanguage', errorMessage: 'Invalid UI Language value', severity: 'error' }]);
+        }
+        state.theme = body.theme ?? state.theme;
+        state.uiLanguage = body.uiLanguage;
+        return sendJson(res, 202, { id: 1, theme: state.theme, uiLanguage: state.uiLanguage });
+      }
+    }
+    if (path === 'language' && req.method === 'GET') {
+      return sendJson(res, 200, LANGUAGES);
+    }
+    if (path === 'localization' && req.method === 'GET') {
+      return sendJson(res, 200, { strings: STRINGS[state.uiLanguage] });
+    }
+    if ((match = path.match(/^(indexer|downloadclient|importlist|notification|metadata)\/schema$/)) && req.method === 'GET') {
+      return sendJson(res, 200, state.schemas[match[1]]);
+    }
+    if ((match = path.match(/^(indexer|downloadclient|importlist|notification|metadata)\/(\d+)$/)) && ['PUT', 'DELETE'].includes(req.method)) {
+      const list = state.providers[match[1]];
+      const index = list.findIndex(p => p.id === Number(match[2]));
+      if (index < 0) return sendJson(res, 404, { message: 'NotFound' });
+      if (req.method === 'DELETE') {
+        list.splice(index, 1);
+        return sendJson(res, 200, {});
+      }
+      list[index] = { ...list[index], ...body, id: list[index].id };
+      return sendJson(res, 202, list[index]);
+    }
+    if ((match = path.match(/^(indexer|downloadclient|importlist|notification|metadata)$/))) {
+      const list = state.providers[match[1]];
+      if (req.method === 'GET') return sendJson(res, 200, list);
+      if (req.method === 'POST') {
+        const created = { ...body, id: nextId(list) };
+        list.push(created);
+        return sendJson(res, 201, created);
+      }
+    }
+    // The form's Test button: like the plugin, call the upstream API at the form's URL and report a
+    // validation failure when it cannot be reached or refuses
+    if ((match = path.match(/^(indexer|downloadclient|importlist|notification|metadata)\/test$/)) && req.method === 'POST') {
+      const url = (body?.fields || []).find(f => f.name === 'baseUrl')?.value;
+      if (!url) return sendJson(res, 400, [{ propertyName: 'BaseUrl', errorMessage: 'URL is required', severity: 'error' }]);
+      const upstream = await fetch(url, { signal: AbortSignal.timeout(3000) }).catch(() => null);
+      return upstream?.ok
+        ? sendJson(res, 200, {})
+        : sendJson(res, 400, [{
+          propertyName: 'BaseUrl',
+          errorMessage: upstream ? `The streaming service refused the request (HTTP ${upstream.status})` : 'Unable to connect to the streaming service',
+          severity: 'error'
+        }]);
+    }
+    if (path === 'rootfolder' && req.method === 'GET') {
+      return sendJson(res, 200, state.rootFolders);
+    }
+    if (path === 'qualityprofile' && req.method === 'GET') {
+      return sendJson(res, 200, [{ id: 1, name: 'Any' }, { id: 2, name: 'Lossless' }]);
+    }
+    if (path === 'metadataprofile' && req.method === 'GET') {
+      return sendJson(res, 200, [{ id: 1, name: 'Standard' }]);
+    }
+    if (path === 'artist/lookup' && req.method === 'GET') {
+      const term = (query.get('term') || '').toLowerCase();
+      const found = CATALOGUE.filter(a => a.artistName.toLowerCase().includes(term) || term === `lidarr:${a.foreignArtistId}`);
+      return sendJson(res, 200, found.map(({ albums, ...artist }) => artist));
+    }
+    if (path === 'artist') {
+      if (req.method === 'GET') return sendJson(res, 200, state.artists);
+      if (req.method === 'POST') {
+        const entry = CATALOGUE.find(a => a.foreignArtistId === body?.foreignArtistId);
+        if (!entry) return sendJson(res, 400, [{ propertyName: 'ForeignArtistId', errorMessage: 'Artist not found' }]);
+        if (!state.rootFolders.some(r => r.path === body.rootFolderPath)) {
+          return sendJson(res, 400, [{ propertyName: 'RootFolderPath', errorMessage: 'Root folder does not exist' }]);
+        }
+        const artist = { ...body, id: nextId(state.artists), artistName: entry.artistName };
+        delete artist.addOptions;
+        state.artists.push(artist);
+        for (const album of entry.albums) {
+          state.albums.push({ ...album, id: nextId(state.albums), artistId: artist.id, monitored: false });
+        }
+        return sendJson(res, 201, artist);
+      }
+    }
+    if ((match = path.match(/^artist\/(\d+)$/)) && req.method === 'DELETE') {
+      const index = state.artists.findIndex(a => a.id === Number(match[1]));
+      if (index < 0) return sendJson(res, 404, { message: 'NotFound' });
+      const [artist] = state.artists.splice(index, 1);
+      state.albums.splice(0, state.albums.length, ...state.albums.filter(a => a.artistId !== artist.id));
+      return sendJson(res, 200, {});
+    }
+    if (path === 'album' && req.method === 'GET') {
+      const artistId = query.get('artistId');
+      const foreignAlbumId = query.get('foreignAlbumId');
+      return sendJson(res, 200, state.albums.filter(a =>
+        (!artistId || a.artistId === Number(artistId)) && (!foreignAlbumId || a.foreignAlbumId === foreignAlbumId)));
+    }
+    if (path === 'release') {
+      if (req.method === 'GET') {
+        const album = state.albums.find(a => a.id === Number(query.get('albumId')));
+        return album ? sendJson(res, 200, releasesFor(album)) : sendJson(res, 404, { message: 'Album not found' });
+      }
+      if (req.method === 'POST') {
+        const release = state.albums.flatMap(releasesFor).find(r => r.guid === body?.guid && r.indexerId === body?.indexerId);
+        if (!release) return sendJson(res, 404, { message: 'Couldn\'t find requested release in cache' });
+        const client = state.providers.downloadclient.find(c => protocolOf('downloadclient', c) === release.protocol);
+        if (!client) return sendJson(res, 409, { message: `No ${release.protocol} download client available` });
+        const album = state.albums.find(a => a.id === release.albumId);
+        state.queue.push({
+          id: nextId(state.queue),
+          artistId: album.artistId,
+          albumId: album.id,
+          artist: { artistName: release.artistName },
+          album: { title: release.albumTitle },
+          title: release.title,
+          quality: release.quality,
+          size: release.size,
+          sizeleft: release.size / 2,
+          timeleft: '00:03:00',
+          status: 'downloading',
+          trackedDownloadStatus: 'ok',
+          protocol: release.protocol,
+          indexer: release.indexer,
+          downloadClient: client.name
+        });
+        return sendJson(res, 200, release);
+      }
+    }
+    if ((match = path.match(/^queue\/(\d+)$/)) && req.method === 'DELETE') {
+      const index = state.queue.findIndex(q => q.id === Number(match[1]));
+      if (index < 0) return sendJson(res, 404, { message: 'NotFound' });
+      state.queue.splice(index, 1);
+      return sendJson(res, 200, {});
+    }
+    if (path === 'queue' && req.method === 'GET') {
+      return sendJson(res, 200, { page: 1, pageSize: 100, totalRecords: state.queue.length, records: state.queue });
+    }
+    if (path === 'delayprofile' && req.method === 'GET') {
+      return sendJson(res, 200, state.delayProfiles);
+    }
+    if ((match = path.match(/^delayprofile\/(\d+)$/))) {
+      const index = state.delayProfiles.findIndex(p => p.id === Number(match[1]));
+      if (index < 0) return sendJson(res, 404, { message: 'NotFound' });
+      if (req.method === 'GET') return sendJson(res, 200, state.delayProfiles[index]);
+      if (req.method === 'PUT') {
+        state.delayProfiles[index] = { ...body, id: state.delayProfiles[index].id };
+        return sendJson(res, 202, state.delayProfiles[index]);
+      }
+    }
+    return sendJson(res, 404, { message: 'NotFound' });
+  }
+
+  function page(res) {
+    // Like Lidarr's initialize.js, the UI gets its API key from the page
+    const config = {
+      apiKey, pluginName: state.pluginName, variant: state.variant, theme: state.theme, version: state.version,
+      strings: STRINGS[state.uiLanguage]
+    };
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Lidarr</title>
+</head>
+<body>
+  <div id="root"></div>
+  <script>window.Lidarr = ${JSON.stringify(config)};</script>
+  <script src="/app.js"></script>
+</body>
+</html>`);
+  }
+
+  const basicToken = Buffer.from(`${username}:${password}`).toString('base64');
+
+  async function login(req, res, url) {
+    const returnUrl = url.searchParams.get('returnUrl') || '/';
+    if (req.method !== 'POST') {
+      return loginPage(res, url.searchParams.has('loginFailed'));
+    }
+    const form = new URLSearchParams(await readText(req));
+    if (form.get('username') !== username || form.get('password') !== password) {
+      res.writeHead(302, { Location: `/login?returnUrl=${encodeURIComponent(returnUrl)}&loginFailed=true` });
+      return res.end();
+    }
+    const session = randomUUID();
+    state.sessions.add(session);
+    state.logins++;
+    const maxAge = form.get('rememberMe') ? '; Max-Age=2592000' : '';
+    res.writeHead(302, {
+      Location: returnUrl,
+      'Set-Cookie': `LidarrAuth=${session}; Path=/; HttpOnly; SameSite=Lax${maxAge}`
+    });
+    return res.end();
+  }
+
+  // True when the UI request may proceed; otherwise the auth challenge has been sent
+  function authorizeUi(req, res, url) {
+    if (state.auth === 'basic') {
+      if (req.headers.authorization === `Basic ${basicToken}`) return true;
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Lidarr"', 'Content-Type': 'text/plain' });
+      res.end('Unauthorized');
+      return false;
+    }
+    if (state.auth === 'forms' && !state.sessions.has(readCookie(req, 'LidarrAuth'))) {
+      res.writeHead(302, { Location: `/login?returnUrl=${encodeURIComponent(url.pathname)}` });
+      res.end();
+      return false;
+    }
+    return true;
+  }
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://fake');
+    requests.push({ method: req.method, path: url.pathname });
+    if (url.pathname.startsWith('/api/v1/')) {
+      return api(req, res, url.pathname.slice('/api/v1/'.length).replace(/\/+$/, ''), url.searchParams).catch(err => {
+        sendJson(res, 500, { message: err.message });
+      });
+    }
+    if (url.pathname === '/login' && state.auth === 'forms') {
+      return login(req, res, url).catch(err => {
+        res.writeHead(500);
+        res.end(err.message);
+      });
+    }
+    if (!authorizeUi(req, res, url)) return;
+    if (url.pathname === '/app.js') {
+      res.writeHead(200, { 'Content-Type': 'text/javascript' });
+      return res.end(appJs);
+    }
+    if (url.pathname === '/favicon.ico') {
+      res.writeHead(404);
+      return res.end();
+    }
+    return page(res);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    apiKey,
+    state,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8686' },
+      plugin: { type: 'string', default: 'Tidalarr' },
+      'extra-plugins': { type: 'string', default: '' },
+      variant: { type: 'string', default: 'css-modules' },
+      'api-key': { type: 'string', default: 'fake-api-key' },
+      'protocol-enabled': { type: 'boolean', default: false },
+      auth: { type: 'string', default: 'none' },
+      username: { type: 'string', default: 'admin' },
+      password: { type: 'string', default: 'correct-horse' },
+      'plugin-not-loaded': { type: 'boolean', default: false }
+    }
+  });
+  const fake = await startFakeLidarr({
+    port: Number(values.port),
+    pluginName: values.plugin,
+    extraPlugins: values['extra-plugins'].split(',').map(p => p.trim()).filter(Boolean),
+    variant: values.variant,
+    apiKey: values['api-key'],
+    protocolEnabled: values['protocol-enabled'],
+    pluginLoaded: !values['plugin-not-loaded'],
+    auth: values.auth,
+    username: values.username,
+    password: values.password
+  });
+  console.log(`Fake Lidarr (${values.variant}) at ${fake.url}, API key ${fake.apiKey}${values.auth === 'none' ? '' : `, ${values.auth} auth as ${values.username}`}`);
+}
@@ -0,0 +1,119 @@
+// Config form fixtures (lib/fixtures.mjs): file checks and the upstream API stub, plus the fillForm and
+// pressTest scenario steps. Filling the form and pressing Test are covered by the --fixtures run in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadFixtures, validateFixtures, startStub } from '../lib/fixtures.mjs';
+import { validateScenario, runScenario, ScenarioError } from '../lib/scenario.mjs';
+
+describe('validateFixtures', () => {
+  test('accepts sets of field values per type and a stub', () => {
+    const fixtures = {
+      stub: { host: 'host.docker.internal', port: 0, routes: [{ path: '/api', status: 200, body: { ok: true } }] },
+      indexer: { valid: { baseUrl: '{{stubUrl}}/api', searchLimit: 50, enable: true }, invalid: { baseUrl: '{{stubUrl}}/nope' } }
+    };
+    assert.equal(validateFixtures(fixtures), fixtures);
+  });
+
+  test('names the file and the entry in errors', () => {
+    assert.throws(() => validateFixtures([], 'tidalarr.json'), { message: 'tidalarr.json: expected an object keyed by type' });
+    assert.throws(() => validateFixtures({ indexer: {} }), /"indexer" must name at least one set/);
+    assert.throws(() => validateFixtures({ indexer: { valid: { tags: ['a'] } } }), /indexer > valid > tags must be text/);
+    assert.throws(() => validateFixtures({ stub: { port: 70000 } }), /stub "port" must be a port number/);
+    assert.throws(() => validateFixtures({ stub: { routes: [{ path: 'api' }] } }), /stub route 1 needs a "path" starting with "\/"/);
+    assert.throws(() => validateFixtures({ stub: { routes: [{ path: '/api', status: 999 }] } }), /stub route 1 has an invalid status/);
+  });
+
+  test('loads a file and reports JSON errors with its path', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-fixtures-'));
+    try {
+      const path = join(dir, 'fixtures.json');
+      writeFileSync(path, JSON.stringify({ indexer: { valid: { baseUrl: 'http://127.0.0.1:1' } } }));
+      assert.deepEqual(loadFixtures(path), { indexer: { valid: { baseUrl: 'http://127.0.0.1:1' } } });
+      writeFileSync(path, '{ "indexer": ');
+      assert.throws(() => loadFixtures(path), (err) => err.message.startsWith(`${path}: `));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('startStub', () => {
+  test('answers with the route whose path prefixes the request the most, and 404 without one', async () => {
+    const stub = await startStub({
+      routes: [
+        { path: '/api', body: { ok: true } },
+        { path: '/api/rejected', status: 401, body: { error: 'Invalid credentials' } }
+      ]
+    });
+    try {
+      assert.match(stub.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+      const ok = await fetch(`${stub.url}/api/v1/session?user=1`);
+      assert.equal(ok.status, 200);
+      assert.deepEqual(await ok.json(), { ok: true });
+      const rejected = await fetch(`${stub.url}/api/rejected/v1/session`);
+      assert.equal(rejected.status, 401);
+      assert.deepEqual(await rejected.json(), { error: 'Invalid credentials' });
+      // "/apix" is not under "/api"
+      assert.equal((await fetch(`${stub.url}/apix`)).status, 404);
+      assert.deepEqual(stub.requests, ['GET /api/v1/session 200', 'GET /api/rejected/v1/session 401', 'GET /apix 404']);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('answers everything with 200 without routes', async () => {
+    const stub = await startStub();
+    try {
+      const res = await fetch(`${stub.url}/anything`, { method: 'POST', body: '{}' });
+      assert.equal(res.status, 200);
+      assert.deepEqual(await res.json(), {});
+    } finally {
+      await stub.close();
+    }
+  });
+});
+
+describe('fillForm and pressTest steps', () => {
+  const scenario = (shot) => ({ name: 'indexer', shots: [{ name: 'indexer-config-filled', verify: 'config-dialog', ...shot }] });
+
+  test('fillForm takes the shot\'s fixture set or its own values', () => {
+    assert.doesNotThrow(() => validateScenario(scenario({ fixture: 'valid', steps: [{ action: 'fillForm' }] })));
+    assert.doesNotThrow(() => validateScenario(scenario({ steps: [{ action: 'fillForm', values: { baseUrl: 'http://127.0.0.1:1' } }] })));
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'fillForm' }] })), /"fillForm" step needs "values", or a shot with a "fixture"/);
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'fillForm', values: ['baseUrl'] }] })), ScenarioError);
+    assert.throws(() => validateScenario(scenario({ fixture: '', steps: [] })), /empty or non-text "fixture"/);
+  });
+
+  test('a fixture shot runs only with its set, filled in with {{stubUrl}} replaced', async () => {
+    const shots = [];
+    const filled = [];
+    await runScenario(null, {
+      name: 'indexer',
+      shots: [
+        { name: 'indexer-config-filled', fixture: 'valid', steps: [{ action: 'fillForm' }] },
+        { name: 'indexer-test-failed', fixture: 'invalid', steps: [{ action: 'fillForm' }] }
+      ]
+    }, {
+      pluginName: 'Tidalarr',
+      vars: { stubUrl: 'http://127.0.0.1:4010' },
+      fixtures: { indexer: { valid: { baseUrl: '{{stubUrl}}/api', name: '{{plugin}}' } } },
+      fillConfigForm: async (page, values) => filled.push(values),
+      screenshotOrSkip: async (page, name, capture) => {
+        shots.push(name);
+        await capture();
+      }
+    });
+    assert.deepEqual(shots, ['indexer-config-filled']);
+    assert.deepEqual(filled, [{ baseUrl: 'http://127.0.0.1:4010/api', name: 'Tidalarr' }]);
+  });
+
+  test('pressTest expects success or failure', () => {
+    assert.doesNotThrow(() => validateScenario(scenario({ steps: [{ action: 'pressTest', expect: 'failure' }] })));
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'pressTest' }] })), /"pressTest" step needs "expect"/);
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'pressTest', expect: 'ok' }] })), /unknown expect "ok"/);
+  });
+});
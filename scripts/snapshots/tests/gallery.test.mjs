@@ -0,0 +1,247 @@
+// Gallery page and docs region updates from a run's manifest. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gallerySource, renderGallery, findRegions, findDocs, updateDoc } from '../lib/gallery.mjs';
+
+function shot(name, { outcome = 'success', locale = null, variant = null, title = null, alt = null, errorCode = null } = {}) {
+  return {
+    name,
+    kind: 'shot',
+    outcome,
+    errorCode,
+    locale,
+    variant,
+    title,
+    alt,
+    file: outcome === 'success' ? `out/${locale ? `${locale}/` : ''}${variant ? `${name}.${variant}` : name}.png` : null
+  };
+}
+
+function manifest(results, { plugin = 'Tidalarr', lidarrVersion = '2.14.0.4650', pluginVersion = '1.0.0' } = {}) {
+  return {
+    timestamp: '2026-10-19T08:00:00.000Z',
+    lidarr: { url: 'http://localhost:8686', version: lidarrVersion, selectorProfile: 'lidarr-2' },
+    request: { plugin, types: ['indexer'], outputDir: 'out', required: [] },
+    results: [
+      { name: 'preflight', kind: 'setup', outcome: 'success', details: { pluginVersion } },
+      ...results
+    ]
+  };
+}
+
+const SOURCE = gallerySource(manifest([
+  shot('landing', { title: 'Lidarr home page', alt: 'Lidarr library home page' }),
+  shot('indexer-config', { title: 'Indexer configuration', alt: 'Tidalarr indexer configuration form' }),
+  shot('queue', { outcome: 'failed', errorCode: 'SNAP_SEED_FAILED' })
+]));
+
+function withDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'snap-gallery-'));
+  try {
+    return fn(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('gallerySource', () => {
+  test('keeps the saved images per shot with their title, alt text and the versions', () => {
+    const source = gallerySource(manifest([
+      shot('indexer-config', { variant: 'dark.1440', title: 'Indexer configuration' }),
+      shot('indexer-config', { variant: 'light.1440', title: 'Indexer configuration' }),
+      shot('import-list-config', { outcome: 'failed', errorCode: 'SNAP_TIMEOUT' })
+    ]));
+    assert.equal(source.plugin, 'Tidalarr');
+    assert.equal(source.pluginVersion, '1.0.0');
+    assert.equal(source.lidarrVersion, '2.14.0.4650');
+    assert.deepEqual(source.shots[0].images.map(i => i.variant), ['dark.1440', 'light.1440']);
+    // Without a scenario title or alt both come from the shot name
+    assert.equal(source.shots[0].alt, 'Tidalarr: Indexer configuration');
+    assert.deepEqual(source.shots[1], {
+      name: 'import-list-config', title: 'Import list config', alt: 'Tidalarr: Import list config', images: [], errorCode: 'SNAP_TIMEOUT'
+    });
+  });
+});
+
+describe('renderGallery', () => {
+  test('lists the captured shots with images relative to the page and names the ones that failed', () => {
+    const page = renderGallery(SOURCE, { path: 'out/gallery.md' });
+    assert.match(page, /^# Tidalarr screenshots$/m);
+    assert.match(page, /^Captured against Lidarr 2\.14\.0\.4650 with Tidalarr 1\.0\.0 on 2026-10-19\.$/m);
+    assert.match(page, /^## Indexer configuration\n\n!\[Tidalarr indexer configuration form\]\(indexer-config\.png\)$/m);
+    assert.match(page, /^Not captured in this run: `queue` \(SNAP_SEED_FAILED\)\.$/m);
+    assert.ok(!page.includes('## Queue'));
+  });
+
+  test('links images under the image base when one is given', () => {
+    const page = renderGallery(SOURCE, { path: 'docs/gallery.md', imageBase: 'https://example.test/shots/', root: 'out' });
+    assert.ok(page.includes('![Lidarr library home page](https://example.test/shots/landing.png)'));
+  });
+
+  test('shows the thumbnail linked to the full image when the run made thumbnails', () => {
+    const withThumb = { ...shot('landing', { alt: 'Lidarr library home page' }), file: 'out/landing.webp' };
+    withThumb.outputs = [{ kind: 'image', file: 'out/landing.webp' }, { kind: 'thumbnail', file: 'out/landing.thumb.webp' }];
+    const page = renderGallery(gallerySource(manifest([withThumb])), { path: 'out/gallery.md' });
+    assert.ok(page.includes('[![Lidarr library home page](landing.thumb.webp)](landing.webp)'));
+  });
+
+  test('says so when the Lidarr version is unknown', () => {
+    const page = renderGallery(gallerySource(manifest([shot('landing')], { lidarrVersion: null, pluginVersion: null })), { path: 'out/gallery.md' });
+    assert.match(page, /^Captured against an unknown Lidarr version on 2026-10-19\.$/m);
+  });
+});
+
+describe('findRegions', () => {
+  test('parses kinds, shot names and attributes, and ignores markers shown as code', () => {
+    const text = [
+      '<!-- snap:shot indexer-config plugin=Tidalarr variant=dark.1440 -->',
+      'old',
+      '<!-- /snap:shot -->',
+      'Use `<!-- snap:gallery -->` for every shot:',
+      '```markdown',
+      '<!-- snap:table -->',
+      '```',
+      '<!-- snap:captured --><!-- /snap:captured -->'
+    ].join('\n');
+    const regions = findRegions(text);
+    assert.deepEqual(regions.map(r => [r.kind, r.shot, r.plugin, r.variant, r.line]), [
+      ['shot', 'indexer-config', 'Tidalarr', 'dark.1440', 1],
+      ['captured', null, null, null, 8]
+    ]);
+    assert.equal(text.slice(regions[0].start, regions[0].end), '\nold\n');
+  });
+
+  test('rejects unknown, unclosed and nested markers with their line', () => {
+    const cases = [
+      ['<!-- snap:carousel --><!-- /snap:carousel -->', /line 1: unknown marker "snap:carousel"/],
+      ['\n<!-- snap:gallery -->\n', /line 2: snap:gallery is never closed/],
+      ['<!-- snap:gallery -->\n<!-- snap:table -->', /line 2: snap:table opens inside the snap:gallery region of line 1/],
+      ['<!-- /snap:table -->', /closes no open snap:table region/],
+      ['<!-- snap:shot --><!-- /snap:shot -->', /snap:shot needs a shot name/],
+      ['<!-- snap:table size=big --><!-- /snap:table -->', /unknown attribute "size"/]
+    ];
+    for (const [text, message] of cases) {
+      assert.throws(() => findRegions(text), message);
+    }
+  });
+});
+
+describe('findDocs', () => {
+  test('takes files as given and the marked .md files of a directory', () => {
+    withDir((dir) => {
+      mkdirSync(join(dir, 'wiki'));
+      writeFileSync(join(dir, 'README.md'), '<!-- snap:gallery --><!-- /snap:gallery -->');
+      writeFileSync(join(dir, 'wiki', 'Setup.md'), '<!-- snap:shot indexer-config --><!-- /snap:shot -->');
+      writeFileSync(join(dir, 'wiki', 'Home.md'), 'No screenshots here');
+      assert.deepEqual(findDocs([join(dir, 'README.md'), join(dir, 'wiki')], ['Tidalarr']), [
+        join(dir, 'README.md'),
+        join(dir, 'wiki', 'Setup.md')
+      ]);
+    });
+  });
+
+  test('checks files and plugin names before the capture', () => {
+    withDir((dir) => {
+      const doc = join(dir, 'README.md');
+      writeFileSync(doc, 'No markers');
+      assert.throws(() => findDocs([doc], ['Tidalarr']), /README\.md: has no snap: markers/);
+      assert.throws(() => findDocs([join(dir, 'missing.md')], ['Tidalarr']), /missing\.md: file not found/);
+      writeFileSync(doc, '<!-- snap:gallery --><!-- /snap:gallery -->');
+      assert.throws(() => findDocs([doc], ['Tidalarr', 'Qobuzarr']), /needs plugin=NAME when several plugins are captured/);
+      writeFileSync(doc, '<!-- snap:gallery plugin=Brainarr --><!-- /snap:gallery -->');
+      assert.throws(() => findDocs([doc], ['Tidalarr']), /plugin=Brainarr is not captured in this run/);
+    });
+  });
+});
+
+describe('updateDoc', () => {
+  test('rewrites the regions in place and leaves the shots that were not captured as they were', () => {
+    withDir((dir) => {
+      const doc = join(dir, 'docs', 'README.md');
+      mkdirSync(join(dir, 'docs'));
+      writeFileSync(doc, [
+        '# Tidalarr',
+        '',
+        '<!-- snap:shot indexer-config -->',
+        '![old](old.png)',
+        '<!-- /snap:shot -->',
+        '',
+        '<!-- snap:shot queue -->',
+        '![queue](queue.png)',
+        '<!-- /snap:shot -->',
+        '',
+        '<!-- snap:table --><!-- /snap:table -->',
+        '',
+        'Footer'
+      ].join('\n'));
+      const source = { ...SOURCE, shots: SOURCE.shots.map(s => ({ ...s, images: s.images.map(i => ({ ...i, file: join(dir, i.file) })) })) };
+
+      const result = updateDoc(doc, [source]);
+      assert.equal(result.updated, true);
+      assert.equal(result.regions, 3);
+      assert.deepEqual(result.stale, [{ region: 'snap:shot queue', line: 7, reason: 'queue was not captured (SNAP_SEED_FAILED)' }]);
+      assert.equal(readFileSync(doc, 'utf8'), [
+        '# Tidalarr',
+        '',
+        '<!-- snap:shot indexer-config -->',
+        '![Tidalarr indexer configuration form](../out/indexer-config.png)',
+        '',
+        '*Indexer configuration* (captured against Lidarr 2.14.0.4650 with Tidalarr 1.0.0)',
+        '<!-- /snap:shot -->',
+        '',
+        '<!-- snap:shot queue -->',
+        '![queue](queue.png)',
+        '<!-- /snap:shot -->',
+        '',
+        '<!-- snap:table -->',
+        '| Screenshot | Shows |',
+        '|------------|-------|',
+        '| [Lidarr home page](../out/landing.png) | Lidarr library home page |',
+        '| [Indexer configuration](../out/indexer-config.png) | Tidalarr indexer configuration form |',
+        '<!-- /snap:table -->',
+        '',
+        'Footer'
+      ].join('\n'));
+
+      // A second run with the same shots leaves the file alone
+      const { mtimeMs } = statSync(doc);
+      assert.equal(updateDoc(doc, [source]).updated, false);
+      assert.equal(statSync(doc).mtimeMs, mtimeMs);
+    });
+  });
+
+  test('picks the plugin and variant a region names', () => {
+    withDir((dir) => {
+      const doc = join(dir, 'Home.md');
+      writeFileSync(doc, '<!-- snap:shot indexer-config plugin=qobuzarr variant=light.390 --><!-- /snap:shot -->');
+      const qobuzarr = gallerySource(manifest([
+        shot('indexer-config', { variant: 'dark.390' }),
+        shot('indexer-config', { variant: 'light.390' })
+      ], { plugin: 'Qobuzarr', pluginVersion: '0.9.1' }));
+      const result = updateDoc(doc, [SOURCE, qobuzarr], { imageBase: 'https://example.test/shots', root: 'out' });
+      assert.deepEqual(result.stale, []);
+      assert.match(readFileSync(doc, 'utf8'), /\(https:\/\/example\.test\/shots\/indexer-config\.light\.390\.png\)\n\n\*Indexer config\* \(captured against Lidarr 2\.14\.0\.4650 with Qobuzarr 0\.9\.1\)/);
+    });
+  });
+
+  test('picks the locale a region names and says which one was not captured', () => {
+    withDir((dir) => {
+      const doc = join(dir, 'README.de.md');
+      writeFileSync(doc, [
+        '<!-- snap:shot indexer-config locale=de --><!-- /snap:shot -->',
+        '<!-- snap:shot indexer-config locale=fr --><!-- /snap:shot -->'
+      ].join('\n'));
+      const source = gallerySource(manifest([
+        shot('indexer-config', { locale: 'en' }),
+        shot('indexer-config', { locale: 'de' })
+      ]));
+      const result = updateDoc(doc, [source], { root: 'out' });
+      assert.deepEqual(result.stale, [{ line: 2, region: 'snap:shot indexer-config locale=fr', reason: 'fr/indexer-config was not captured' }]);
+      assert.match(readFileSync(doc, 'utf8'), /\/out\/de\/indexer-config\.png\)\n/);
+    });
+  });
+});
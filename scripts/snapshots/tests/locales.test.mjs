@@ -0,0 +1,70 @@
+// Lidarr UI languages for --locales (lib/locales.mjs), against the fake Lidarr. No browser needed;
+// the localized capture itself is covered by the --locales run in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLidarr } from './fake-lidarr/server.mjs';
+import { createLidarrClient } from '../lib/lidarr-api.mjs';
+import { ErrorCodes } from '../lib/manifest.mjs';
+import { ENGLISH_UI_TEXT, parseLocales, uiText, textPattern, fetchUiText, setUiLanguage } from '../lib/locales.mjs';
+
+async function withFake(fn) {
+  const fake = await startFakeLidarr();
+  try {
+    await fn(fake, createLidarrClient({ baseUrl: fake.url, apiKey: fake.apiKey }));
+  } finally {
+    await fake.close();
+  }
+}
+
+describe('parseLocales', () => {
+  test('takes codes in any case, spelled as Lidarr\'s table spells them', () => {
+    assert.deepEqual(parseLocales('en, DE,pt_br'), ['en', 'de', 'pt-BR']);
+    assert.deepEqual(parseLocales(['fr', 'zh-cn']), ['fr', 'zh-CN']);
+  });
+
+  test('rejects unknown, repeated and missing codes', () => {
+    assert.throws(() => parseLocales('en,xx'), /unknown locale "xx"/);
+    assert.throws(() => parseLocales('de,DE'), /locale "de" is listed twice/);
+    assert.throws(() => parseLocales(' , '), /no locale given/);
+  });
+});
+
+describe('uiText', () => {
+  test('takes Lidarr\'s strings and keeps English for the ones it does not translate', () => {
+    const text = uiText({ strings: { Add: 'Hinzufügen', ShowAdvanced: ' Erweiterte anzeigen ', Save: '' } });
+    assert.equal(text.add, 'Hinzufügen');
+    assert.equal(text.showAdvanced, 'Erweiterte anzeigen');
+    assert.equal(text.save, 'Save');
+    assert.deepEqual(uiText({}), { ...ENGLISH_UI_TEXT });
+  });
+
+  test('matches text whatever its case and spacing', () => {
+    assert.match('SHOW  ADVANCED', textPattern('Show Advanced'));
+    assert.match('Interaktive Suche (2)', textPattern('Interaktive Suche'));
+    assert.doesNotMatch('Show', textPattern('Show Advanced'));
+  });
+});
+
+describe('setUiLanguage', () => {
+  test('switches the UI language and reads the strings of the new one', async () => {
+    await withFake(async (fake, client) => {
+      assert.deepEqual(await setUiLanguage(client, 'de'), { locale: 'de', language: 'German', languageId: 4, changed: true });
+      assert.equal(fake.state.uiLanguage, 4);
+      assert.equal((await fetchUiText(client)).interactiveSearch, 'Interaktive Suche');
+      assert.equal((await setUiLanguage(client, 'de')).changed, false);
+    });
+  });
+
+  test('fails with SNAP_LOCALE_NOT_SET without API access or a matching language', async () => {
+    await withFake(async (fake, client) => {
+      await assert.rejects(setUiLanguage(null, 'de'), { code: ErrorCodes.LOCALE_NOT_SET, details: { locale: 'de', suggestion: 'Pass --api-key or --config-xml; the key the Lidarr UI embeds in its page could not be read' } });
+      await assert.rejects(setUiLanguage(client, 'ja'), (err) => {
+        assert.equal(err.code, ErrorCodes.LOCALE_NOT_SET);
+        assert.deepEqual(err.details.languages, ['English', 'French', 'German']);
+        return true;
+      });
+      assert.equal(fake.state.uiLanguage, 1);
+    });
+  });
+});
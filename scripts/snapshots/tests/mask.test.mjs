@@ -0,0 +1,57 @@
+// Which form fields the screenshot mask hides (lib/mask.mjs). No browser needed; the masked screenshots
+// themselves are covered by the end-to-end runs in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { sensitiveReason, compileMaskPatterns, DEFAULT_MASK_PATTERNS } from '../lib/mask.mjs';
+
+const DEFAULTS = compileMaskPatterns(DEFAULT_MASK_PATTERNS);
+
+describe('sensitiveReason', () => {
+  test('masks password inputs whatever they are called', () => {
+    assert.equal(sensitiveReason({ type: 'password', name: 'quality' }, DEFAULTS), 'password-input');
+  });
+
+  test('matches the default patterns against name, label, placeholder and autocomplete hint', () => {
+    const cases = [
+      [{ name: 'apiKey' }, 'api[-_ ]?key'],
+      [{ name: 'field', label: 'API Key' }, 'api[-_ ]?key'],
+      [{ name: 'refreshToken' }, 'token'],
+      [{ label: 'Client Secret' }, 'secret'],
+      [{ label: 'User ID' }, 'user[-_ ]?(name|id)'],
+      [{ name: 'user_name' }, 'user[-_ ]?(name|id)'],
+      [{ placeholder: 'you@example.com (email)' }, 'email'],
+      [{ autocomplete: 'email' }, 'email'],
+      [{ label: 'Download Path' }, 'path'],
+      [{ name: 'sessionCookie' }, 'cookie']
+    ];
+    for (const [field, pattern] of cases) {
+      assert.equal(sensitiveReason({ type: 'text', ...field }, DEFAULTS), `pattern:${pattern}`, JSON.stringify(field));
+    }
+  });
+
+  test('leaves ordinary fields alone and reports the first matching pattern', () => {
+    assert.equal(sensitiveReason({ type: 'text', name: 'quality', label: 'Audio Quality' }, DEFAULTS), null);
+    assert.equal(sensitiveReason({ type: 'number', name: 'earlyReleaseLimit', label: 'Early Download Limit' }, DEFAULTS), null);
+    assert.equal(sensitiveReason({ type: 'text', name: 'passwordToken' }, DEFAULTS), 'pattern:password');
+    assert.equal(DEFAULT_MASK_PATTERNS.indexOf('password') < DEFAULT_MASK_PATTERNS.indexOf('token'), true);
+  });
+
+  test('uses the patterns it is given instead of the defaults', () => {
+    assert.equal(sensitiveReason({ name: 'apiKey' }, [/country/i]), null);
+    assert.equal(sensitiveReason({ label: 'Country Code' }, [/country/i]), 'pattern:country');
+  });
+});
+
+describe('compileMaskPatterns', () => {
+  test('compiles sources case-insensitively and keeps RegExps as they are', () => {
+    const custom = /App-ID/;
+    const [token, kept] = compileMaskPatterns(['token', custom]);
+    assert.ok(token.test('Refresh TOKEN'));
+    assert.equal(kept, custom);
+  });
+
+  test('names the pattern that is not a valid regex', () => {
+    assert.throws(() => compileMaskPatterns(['token', '(']), /invalid pattern "\("/);
+  });
+});
@@ -0,0 +1,43 @@
+// Capture matrix specs (lib/matrix.mjs) and the variant file-name suffixes. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMatrix, variantSuffix, DEFAULT_VARIANT } from '../lib/matrix.mjs';
+
+describe('variantSuffix', () => {
+  test('names the scheme and width, and the scale only when it is not 1', () => {
+    assert.equal(variantSuffix(DEFAULT_VARIANT), 'dark.1440');
+    assert.equal(variantSuffix({ colorScheme: 'light', viewport: { width: 390, height: 844 }, deviceScaleFactor: 2 }), 'light.390@2x');
+    assert.equal(variantSuffix({ colorScheme: 'no-preference', viewport: { width: 1024, height: 768 }, deviceScaleFactor: 1.5 }), 'no-preference.1024@1.5x');
+  });
+});
+
+describe('parseMatrix', () => {
+  test('fills omitted axes with the default variant', () => {
+    assert.deepEqual(parseMatrix(''), [{ ...DEFAULT_VARIANT, suffix: 'dark.1440' }]);
+    assert.deepEqual(parseMatrix('scheme:light').map(v => v.suffix), ['light.1440']);
+    assert.deepEqual(parseMatrix('viewport:390').map(v => v.viewport), [{ width: 390, height: 900 }]);
+  });
+
+  test('takes every combination of the axes, in scheme, viewport, scale order', () => {
+    const variants = parseMatrix(' scheme:dark,light ; viewport:1440x900,390x844 ; scale:1,2 ');
+    assert.deepEqual(variants.map(v => v.suffix), [
+      'dark.1440', 'dark.1440@2x', 'dark.390', 'dark.390@2x',
+      'light.1440', 'light.1440@2x', 'light.390', 'light.390@2x'
+    ]);
+    assert.deepEqual(variants[2], { colorScheme: 'dark', viewport: { width: 390, height: 844 }, deviceScaleFactor: 1, suffix: 'dark.390' });
+  });
+
+  test('rejects unknown axes, bad values and empty lists', () => {
+    assert.throws(() => parseMatrix('theme:dark'), /unknown matrix axis "theme"/);
+    assert.throws(() => parseMatrix('scheme:dim'), /invalid scheme "dim"/);
+    assert.throws(() => parseMatrix('viewport:wide'), /invalid viewport "wide"/);
+    assert.throws(() => parseMatrix('scale:0'), /invalid scale "0"/);
+    assert.throws(() => parseMatrix('scale:5'), /invalid scale "5"/);
+    assert.throws(() => parseMatrix('scheme:'), /matrix axis "scheme" has no values/);
+  });
+
+  test('rejects viewports whose shots would share a file name', () => {
+    assert.throws(() => parseMatrix('viewport:1440x900,1440x1200'), /duplicate file names/);
+  });
+});
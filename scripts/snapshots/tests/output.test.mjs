@@ -0,0 +1,110 @@
+// Output files: PNG layouts and lossless optimisation, thumbnail sizes and size budgets in the manifest.
+// WebP/JPEG conversion needs a browser and is covered by the end-to-end runs in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { crc32, decodePng, encodePng, optimizePng, pngSize } from '../lib/png.mjs';
+import { thumbnailSize, budgetBytes } from '../lib/output.mjs';
+import { createManifest } from '../lib/manifest.mjs';
+
+function image(width, height, pixel) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(pixel(i % width, Math.floor(i / width)), i * 4);
+  }
+  return { width, height, data };
+}
+
+// Colour type from IHDR
+const colorType = (png) => png[25];
+
+// An unfiltered, barely compressed RGBA PNG, as a stand-in for a large browser screenshot
+function plainPng({ width, height, data }) {
+  const chunk = (type, body) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(body.length);
+    head.write(type, 4, 'ascii');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])));
+    return Buffer.concat([head, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.subarray(y * width * 4, (y + 1) * width * 4)).copy(raw, y * (width * 4 + 1) + 1);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(raw, { level: 1 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+describe('encodePng', () => {
+  test('picks the smallest lossless layout and decodes back to the same pixels', () => {
+    const cases = [
+      ['palette', image(40, 30, (x, y) => [x < 20 ? 255 : 0, y < 15 ? 128 : 0, 64, 255]), 3],
+      ['RGB', image(40, 30, (x, y) => [x * 6, y * 8, (x * y) % 256, 255]), 2],
+      ['RGBA', image(40, 30, (x, y) => [x * 6, y * 8, 0, x === y ? 0 : 255]), 6]
+    ];
+    for (const [layout, pixels, type] of cases) {
+      const png = encodePng(pixels);
+      assert.equal(colorType(png), type, layout);
+      assert.deepEqual(decodePng(png), pixels, layout);
+    }
+  });
+});
+
+describe('optimizePng', () => {
+  test('shrinks a PNG without changing a pixel', () => {
+    const pixels = image(200, 120, (x, y) => [x % 50 < 25 ? 240 : 30, y % 40 < 20 ? 200 : 60, (x + y) % 256, 255]);
+    const original = plainPng(pixels);
+    const optimized = optimizePng(original);
+    assert.ok(optimized.length < original.length, `${optimized.length} >= ${original.length}`);
+    assert.deepEqual(decodePng(optimized), decodePng(original));
+    assert.deepEqual(pngSize(optimized), { width: 200, height: 120 });
+  });
+
+  test('keeps the original when re-encoding does not help or the file is not a PNG it can read', () => {
+    const optimized = encodePng(image(10, 10, () => [1, 2, 3, 255]));
+    assert.equal(optimizePng(optimized), optimized);
+    const notPng = Buffer.from('RIFF....WEBPVP8 ');
+    assert.equal(optimizePng(notPng), notPng);
+  });
+});
+
+describe('thumbnailSize', () => {
+  test('scales down to the width, keeping the aspect ratio, and never scales up', () => {
+    assert.deepEqual(thumbnailSize({ width: 1440, height: 3000 }, 480), { width: 480, height: 1000 });
+    assert.deepEqual(thumbnailSize({ width: 390, height: 844 }, 480), { width: 390, height: 844 });
+    assert.deepEqual(thumbnailSize({ width: 1440, height: 900 }, null), { width: 1440, height: 900 });
+  });
+});
+
+describe('size budgets', () => {
+  test('a shot\'s own budget overrides the run\'s, both in KiB', () => {
+    assert.equal(budgetBytes(undefined, 300), 300 * 1024);
+    assert.equal(budgetBytes(150, 300), 150 * 1024);
+    assert.equal(budgetBytes(undefined, null), null);
+  });
+
+  test('shots over budget are listed in the summary and fail the run only when asked to', () => {
+    const manifest = createManifest({ runner: { name: 'test', args: [] }, plugin: 'Tidalarr', types: ['indexer'], lidarrUrl: 'http://localhost:8686', outputDir: 'out' });
+    for (const [name, bytes, over] of [['landing', 900_000, true], ['indexer-config', 80_000, false]]) {
+      const step = manifest.begin(name);
+      step.outputs = [{ kind: 'image', file: `out/${name}.webp`, format: 'webp', width: 1440, height: 900, bytes }];
+      if (over) step.details.sizeBudget = { budgetBytes: 400 * 1024, bytes };
+      manifest.end(step, 'success');
+    }
+    assert.equal(manifest.finalize(), true);
+    assert.deepEqual(manifest.data.summary.overBudget, ['landing']);
+    assert.equal(manifest.data.summary.bytes, 980_000);
+    assert.equal(manifest.finalize(null, { failOverBudget: true }), false);
+  });
+});
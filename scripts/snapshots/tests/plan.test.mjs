@@ -0,0 +1,101 @@
+// The dry-run step plan (lib/plan.mjs). No browser needed; the dry run itself is covered by the
+// --dry-run run in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeWrite, renderPlanStep, renderPlanSummary } from '../lib/plan.mjs';
+
+const step = (overrides) => ({
+  name: 'indexer-add-modal',
+  kind: 'shot',
+  outcome: 'success',
+  startedAt: '2026-01-01T00:00:00.000Z',
+  selectors: {},
+  attempts: [],
+  details: {},
+  ...overrides
+});
+
+describe('describeWrite', () => {
+  test('names what a change would save without any field values', () => {
+    assert.equal(describeWrite({
+      id: 1,
+      items: [{ name: 'Usenet', allowed: true }, { name: 'Torrent', allowed: false }, { name: 'Tidalarr', allowed: true }]
+    }), 'allowed: Usenet, Tidalarr');
+    assert.equal(describeWrite({ name: 'Tidalarr (test)', implementation: 'TidalarrIndexer', fields: [{ name: 'apiKey', value: 'secret' }] }),
+      'Tidalarr (test) (TidalarrIndexer)');
+    assert.equal(describeWrite({ id: 1, theme: 'dark', uiLanguage: 4 }), 'fields: theme, uiLanguage');
+    assert.equal(describeWrite(null), '');
+  });
+});
+
+describe('renderPlanStep', () => {
+  test('lists every selector tried with its count and marks the one that matched', () => {
+    const plan = renderPlanStep(step({
+      selectors: { addButton: '[class*="AddNew" i]', modal: '[class*="ModalContent"]', pluginCard: 'div[class*="selectableCard"]:has-text("Tidalarr")' },
+      attempts: [
+        { role: 'addButton', selector: '[class*="ImportList"] [class*="add" i]', count: 0 },
+        { role: 'addButton', selector: '[class*="AddNew" i]', count: 1 },
+        { role: 'modal', selector: '[class*="ModalContent"]', count: 1 },
+        { role: 'pluginCard', selector: 'div[class*="selectableCard"]:has-text("Tidalarr")', count: 2 }
+      ],
+      details: { wouldWrite: 'out/indexer-add-modal.png' }
+    }), { label: 'de/indexer-add-modal' });
+    const lines = plan.split('\n');
+    assert.equal(lines[0], 'ok   de/indexer-add-modal');
+    assert.ok(lines.includes('         0  [class*="ImportList"] [class*="add" i]'), plan);
+    assert.ok(lines.includes('         1  [class*="AddNew" i]  <- matched'), plan);
+    assert.ok(lines.includes('     plugin card: found (div[class*="selectableCard"]:has-text("Tidalarr"))'), plan);
+    assert.ok(lines.includes('     would write: out/indexer-add-modal.png'), plan);
+    assert.ok(!plan.includes('protocol checkbox'), plan);
+  });
+
+  test('says what was not found, what would be saved and why a step failed', () => {
+    const plan = renderPlanStep(step({
+      outcome: 'failed',
+      errorCode: 'SNAP_PLUGIN_CARD_NOT_FOUND',
+      outcomeReason: 'No "Tidalarr" card found in the add modal',
+      attempts: [{ role: 'pluginCard', selector: 'div[class*="card"]:has-text("Tidalarr")', count: 0 }],
+      details: { wouldSave: [{ method: 'POST', endpoint: 'indexer', summary: 'Tidalarr (TidalarrIndexer)' }] }
+    }));
+    assert.match(plan, /^FAIL indexer-add-modal\n/);
+    assert.match(plan, /plugin card: not found/);
+    assert.match(plan, /would save: POST indexer \(Tidalarr \(TidalarrIndexer\)\)/);
+    assert.match(plan, /\[SNAP_PLUGIN_CARD_NOT_FOUND\] No "Tidalarr" card found/);
+    assert.match(renderPlanStep(step({ name: 'enable-protocol', kind: 'setup' })), /^ok {3}enable-protocol \(setup\)$/);
+  });
+
+  test('marks a setup step that ended in a warning, with its reason', () => {
+    const plan = renderPlanStep(step({
+      name: 'preflight',
+      kind: 'setup',
+      outcome: 'warning',
+      errorCode: 'SNAP_PLUGIN_UNVERIFIED',
+      outcomeReason: 'Lidarr is up, but without an API key pre-flight cannot confirm it has loaded Tidalarr'
+    }));
+    assert.deepEqual(plan.split('\n'), [
+      'warn preflight (setup)',
+      '     [SNAP_PLUGIN_UNVERIFIED] Lidarr is up, but without an API key pre-flight cannot confirm it has loaded Tidalarr'
+    ]);
+    assert.match(renderPlanSummary([{ results: [step({ name: 'preflight', kind: 'setup', outcome: 'warning' }), step()] }]),
+      /^Dry run: 2 step\(s\), 1 ok, 1 warning\(s\), 0 failed;/);
+  });
+});
+
+describe('renderPlanSummary', () => {
+  test('counts the steps and lists setup changes shared by several plugins once', () => {
+    const shared = step({
+      name: 'enable-protocol-api',
+      kind: 'setup',
+      details: { wouldSave: [{ method: 'PUT', endpoint: 'delayprofile/1', summary: 'allow TidalarrDownloadProtocol' }] }
+    });
+    const summary = renderPlanSummary([
+      { results: [shared, step({ details: { wouldWrite: 'a.png' } }), step({ outcome: 'failed', name: 'indexer-config' })] },
+      { results: [shared, step({ details: { wouldWrite: 'b.png' } }), step({ outcome: 'running' })] }
+    ]);
+    assert.deepEqual(summary.split('\n'), [
+      'Dry run: 5 step(s), 4 ok, 1 failed; 2 image(s) not written, 1 change(s) to Lidarr not saved',
+      '  PUT delayprofile/1 (allow TidalarrDownloadProtocol)  [enable-protocol-api]'
+    ]);
+  });
+});
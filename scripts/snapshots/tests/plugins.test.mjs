@@ -0,0 +1,88 @@
+// --plugin / --plugins-file parsing for multi-plugin runs. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parsePluginSpec, loadPluginsFile, normalizePlugins, requiredFor } from '../lib/plugins.mjs';
+
+const DEFAULT_TYPES = ['indexer', 'download-client', 'import-list'];
+const names = (plugins) => plugins.map(p => [p.name, p.types.join(',')]);
+
+describe('parsePluginSpec', () => {
+  test('keeps a single name with the default types', () => {
+    assert.deepEqual(names(parsePluginSpec('Tidalarr', DEFAULT_TYPES)), [['Tidalarr', 'indexer,download-client,import-list']]);
+  });
+
+  test('splits a plain list of names', () => {
+    assert.deepEqual(names(parsePluginSpec('Tidalarr, Qobuzarr', ['indexer'])), [['Tidalarr', 'indexer'], ['Qobuzarr', 'indexer']]);
+  });
+
+  test('reads per-plugin types', () => {
+    assert.deepEqual(names(parsePluginSpec('Tidalarr:indexer,download-client;Brainarr:Import-List;Qobuzarr', ['indexer'])), [
+      ['Tidalarr', 'indexer,download-client'],
+      ['Brainarr', 'import-list'],
+      ['Qobuzarr', 'indexer']
+    ]);
+    assert.deepEqual(names(parsePluginSpec('Tidalarr:indexer', DEFAULT_TYPES)), [['Tidalarr', 'indexer']]);
+  });
+
+  test('rejects duplicates, unsafe names and empty type lists', () => {
+    assert.throws(() => parsePluginSpec('Tidalarr,tidalarr', DEFAULT_TYPES), /listed twice/);
+    assert.throws(() => parsePluginSpec('../Tidalarr', DEFAULT_TYPES), /invalid plugin name/);
+    assert.throws(() => parsePluginSpec('Tidalarr:;Brainarr', DEFAULT_TYPES), /empty type list/);
+    assert.throws(() => parsePluginSpec('', DEFAULT_TYPES), /no plugin given/);
+  });
+});
+
+describe('loadPluginsFile', () => {
+  test('resolves scenario and fixture paths against the file and defaults the types', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-plugins-'));
+    try {
+      const path = join(dir, 'plugins.json');
+      writeFileSync(path, JSON.stringify({
+        plugins: [
+          { name: 'Tidalarr', types: ['indexer'], require: ['indexer-config'] },
+          { name: 'Brainarr', types: 'import-list', scenarios: ['brainarr.json'], fixtures: 'brainarr.fixtures.json' },
+          'Qobuzarr'
+        ]
+      }));
+      assert.deepEqual(loadPluginsFile(path, ['download-client']), [
+        { name: 'Tidalarr', types: ['indexer'], scenarios: [], require: ['indexer-config'], fixtures: null },
+        { name: 'Brainarr', types: ['import-list'], scenarios: [join(dir, 'brainarr.json')], require: [], fixtures: join(dir, 'brainarr.fixtures.json') },
+        { name: 'Qobuzarr', types: ['download-client'], scenarios: [], require: [], fixtures: null }
+      ]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('names the file in errors', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'snap-plugins-'));
+    try {
+      const path = join(dir, 'plugins.json');
+      writeFileSync(path, JSON.stringify({ plugins: [{ types: ['indexer'] }] }));
+      assert.throws(() => loadPluginsFile(path, DEFAULT_TYPES), { message: `${path}: plugins[0] needs a "name"` });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('normalizePlugins', () => {
+  test('keeps scenario objects and resolves scenario paths against the base', () => {
+    const scenario = { name: 'extra', shots: [{ name: 'extra-shot' }] };
+    assert.deepEqual(normalizePlugins([{ name: 'Tidalarr', scenarios: [scenario, 'more.json'] }], ['indexer'], '/repo'), [
+      { name: 'Tidalarr', types: ['indexer'], scenarios: [scenario, join('/repo', 'more.json')], require: [], fixtures: null }
+    ]);
+  });
+});
+
+describe('requiredFor', () => {
+  test('applies bare shots to every plugin and qualified shots to one', () => {
+    const required = ['landing', 'Tidalarr/indexer-config', 'brainarr/import-list-config'];
+    assert.deepEqual(requiredFor(required, 'Tidalarr'), ['landing', 'indexer-config']);
+    assert.deepEqual(requiredFor(required, 'Brainarr'), ['landing', 'import-list-config']);
+  });
+});
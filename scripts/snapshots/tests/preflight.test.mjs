@@ -0,0 +1,168 @@
+// Pre-flight and REST setup against the fake Lidarr. No browser needed.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLidarr } from './fake-lidarr/server.mjs';
+import { runPreflight } from '../lib/preflight.mjs';
+import { createLidarrClient, findPluginProtocols, enableProtocolsInDelayProfiles } from '../lib/lidarr-api.mjs';
+import { ErrorCodes } from '../lib/manifest.mjs';
+
+const quiet = () => {};
+const TYPES = ['indexer', 'download-client', 'import-list'];
+
+function preflight(fake, overrides = {}) {
+  return runPreflight({
+    baseUrl: fake.url,
+    apiKey: fake.apiKey,
+    pluginName: 'Tidalarr',
+    types: TYPES,
+    timeoutMs: 2_000,
+    intervalMs: 100,
+    log: quiet,
+    ...overrides
+  });
+}
+
+describe('runPreflight', () => {
+  test('reports version and schema implementations when the plugin is loaded', async () => {
+    const fake = await startFakeLidarr();
+    try {
+      const report = await preflight(fake);
+      assert.equal(report.authorized, true);
+      assert.equal(report.pluginLoaded, true);
+      assert.equal(report.lidarrVersion, fake.state.version);
+      assert.equal(report.pluginVersion, '1.0.0');
+      assert.deepEqual(report.schemas, {
+        'indexer': ['TidalarrIndexer'],
+        'download-client': ['TidalarrDownloadClient'],
+        'import-list': ['TidalarrImportList']
+      });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('checks the provider behind the notification, metadata, interactive-search and queue types', async () => {
+    const fake = await startFakeLidarr();
+    try {
+      const report = await preflight(fake, { types: ['notification', 'metadata', 'interactive-search', 'queue'] });
+      assert.deepEqual(report.schemas, {
+        'notification': ['TidalarrNotification'],
+        'metadata': ['TidalarrMetadata'],
+        'interactive-search': ['TidalarrIndexer'],
+        'queue': ['TidalarrDownloadClient']
+      });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('warns that the plugin is unconfirmed without an API key', async () => {
+    const fake = await startFakeLidarr();
+    try {
+      const report = await preflight(fake, { apiKey: null, types: ['indexer', 'interactive-search', 'import-list'] });
+      assert.equal(report.authorized, false);
+      assert.equal(report.pluginLoaded, null);
+      assert.equal(report.warning.code, ErrorCodes.PLUGIN_UNVERIFIED);
+      assert.deepEqual(report.warning.details.skippedChecks, ['system/plugins', 'indexer/schema', 'importlist/schema']);
+      assert.match(report.warning.details.suggestion, /--api-key \(or set LIDARR_API_KEY\)/);
+      assert.equal((await preflight(fake)).warning, null);
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('rejects a wrong API key', async () => {
+    const fake = await startFakeLidarr();
+    try {
+      await assert.rejects(preflight(fake, { apiKey: 'wrong' }), { code: ErrorCodes.API_ERROR });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('fails with PLUGIN_NOT_LOADED when Lidarr has not loaded the plugin', async () => {
+    const fake = await startFakeLidarr({ pluginLoaded: false });
+    try {
+      await assert.rejects(preflight(fake), (err) => {
+        assert.equal(err.code, ErrorCodes.PLUGIN_NOT_LOADED);
+        assert.deepEqual(err.details.loadedPlugins, []);
+        return true;
+      });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('fails with PLUGIN_NOT_LOADED on a build without the plugins branch', async () => {
+    const fake = await startFakeLidarr({ pluginsBranch: false });
+    try {
+      await assert.rejects(preflight(fake), { code: ErrorCodes.PLUGIN_NOT_LOADED, message: /not a plugins-branch build/ });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('fails with SCHEMA_MISSING_IMPLEMENTATION for a type the plugin does not provide', async () => {
+    const fake = await startFakeLidarr();
+    fake.state.schemas.importlist = fake.state.schemas.importlist.filter(s => !s.implementation.startsWith('Tidalarr'));
+    try {
+      await assert.rejects(preflight(fake), (err) => {
+        assert.equal(err.code, ErrorCodes.SCHEMA_MISSING_IMPLEMENTATION);
+        assert.deepEqual(err.details.missingTypes, ['import-list']);
+        return true;
+      });
+    } finally {
+      await fake.close();
+    }
+  });
+
+  test('fails with LIDARR_UNREACHABLE when nothing answers', async () => {
+    const fake = await startFakeLidarr();
+    await fake.close();
+    await assert.rejects(preflight(fake, { timeoutMs: 300 }), { code: ErrorCodes.LIDARR_UNREACHABLE });
+  });
+
+  test('stops waiting for Lidarr as soon as the run is interrupted', async () => {
+    const fake = await startFakeLidarr();
+    await fake.close();
+    const interrupt = new AbortController();
+    const started = Date.now();
+    setTimeout(() => interrupt.abort(), 200);
+    await assert.rejects(preflight(fake, { timeoutMs: 60_000, intervalMs: 10_000, signal: interrupt.signal }), { code: ErrorCodes.ABORTED });
+    assert.ok(Date.now() - started < 5_000, `took ${Date.now() - started}ms`);
+  });
+});
+
+describe('delay profile protocol setup', () => {
+  let fake;
+  let client;
+  before(async () => {
+    fake = await startFakeLidarr();
+    client = createLidarrClient({ baseUrl: fake.url, apiKey: fake.apiKey });
+  });
+  after(() => fake.close());
+
+  test('finds the protocol declared by the plugin schemas', async () => {
+    assert.deepEqual(await findPluginProtocols(client, 'Tidalarr', TYPES), ['TidalarrDownloadProtocol']);
+    assert.deepEqual(await findPluginProtocols(client, 'Tidalarr', ['queue']), ['TidalarrDownloadProtocol']);
+    assert.deepEqual(await findPluginProtocols(client, 'Tidalarr', ['import-list', 'metadata']), []);
+  });
+
+  test('reports the profiles a dry run would change without changing them', async () => {
+    const plan = await enableProtocolsInDelayProfiles(client, ['TidalarrDownloadProtocol'], { dryRun: true });
+    assert.deepEqual(plan.changedProfileIds, [1]);
+    assert.equal(fake.state.delayProfiles[0].items.find(i => i.protocol === 'TidalarrDownloadProtocol').allowed, false);
+    assert.equal(fake.requests.filter(r => r.method === 'PUT').length, 0);
+  });
+
+  test('allows the protocol once and reports the UI label', async () => {
+    const first = await enableProtocolsInDelayProfiles(client, ['TidalarrDownloadProtocol']);
+    assert.deepEqual(first, { profileIds: [1], changedProfileIds: [1], labels: ['Tidalarr'] });
+    assert.equal(fake.state.delayProfiles[0].items.find(i => i.protocol === 'TidalarrDownloadProtocol').allowed, true);
+
+    const second = await enableProtocolsInDelayProfiles(client, ['TidalarrDownloadProtocol']);
+    assert.deepEqual(second.changedProfileIds, []);
+    assert.equal(fake.requests.filter(r => r.method === 'PUT').length, 1);
+  });
+});
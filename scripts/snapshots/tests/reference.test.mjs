@@ -0,0 +1,99 @@
+// Settings reference (lib/reference.mjs) from scraped form fields and a provider schema; scraping the
+// rendered form needs a browser and is covered by the --settings-reference run in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReference, pickSchemaEntry, renderReference, REDACTED } from '../lib/reference.mjs';
+import { DEFAULT_MASK_PATTERNS } from '../lib/mask.mjs';
+
+const field = (name, label, extra = {}) => ({
+  name, label, input: 'text', value: '', options: [], helpText: null, helpLink: null, advanced: false, visible: true, ...extra
+});
+
+const FORM = {
+  header: 'Add Indexer - Tidalarr',
+  fields: [
+    field('name', 'Name', { value: 'Tidalarr' }),
+    field('baseUrl', 'API URL', { value: 'https://api.example.invalid', helpText: 'Address of the streaming service API' }),
+    field('password', 'Password', { input: 'password', value: 'hunter2' }),
+    field('quality', 'Quality', { input: 'select', value: 'Lossless (FLAC)', options: ['Low (96kbps)', 'Lossless (FLAC)'] }),
+    field('searchLimit', 'Search Limit', { input: 'number', value: '100', advanced: true, visible: false }),
+    field('region', '', { value: 'eu' })
+  ]
+};
+
+const SCHEMA = {
+  implementation: 'TidalarrIndexer',
+  implementationName: 'Tidalarr',
+  fields: [
+    { name: 'baseUrl', label: 'API URL', type: 'textbox' },
+    { name: 'password', label: 'Password', type: 'password', privacy: 'password' },
+    { name: 'quality', label: 'Quality', type: 'select', selectOptions: [{ value: 0, name: 'Low (96kbps)' }] },
+    { name: 'searchLimit', label: 'Search Limit', type: 'number', advanced: true },
+    { name: 'region', label: 'Region', type: 'select' },
+    { name: 'deviceId', label: 'Device ID', type: 'textbox', hidden: 'hidden' },
+    { name: 'country', label: '', type: 'textbox' }
+  ]
+};
+
+describe('buildReference', () => {
+  test('redacts secrets and reports fields the form and the schema disagree on', () => {
+    const reference = buildReference({
+      plugin: 'Tidalarr', type: 'indexer', lidarrVersion: '2.14.0.4650', form: FORM, schemaEntry: SCHEMA, maskPatterns: DEFAULT_MASK_PATTERNS
+    });
+    const byName = Object.fromEntries(reference.fields.map(f => [f.name, f]));
+    assert.equal(byName.password.value, REDACTED);
+    assert.equal(byName.baseUrl.value, 'https://api.example.invalid');
+    assert.equal(byName.name.inSchema, false);
+    assert.equal(byName.quality.schemaType, 'select');
+    assert.ok(!JSON.stringify(reference).includes('hunter2'));
+
+    assert.deepEqual(reference.schema, {
+      checked: true,
+      missing: [{ name: 'country', label: null, reason: 'not-rendered' }],
+      hidden: [
+        { name: 'searchLimit', label: 'Search Limit', reason: 'not-visible' },
+        { name: 'deviceId', label: 'Device ID', reason: 'schema-hidden' }
+      ],
+      unlabelled: [
+        { name: 'country', label: null, reason: 'no-label-in-schema' },
+        { name: 'region', label: null, reason: 'no-label-on-form' }
+      ]
+    });
+    assert.equal(reference.implementation, 'TidalarrIndexer');
+  });
+
+  test('takes select options from the schema when the form shows none, and skips the check without a schema', () => {
+    const form = { header: 'Add Indexer - Tidalarr', fields: [field('quality', 'Quality', { input: 'select', value: 'Low (96kbps)' })] };
+    const withSchema = buildReference({ plugin: 'Tidalarr', type: 'indexer', form, schemaEntry: SCHEMA });
+    assert.deepEqual(withSchema.fields[0].options, ['Low (96kbps)']);
+    const without = buildReference({ plugin: 'Tidalarr', type: 'indexer', form });
+    assert.deepEqual(without.schema, { checked: false, missing: [], hidden: [], unlabelled: [] });
+  });
+});
+
+describe('pickSchemaEntry', () => {
+  test('prefers the implementation the modal header names', () => {
+    const entries = [{ implementationName: 'Tidalarr' }, { implementationName: 'Tidalarr Lossless' }];
+    assert.equal(pickSchemaEntry(entries, 'Add Indexer - Tidalarr Lossless'), entries[1]);
+    assert.equal(pickSchemaEntry(entries, 'Add Indexer - Tidalarr'), entries[0]);
+    assert.equal(pickSchemaEntry(entries, 'Add Indexer'), entries[0]);
+    assert.equal(pickSchemaEntry([], 'Add Indexer'), null);
+  });
+});
+
+describe('renderReference', () => {
+  test('lists the visible settings in form order, then the schema check', () => {
+    const markdown = renderReference(buildReference({
+      plugin: 'Tidalarr', type: 'indexer', lidarrVersion: '2.14.0.4650', form: FORM, schemaEntry: SCHEMA, maskPatterns: DEFAULT_MASK_PATTERNS
+    }));
+    assert.match(markdown, /^# Tidalarr indexer settings\n/);
+    assert.match(markdown, /From the "Add Indexer - Tidalarr" form in Lidarr 2\.14\.0\.4650 \(`TidalarrIndexer`\)/);
+    assert.match(markdown, /\| API URL \| text \| `https:\/\/api\.example\.invalid` \| {2}\| Address of the streaming service API \| {2}\|/);
+    assert.match(markdown, /\| Password \| password \| `\[REDACTED\]` \|/);
+    assert.match(markdown, /\| Quality \| select \| `Lossless \(FLAC\)` \| Low \(96kbps\), Lossless \(FLAC\) \|/);
+    assert.ok(!markdown.includes('| Search Limit |'));
+    assert.match(markdown, /- Missing from the form: `country` \(not-rendered\)/);
+    assert.match(markdown, /- On the form only \(Lidarr's own settings\): Name/);
+  });
+});
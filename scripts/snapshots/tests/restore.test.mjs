@@ -0,0 +1,127 @@
+// Undoing a run's Lidarr changes (lib/restore.mjs), against the fake Lidarr. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startFakeLidarr } from './fake-lidarr/server.mjs';
+import { createLidarrClient, enableProtocolsInDelayProfiles } from '../lib/lidarr-api.mjs';
+import { seedAlbum } from '../lib/seed.mjs';
+import { createRestorer } from '../lib/restore.mjs';
+import { setUiLanguage } from '../lib/locales.mjs';
+import { captureScreenshots } from '../index.mjs';
+
+const quiet = () => {};
+
+async function withFake(options, fn) {
+  const fake = await startFakeLidarr(options);
+  try {
+    await fn(fake, createLidarrClient({ baseUrl: fake.url, apiKey: fake.apiKey }));
+  } finally {
+    await fake.close();
+  }
+}
+
+const pluginAllowed = (fake) => fake.state.delayProfiles[0].items.find(i => i.protocol === 'TidalarrDownloadProtocol').allowed;
+
+describe('createRestorer', () => {
+  test('puts a snapshotted delay profile back and deletes the seed artist', async () => {
+    await withFake({}, async (fake, client) => {
+      const restorer = createRestorer({ client, log: quiet });
+      await restorer.snapshot('delayprofile');
+      await enableProtocolsInDelayProfiles(client, ['TidalarrDownloadProtocol']);
+      assert.equal(pluginAllowed(fake), true);
+      const seeded = await seedAlbum(client, { artist: 'Kevin MacLeod', timeoutMs: 500, intervalMs: 50, log: quiet });
+      restorer.created(`artist/${seeded.artistId}?deleteFiles=false`, `artist/${seeded.artistId} (${seeded.artistName})`);
+
+      const report = await restorer.restore();
+      assert.deepEqual(report, { restored: ['delayprofile/1'], deleted: ['artist/1 (Kevin MacLeod)'], failed: [] });
+      assert.equal(pluginAllowed(fake), false);
+      assert.deepEqual(fake.state.artists, []);
+      assert.deepEqual(fake.state.albums, []);
+    });
+  });
+
+  test('puts a snapshotted settings object back whole', async () => {
+    await withFake({}, async (fake, client) => {
+      const restorer = createRestorer({ client, log: quiet });
+      await restorer.snapshot('config/ui');
+      await setUiLanguage(client, 'de');
+      assert.equal(fake.state.uiLanguage, 4);
+
+      assert.deepEqual(await restorer.restore(), { restored: ['config/ui'], deleted: [], failed: [] });
+      assert.equal(fake.state.uiLanguage, 1);
+    });
+  });
+
+  test('deletes only the providers of the captured plugins that appeared during the run', async () => {
+    await withFake({}, async (fake, client) => {
+      fake.state.providers.indexer.push({ id: 1, name: 'Tidalarr (mine)', implementation: 'TidalarrIndexer' });
+      const restorer = createRestorer({ client, log: quiet });
+      await restorer.watchProviders('indexer', ['Tidalarr']);
+      await client.post('indexer', { name: 'Tidalarr', implementation: 'TidalarrIndexer' });
+      await client.post('indexer', { name: 'Newznab', implementation: 'Newznab' });
+
+      const report = await restorer.restore();
+      assert.deepEqual(report.deleted, ['indexer/2 (Tidalarr)']);
+      assert.deepEqual(fake.state.providers.indexer.map(p => p.name), ['Tidalarr (mine)', 'Newznab']);
+    });
+  });
+
+  test('tries every action and reports the ones that failed', async () => {
+    await withFake({}, async (fake, client) => {
+      const restorer = createRestorer({ client, log: quiet });
+      await restorer.snapshot('delayprofile');
+      await enableProtocolsInDelayProfiles(client, ['TidalarrDownloadProtocol']);
+      restorer.created('queue/42?removeFromClient=true&blocklist=false', 'queue/42 (gone already)');
+
+      const report = await restorer.restore();
+      assert.deepEqual(report.restored, ['delayprofile/1']);
+      assert.equal(report.failed.length, 1);
+      assert.equal(report.failed[0].target, 'queue/42 (gone already)');
+      assert.match(report.failed[0].error, /returned 404/);
+    });
+  });
+
+  test('records nothing until it has a client', async () => {
+    await withFake({}, async (fake, client) => {
+      const restorer = createRestorer({ log: quiet });
+      await restorer.snapshot('delayprofile');
+      assert.equal(restorer.pending, false);
+      restorer.useClient(client);
+      await restorer.snapshot('delayprofile');
+      assert.equal(restorer.pending, true);
+    });
+  });
+});
+
+describe('captureScreenshots', () => {
+  test('restores the delay profile when the capture fails after the API setup, unless changes are kept', { timeout: 60_000 }, async () => {
+    await withFake({}, async (fake) => {
+      const output = mkdtempSync(join(tmpdir(), 'snap-restore-'));
+      // A browser that cannot open a context ends the run right after the protocol setup
+      const browser = { newContext: async () => { throw new Error('no display'); } };
+      const options = {
+        plugin: 'Tidalarr', types: 'indexer', url: fake.url, apiKey: fake.apiKey, output, browser,
+        diagnostics: 'off', authState: join(output, 'auth-state.json'), preflightTimeout: 5
+      };
+      try {
+        const result = await captureScreenshots(options);
+        assert.equal(result.passed, false);
+        assert.match(result.error.message, /no display/);
+        assert.deepEqual(result.restore, { restored: ['delayprofile/1'], deleted: [], failed: [] });
+        assert.equal(pluginAllowed(fake), false);
+        const step = result.plugins[0].manifest.results.find(r => r.name === 'restore');
+        assert.equal(step.outcome, 'success');
+        assert.ok(existsSync(join(output, 'snap-manifest.json')));
+
+        const kept = await captureScreenshots({ ...options, keepChanges: true });
+        assert.equal(kept.restore, null);
+        assert.equal(pluginAllowed(fake), true);
+      } finally {
+        rmSync(output, { recursive: true, force: true });
+      }
+    });
+  });
+});
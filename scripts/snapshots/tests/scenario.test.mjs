@@ -0,0 +1,71 @@
+// Scenario files (lib/scenario.mjs): validation edge cases and {{var}} interpolation. No browser needed;
+// running the built-in scenarios against Lidarr is covered by the end-to-end runs in snap.test.mjs.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolate, validateScenario, listBuiltinScenarios, loadBuiltinScenario, ScenarioError } from '../lib/scenario.mjs';
+
+const scenario = (shot, extra = {}) => ({ name: 'extra', shots: [{ name: 'extra-shot', ...shot }], ...extra });
+
+describe('interpolate', () => {
+  test('fills {{vars}} in every string of nested steps and leaves the rest alone', () => {
+    const steps = [
+      { action: 'click', text: '{{ plugin }}', index: 0, optional: true },
+      { action: 'navigate', path: '/album/{{foreignAlbumId}}', link: '{{text.interactiveSearch}}' }
+    ];
+    assert.deepEqual(interpolate(steps, { plugin: 'Tidalarr', foreignAlbumId: 'abc', 'text.interactiveSearch': 'Interaktive Suche' }), [
+      { action: 'click', text: 'Tidalarr', index: 0, optional: true },
+      { action: 'navigate', path: '/album/abc', link: 'Interaktive Suche' }
+    ]);
+  });
+
+  test('keeps unknown placeholders and turns values into text', () => {
+    assert.equal(interpolate('{{plugin}} {{albumTitle}}', { plugin: 'Qobuzarr' }), 'Qobuzarr {{albumTitle}}');
+    assert.equal(interpolate('{{ count }} found', { count: 0 }), '0 found');
+    assert.equal(interpolate(null, { plugin: 'x' }), null);
+  });
+});
+
+describe('validateScenario', () => {
+  test('accepts every built-in scenario', async () => {
+    const names = listBuiltinScenarios();
+    assert.ok(names.includes('indexer') && names.includes('queue'), names.join(', '));
+    for (const name of names) {
+      assert.equal((await loadBuiltinScenario(name)).name, name);
+    }
+    await assert.rejects(loadBuiltinScenario('playlist'), /unknown --type "playlist"/);
+  });
+
+  test('rejects a scenario without a name or shots', () => {
+    assert.throws(() => validateScenario({ shots: [{ name: 'x' }] }), /needs a "name"/);
+    assert.throws(() => validateScenario({ name: 'x', shots: [] }), /non-empty "shots" list/);
+    assert.throws(() => validateScenario(null), ScenarioError);
+  });
+
+  test('checks shot names, which become file names', () => {
+    assert.doesNotThrow(() => validateScenario(scenario({ name: 'indexer-config.v2_b' })));
+    assert.throws(() => validateScenario(scenario({ name: '../escape' })), /invalid shot name "..\/escape"/);
+    assert.throws(() => validateScenario(scenario({ name: '-dash' })), /invalid shot name/);
+    assert.throws(() => validateScenario({ name: 'x', shots: [{ name: 'a' }, { name: 'a' }] }), /duplicate shot name "a"/);
+  });
+
+  test('checks verifiers, captions and screenshot options', () => {
+    assert.throws(() => validateScenario(scenario({ verify: 'looks-right' })), /unknown verify "looks-right"/);
+    assert.throws(() => validateScenario(scenario({ title: '  ' })), /empty or non-text "title"/);
+    assert.throws(() => validateScenario(scenario({ screenshot: [] })), /"screenshot" must be an object/);
+    assert.throws(() => validateScenario(scenario({ screenshot: { padding: -1 } })), /invalid padding/);
+    assert.throws(() => validateScenario(scenario({ screenshot: { budget: '400' } })), /invalid budget/);
+    assert.throws(() => validateScenario(scenario({ screenshot: { annotations: [{ type: 'callout' }] } })), /annotation 1 needs/);
+    assert.throws(() => validateScenario(scenario({ screenshot: { annotations: [{ field: 'x', type: 'arrow' }] } })), /unknown type "arrow"/);
+  });
+
+  test('checks each step\'s action and required fields, naming where it is', () => {
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'scroll' }] })), /extra > extra-shot > step 1: unknown step action "scroll"/);
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'wait' }] })), /"wait" step needs "ms"/);
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'fill', value: 'x' }] })), /needs "selector" or "label"/);
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'click' }] })), /needs "selector", "role" or "text"/);
+    assert.throws(() => validateScenario(scenario({ steps: [{ action: 'waitFor' }] })), /needs "selector", "text" or "loadState"/);
+    assert.throws(() => validateScenario(scenario({}, { after: [{ action: 'press' }] })), /extra > after > step 1: "press" step needs "key"/);
+    assert.doesNotThrow(() => validateScenario(scenario({ steps: [{ action: 'click', role: 'button', name: 'Save' }] })));
+  });
+});
@@ -0,0 +1,110 @@
+// Library seeding for the interactive-search and queue shots, against the fake Lidarr. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLidarr } from './fake-lidarr/server.mjs';
+import { createLidarrClient } from '../lib/lidarr-api.mjs';
+import { seedAlbum, seedQueue } from '../lib/seed.mjs';
+import { validateScenario } from '../lib/scenario.mjs';
+import { ErrorCodes } from '../lib/manifest.mjs';
+
+const quiet = () => {};
+const FAST = { timeoutMs: 500, intervalMs: 50, log: quiet };
+
+async function withFake(options, fn) {
+  const fake = await startFakeLidarr(options);
+  try {
+    await fn(fake, createLidarrClient({ baseUrl: fake.url, apiKey: fake.apiKey }));
+  } finally {
+    await fake.close();
+  }
+}
+
+// A configured plugin indexer and download client, as a plugin smoke environment would have
+function addPluginProviders(fake, pluginName = 'Tidalarr') {
+  fake.state.providers.indexer.push({ id: 1, name: `${pluginName} (test)`, implementation: `${pluginName}Indexer`, enable: true, fields: [] });
+  fake.state.providers.downloadclient.push({ id: 1, name: `${pluginName} Downloads`, implementation: `${pluginName}DownloadClient`, enable: true, fields: [] });
+}
+
+describe('seedAlbum', () => {
+  test('adds the artist once and picks the requested album', async () => {
+    await withFake({}, async (fake, client) => {
+      const first = await seedAlbum(client, { artist: 'Kevin MacLeod', album: 'calming', ...FAST });
+      assert.equal(first.created, true);
+      assert.equal(first.albumTitle, 'Calming');
+      assert.equal(fake.state.artists[0].rootFolderPath, '/music');
+      assert.equal(fake.state.artists[0].monitored, false);
+
+      const again = await seedAlbum(client, { artist: 'kevin macleod', ...FAST });
+      assert.equal(again.created, false);
+      assert.equal(again.albumTitle, 'Royalty Free');
+      assert.equal(fake.requests.filter(r => r.method === 'POST' && r.path === '/api/v1/artist').length, 1);
+    });
+  });
+
+  test('fails with SEED_FAILED when there is nowhere to add the artist or nothing matches', async () => {
+    await withFake({}, async (fake, client) => {
+      fake.state.rootFolders = [];
+      await assert.rejects(seedAlbum(client, { artist: 'Kevin MacLeod', ...FAST }), (err) => {
+        assert.equal(err.code, ErrorCodes.SEED_FAILED);
+        assert.match(err.message, /root folder/);
+        return true;
+      });
+      await assert.rejects(seedAlbum(client, { artist: 'Nobody At All', ...FAST }), { code: ErrorCodes.SEED_FAILED });
+    });
+    await withFake({}, async (fake, client) => {
+      await assert.rejects(seedAlbum(client, { artist: 'Kevin MacLeod', album: 'No Such Album', ...FAST }), (err) => {
+        assert.deepEqual(err.details.albums, ['Royalty Free', 'Calming']);
+        return true;
+      });
+    });
+  });
+
+  test('adds nothing in a dry run, and says what it would have added', async () => {
+    await withFake({}, async (fake, client) => {
+      await assert.rejects(seedAlbum(client, { artist: 'Kevin MacLeod', dryRun: true, ...FAST }), (err) => {
+        assert.equal(err.code, ErrorCodes.SEED_FAILED);
+        assert.deepEqual(err.details.wouldSave, [{ method: 'POST', endpoint: 'artist', summary: 'Kevin MacLeod into /music' }]);
+        return true;
+      });
+      assert.equal(fake.state.artists.length, 0);
+    });
+  });
+});
+
+describe('seedQueue', () => {
+  test('grabs one plugin release and reuses the queued download afterwards', async () => {
+    await withFake({ protocolEnabled: true }, async (fake, client) => {
+      addPluginProviders(fake);
+      const { albumId } = await seedAlbum(client, { artist: 'Kevin MacLeod', ...FAST });
+
+      const first = await seedQueue(client, { pluginName: 'Tidalarr', albumId, ...FAST });
+      assert.equal(first.grabbed, true);
+      assert.equal(first.indexer, 'Tidalarr (test)');
+      assert.equal(first.downloadClient, 'Tidalarr Downloads');
+      assert.equal(fake.state.queue.length, 1);
+
+      const second = await seedQueue(client, { pluginName: 'Tidalarr', albumId, ...FAST });
+      assert.equal(second.grabbed, false);
+      assert.equal(second.queueId, first.queueId);
+      assert.equal(fake.state.queue.length, 1);
+    });
+  });
+
+  test('fails with SEED_FAILED naming the missing plugin provider', async () => {
+    await withFake({}, async (fake, client) => {
+      const { albumId } = await seedAlbum(client, { artist: 'Kevin MacLeod', ...FAST });
+      await assert.rejects(seedQueue(client, { pluginName: 'Tidalarr', albumId, ...FAST }), (err) => {
+        assert.equal(err.code, ErrorCodes.SEED_FAILED);
+        assert.equal(err.details.providerKind, 'indexer');
+        return true;
+      });
+    });
+  });
+});
+
+test('scenarios only accept known seeds', () => {
+  const scenario = { name: 'x', shots: [{ name: 'queue' }] };
+  assert.equal(validateScenario({ ...scenario, seed: 'queue' }).seed, 'queue');
+  assert.throws(() => validateScenario({ ...scenario, seed: 'artist' }), /unknown seed "artist"/);
+});
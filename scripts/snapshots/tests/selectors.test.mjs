@@ -0,0 +1,82 @@
+// Version-aware selector profiles and the selector health report. No browser needed.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GENERIC_CHAINS, PROFILES, parseVersion, compareVersions, profileForVersion, createSelectorSet } from '../lib/selectors.mjs';
+
+describe('profileForVersion', () => {
+  test('parses and compares Lidarr build numbers', () => {
+    assert.deepEqual(parseVersion('2.14.0.4650'), [2, 14, 0, 4650]);
+    assert.deepEqual(parseVersion('v3.0.1-develop'), [3, 0, 1]);
+    assert.equal(parseVersion('unknown'), null);
+    assert.equal(compareVersions('2.14.0.4650', '2.9'), 1);
+    assert.equal(compareVersions('2.0', '2.0.0.0'), 0);
+    assert.equal(compareVersions('1.4.5', '2.0'), -1);
+  });
+
+  test('picks the profile whose range holds the version', () => {
+    assert.equal(profileForVersion('2.14.0.4650')?.name, 'lidarr-2');
+    assert.equal(profileForVersion('2.0.0.0')?.name, 'lidarr-2');
+    assert.equal(profileForVersion('3.0.0.100'), null);
+    assert.equal(profileForVersion('1.4.5.3639'), null);
+    assert.equal(profileForVersion(null), null);
+  });
+
+  test('profiles only name chains the generic fallback has', () => {
+    for (const profile of PROFILES) {
+      for (const role of Object.keys(profile.chains)) {
+        assert.ok(GENERIC_CHAINS[role], `${profile.name} has unknown chain ${role}`);
+      }
+    }
+  });
+});
+
+describe('createSelectorSet', () => {
+  test('tries profile selectors first, then the rest of the generic chain once', () => {
+    const set = createSelectorSet({ lidarrVersion: '2.14.0.4650' });
+    assert.equal(set.profile, 'lidarr-2');
+    const chain = set.chain('addButton').map(c => c.template);
+    assert.equal(chain[0], '[class*="AddNew" i]');
+    assert.equal(chain.length, GENERIC_CHAINS.addButton.length);
+    assert.deepEqual([...chain].sort(), [...GENERIC_CHAINS.addButton].sort());
+  });
+
+  test('falls back to the generic chains for unknown versions and fills in the plugin name', () => {
+    const set = createSelectorSet({ lidarrVersion: null });
+    assert.equal(set.profile, 'generic');
+    assert.deepEqual(set.chain('pluginCard', { plugin: 'Tidalarr' })[0], {
+      template: GENERIC_CHAINS.pluginCard[0],
+      selector: 'div[class*="AddNewItem"]:has-text("Tidalarr")'
+    });
+    assert.equal(createSelectorSet({ lidarrVersion: '2.14.0.4650', profile: 'generic' }).profile, 'generic');
+    assert.throws(() => createSelectorSet({ profile: 'lidarr-9' }), /unknown selector profile "lidarr-9"/);
+  });
+
+  test('fills in UI text in the current language, English until told otherwise', () => {
+    const set = createSelectorSet({ lidarrVersion: null });
+    const addButton = () => set.chain('addButton').find(c => c.template === 'button:has-text("{add}")').selector;
+    assert.equal(addButton(), 'button:has-text("Add")');
+    set.useText({ ...set.text, add: 'Hinzufügen' });
+    assert.equal(addButton(), 'button:has-text("Hinzufügen")');
+    assert.equal(set.text.add, 'Hinzufügen');
+  });
+
+  test('reports the used selector, the ones that never matched and the ones never reached', () => {
+    const set = createSelectorSet({ lidarrVersion: '2.14.0.4650' });
+    const [first, second, third] = set.chain('modal');
+    set.tried('modal', first.template, false);
+    set.tried('modal', second.template, true);
+    set.used('modal', second.template);
+    set.tried('modal', first.template, false);
+    set.tried('modal', second.template, true);
+
+    const { profile, lidarrVersion, chains } = set.report();
+    assert.equal(profile, 'lidarr-2');
+    assert.equal(lidarrVersion, '2.14.0.4650');
+    assert.deepEqual(chains.modal.used, [second.selector]);
+    assert.deepEqual(chains.modal.neverMatched, [first.selector]);
+    assert.ok(chains.modal.notReached.includes(third.selector));
+    assert.deepEqual(chains.modal.selectors[0], { selector: first.selector, source: 'profile', tried: 2, found: 0, used: 0 });
+    assert.equal(chains.addButton.notReached.length, GENERIC_CHAINS.addButton.length);
+  });
+});
@@ -0,0 +1,710 @@
+// End-to-end runs of snap.mjs against the fake Lidarr in headless Chromium.
+// Each markup variant pins which entry of the selector fallback chains in lib/ui.mjs (openAddModalAndFindPlugin,
+// clickPluginCard, enablePluginProtocol) handles it, as recorded in snap-manifest.json.
+// Browser tests are skipped when Playwright's Chromium is not installed (npx playwright install chromium).
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startFakeLidarr } from './fake-lidarr/server.mjs';
+import { decodePng } from '../lib/png.mjs';
+import { readZip } from '../lib/zip.mjs';
+
+const SNAP = join(dirname(fileURLToPath(import.meta.url)), '..', 'snap.mjs');
+const RUN_TIMEOUT_MS = 240_000;
+
+async function chromiumInstalled() {
+  try {
+    const { chromium } = await import('playwright');
+    return existsSync(chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+const NO_BROWSER = (await chromiumInstalled()) ? false : 'Playwright Chromium is not installed';
+
+// Run snap.mjs to completion; resolves with the exit code, console output and parsed manifest.
+// output reuses the directory of an earlier run.
+function runSnap(fake, extraArgs = [], { apiKey = null, output = mkdtempSync(join(tmpdir(), 'snap-test-')) } = {}) {
+  const args = [
+    SNAP,
+    '--plugin=Tidalarr',
+    `--url=${fake.url}`,
+    `--output=${output}`,
+    '--preflight-timeout=5',
+    `--diagnostics-dir=${join(output, 'diagnostics')}`,
+    `--auth-state=${join(output, 'auth-state.json')}`,
+    ...(apiKey ? [`--api-key=${apiKey}`] : []),
+    ...extraArgs
+  ];
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, {
+      env: { ...process.env, LIDARR_API_KEY: '', LIDARR_CONFIG_XML: '', PLUGIN_NAME: '', LIDARR_USERNAME: '', LIDARR_PASSWORD: '' }
+    });
+    let log = '';
+    child.stdout.on('data', chunk => { log += chunk; });
+    child.stderr.on('data', chunk => { log += chunk; });
+    const timer = setTimeout(() => child.kill('SIGKILL'), RUN_TIMEOUT_MS);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      const manifestPath = join(output, 'snap-manifest.json');
+      const manifest = existsSync(manifestPath) ? JSON.parse(readFileSync(manifestPath, 'utf8')) : null;
+      resolve({ code, log, manifest, output });
+    });
+  });
+}
+
+const step = (manifest, name) => manifest.results.find(r => r.name === name);
+
+function assertShotsSaved(result, names) {
+  for (const name of names) {
+    const shot = step(result.manifest, name);
+    assert.ok(shot, `${name} missing from manifest`);
+    assert.equal(shot.outcome, 'success', `${name}: [${shot.errorCode}] ${shot.outcomeReason}`);
+    assert.ok(existsSync(join(result.output, `${name}.png`)), `${name}.png not written`);
+  }
+}
+
+const ALL_SHOTS = [
+  'landing', 'settings',
+  'indexers-list', 'indexer-add-modal', 'indexer-config',
+  'download-clients-list', 'download-client-add-modal', 'download-client-config',
+  'import-lists', 'import-list-add-modal', 'import-list-config'
+];
+
+// Which selector of each fallback chain is expected to match per markup variant
+const EXPECTED_SELECTORS = {
+  'css-modules': {
+    addButton: '[class*="AddNew" i]',
+    modal: '[class*="ModalContent"]',
+    pluginCard: 'div[class*="selectableCard"]:has-text("Tidalarr")',
+    delayProfileEdit: '[class*="DelayProfile"] button[class*="edit" i]',
+    protocolCheckbox: 'label:has-text("Tidalarr")'
+  },
+  'aria-dialog': {
+    addButton: 'button:has-text("Add")',
+    modal: 'div[role="dialog"]',
+    pluginCard: 'a[class*="card"]:has-text("Tidalarr")',
+    delayProfileEdit: 'tr:has-text("Delay Profile") button',
+    protocolCheckbox: 'input[type="checkbox"][name*="Tidalarr" i]'
+  },
+  'search-noise': {
+    addButton: '[class*="Card"]:has-text("+")',
+    modal: '[class*="ModalContent"]',
+    pluginCard: 'div[class*="card"]:has-text("Tidalarr")',
+    delayProfileEdit: '[class*="DelayProfile"] [class*="icon-wrench"]',
+    protocolCheckbox: 'label:has-text("Tidalarr")'
+  }
+};
+
+describe('snap.mjs against the fake Lidarr', () => {
+  for (const [variant, expected] of Object.entries(EXPECTED_SELECTORS)) {
+    test(`${variant}: UI protocol setup and every built-in shot`, { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+      const fake = await startFakeLidarr({ variant });
+      let result;
+      try {
+        // No API key: pre-flight only checks reachability and the protocol is enabled through the UI
+        result = await runSnap(fake);
+        assert.equal(result.code, 0, result.log);
+        assert.equal(result.manifest.summary.passed, true);
+        const preflight = step(result.manifest, 'preflight');
+        assert.equal(preflight.outcome, 'warning');
+        assert.equal(preflight.errorCode, 'SNAP_PLUGIN_UNVERIFIED');
+
+        const protocol = step(result.manifest, 'enable-protocol');
+        assert.equal(protocol.outcome, 'success', protocol.outcomeReason);
+        assert.equal(protocol.selectors.delayProfileEdit, expected.delayProfileEdit);
+        assert.equal(protocol.selectors.protocolCheckbox, expected.protocolCheckbox);
+        // Enabled through the UI for the capture, then put back through the API key the UI embeds
+        assert.ok(fake.requests.some(r => r.method === 'PUT' && r.path === '/api/v1/delayprofile/1'));
+        assert.equal(fake.state.delayProfiles[0].items.find(i => i.name === 'Tidalarr').allowed, false);
+        assert.deepEqual(step(result.manifest, 'restore').details.restored, ['delayprofile/1']);
+
+        assertShotsSaved(result, ALL_SHOTS);
+        const addModal = step(result.manifest, 'indexer-add-modal');
+        assert.equal(addModal.selectors.addButton, expected.addButton);
+        assert.equal(addModal.selectors.modal, expected.modal);
+        assert.equal(step(result.manifest, 'indexer-config').selectors.pluginCard, expected.pluginCard);
+
+        // The plugin form has a password field; it must never reach the image unmasked
+        const masked = step(result.manifest, 'indexer-config').masked;
+        assert.ok(masked.some(m => m.reason === 'password-input'), JSON.stringify(masked));
+
+        // Without an API key the version comes from the UI; the health report lists what matched
+        assert.equal(result.manifest.lidarr.version, '2.14.0.4650');
+        assert.equal(result.manifest.lidarr.selectorProfile, 'lidarr-2');
+        const health = JSON.parse(readFileSync(join(result.output, 'selector-health.json'), 'utf8'));
+        assert.ok(health.chains.addButton.used.includes(expected.addButton), JSON.stringify(health.chains.addButton));
+        assert.ok(health.chains.delayProfileEdit.used.includes(expected.delayProfileEdit));
+      } finally {
+        await fake.close();
+        if (result) rmSync(result.output, { recursive: true, force: true });
+      }
+    });
+  }
+
+  test('enables the protocol through the REST API when a key is given', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr();
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assert.equal(step(result.manifest, 'enable-protocol-api').outcome, 'success');
+      assert.equal(step(result.manifest, 'enable-protocol'), undefined);
+      assert.ok(fake.requests.some(r => r.method === 'PUT' && r.path === '/api/v1/delayprofile/1'));
+      assertShotsSaved(result, ['indexer-add-modal', 'indexer-config']);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('falls back to the generic selector chains for a Lidarr version without a profile', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ version: '1.4.5.3639' });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assert.equal(result.manifest.lidarr.version, '1.4.5.3639');
+      assert.equal(result.manifest.lidarr.selectorProfile, 'generic');
+      const health = JSON.parse(readFileSync(join(result.output, 'selector-health.json'), 'utf8'));
+      assert.equal(health.profile, 'generic');
+      assert.ok(health.chains.addButton.selectors.every(s => s.source === 'generic'));
+      // The import-list specific add selectors come first in the generic chain and find nothing on the indexers page
+      assert.ok(health.chains.addButton.neverMatched.includes('[class*="ImportList"] [class*="add" i]'));
+      assertShotsSaved(result, ['indexer-add-modal', 'indexer-config']);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('writes the gallery and rewrites the marked regions of the docs from the captured shots', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr();
+    const docsDir = mkdtempSync(join(tmpdir(), 'snap-docs-'));
+    const readme = join(docsDir, 'README.md');
+    writeFileSync(readme, [
+      '# Tidalarr',
+      '<!-- snap:shot indexer-config -->',
+      'old image',
+      '<!-- /snap:shot -->',
+      '<!-- snap:shot queue -->',
+      'queue image from an earlier run',
+      '<!-- /snap:shot -->',
+      '<!-- snap:captured --><!-- /snap:captured -->',
+      ''
+    ].join('\n'));
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer', `--docs=${readme}`], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assert.equal(step(result.manifest, 'indexer-config').title, 'Indexer configuration');
+      assert.equal(step(result.manifest, 'indexer-config').alt, 'Tidalarr indexer configuration form');
+
+      const gallery = readFileSync(join(result.output, 'gallery.md'), 'utf8');
+      assert.equal(result.manifest.gallery, join(result.output, 'gallery.md'));
+      assert.match(gallery, /^Captured against Lidarr 2\.14\.0\.4650 with Tidalarr 1\.0\.0 on \d{4}-\d{2}-\d{2}\.$/m);
+      assert.match(gallery, /^## Indexer configuration\n\n!\[Tidalarr indexer configuration form\]\(indexer-config\.png\)$/m);
+
+      const docs = readFileSync(readme, 'utf8');
+      assert.ok(docs.includes(`![Tidalarr indexer configuration form](${relative(docsDir, join(result.output, 'indexer-config.png'))})`), docs);
+      assert.ok(docs.includes('queue image from an earlier run'));
+      assert.ok(docs.includes('_Captured against Lidarr 2.14.0.4650 with Tidalarr 1.0.0._'));
+      assert.match(result.log, /snap:shot queue left as it was: queue was not captured/);
+    } finally {
+      await fake.close();
+      rmSync(docsDir, { recursive: true, force: true });
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('deterministic mode masks the clock and version and leaves unchanged images alone', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS * 2 }, async () => {
+    const fake = await startFakeLidarr();
+    let first;
+    try {
+      first = await runSnap(fake, ['--type=indexer', '--deterministic'], { apiKey: fake.apiKey });
+      assert.equal(first.code, 0, first.log);
+      const landing = step(first.manifest, 'landing');
+      assert.deepEqual(landing.masked.filter(m => m.reason === 'dynamic-region').map(m => m.selector).sort(), [
+        '[class*="version" i]:not(input):not(select):not(textarea)',
+        'time'
+      ]);
+      assert.equal(landing.details.stillLoading, undefined);
+      assert.equal(first.manifest.summary.unchanged, 0);
+      const written = statSync(join(first.output, 'landing.png')).mtimeMs;
+
+      // A new Lidarr build a little later: only the masked version string and clock differ
+      fake.state.version = '2.14.1.4700';
+      const second = await runSnap(fake, ['--type=indexer', '--deterministic'], { apiKey: fake.apiKey, output: first.output });
+      assert.equal(second.code, 0, second.log);
+      assert.equal(second.manifest.summary.unchanged, second.manifest.summary.saved, second.log);
+      assert.equal(statSync(join(first.output, 'landing.png')).mtimeMs, written);
+      assert.match(second.log, /unchanged: .*landing\.png/);
+    } finally {
+      await fake.close();
+      if (first) rmSync(first.output, { recursive: true, force: true });
+    }
+  });
+
+  test('gates on a baseline made with thumbnails, and only warns when no shot has a baseline yet', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS * 3 }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    let baseline;
+    let empty;
+    try {
+      baseline = await runSnap(fake, ['--type=indexer', '--deterministic', '--thumbnail=200'], { apiKey: fake.apiKey });
+      assert.equal(baseline.code, 0, baseline.log);
+      assert.ok(existsSync(join(baseline.output, 'landing.thumb.png')));
+
+      const compared = await runSnap(fake, ['--type=indexer', '--deterministic', `--compare=${baseline.output}`], { apiKey: fake.apiKey });
+      try {
+        assert.equal(compared.code, 0, compared.log);
+        const report = JSON.parse(readFileSync(join(compared.output, 'compare-report.json'), 'utf8'));
+        assert.equal(report.passed, true);
+        assert.ok(report.shots.every(s => s.status === 'match'), JSON.stringify(report.summary));
+        assert.ok(!report.shots.some(s => s.name.endsWith('.thumb')));
+      } finally {
+        rmSync(compared.output, { recursive: true, force: true });
+      }
+
+      empty = mkdtempSync(join(tmpdir(), 'snap-baseline-'));
+      const unchecked = await runSnap(fake, ['--type=indexer', `--compare=${empty}`], { apiKey: fake.apiKey });
+      try {
+        assert.equal(unchecked.code, 0, unchecked.log);
+        const report = JSON.parse(readFileSync(join(unchecked.output, 'compare-report.json'), 'utf8'));
+        assert.equal(report.passed, true);
+        assert.equal(report.noBaselines, true);
+        assert.match(unchecked.log, /no shot has a baseline/);
+      } finally {
+        rmSync(unchecked.output, { recursive: true, force: true });
+      }
+    } finally {
+      await fake.close();
+      if (baseline) rmSync(baseline.output, { recursive: true, force: true });
+      if (empty) rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  test('writes WebP images with thumbnails, lists their sizes and fails a shot over its budget', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer', '--format=webp', '--thumbnail=320', '--size-budget=1', '--size-budget-mode=fail'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 1, result.log);
+      const landing = step(result.manifest, 'landing');
+      assert.equal(landing.outcome, 'success');
+      assert.equal(landing.file, join(result.output, 'landing.webp'));
+      const [image, thumbnail] = landing.outputs;
+      assert.equal(readFileSync(image.file).toString('ascii', 8, 12), 'WEBP');
+      assert.equal(image.bytes, statSync(image.file).size);
+      assert.equal(thumbnail.file, join(result.output, 'landing.thumb.webp'));
+      assert.equal(thumbnail.width, 320);
+      assert.ok(thumbnail.bytes < image.bytes);
+      assert.deepEqual(landing.details.sizeBudget, { budgetBytes: 1024, bytes: image.bytes });
+      assert.ok(result.manifest.summary.overBudget.includes('landing'));
+      assert.equal(result.manifest.summary.passed, false);
+      assert.ok(!existsSync(join(result.output, 'landing.png')));
+      assert.ok(readFileSync(join(result.output, 'gallery.md'), 'utf8').includes('[![Lidarr library home page](landing.thumb.webp)](landing.webp)'));
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('audits the add modal and config form in both colour schemes with --a11y', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer', '--a11y', '--matrix=scheme:dark,light'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      const report = JSON.parse(readFileSync(join(result.output, 'a11y', 'indexer.json'), 'utf8'));
+      assert.deepEqual(report.shots.map(s => `${s.shot}:${s.colorScheme}`),
+        ['indexer-add-modal:dark', 'indexer-config:dark', 'indexer-add-modal:light', 'indexer-config:light']);
+      // The second scheme only re-checks contrast
+      assert.deepEqual(report.shots[3].rules, ['color-contrast']);
+
+      const [addModal, config] = report.shots;
+      // The fake's provider cards are clickable divs without a tabindex
+      assert.ok(addModal.violations.some(v => v.rule === 'keyboard' && v.text === 'Tidalarr'), JSON.stringify(addModal.violations));
+      // Every field sits in a labelled FormGroup; only API URL has help text
+      assert.equal(config.violations.filter(v => v.rule === 'label').length, 0);
+      const noHelp = config.violations.filter(v => v.rule === 'help-text').map(v => v.text);
+      assert.ok(noHelp.includes('Email') && !noHelp.includes('API URL'), JSON.stringify(noHelp));
+      // Field values never reach the report
+      assert.ok(!JSON.stringify(report).includes('hunter2'));
+
+      assert.equal(step(result.manifest, 'indexer-config').details.a11y.violations, config.violations.length);
+      assert.deepEqual(result.manifest.a11y.map(r => r.type), ['indexer']);
+      assert.match(readFileSync(join(result.output, 'a11y', 'indexer.md'), 'utf8'), /^# Accessibility: Tidalarr indexer/);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('writes a settings reference from the config form and checks it against the schema', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer,import-list', '--settings-reference'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      const reference = JSON.parse(readFileSync(join(result.output, 'settings', 'indexer.json'), 'utf8'));
+      assert.equal(reference.implementation, 'TidalarrIndexer');
+      const byName = Object.fromEntries(reference.fields.map(f => [f.name, f]));
+      assert.deepEqual(Object.keys(byName), ['name', 'enable', 'baseUrl', 'email', 'password', 'quality', 'searchLimit']);
+      assert.equal(byName.baseUrl.helpText, 'Address of the streaming service API');
+      assert.equal(byName.enable.value, true);
+      assert.deepEqual(byName.quality.options, ['Low (96kbps)', 'High (320kbps)', 'Lossless (FLAC)']);
+      assert.equal(byName.quality.value, 'Lossless (FLAC)');
+      // Show Advanced is on, so the advanced field is shown and marked
+      assert.equal(byName.searchLimit.advanced, true);
+      assert.equal(byName.searchLimit.visible, true);
+      assert.equal(byName.password.value, '[REDACTED]');
+      assert.equal(byName.email.value, '[REDACTED]');
+      assert.deepEqual(reference.schema, {
+        checked: true,
+        missing: [],
+        hidden: [{ name: 'deviceId', label: 'Device ID', reason: 'schema-hidden' }],
+        unlabelled: []
+      });
+      assert.ok(!readFileSync(join(result.output, 'settings', 'indexer.md'), 'utf8').includes('hunter2'));
+
+      assert.deepEqual(result.manifest.settings.map(s => s.type), ['indexer', 'import-list']);
+      assert.equal(step(result.manifest, 'indexer-config').details.settings.fields, 7);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('fills the config form from fixtures and captures a passing and a failing Test against the stub', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    const dir = mkdtempSync(join(tmpdir(), 'snap-fixtures-'));
+    let result;
+    try {
+      const fixtures = join(dir, 'fixtures.json');
+      writeFileSync(fixtures, JSON.stringify({
+        stub: { routes: [{ path: '/api', body: { ok: true } }, { path: '/api/rejected', status: 401 }] },
+        indexer: {
+          valid: { baseUrl: '{{stubUrl}}/api', email: 'listener@example.invalid', Quality: 'High (320kbps)' },
+          invalid: { baseUrl: '{{stubUrl}}/api/rejected' }
+        }
+      }));
+      result = await runSnap(fake, ['--type=indexer,import-list', `--fixtures=${fixtures}`], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assertShotsSaved(result, ['indexer-config', 'indexer-config-filled', 'indexer-test-failed']);
+
+      const filled = step(result.manifest, 'indexer-config-filled');
+      assert.deepEqual(filled.details.filledFields, ['baseUrl', 'email', 'Quality']);
+      assert.deepEqual(filled.details.test, { expected: 'success', result: 'success', status: 200, messages: [] });
+      assert.deepEqual(step(result.manifest, 'indexer-test-failed').details.test, {
+        expected: 'failure', result: 'failure', status: 400, messages: ['The streaming service refused the request (HTTP 401)']
+      });
+      assert.deepEqual(result.manifest.stub.requests, ['GET /api 200', 'GET /api/rejected 401']);
+      // The fixtures only cover indexers, so the import list gets its plain shots
+      assert.ok(!step(result.manifest, 'import-list-config-filled'));
+      assert.equal(step(result.manifest, 'import-list-config').outcome, 'success');
+    } finally {
+      await fake.close();
+      rmSync(dir, { recursive: true, force: true });
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('fails the shot when the Test result is not the expected one', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    let result;
+    try {
+      // A stub without routes answers every request with 200, so the "invalid" set passes its test
+      const fixtures = { indexer: { invalid: { baseUrl: '{{stubUrl}}/anything' } }, stub: {} };
+      const dir = mkdtempSync(join(tmpdir(), 'snap-fixtures-'));
+      writeFileSync(join(dir, 'fixtures.json'), JSON.stringify(fixtures));
+      result = await runSnap(fake, ['--type=indexer', `--fixtures=${join(dir, 'fixtures.json')}`], { apiKey: fake.apiKey });
+      rmSync(dir, { recursive: true, force: true });
+      const failed = step(result.manifest, 'indexer-test-failed');
+      assert.equal(failed.outcome, 'failed');
+      assert.equal(failed.errorCode, 'SNAP_TEST_RESULT_UNEXPECTED');
+      assert.equal(failed.details.test.result, 'success');
+      assert.ok(!existsSync(join(result.output, 'indexer-test-failed.png')));
+      assert.ok(!step(result.manifest, 'indexer-config-filled'));
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('captures every shot once per UI language with --locales and puts the language back', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS * 2 }, async () => {
+    // aria-dialog finds the add button and the delay profile row by their text
+    const fake = await startFakeLidarr({ variant: 'aria-dialog', protocolEnabled: true });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer', '--locales=en,de', '--require=indexer-config'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      for (const locale of ['en', 'de']) {
+        for (const name of ['indexers-list', 'indexer-add-modal', 'indexer-config']) {
+          const shot = result.manifest.results.find(r => r.name === name && r.locale === locale);
+          assert.equal(shot?.outcome, 'success', `${locale}/${name}: [${shot?.errorCode}] ${shot?.outcomeReason}`);
+          assert.ok(existsSync(join(result.output, locale, `${name}.png`)), `${locale}/${name}.png not written`);
+        }
+      }
+      assert.deepEqual(result.manifest.locales.map(l => `${l.locale}:${l.language}`), ['en:English', 'de:German']);
+      assert.deepEqual(result.manifest.results.filter(r => r.name === 'set-locale').map(r => r.details.changed), [false, true]);
+      assert.match(readFileSync(join(result.output, 'gallery.md'), 'utf8'), /\*de\*/);
+      // The run switched Lidarr to German and back
+      assert.equal(fake.state.uiLanguage, 1);
+      assert.ok(step(result.manifest, 'restore').details.restored.includes('config/ui'));
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('walks the capture with --dry-run without writing images or saving anything, and stops after the given shot', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr();
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer', '--dry-run', '--stop-after=indexer-add-modal'], { apiKey: fake.apiKey });
+      assert.equal(result.manifest.dryRun, true, result.log);
+      assert.equal(result.manifest.stoppedAfter, 'indexer-add-modal');
+      for (const name of ['landing', 'settings', 'indexers-list', 'indexer-add-modal']) {
+        assert.ok(!existsSync(join(result.output, `${name}.png`)), `${name}.png written`);
+      }
+      assert.equal(step(result.manifest, 'indexers-list').details.wouldWrite, join(result.output, 'indexers-list.png'));
+      assert.equal(step(result.manifest, 'indexer-config'), undefined);
+
+      // The protocol is left as it was, so the card is missing, and the plan says so
+      assert.deepEqual(step(result.manifest, 'enable-protocol-api').details.wouldSave.map(w => `${w.method} ${w.endpoint}`), ['PUT delayprofile/1']);
+      assert.equal(fake.state.delayProfiles[0].items.find(i => i.protocol === 'TidalarrDownloadProtocol').allowed, false);
+      assert.ok(!fake.requests.some(r => r.method !== 'GET' && r.path.startsWith('/api/')), 'Lidarr was changed');
+      const modal = step(result.manifest, 'indexer-add-modal');
+      assert.equal(modal.errorCode, 'SNAP_PLUGIN_CARD_NOT_FOUND');
+      assert.ok(modal.attempts.some(a => a.role === 'addButton' && a.count > 0), JSON.stringify(modal.attempts));
+      assert.ok(modal.attempts.filter(a => a.role === 'pluginCard').every(a => a.count === 0));
+      assert.match(result.log, /FAIL indexer-add-modal\n[\s\S]*plugin card: not found/);
+      assert.match(result.log, /Dry run: \d+ step\(s\)/);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('fails a required shot instead of saving the wrong screen when the card is missing', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ pluginLoaded: false });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=import-list', '--skip-preflight', '--require=import-list-config']);
+      assert.equal(result.code, 1, result.log);
+      const config = step(result.manifest, 'import-list-config');
+      assert.equal(config.outcome, 'failed');
+      assert.equal(config.errorCode, 'SNAP_PLUGIN_CARD_NOT_FOUND');
+      assert.ok(!existsSync(join(result.output, 'import-list-config.png')));
+      assert.deepEqual(result.manifest.summary.requiredMissing, ['import-list-config']);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('crops to the modal and reports annotation targets that are not on screen', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ protocolEnabled: true });
+    let result;
+    const options = join(tmpdir(), `snap-shot-options-${process.pid}.json`);
+    writeFileSync(options, JSON.stringify({
+      'import-list-config': {
+        crop: 'modal',
+        caption: 'Tidalarr import list',
+        annotations: [{ field: 'Quality' }, { field: 'No Such Field' }]
+      }
+    }));
+    try {
+      result = await runSnap(fake, ['--type=import-list', `--shot-options=${options}`], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assertShotsSaved(result, ['import-list-config']);
+      const config = step(result.manifest, 'import-list-config');
+      assert.deepEqual(config.details.annotationsMissing, ['No Such Field']);
+
+      const png = decodePng(readFileSync(join(result.output, 'import-list-config.png')));
+      const landing = decodePng(readFileSync(join(result.output, 'landing.png')));
+      assert.ok(png.width < landing.width, `cropped width ${png.width} should be below ${landing.width}`);
+    } finally {
+      await fake.close();
+      rmSync(options, { force: true });
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('logs in through the Forms login page once and reuses the saved session', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ auth: 'forms', protocolEnabled: true });
+    const statePath = join(tmpdir(), `snap-auth-state-${process.pid}.json`);
+    const credentials = ['--type=indexer', '--username=admin', '--password=correct-horse', `--auth-state=${statePath}`];
+    const results = [];
+    try {
+      results.push(await runSnap(fake, credentials, { apiKey: fake.apiKey }));
+      assert.equal(results[0].code, 0, results[0].log);
+      assert.equal(step(results[0].manifest, 'login').details.method, 'forms');
+      assert.ok(existsSync(statePath));
+      assertShotsSaved(results[0], ['landing', 'indexer-config']);
+      assert.ok(!JSON.stringify(results[0].manifest).includes('correct-horse'));
+
+      results.push(await runSnap(fake, credentials, { apiKey: fake.apiKey }));
+      assert.equal(results[1].code, 0, results[1].log);
+      assert.equal(step(results[1].manifest, 'login'), undefined);
+      assert.equal(fake.state.logins, 1);
+    } finally {
+      await fake.close();
+      rmSync(statePath, { force: true });
+      for (const result of results) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('answers a Basic auth challenge with the credentials', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ auth: 'basic', protocolEnabled: true });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer', '--username=admin', '--password=correct-horse'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assertShotsSaved(result, ['landing', 'indexer-config']);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  for (const [name, extraArgs, errorCode] of [
+    ['no credentials', [], 'SNAP_AUTH_MISSING'],
+    ['a wrong password', ['--username=admin', '--password=wrong-horse'], 'SNAP_AUTH_FAILED']
+  ]) {
+    test(`fails the run with ${errorCode} for ${name}`, { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+      const fake = await startFakeLidarr({ auth: 'forms' });
+      let result;
+      try {
+        result = await runSnap(fake, ['--type=indexer', ...extraArgs], { apiKey: fake.apiKey });
+        assert.equal(result.code, 1, result.log);
+        assert.equal(result.manifest.summary.fatalErrorCode, errorCode);
+        assert.equal(result.manifest.summary.saved, 0);
+      } finally {
+        await fake.close();
+        if (result) rmSync(result.output, { recursive: true, force: true });
+      }
+    });
+  }
+
+  test('captures several plugins in one run with one protocol update', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr({ extraPlugins: ['Qobuzarr', 'Brainarr'] });
+    let result;
+    try {
+      result = await runSnap(fake, [
+        '--plugin=Tidalarr:indexer;Qobuzarr:download-client;Brainarr:import-list',
+        '--require=Tidalarr/indexer-config,Brainarr/import-list-config'
+      ], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assert.equal(fake.requests.filter(r => r.method === 'PUT' && r.path === '/api/v1/delayprofile/1').length, 1);
+
+      for (const [plugin, shot] of [['Tidalarr', 'indexer-config'], ['Qobuzarr', 'download-client-config'], ['Brainarr', 'import-list-config']]) {
+        const manifest = JSON.parse(readFileSync(join(result.output, plugin, 'snap-manifest.json'), 'utf8'));
+        assert.equal(manifest.request.plugin, plugin);
+        assertShotsSaved({ manifest, output: join(result.output, plugin) }, ['landing', shot]);
+        assert.equal(step(manifest, shot).selectors.pluginCard, `div[class*="selectableCard"]:has-text("${plugin}")`);
+      }
+      const brainarr = JSON.parse(readFileSync(join(result.output, 'Brainarr', 'snap-manifest.json'), 'utf8'));
+      assert.deepEqual(brainarr.request.required, ['import-list-config']);
+      assert.equal(step(brainarr, 'enable-protocol-api'), undefined);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('captures metadata, connections, interactive search and the queue with a seeded album', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr();
+    fake.state.providers.indexer.push({ id: 1, name: 'Tidalarr', implementation: 'TidalarrIndexer', enable: true, fields: [] });
+    fake.state.providers.downloadclient.push({ id: 1, name: 'Tidalarr', implementation: 'TidalarrDownloadClient', enable: true, fields: [] });
+    let result;
+    try {
+      result = await runSnap(fake, [
+        '--type=metadata,notification,interactive-search,queue',
+        '--seed-artist=Kevin MacLeod',
+        '--seed-album=Royalty Free',
+        '--seed-timeout=5'
+      ], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assert.equal(step(result.manifest, 'seed-album').details.albumTitle, 'Royalty Free');
+      assert.equal(step(result.manifest, 'seed-queue').details.grabbed, true);
+      assertShotsSaved(result, [
+        'metadata-list', 'metadata-config',
+        'notifications-list', 'notification-add-modal', 'notification-config',
+        'album-details', 'interactive-search', 'queue'
+      ]);
+      // The grabbed download and the seed artist are gone again after the run
+      assert.equal(step(result.manifest, 'restore').details.deleted.length, 2);
+      assert.deepEqual(fake.state.queue, []);
+      assert.deepEqual(fake.state.artists, []);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('fails only the seeded shots when no plugin indexer is configured', { skip: NO_BROWSER, timeout: RUN_TIMEOUT_MS }, async () => {
+    const fake = await startFakeLidarr();
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer,queue', '--seed-timeout=5'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 0, result.log);
+      assert.equal(step(result.manifest, 'seed-album').errorCode, 'SNAP_SEED_FAILED');
+      assert.equal(step(result.manifest, 'queue').errorCode, 'SNAP_SEED_FAILED');
+      assertShotsSaved(result, ['indexer-config']);
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('reports each plugin that Lidarr has not loaded in its own folder', { timeout: 60_000 }, async () => {
+    const fake = await startFakeLidarr();
+    let result;
+    try {
+      result = await runSnap(fake, ['--plugin=Ghostarr,Phantomarr', '--type=indexer'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 1, result.log);
+      for (const plugin of ['Ghostarr', 'Phantomarr']) {
+        const manifest = JSON.parse(readFileSync(join(result.output, plugin, 'snap-manifest.json'), 'utf8'));
+        assert.equal(manifest.summary.fatalErrorCode, 'SNAP_PLUGIN_NOT_LOADED');
+        assert.equal(manifest.summary.shots, 0);
+      }
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+
+  test('aborts before launching a browser when the plugin is not loaded', { timeout: 60_000 }, async () => {
+    const fake = await startFakeLidarr({ pluginLoaded: false });
+    let result;
+    try {
+      result = await runSnap(fake, ['--type=indexer'], { apiKey: fake.apiKey });
+      assert.equal(result.code, 1, result.log);
+      assert.equal(result.manifest.summary.fatalErrorCode, 'SNAP_PLUGIN_NOT_LOADED');
+      assert.equal(result.manifest.summary.shots, 0);
+
+      // The failed run leaves a redacted diagnostics bundle with the API state
+      const bundle = result.manifest.diagnostics.bundle;
+      assert.ok(existsSync(bundle), bundle);
+      const entries = readZip(readFileSync(bundle));
+      const names = entries.map(e => e.name.split('/').slice(1).join('/'));
+      for (const name of ['run-manifest.json', 'console.log', 'system-status.json', 'plugins.json', 'indexer-schemas.json']) {
+        assert.ok(names.includes(name), `${name} missing from ${names.join(', ')}`);
+      }
+      for (const entry of entries) {
+        assert.ok(!entry.data.toString('utf8').includes(fake.apiKey), `${entry.name} leaks the API key`);
+      }
+      assert.ok(!readFileSync(join(result.output, 'snap-manifest.json'), 'utf8').includes(fake.apiKey));
+    } finally {
+      await fake.close();
+      if (result) rmSync(result.output, { recursive: true, force: true });
+    }
+  });
+});